@@ -4,32 +4,31 @@
  */
 
 const express = require('express');
-const { ethers } = require('ethers');
+const { network, describeNetwork } = require('../config/network');
+const rpcProvider = require('../services/rpcProvider');
 const eventMonitor = require('../services/eventMonitor');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // Get monitoring status
-router.get('/status', (req, res) => {
-    res.json(eventMonitor.getStatus());
+router.get('/status', async (req, res) => {
+    res.json(await eventMonitor.getStatus());
 });
 
 // Get network info
 router.get('/network', async (req, res) => {
     try {
-        const provider = new ethers.JsonRpcProvider(
-            process.env.KASPLEX_RPC_URL || 'https://rpc.kasplextest.xyz'
-        );
+        const provider = rpcProvider.getProvider();
         
-        const network = await provider.getNetwork();
+        const chainId = await provider.send('eth_chainId', []);
         const blockNumber = await provider.getBlockNumber();
         
         res.json({
-            chainId: network.chainId.toString(),
+            ...describeNetwork(),
+            chainId: BigInt(chainId).toString(),
             blockNumber,
-            rpcUrl: process.env.KASPLEX_RPC_URL,
-            name: 'Kasplex Testnet'
+            rpcUrl: network.rpcUrl
         });
     } catch (error) {
         logger.error('Network info error:', error);
@@ -40,16 +39,16 @@ router.get('/network', async (req, res) => {
 // Get contract addresses
 router.get('/contracts', (req, res) => {
     res.json({
-        ipnft: process.env.IPNFT_ADDRESS || null,
-        royaltyDistributor: process.env.ROYALTY_DISTRIBUTOR_ADDRESS || null,
-        tokenizer: process.env.TOKENIZER_ADDRESS || null
+        ipnft: network.contracts.ipnft || null,
+        royaltyDistributor: network.contracts.royaltyDistributor || null,
+        tokenizer: network.contracts.tokenizer || null
     });
 });
 
 // Example: Get IP-NFT metadata
 router.get('/ipnft/:tokenId', async (req, res) => {
     try {
-        if (!process.env.IPNFT_ADDRESS) {
+        if (!network.contracts.ipnft) {
             return res.status(400).json({ error: 'IP-NFT contract not configured' });
         }
 
@@ -69,7 +68,7 @@ router.get('/ipnft/:tokenId', async (req, res) => {
 // Example: Get royalty distribution info
 router.get('/royalties/:tokenId', async (req, res) => {
     try {
-        if (!process.env.ROYALTY_DISTRIBUTOR_ADDRESS) {
+        if (!network.contracts.royaltyDistributor) {
             return res.status(400).json({ error: 'Royalty distributor not configured' });
         }
 
@@ -0,0 +1,374 @@
+/**
+ * CLI Commands
+ * Operator commands of the kasplex-ip tool. Each command reads through the
+ * same models and services as the API, returns plain data (printed as JSON
+ * with --json) and renders it as a table otherwise.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const { CONTRACT_NAMES } = require('../config/deployments');
+const ContractModel = require('../models/ContractModel');
+const rpcProvider = require('../services/rpcProvider');
+const contractRegistry = require('../services/contractRegistry');
+const eventIndexer = require('../services/eventIndexer');
+const eventMonitor = require('../services/eventMonitor');
+const portfolioService = require('../services/portfolioService');
+const reportService = require('../services/reportService');
+const reconciliationService = require('../services/reconciliationService');
+const { checkConfig } = require('./configCheck');
+const { ApiError } = require('../utils/apiError');
+const { toCSV } = require('../utils/csv');
+const { parseTime } = require('../utils/timeBuckets');
+const { renderTable, renderFields } = require('../utils/table');
+
+const IPNFT_COLUMNS = [
+    { key: 'tokenId', label: 'Token' },
+    { key: 'cropSpecies', label: 'Crop Species' },
+    { key: 'bacterialStrain', label: 'Strain' },
+    { key: 'regulatoryStatus', label: 'Status' },
+    { key: 'licensedAcres', label: 'Acres' },
+    { key: 'researchInstitution', label: 'Institution' },
+    { key: 'owner', label: 'Owner' }
+];
+
+const BENEFICIARY_COLUMNS = [
+    { key: 'address', label: 'Beneficiary' },
+    { key: 'shareBps', label: 'Share (bps)' },
+    { key: 'sharePercentage', label: 'Share' },
+    { key: 'isActive', label: 'Active' }
+];
+
+const POOL_COLUMNS = [
+    { key: 'ipnftTokenId', label: 'IP-NFT' },
+    { key: 'shareBps', label: 'Share (bps)' },
+    { key: 'isActive', label: 'Active' },
+    { key: 'earned', label: 'Earned (KAS)' },
+    { key: 'withdrawn', label: 'Withdrawn (KAS)' },
+    { key: 'withdrawable', label: 'Withdrawable (KAS)' }
+];
+
+const REPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Parse a token ID argument, which must fit in a uint256
+ */
+function parseTokenId(value, name = 'tokenId') {
+    if (!/^\d{1,78}$/.test(value) || BigInt(value) > ethers.MaxUint256) {
+        throw new ApiError(400, 'INVALID_INPUT', `${name} must be an unsigned integer of at most 2^256 - 1`);
+    }
+    return value;
+}
+
+function parseAddress(value, name) {
+    if (!ethers.isAddress(value)) {
+        throw new ApiError(400, 'INVALID_INPUT', `${name} must be a valid address`);
+    }
+    return ethers.getAddress(value);
+}
+
+function parseBlockNumber(value, name) {
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+        throw new ApiError(400, 'INVALID_INPUT', `${name} must be a block number`);
+    }
+    return Number(value);
+}
+
+function parseDate(value, name, options) {
+    const time = parseTime(value, options);
+    if (Number.isNaN(time)) {
+        throw new ApiError(400, 'INVALID_INPUT', `${name} must be an ISO 8601 date`);
+    }
+    return new Date(time);
+}
+
+function parseChoice(value, choices, name) {
+    if (!choices.includes(value)) {
+        throw new ApiError(400, 'INVALID_INPUT', `${name} must be one of: ${choices.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Commands by name. args are positional arguments and options use the
+ * util.parseArgs format; database commands connect to MongoDB first and
+ * failed() turns a result into a non-zero exit code.
+ */
+const COMMANDS = {
+    network: {
+        description: 'Show the selected network, chain head and RPC endpoint health',
+        async run() {
+            const info = await ContractModel.getNetworkInfo();
+            return { ...info, rpc: rpcProvider.getHealth() };
+        },
+        render(data) {
+            const { rpc, ...info } = data;
+            return renderFields(info) + '\n' + renderTable([
+                { key: 'url', label: 'RPC Endpoint' },
+                { key: 'healthy', label: 'Healthy' },
+                { key: 'latencyMs', label: 'Latency (ms)' },
+                { key: 'blockNumber', label: 'Block' },
+                { key: 'lastError', label: 'Last Error' }
+            ], rpc.endpoints);
+        }
+    },
+
+    contracts: {
+        description: 'Show contract addresses, their ERC-1967 implementations and whether the code matches the artifacts',
+        async run() {
+            const contracts = await Promise.all(contractRegistry.keys.map((key) => (
+                contractRegistry.getAddress(key)
+                    ? contractRegistry.inspect(key)
+                    : { contract: key, name: CONTRACT_NAMES[key], address: null, error: 'not configured' }
+            )));
+            return { network: network.name, chainId: network.chainId.toString(), contracts };
+        },
+        render(data) {
+            return renderTable([
+                { key: 'name', label: 'Contract' },
+                { key: 'address', label: 'Address' },
+                { key: 'source', label: 'Source' },
+                { key: 'implementation', label: 'Implementation' },
+                { key: 'codeSize', label: 'Code (bytes)' },
+                { key: 'verified', label: 'Verified' },
+                { key: 'error', label: 'Error' }
+            ], data.contracts);
+        },
+        failed: (data) => data.contracts.some((contract) => contract.address && !contract.verified)
+    },
+
+    'ipnft show': {
+        args: ['tokenId'],
+        description: 'Show one IP-NFT',
+        async run({ tokenId }) {
+            return ContractModel.getIPNFTMetadata(parseTokenId(tokenId));
+        },
+        render(data) {
+            return renderFields(data);
+        }
+    },
+
+    'ipnft list': {
+        description: 'List IP-NFTs, filtered, sorted and paginated like GET /api/ipnfts',
+        options: {
+            'crop-species': { type: 'string', description: 'Crop species (case-insensitive exact match)' },
+            'bacterial-strain': { type: 'string', description: 'Bacterial strain' },
+            'regulatory-status': { type: 'string', description: 'Regulatory status' },
+            'research-institution': { type: 'string', description: 'Research institution' },
+            owner: { type: 'string', description: 'Owner address' },
+            sort: { type: 'string', default: 'tokenId', description: ContractModel.catalogueSortKeys.join(', ') },
+            order: { type: 'string', default: 'asc', description: 'asc or desc' },
+            limit: { type: 'string', default: '20', description: 'Tokens per page' },
+            offset: { type: 'string', default: '0', description: 'Tokens to skip' },
+            cursor: { type: 'string', description: 'Cursor of the next page, printed below the table' }
+        },
+        async run(args, options) {
+            if (!/^[1-9]\d*$/.test(options.limit)) {
+                throw new ApiError(400, 'INVALID_INPUT', '--limit must be a positive integer');
+            }
+            if (!/^\d+$/.test(options.offset)) {
+                throw new ApiError(400, 'INVALID_INPUT', '--offset must be a non-negative integer');
+            }
+            if (options.cursor !== undefined && !ContractModel.isValidCursor(options.cursor)) {
+                throw new ApiError(400, 'INVALID_INPUT', '--cursor is not a valid catalogue cursor');
+            }
+
+            return ContractModel.getAllIPNFTs({
+                filters: {
+                    cropSpecies: options['crop-species'],
+                    bacterialStrain: options['bacterial-strain'],
+                    regulatoryStatus: options['regulatory-status'],
+                    researchInstitution: options['research-institution'],
+                    owner: options.owner === undefined ? undefined : parseAddress(options.owner, '--owner')
+                },
+                sort: parseChoice(options.sort, ContractModel.catalogueSortKeys, '--sort'),
+                order: parseChoice(options.order, ['asc', 'desc'], '--order'),
+                limit: Number(options.limit),
+                offset: Number(options.offset),
+                cursor: options.cursor
+            });
+        },
+        render(data) {
+            const footer = [`Showing ${data.showing} of ${data.total} at block ${data.blockNumber}`];
+            if (data.nextCursor) {
+                footer.push(`Next page: --cursor ${data.nextCursor}`);
+            }
+            return renderTable(IPNFT_COLUMNS, data.tokens) + '\n' + footer.join('\n') + '\n';
+        }
+    },
+
+    'royalties show': {
+        args: ['tokenId'],
+        description: 'Show the royalty pool of an IP-NFT and its beneficiaries',
+        async run({ tokenId }) {
+            return ContractModel.getRoyaltyInfo(parseTokenId(tokenId));
+        },
+        render(data) {
+            const { beneficiaries, ...pool } = data;
+            return renderFields(pool) + '\n' + renderTable(BENEFICIARY_COLUMNS, beneficiaries);
+        }
+    },
+
+    beneficiary: {
+        args: ['address'],
+        description: 'Show the royalty positions, IPT revenue and withdrawals of a beneficiary',
+        async run({ address }) {
+            return portfolioService.getBeneficiaryPortfolio(parseAddress(address, 'address'));
+        },
+        render(data) {
+            const pools = data.pools.map((pool) => ({
+                ...pool,
+                earned: ethers.formatEther(pool.earnedWei),
+                withdrawn: ethers.formatEther(pool.withdrawnWei),
+                withdrawable: ethers.formatEther(pool.withdrawableWei)
+            }));
+            return renderFields({ address: data.address, blockNumber: data.blockNumber, ...data.totals })
+                + '\n' + renderTable(POOL_COLUMNS, pools)
+                + `\nWithdrawals: ${data.withdrawals.length} (export them with reports export --beneficiary)\n`;
+        }
+    },
+
+    'reports export': {
+        description: 'Export the royalty distribution report, like GET /api/reports/distributions',
+        options: {
+            from: { type: 'string', description: 'Earliest distribution (ISO 8601 date)' },
+            to: { type: 'string', description: 'Latest distribution (ISO 8601 date; a date without a time includes that whole day)' },
+            'token-id': { type: 'string', description: 'Only distributions of this IP-NFT' },
+            beneficiary: { type: 'string', description: 'Only distributions to this address' },
+            format: { type: 'string', default: 'csv', description: 'csv or json' },
+            output: { type: 'string', short: 'o', description: 'Write to a file instead of stdout' }
+        },
+        database: true,
+        async run(args, options) {
+            if (!network.contracts.royaltyDistributor) {
+                throw new ApiError(400, 'INVALID_INPUT', 'Royalty distributor not configured');
+            }
+            const format = options.json ? 'json' : parseChoice(options.format, REPORT_FORMATS, '--format');
+
+            const report = await reportService.getDistributionReport({
+                tokenId: options['token-id'] === undefined ? null : parseTokenId(options['token-id'], '--token-id'),
+                beneficiary: options.beneficiary === undefined ? null : parseAddress(options.beneficiary, '--beneficiary'),
+                from: options.from === undefined ? null : parseDate(options.from, '--from'),
+                to: options.to === undefined ? null : parseDate(options.to, '--to', { endOfDay: true })
+            });
+
+            if (!options.output) {
+                return report;
+            }
+
+            fs.writeFileSync(options.output, format === 'csv'
+                ? toCSV(reportService.distributionColumns, report.lines)
+                : JSON.stringify(report, null, 2) + '\n');
+            return { output: options.output, format, summary: report.summary };
+        },
+        render(data, options) {
+            if (!options.output) {
+                return toCSV(reportService.distributionColumns, data.lines);
+            }
+            return `Wrote ${data.summary.count} records (${data.summary.total} KAS, `
+                + `${data.summary.unverified} without transaction reference) to ${data.output}\n`;
+        }
+    },
+
+    'indexer backfill': {
+        description: 'Index contract events from a block up to chain head (or --to-block) into MongoDB',
+        options: {
+            'from-block': { type: 'string', description: 'First block to index (required)' },
+            'to-block': { type: 'string', description: 'Last block to index, chain head by default' }
+        },
+        database: true,
+        async run(args, options, { progress }) {
+            if (options['from-block'] === undefined) {
+                throw new ApiError(400, 'INVALID_INPUT', '--from-block is required');
+            }
+            const fromBlock = parseBlockNumber(options['from-block'], '--from-block');
+            const toBlock = options['to-block'] === undefined ? null : parseBlockNumber(options['to-block'], '--to-block');
+            if (toBlock !== null && toBlock < fromBlock) {
+                throw new ApiError(400, 'INVALID_INPUT', '--to-block must not be before --from-block');
+            }
+            if (!eventIndexer.isEnabled()) {
+                throw new ApiError(503, 'SERVICE_UNAVAILABLE', 'MongoDB not connected, set MONGODB_URI to backfill the event index');
+            }
+
+            await eventMonitor.connect();
+            return eventIndexer.backfill(fromBlock, toBlock, (chunk) => progress(
+                `Blocks ${chunk.fromBlock}-${chunk.toBlock}: ${chunk.scanned} events scanned, ${chunk.stored} new`
+            ));
+        },
+        render(data) {
+            return renderFields(data);
+        }
+    },
+
+    'indexer status': {
+        description: 'Show the event index checkpoint and how far it trails chain head',
+        database: true,
+        async run() {
+            const [status, headBlock] = await Promise.all([
+                eventIndexer.getStatus(),
+                ContractModel.getProvider().getBlockNumber()
+            ]);
+            return {
+                ...status,
+                headBlock,
+                lagBlocks: status.lastProcessedBlock === null ? null : Math.max(headBlock - status.lastProcessedBlock, 0)
+            };
+        },
+        render(data) {
+            return renderFields(data);
+        }
+    },
+
+    reconcile: {
+        description: 'Reconcile pool and tokenizer ledgers with events and balances, and store the run',
+        database: true,
+        async run() {
+            if (!reconciliationService.isEnabled()) {
+                throw new ApiError(503, 'SERVICE_UNAVAILABLE', 'MongoDB not connected, set MONGODB_URI to reconcile from the event index');
+            }
+            return reconciliationService.run({ trigger: 'manual' });
+        },
+        render(data) {
+            const { status, blockNumber, eventCount, error, distributor } = data;
+            const summary = renderFields({
+                status,
+                blockNumber,
+                eventCount,
+                pools: data.pools.length,
+                distributorBalance: distributor ? distributor.balance : null,
+                tokenizerBalance: data.tokenizer ? data.tokenizer.balance : null,
+                error
+            });
+            return summary + '\n' + (data.findings.length === 0 ? 'No findings\n' : renderTable([
+                { key: 'severity', label: 'Severity' },
+                { key: 'check', label: 'Check' },
+                { key: 'subject', label: 'Subject' },
+                { key: 'message', label: 'Finding' }
+            ], data.findings));
+        },
+        failed(data) {
+            return data.status !== 'clean';
+        }
+    },
+
+    'config check': {
+        description: 'Validate environment variables, RPC reachability, chain ID and contract deployments',
+        async run() {
+            return checkConfig();
+        },
+        render(data) {
+            const summary = data.ok ? 'All checks passed' : `${data.failed} check(s) failed`;
+            return renderTable([
+                { key: 'status', label: 'Status' },
+                { key: 'check', label: 'Check' },
+                { key: 'detail', label: 'Detail' }
+            ], data.checks) + `\n${summary}\n`;
+        },
+        failed: (data) => !data.ok
+    }
+};
+
+module.exports = {
+    COMMANDS
+};
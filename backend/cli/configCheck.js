@@ -0,0 +1,149 @@
+/**
+ * Configuration Check
+ * Validates the environment the backend would start with: settings, RPC
+ * endpoints and their chain ID, contract deployments and MongoDB
+ */
+
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const { network, CONTRACT_ENV } = require('../config/network');
+const rpcProvider = require('../services/rpcProvider');
+const contractRegistry = require('../services/contractRegistry');
+
+// Settings read with parseInt, which silently turns typos into NaN
+const INTEGER_SETTINGS = [
+    'PORT',
+    'RPC_TIMEOUT_MS',
+    'RPC_MAX_ATTEMPTS',
+    'RPC_BACKOFF_BASE_MS',
+    'RPC_BACKOFF_MAX_MS',
+    'INDEXER_START_BLOCK',
+    'INDEXER_CHUNK_SIZE',
+    'INDEXER_REORG_DEPTH',
+    'INDEXER_POLL_INTERVAL_MS',
+    'MONITOR_WATCHDOG_INTERVAL_MS',
+    'MONITOR_STALL_TIMEOUT_MS',
+    'CACHE_TTL_MS',
+    'CACHE_MAX_ENTRIES'
+];
+
+const DATABASE_TIMEOUT_MS = 5000;
+
+const result = (check, status, detail) => ({ check, status, detail });
+
+function checkSettings() {
+    const checks = [
+        result('KASPLEX_NETWORK', 'ok', `${network.key}: ${network.name}, chain ${network.chainId}`)
+    ];
+
+    const invalid = INTEGER_SETTINGS.filter((name) => process.env[name] !== undefined && !/^\d+$/.test(process.env[name]));
+    invalid.forEach((name) => checks.push(result(name, 'fail', `"${process.env[name]}" is not a non-negative integer`)));
+    if (invalid.length === 0) {
+        checks.push(result('Integer settings', 'ok', `${INTEGER_SETTINGS.filter((name) => process.env[name] !== undefined).length} set`));
+    }
+
+    checks.push(process.env.AUTH_SECRET
+        ? result('AUTH_SECRET', 'ok', 'set')
+        : result('AUTH_SECRET', 'warn', 'not set, sessions will not survive a restart'));
+
+    return checks;
+}
+
+/**
+ * Probe each RPC endpoint directly; reports whether any answered on the right chain
+ */
+async function checkEndpoints() {
+    const checks = [];
+    let reachable = 0;
+
+    for (const endpoint of rpcProvider.getProvider().endpoints) {
+        const check = `RPC ${endpoint.label}`;
+        if (endpoint.label === 'invalid URL') {
+            checks.push(result(check, 'fail', `"${endpoint.url}" is not a valid URL`));
+            continue;
+        }
+        try {
+            const probe = await rpcProvider.probeEndpoint(endpoint);
+            checks.push(result(check, 'ok', `chain ${probe.chainId}, block ${probe.blockNumber}, ${probe.latencyMs} ms`));
+            reachable++;
+        } catch (error) {
+            checks.push(result(check, 'fail', error.code === 'NETWORK_MISMATCH'
+                ? error.message
+                : `unreachable: ${error.shortMessage || error.message}`));
+        }
+    }
+
+    return { checks, reachable };
+}
+
+/**
+ * Check each contract address is set and valid, and that the code deployed
+ * there (behind its ERC-1967 proxy) matches the Foundry artifact
+ */
+async function checkContracts(rpcReachable) {
+    const checks = [];
+
+    for (const [key, variable] of Object.entries(CONTRACT_ENV)) {
+        const address = network.contracts[key];
+        if (!address) {
+            checks.push(result(variable, 'warn', 'not set and not found in the Foundry broadcast logs'));
+            continue;
+        }
+        if (!ethers.isAddress(address)) {
+            checks.push(result(variable, 'fail', `"${address}" is not a valid address`));
+            continue;
+        }
+        if (!rpcReachable) {
+            checks.push(result(variable, 'skip', 'no RPC endpoint reachable on the configured chain'));
+            continue;
+        }
+
+        const deployment = await contractRegistry.inspect(key);
+        const implementation = deployment.implementation ? `, implementation ${deployment.implementation}` : '';
+        checks.push(deployment.verified
+            ? result(variable, 'ok', `${address} from ${deployment.source}${implementation} matches the artifact`)
+            : result(variable, 'fail', deployment.error));
+    }
+
+    return checks;
+}
+
+async function checkDatabase() {
+    if (!process.env.MONGODB_URI) {
+        return result('MONGODB_URI', 'warn', 'not set, event index, reports references and admin features are disabled');
+    }
+    if (mongoose.connection.readyState !== 1) {
+        try {
+            await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: DATABASE_TIMEOUT_MS });
+        } catch (error) {
+            return result('MONGODB_URI', 'fail', `cannot connect: ${error.message}`);
+        }
+    }
+    return result('MONGODB_URI', 'ok', `connected to ${mongoose.connection.name}`);
+}
+
+/**
+ * Run every check. Checks are ok, warn (feature disabled), skip or fail;
+ * the configuration is usable when nothing failed.
+ */
+async function checkConfig() {
+    const endpoints = await checkEndpoints();
+    const checks = [
+        ...checkSettings(),
+        ...endpoints.checks,
+        ...await checkContracts(endpoints.reachable > 0),
+        await checkDatabase()
+    ];
+    const failed = checks.filter((check) => check.status === 'fail').length;
+
+    return {
+        ok: failed === 0,
+        failed,
+        warnings: checks.filter((check) => check.status === 'warn').length,
+        checks
+    };
+}
+
+module.exports = {
+    checkConfig
+};
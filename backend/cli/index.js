@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * kasplex-ip
+ * Operator command-line tool for querying, exporting and maintaining the backend.
+ * Reads the same .env as the server; --network overrides KASPLEX_NETWORK. Output is a
+ * table by default or JSON with --json; log messages are written to stderr with --verbose.
+ *
+ * Exit codes: 0 success, 1 failure, 2 invalid arguments
+ */
+
+require('dotenv').config();
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const { ApiError, toApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const GLOBAL_OPTIONS = {
+    json: { type: 'boolean', default: false },
+    network: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const DATABASE_TIMEOUT_MS = 5000;
+
+/**
+ * Keep stdout for command output: console logging goes to stderr, and only with --verbose
+ */
+function configureLogging(verbose) {
+    logger.transports
+        .filter((transport) => transport instanceof winston.transports.Console)
+        .forEach((transport) => logger.remove(transport));
+
+    if (verbose) {
+        logger.add(new winston.transports.Console({
+            stderrLevels: Object.keys(logger.levels),
+            format: winston.format.combine(winston.format.colorize(), winston.format.simple())
+        }));
+    }
+}
+
+function usage(commands) {
+    const names = Object.keys(commands);
+    const width = Math.max(...names.map((name) => name.length + (commands[name].args || []).join(' ').length + 3));
+
+    return [
+        'Usage: kasplex-ip <command> [options]',
+        '',
+        'Commands:',
+        ...names.map((name) => {
+            const args = (commands[name].args || []).map((arg) => `<${arg}>`).join(' ');
+            return `  ${`${name} ${args}`.trim().padEnd(width)}  ${commands[name].description}`;
+        }),
+        '',
+        'Options:',
+        '  --json            Print results as JSON',
+        '  --network <name>  Network profile (testnet, mainnet or local), overrides KASPLEX_NETWORK',
+        '  -v, --verbose     Write log messages to stderr',
+        '  -h, --help        Show help, or the options of a command',
+        ''
+    ].join('\n');
+}
+
+function commandUsage(name, command) {
+    const args = (command.args || []).map((arg) => ` <${arg}>`).join('');
+    const flags = Object.entries(command.options || {}).map(([option, { short }]) => (
+        `${short ? `-${short}, ` : ''}--${option}`
+    ));
+    const width = Math.max(0, ...flags.map((flag) => flag.length));
+    const options = Object.values(command.options || {}).map(({ description, default: value }, index) => (
+        `  ${flags[index].padEnd(width)}  ${description}${value !== undefined ? ` (default: ${value})` : ''}`
+    ));
+
+    return [
+        `Usage: kasplex-ip ${name}${args} [options]`,
+        '',
+        command.description,
+        ...(options.length > 0 ? ['', 'Options:', ...options] : []),
+        ''
+    ].join('\n');
+}
+
+/**
+ * Find the command named by the leading words, e.g. "ipnft list" or "network"
+ */
+function findCommand(commands, argv) {
+    for (const words of [2, 1]) {
+        const name = argv.slice(0, words).join(' ');
+        if (commands[name]) {
+            return { name, command: commands[name], rest: argv.slice(words) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Value of --network, read before the network configuration is loaded
+ */
+function networkOption(argv) {
+    const index = argv.findIndex((arg) => arg === '--network' || arg.startsWith('--network='));
+    if (index === -1) {
+        return null;
+    }
+    return argv[index].includes('=') ? argv[index].slice('--network='.length) : argv[index + 1];
+}
+
+async function connectDatabase() {
+    if (!process.env.MONGODB_URI) {
+        return;
+    }
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: DATABASE_TIMEOUT_MS });
+}
+
+async function main(argv) {
+    const json = argv.includes('--json');
+    configureLogging(argv.includes('--verbose') || argv.includes('-v'));
+
+    const selected = networkOption(argv);
+    if (selected) {
+        process.env.KASPLEX_NETWORK = selected;
+    }
+
+    // Required here so an invalid network configuration is reported like any other error
+    let commands;
+    let rpcProvider;
+
+    try {
+        ({ COMMANDS: commands } = require('./commands'));
+        rpcProvider = require('../services/rpcProvider');
+
+        const match = findCommand(commands, argv);
+        if (!match) {
+            if (argv.length === 0 || argv.includes('--help') || argv.includes('-h')) {
+                process.stdout.write(usage(commands));
+                return 0;
+            }
+            throw new ApiError(400, 'INVALID_INPUT', `Unknown command "${argv.filter((arg) => !arg.startsWith('-')).join(' ')}"`);
+        }
+
+        const { name, command, rest } = match;
+        let parsed;
+        try {
+            parsed = parseArgs({
+                args: rest,
+                options: { ...GLOBAL_OPTIONS, ...command.options },
+                allowPositionals: true
+            });
+        } catch (error) {
+            throw new ApiError(400, 'INVALID_INPUT', error.message);
+        }
+
+        const { values: options, positionals } = parsed;
+        if (options.help) {
+            process.stdout.write(commandUsage(name, command));
+            return 0;
+        }
+
+        const expected = command.args || [];
+        if (positionals.length !== expected.length) {
+            throw new ApiError(400, 'INVALID_INPUT', `Usage: kasplex-ip ${name}${expected.map((arg) => ` <${arg}>`).join('')}`);
+        }
+        const args = Object.fromEntries(expected.map((arg, index) => [arg, positionals[index]]));
+
+        if (command.database) {
+            try {
+                await connectDatabase();
+            } catch (error) {
+                throw new ApiError(503, 'SERVICE_UNAVAILABLE', `Cannot connect to MongoDB: ${error.message}`);
+            }
+        }
+
+        const data = await command.run(args, options, {
+            progress: (message) => process.stderr.write(`${message}\n`)
+        });
+
+        process.stdout.write(options.json ? `${JSON.stringify(data, null, 2)}\n` : command.render(data, options));
+        return command.failed && command.failed(data) ? 1 : 0;
+    } catch (error) {
+        const apiError = toApiError(error);
+        if (apiError.status === 500) {
+            logger.error('Command failed:', error);
+        }
+
+        if (json) {
+            process.stdout.write(`${JSON.stringify({ error: { code: apiError.code, message: apiError.message } }, null, 2)}\n`);
+        } else {
+            process.stderr.write(`Error: ${apiError.message} (${apiError.code})\n`);
+        }
+        return apiError.status === 400 ? 2 : 1;
+    } finally {
+        await mongoose.disconnect();
+        if (rpcProvider) {
+            rpcProvider.destroy();
+        }
+    }
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -0,0 +1,129 @@
+/**
+ * Deployment Discovery
+ * Contract addresses recorded by `forge script script/Deploy.s.sol --broadcast`.
+ *
+ * Foundry writes each run to broadcast/Deploy.s.sol/<chainId>/run-<timestamp>.json
+ * and copies the newest to run-latest.json. DeployScript and DeployIPTokenizer share
+ * that directory, so earlier runs are searched for contracts the latest run did not
+ * deploy. Each UUPS contract is deployed as an implementation followed by an
+ * ERC1967Proxy whose first constructor argument is that implementation.
+ *
+ * CONTRACT_BROADCAST_DIR overrides the directory that holds the <chainId> folders.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Contract keys mapped to their Solidity contract (and Foundry artifact) names
+const CONTRACT_NAMES = {
+    ipnft: 'AgriculturalIPNFT',
+    royaltyDistributor: 'RoyaltyDistributor',
+    tokenizer: 'IPTokenizer'
+};
+
+const PROXY_NAME = 'ERC1967Proxy';
+
+function broadcastDir(chainId) {
+    const root = process.env.CONTRACT_BROADCAST_DIR
+        || path.resolve(__dirname, '../../broadcast/Deploy.s.sol');
+    return path.join(root, String(chainId));
+}
+
+/**
+ * Broadcast files newest first: run-latest.json, then run-<timestamp>.json by timestamp
+ */
+function listRuns(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const runs = fs.readdirSync(dir)
+        .map((file) => ({ file, match: /^run-(\d+)\.json$/.exec(file) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => Number(b.match[1]) - Number(a.match[1]))
+        .map(({ file }) => path.join(dir, file));
+
+    const latest = path.join(dir, 'run-latest.json');
+    return fs.existsSync(latest) ? [latest, ...runs] : runs;
+}
+
+/**
+ * Proxies deployed in one broadcast run, keyed by contract key (last deployment wins)
+ */
+function proxiesInRun(file) {
+    let run;
+    try {
+        run = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read Foundry broadcast ${file}: ${error.message}`);
+    }
+    const { transactions = [] } = run;
+    const creates = transactions.filter((tx) => tx.transactionType === 'CREATE' && tx.contractAddress);
+
+    const implementations = new Map(creates
+        .filter((tx) => tx.contractName !== PROXY_NAME)
+        .map((tx) => [tx.contractAddress.toLowerCase(), tx.contractName]));
+
+    const found = {};
+    creates
+        .filter((tx) => tx.contractName === PROXY_NAME && Array.isArray(tx.arguments) && tx.arguments.length > 0)
+        .forEach((tx) => {
+            const contractName = implementations.get(String(tx.arguments[0]).toLowerCase());
+            const key = Object.keys(CONTRACT_NAMES).find((name) => CONTRACT_NAMES[name] === contractName);
+            if (key) {
+                found[key] = {
+                    address: tx.contractAddress,
+                    implementation: tx.arguments[0],
+                    transactionHash: tx.hash,
+                    file
+                };
+            }
+        });
+    return found;
+}
+
+/**
+ * Proxy addresses deployed on a chain by the deploy scripts, e.g.
+ * { ipnft: { address, implementation, transactionHash, file } }
+ */
+function discoverDeployments(chainId) {
+    const deployments = {};
+
+    for (const file of listRuns(broadcastDir(chainId))) {
+        const proxies = proxiesInRun(file);
+        Object.entries(proxies).forEach(([key, deployment]) => {
+            if (!deployments[key]) {
+                deployments[key] = deployment;
+            }
+        });
+        if (Object.keys(deployments).length === Object.keys(CONTRACT_NAMES).length) {
+            break;
+        }
+    }
+
+    return deployments;
+}
+
+/**
+ * Record contracts deployed outside forge script (demo mode) as a broadcast run,
+ * so they are discovered like any other deployment. Transactions follow Foundry's
+ * format: { hash, transactionType: 'CREATE', contractName, contractAddress, arguments }.
+ */
+function writeBroadcast(chainId, transactions) {
+    const dir = broadcastDir(chainId);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const run = { transactions, receipts: [], libraries: [], pending: [], timestamp, chain: Number(chainId) };
+
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `run-${timestamp}.json`);
+    fs.writeFileSync(file, JSON.stringify(run, null, 2));
+    fs.copyFileSync(file, path.join(dir, 'run-latest.json'));
+    return file;
+}
+
+module.exports = {
+    CONTRACT_NAMES,
+    PROXY_NAME,
+    discoverDeployments,
+    writeBroadcast
+};
@@ -0,0 +1,171 @@
+/**
+ * Network Configuration
+ * Named Kasplex network profiles and the profile selected for this process.
+ *
+ * KASPLEX_NETWORK selects the profile (testnet, mainnet or local).
+ * KASPLEX_RPC_URL (comma-separated) and EXPLORER_URL override the profile defaults.
+ * Contract addresses are read from <NETWORK>_IPNFT_ADDRESS etc. (e.g. MAINNET_IPNFT_ADDRESS),
+ * falling back to the unprefixed IPNFT_ADDRESS, ROYALTY_DISTRIBUTOR_ADDRESS and TOKENIZER_ADDRESS,
+ * then to the proxies recorded in the Foundry broadcast logs for the chain (see deployments.js).
+ *
+ * DEMO_MODE=true defaults to the local profile and is refused on any other network,
+ * since the demo deploys and seeds its own contracts (see services/demoChain.js).
+ */
+
+const { discoverDeployments } = require('./deployments');
+
+const PROFILES = {
+    testnet: {
+        name: 'Kasplex Testnet',
+        chainId: 167012,
+        rpcUrls: ['https://rpc.kasplextest.xyz'],
+        explorerUrl: 'https://frontend.kasplextest.xyz',
+        faucetUrl: 'https://faucet.kasplextest.xyz/'
+    },
+    mainnet: {
+        name: 'Kasplex Mainnet',
+        chainId: 202555,
+        rpcUrls: ['https://evmrpc.kasplex.org'],
+        explorerUrl: 'https://explorer.kasplex.org',
+        faucetUrl: null
+    },
+    local: {
+        name: 'Local Anvil',
+        chainId: 31337,
+        rpcUrls: ['http://127.0.0.1:8545'],
+        explorerUrl: null,
+        faucetUrl: null
+    }
+};
+
+const CONTRACT_ENV = {
+    ipnft: 'IPNFT_ADDRESS',
+    royaltyDistributor: 'ROYALTY_DISTRIBUTOR_ADDRESS',
+    tokenizer: 'TOKENIZER_ADDRESS'
+};
+
+const CHAIN_CHECK_TIMEOUT_MS = 10000;
+
+/**
+ * Resolve the selected profile with environment overrides applied
+ */
+function resolveNetwork() {
+    const demo = process.env.DEMO_MODE === 'true';
+    const key = (process.env.KASPLEX_NETWORK || (demo ? 'local' : 'testnet')).toLowerCase();
+    const profile = PROFILES[key];
+    if (!profile) {
+        throw new Error(`Unknown KASPLEX_NETWORK "${key}", expected one of: ${Object.keys(PROFILES).join(', ')}`);
+    }
+    if (demo && key !== 'local') {
+        throw new Error(`DEMO_MODE deploys its own contracts and only runs on the local network, not ${profile.name}`);
+    }
+
+    // Local nodes use whatever chain ID they were started with
+    let chainId = profile.chainId;
+    if (process.env.CHAIN_ID) {
+        if (key === 'local') {
+            chainId = Number(process.env.CHAIN_ID);
+        } else if (Number(process.env.CHAIN_ID) !== profile.chainId) {
+            throw new Error(`CHAIN_ID ${process.env.CHAIN_ID} does not match ${profile.name} (${profile.chainId})`);
+        }
+    }
+
+    const rpcUrls = process.env.KASPLEX_RPC_URL
+        ? process.env.KASPLEX_RPC_URL.split(',').map((url) => url.trim()).filter(Boolean)
+        : profile.rpcUrls;
+
+    const prefix = key.toUpperCase();
+    const deployments = discoverDeployments(chainId);
+    const contracts = {};
+    const contractSources = {};
+    Object.entries(CONTRACT_ENV).forEach(([contract, variable]) => {
+        const configured = process.env[`${prefix}_${variable}`] || process.env[variable];
+        if (configured) {
+            contracts[contract] = configured;
+            contractSources[contract] = 'env';
+        } else if (deployments[contract]) {
+            contracts[contract] = deployments[contract].address;
+            contractSources[contract] = 'broadcast';
+        } else {
+            contracts[contract] = null;
+            contractSources[contract] = null;
+        }
+    });
+
+    return {
+        key,
+        name: profile.name,
+        chainId,
+        rpcUrls,
+        rpcUrl: rpcUrls[0],
+        explorerUrl: process.env.EXPLORER_URL || profile.explorerUrl,
+        faucetUrl: profile.faucetUrl,
+        demo,
+        contracts,
+        contractSources
+    };
+}
+
+const network = resolveNetwork();
+
+/**
+ * Point the selected network at proxies written to the broadcast logs after
+ * startup, e.g. { ipnft: { address } } from discoverDeployments
+ */
+function useDeployments(deployments) {
+    Object.entries(deployments).forEach(([contract, { address }]) => {
+        network.contracts[contract] = address;
+        network.contractSources[contract] = 'broadcast';
+    });
+}
+
+/**
+ * Confirm an RPC endpoint serves the configured chain.
+ * Throws when the chain ID differs (code NETWORK_MISMATCH) or cannot be read in time.
+ */
+async function verifyChainId(provider, label = network.rpcUrl) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(
+            () => reject(new Error(`Timed out reading chain ID from ${label}`)),
+            CHAIN_CHECK_TIMEOUT_MS
+        );
+    });
+
+    try {
+        const chainId = Number(await Promise.race([provider.send('eth_chainId', []), timeout]));
+        if (chainId !== network.chainId) {
+            const error = new Error(
+                `RPC ${label} is on chain ${chainId}, but ${network.name} expects chain ${network.chainId}`
+            );
+            error.code = 'NETWORK_MISMATCH';
+            throw error;
+        }
+        return chainId;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Public description of the selected network
+ */
+function describeNetwork() {
+    return {
+        profile: network.key,
+        name: network.name,
+        chainId: network.chainId.toString(),
+        explorerUrl: network.explorerUrl,
+        faucetUrl: network.faucetUrl,
+        demo: network.demo
+    };
+}
+
+module.exports = {
+    PROFILES,
+    CONTRACT_ENV,
+    network,
+    useDeployments,
+    verifyChainId,
+    describeNetwork
+};
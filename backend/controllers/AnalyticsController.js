@@ -0,0 +1,320 @@
+/**
+ * Analytics Controller
+ * Royalty trend series for charts (JSON and CSV output)
+ */
+
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const analyticsService = require('../services/analyticsService');
+const { BUCKETS, isValidTimeZone, parseTime } = require('../utils/timeBuckets');
+const { toCSV } = require('../utils/csv');
+const { sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const FORMATS = ['json', 'csv'];
+const MAX_SENDERS = 100;
+
+const RECEIVED_COLUMNS = [
+    { key: 'tokenId', label: 'IP-NFT' },
+    { key: 'bucket', label: 'Bucket' },
+    { key: 'startsAt', label: 'Starts At (UTC)' },
+    { key: 'royaltiesWei', label: 'Royalties (wei)' },
+    { key: 'iptRevenueWei', label: 'IPT Revenue (wei)' },
+    { key: 'totalWei', label: 'Total (wei)' },
+    { key: 'total', label: 'Total (KAS)' },
+    { key: 'payments', label: 'Payments' }
+];
+
+const SENDER_COLUMNS = [
+    { key: 'sender', label: 'Sender' },
+    { key: 'totalWei', label: 'Paid (wei)' },
+    { key: 'total', label: 'Paid (KAS)' },
+    { key: 'shareBps', label: 'Share (bps)' },
+    { key: 'payments', label: 'Payments' },
+    { key: 'tokenIds', label: 'IP-NFTs' },
+    { key: 'firstPaidAt', label: 'First Paid (UTC)' },
+    { key: 'lastPaidAt', label: 'Last Paid (UTC)' }
+];
+
+const WITHDRAWAL_COLUMNS = [
+    { key: 'beneficiary', label: 'Beneficiary' },
+    { key: 'bucket', label: 'Bucket' },
+    { key: 'startsAt', label: 'Starts At (UTC)' },
+    { key: 'withdrawnWei', label: 'Withdrawn (wei)' },
+    { key: 'withdrawn', label: 'Withdrawn (KAS)' },
+    { key: 'withdrawals', label: 'Withdrawals' }
+];
+
+const BALANCE_COLUMNS = [
+    { key: 'bucket', label: 'Bucket' },
+    { key: 'startsAt', label: 'Starts At (UTC)' },
+    { key: 'receivedWei', label: 'Received (wei)' },
+    { key: 'distributedWei', label: 'Distributed (wei)' },
+    { key: 'cumulativeReceivedWei', label: 'Cumulative Received (wei)' },
+    { key: 'cumulativeDistributedWei', label: 'Cumulative Distributed (wei)' },
+    { key: 'pendingWei', label: 'Pending (wei)' },
+    { key: 'pending', label: 'Pending (KAS)' }
+];
+
+const PER_ACRE_COLUMNS = [
+    { key: 'tokenId', label: 'IP-NFT' },
+    { key: 'licensedAcres', label: 'Licensed Acres' },
+    { key: 'bucket', label: 'Bucket' },
+    { key: 'startsAt', label: 'Starts At (UTC)' },
+    { key: 'totalWei', label: 'Revenue (wei)' },
+    { key: 'perAcreWei', label: 'Per Acre (wei)' },
+    { key: 'perAcre', label: 'Per Acre (KAS)' }
+];
+
+/**
+ * Parse an optional ISO date query parameter, returning undefined when invalid
+ */
+function parseDate(value, options) {
+    if (value === undefined) {
+        return null;
+    }
+    const time = parseTime(value, options);
+    return Number.isNaN(time) ? undefined : new Date(time);
+}
+
+/**
+ * Validate the query shared by all analytics, returning { error } or { value }
+ */
+function parseQuery(query) {
+    const { tokenId, bucket = 'day', timeZone = 'UTC', format = 'json' } = query;
+
+    if (tokenId !== undefined && !/^\d+$/.test(tokenId)) {
+        return { error: 'Invalid token ID' };
+    }
+    if (!BUCKETS.includes(bucket)) {
+        return { error: `Invalid bucket, expected one of: ${BUCKETS.join(', ')}` };
+    }
+    if (!isValidTimeZone(timeZone)) {
+        return { error: 'Invalid timeZone, expected an IANA time zone such as Europe/Berlin' };
+    }
+    if (!FORMATS.includes(format)) {
+        return { error: `Invalid format, expected one of: ${FORMATS.join(', ')}` };
+    }
+
+    const from = parseDate(query.from);
+    const to = parseDate(query.to, { endOfDay: true });
+    if (from === undefined || to === undefined) {
+        return { error: 'Invalid date, expected ISO 8601' };
+    }
+    if (from && to && from > to) {
+        return { error: 'from must be before to' };
+    }
+
+    return {
+        value: {
+            tokenId: tokenId === undefined ? null : tokenId,
+            bucket,
+            timeZone,
+            from,
+            to,
+            format
+        }
+    };
+}
+
+/**
+ * Respond with 400/503 when analytics cannot be computed
+ */
+function checkAvailable(res) {
+    if (!network.contracts.royaltyDistributor) {
+        res.status(400).json({ error: 'Royalty distributor not configured' });
+        return false;
+    }
+    if (!analyticsService.isEnabled()) {
+        res.status(503).json({ error: 'Analytics require the MongoDB event index' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Send a series as JSON, or its rows as CSV
+ */
+function sendSeries(res, format, filename, { json, columns, rows }) {
+    if (format === 'csv') {
+        res.type('text/csv');
+        res.attachment(`${filename}.csv`);
+        return res.send(toCSV(columns, rows));
+    }
+    return res.json(json);
+}
+
+class AnalyticsController {
+    /**
+     * Royalties received per IP-NFT per bucket
+     * Query: tokenId, bucket (day|week|month), timeZone, from, to, format (json|csv)
+     */
+    static async getRoyaltiesReceived(req, res) {
+        try {
+            if (!checkAvailable(res)) return;
+
+            const { error, value: query } = parseQuery(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const result = await analyticsService.getRoyaltiesReceived(query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            sendSeries(res, query.format, 'royalties-received', {
+                json: result.value,
+                columns: RECEIVED_COLUMNS,
+                rows: result.value.series.flatMap((entry) => entry.points.map((point) => ({
+                    tokenId: entry.tokenId,
+                    ...point
+                })))
+            });
+        } catch (error) {
+            logger.error('Error computing royalties received:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Top paying senders (licensees)
+     * Query: tokenId, from, to, limit, format (json|csv)
+     */
+    static async getTopSenders(req, res) {
+        try {
+            if (!checkAvailable(res)) return;
+
+            const { error, value: query } = parseQuery(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const { limit = '10' } = req.query;
+            if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_SENDERS) {
+                return res.status(400).json({ error: `Invalid limit, expected 1-${MAX_SENDERS}` });
+            }
+
+            const result = await analyticsService.getTopSenders({ ...query, limit: Number(limit) });
+
+            sendSeries(res, query.format, 'royalty-senders', {
+                json: result.value,
+                columns: SENDER_COLUMNS,
+                rows: result.value.senders.map((sender) => ({
+                    ...sender,
+                    tokenIds: sender.tokenIds.join(' ')
+                }))
+            });
+        } catch (error) {
+            logger.error('Error computing top senders:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Withdrawal velocity per beneficiary
+     * Query: beneficiary, tokenId, bucket, timeZone, from, to, format (json|csv)
+     */
+    static async getWithdrawalVelocity(req, res) {
+        try {
+            if (!checkAvailable(res)) return;
+
+            const { error, value: query } = parseQuery(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const { beneficiary } = req.query;
+            if (beneficiary !== undefined && !ethers.isAddress(beneficiary)) {
+                return res.status(400).json({ error: 'Invalid beneficiary address' });
+            }
+
+            const result = await analyticsService.getWithdrawalVelocity({
+                ...query,
+                beneficiary: beneficiary === undefined ? null : ethers.getAddress(beneficiary)
+            });
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            sendSeries(res, query.format, 'royalty-withdrawals', {
+                json: result.value,
+                columns: WITHDRAWAL_COLUMNS,
+                rows: result.value.series.flatMap((entry) => entry.points.map((point) => ({
+                    beneficiary: entry.beneficiary,
+                    ...point
+                })))
+            });
+        } catch (error) {
+            logger.error('Error computing withdrawal velocity:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Pending vs distributed royalties over time
+     * Query: tokenId, bucket, timeZone, from, to, format (json|csv)
+     */
+    static async getPoolBalances(req, res) {
+        try {
+            if (!checkAvailable(res)) return;
+
+            const { error, value: query } = parseQuery(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const result = await analyticsService.getPoolBalances(query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            sendSeries(res, query.format, 'royalty-balances', {
+                json: result.value,
+                columns: BALANCE_COLUMNS,
+                rows: result.value.points
+            });
+        } catch (error) {
+            logger.error('Error computing royalty balances:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Revenue per licensed acre per IP-NFT
+     * Query: tokenId, bucket, timeZone, from, to, format (json|csv)
+     */
+    static async getRevenuePerAcre(req, res) {
+        try {
+            if (!checkAvailable(res)) return;
+            if (!network.contracts.ipnft) {
+                return res.status(400).json({ error: 'IP-NFT contract not configured' });
+            }
+
+            const { error, value: query } = parseQuery(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const result = await analyticsService.getRevenuePerAcre(query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            sendSeries(res, query.format, 'revenue-per-acre', {
+                json: result.value,
+                columns: PER_ACRE_COLUMNS,
+                rows: result.value.series.flatMap((entry) => entry.points.map((point) => ({
+                    tokenId: entry.tokenId,
+                    licensedAcres: entry.licensedAcres,
+                    ...point
+                })))
+            });
+        } catch (error) {
+            logger.error('Error computing revenue per acre:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = AnalyticsController;
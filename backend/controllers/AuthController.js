@@ -0,0 +1,168 @@
+/**
+ * Auth Controller
+ * Sign-In with Ethereum sessions and API key management
+ */
+
+const mongoose = require('mongoose');
+const authService = require('../services/authService');
+const { resolveRoles } = require('../middleware/auth');
+const ApiKey = require('../models/ApiKey');
+const { sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+/**
+ * Respond with 503 when MongoDB is not connected
+ */
+function requireDatabase(res) {
+    if (!authService.isApiKeyStoreEnabled()) {
+        res.status(503).json({ error: 'API keys require a MongoDB connection' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validate API key input, returning { error } or { value }
+ */
+function parseApiKey(body) {
+    const { name, roles = [], rateLimit = null } = body || {};
+
+    if (typeof name !== 'string' || name.trim() === '') {
+        return { error: 'name is required' };
+    }
+    if (!Array.isArray(roles)) {
+        return { error: 'roles must be an array' };
+    }
+    const unknownRole = roles.find((role) => !authService.roles.includes(role));
+    if (unknownRole !== undefined) {
+        return { error: `Unknown role: ${unknownRole}`, details: { roles: authService.roles } };
+    }
+    if (rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+        return { error: 'rateLimit must be a positive integer' };
+    }
+
+    return { value: { name: name.trim(), roles, rateLimit } };
+}
+
+class AuthController {
+    /**
+     * Issue a nonce to embed in a SIWE message
+     */
+    static getNonce(req, res) {
+        res.json(authService.createNonce());
+    }
+
+    /**
+     * Verify a signed SIWE message and return a session token
+     * Body: { message, signature }
+     */
+    static async verify(req, res) {
+        try {
+            const { error, value } = await authService.signIn(req.body || {});
+            if (error) {
+                return res.status(401).json({ error });
+            }
+
+            res.json(value);
+        } catch (error) {
+            logger.error('Error verifying sign-in:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Describe the caller: session address or API key, with roles
+     */
+    static async getSession(req, res) {
+        try {
+            if (req.auth.type === 'apiKey') {
+                return res.json({
+                    type: 'apiKey',
+                    name: req.auth.name,
+                    roles: req.auth.roles
+                });
+            }
+
+            const roles = await resolveRoles(req);
+            res.json({
+                type: 'session',
+                address: req.auth.address,
+                expiresAt: req.auth.expiresAt,
+                roles,
+                beneficiaryPools: req.auth.beneficiaryPools
+            });
+        } catch (error) {
+            logger.error('Error fetching session:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Create an API key; the key itself is only returned here
+     * Body: { name, roles, rateLimit }
+     */
+    static async createApiKey(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { error, details, value } = parseApiKey(req.body);
+            if (error) {
+                return res.status(400).json({ error, ...details });
+            }
+
+            const createdBy = req.auth.address || `apiKey:${req.auth.keyId}`;
+            const { key, apiKey } = await authService.createApiKey(value, createdBy);
+
+            const stored = apiKey.toObject();
+            delete stored.keyHash;
+            res.status(201).json({ ...stored, key });
+        } catch (error) {
+            logger.error('Error creating API key:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * List API keys
+     */
+    static async listApiKeys(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const apiKeys = await ApiKey.find().sort({ createdAt: -1 }).lean();
+            res.json({ apiKeys });
+        } catch (error) {
+            logger.error('Error listing API keys:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Revoke an API key
+     */
+    static async revokeApiKey(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { id } = req.params;
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid API key ID' });
+            }
+
+            const apiKey = await ApiKey.findOneAndUpdate(
+                { _id: id, revokedAt: null },
+                { $set: { revokedAt: new Date() } }
+            );
+            if (!apiKey) {
+                return res.status(404).json({ error: `API key ${id} not found` });
+            }
+
+            res.status(204).end();
+        } catch (error) {
+            logger.error('Error revoking API key:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = AuthController;
@@ -3,9 +3,60 @@
  * Handles all contract-related business logic (MVC Controller)
  */
 
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
 const ContractModel = require('../models/ContractModel');
+const AdminWrite = require('../models/AdminWrite');
+const AuditLogEntry = require('../models/AuditLogEntry');
+const { network } = require('../config/network');
+const metadataResolver = require('../services/metadataResolver');
+const portfolioService = require('../services/portfolioService');
+const royaltySimulator = require('../services/royaltySimulator');
+const adminOperations = require('../services/adminOperations');
+const adminSigner = require('../services/adminSigner');
+const { resolveRoles } = require('../middleware/auth');
+const { setReadHeaders } = require('../utils/httpCache');
+const { ApiError, sendError } = require('../utils/apiError');
 const logger = require('../utils/logger');
 
+const MAX_PAGE_SIZE = 100;
+const MAX_ADMIN_RECORDS = 200;
+const WRITE_STATUSES = ['pending', 'confirmed', 'failed', 'partially-failed'];
+
+/**
+ * Respond with 503 when admin writes cannot be recorded or signed
+ */
+function requireAdminWrites(res) {
+    if (!adminOperations.isEnabled()) {
+        res.status(503).json({ error: 'Admin operations require a MongoDB connection' });
+        return false;
+    }
+    if (!adminSigner.isReady()) {
+        res.status(503).json({ error: adminSigner.error || 'Admin signer not configured' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Who made a request, as recorded in the audit log
+ */
+function describeActor(auth) {
+    return auth.type === 'apiKey'
+        ? { type: 'apiKey', keyId: auth.keyId, name: auth.name }
+        : { type: 'session', address: auth.address };
+}
+
+/**
+ * Validate a 1-MAX_ADMIN_RECORDS limit, returning { error } or { value }
+ */
+function parseLimit(limit) {
+    if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_ADMIN_RECORDS) {
+        return { error: `Invalid limit, expected 1-${MAX_ADMIN_RECORDS}` };
+    }
+    return { value: Number(limit) };
+}
+
 class ContractController {
     /**
      * Get network information
@@ -16,7 +67,7 @@ class ContractController {
             res.json(networkInfo);
         } catch (error) {
             logger.error('Error fetching network info:', error);
-            res.status(500).json({ error: 'Failed to fetch network information' });
+            sendError(res, error);
         }
     }
 
@@ -29,18 +80,20 @@ class ContractController {
             res.json(addresses);
         } catch (error) {
             logger.error('Error fetching contract addresses:', error);
-            res.status(500).json({ error: 'Failed to fetch contract addresses' });
+            sendError(res, error);
         }
     }
 
     /**
      * Get IP-NFT metadata by token ID
+     * Query: resolve=true to include the verified off-chain metadata document
      */
     static async getIPNFTMetadata(req, res) {
         try {
             const { tokenId } = req.params;
+            const { resolve } = req.query;
             
-            if (!process.env.IPNFT_ADDRESS) {
+            if (!network.contracts.ipnft) {
                 return res.status(400).json({ 
                     error: 'IP-NFT contract not configured',
                     message: 'Please deploy contracts and add IPNFT_ADDRESS to .env'
@@ -48,29 +101,97 @@ class ContractController {
             }
 
             const metadata = await ContractModel.getIPNFTMetadata(tokenId);
+
+            if (resolve === 'true') {
+                try {
+                    metadata.resolvedMetadata = await metadataResolver.resolve(metadata.metadataURI);
+                } catch (error) {
+                    logger.warn(`Failed to resolve metadata for token ${tokenId}:`, error.message);
+                    metadata.resolvedMetadata = { error: error.message };
+                }
+            }
+
+            setReadHeaders(res, metadata.blockNumber);
             res.json(metadata);
         } catch (error) {
             logger.error('Error fetching IP-NFT metadata:', error);
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
         }
     }
 
     /**
-     * Get all IP-NFTs
+     * Get the published agricultural strain metadata schema
+     */
+    static getMetadataSchema(req, res) {
+        res.json(metadataResolver.getSchema());
+    }
+
+    /**
+     * Get IP-NFT catalogue
+     * Query: cropSpecies, bacterialStrain, regulatoryStatus, researchInstitution, owner,
+     *        sort, order, limit, offset, cursor
      */
     static async getAllIPNFTs(req, res) {
         try {
-            if (!process.env.IPNFT_ADDRESS) {
+            if (!network.contracts.ipnft) {
                 return res.status(400).json({ 
                     error: 'IP-NFT contract not configured' 
                 });
             }
 
-            const ipnfts = await ContractModel.getAllIPNFTs();
+            const {
+                cropSpecies,
+                bacterialStrain,
+                regulatoryStatus,
+                researchInstitution,
+                owner,
+                sort = 'tokenId',
+                order = 'asc',
+                limit = '20',
+                offset = '0',
+                cursor
+            } = req.query;
+
+            if (!ContractModel.catalogueSortKeys.includes(sort)) {
+                return res.status(400).json({
+                    error: `Invalid sort, expected one of: ${ContractModel.catalogueSortKeys.join(', ')}`
+                });
+            }
+            if (!['asc', 'desc'].includes(order)) {
+                return res.status(400).json({ error: 'Invalid order, expected asc or desc' });
+            }
+            if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_PAGE_SIZE) {
+                return res.status(400).json({ error: `Invalid limit, expected 1-${MAX_PAGE_SIZE}` });
+            }
+            if (!/^\d+$/.test(offset)) {
+                return res.status(400).json({ error: 'Invalid offset' });
+            }
+            if (cursor !== undefined && !ContractModel.isValidCursor(cursor)) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            if (owner !== undefined && !ethers.isAddress(owner)) {
+                return res.status(400).json({ error: 'Invalid owner address' });
+            }
+
+            const ipnfts = await ContractModel.getAllIPNFTs({
+                filters: {
+                    cropSpecies,
+                    bacterialStrain,
+                    regulatoryStatus,
+                    researchInstitution,
+                    owner
+                },
+                sort,
+                order,
+                limit: Number(limit),
+                offset: Number(offset),
+                cursor
+            });
+            setReadHeaders(res, ipnfts.blockNumber);
             res.json(ipnfts);
         } catch (error) {
             logger.error('Error fetching IP-NFTs:', error);
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
         }
     }
 
@@ -81,31 +202,355 @@ class ContractController {
         try {
             const { tokenId } = req.params;
             
-            if (!process.env.ROYALTY_DISTRIBUTOR_ADDRESS) {
+            if (!network.contracts.royaltyDistributor) {
                 return res.status(400).json({ 
                     error: 'Royalty distributor not configured' 
                 });
             }
 
             const royaltyInfo = await ContractModel.getRoyaltyInfo(tokenId);
+            setReadHeaders(res, royaltyInfo.blockNumber);
             res.json(royaltyInfo);
         } catch (error) {
             logger.error('Error fetching royalty info:', error);
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Split a royalty payment with the current or a hypothetical beneficiary set
+     */
+    static async simulateRoyalties(req, res) {
+        try {
+            const { tokenId } = req.params;
+            const { amountWei, beneficiaries } = req.body;
+
+            if (!network.contracts.ipnft || !network.contracts.royaltyDistributor) {
+                return sendError(res, new ApiError(400, 'INVALID_INPUT', 'IP-NFT and royalty distributor must be configured'));
+            }
+
+            // Amount, share bounds and address uniqueness are checked by schemas.simulateRoyalties
+            const hypothetical = beneficiaries
+                ? beneficiaries.map((entry) => ({
+                    address: entry.address,
+                    shareBps: BigInt(entry.shareBps),
+                    isActive: entry.isActive !== false
+                }))
+                : null;
+
+            const simulation = await royaltySimulator.simulate(BigInt(tokenId), BigInt(amountWei), hypothetical);
+            setReadHeaders(res, simulation.blockNumber);
+            res.json(simulation);
+        } catch (error) {
+            logger.error('Error simulating royalty payment:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get a beneficiary's positions across all royalty pools
+     */
+    static async getBeneficiaryPortfolio(req, res) {
+        try {
+            const { address } = req.params;
+
+            if (!network.contracts.ipnft || !network.contracts.royaltyDistributor) {
+                return res.status(400).json({
+                    error: 'IP-NFT and royalty distributor must be configured'
+                });
+            }
+
+            if (!ethers.isAddress(address)) {
+                return res.status(400).json({ error: 'Invalid beneficiary address' });
+            }
+
+            const portfolio = await portfolioService.getBeneficiaryPortfolio(ethers.getAddress(address));
+            res.json(portfolio);
+        } catch (error) {
+            logger.error('Error fetching beneficiary portfolio:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get fractional token (IPT) information
+     */
+    static async getTokenizerInfo(req, res) {
+        try {
+            if (!network.contracts.tokenizer) {
+                return res.status(400).json({ 
+                    error: 'IP tokenizer not configured' 
+                });
+            }
+
+            const tokenizerInfo = await ContractModel.getTokenizerInfo();
+            res.json(tokenizerInfo);
+        } catch (error) {
+            logger.error('Error fetching tokenizer info:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get claimable revenue for an IPT holder
+     */
+    static async getClaimableRevenue(req, res) {
+        try {
+            const { holder } = req.params;
+
+            if (!network.contracts.tokenizer) {
+                return res.status(400).json({ 
+                    error: 'IP tokenizer not configured' 
+                });
+            }
+
+            if (!ethers.isAddress(holder)) {
+                return res.status(400).json({ error: 'Invalid holder address' });
+            }
+
+            const revenue = await ContractModel.getClaimableRevenue(ethers.getAddress(holder));
+            res.json(revenue);
+        } catch (error) {
+            logger.error('Error fetching claimable revenue:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get all governance proposals
+     */
+    static async getProposals(req, res) {
+        try {
+            if (!network.contracts.tokenizer) {
+                return res.status(400).json({ 
+                    error: 'IP tokenizer not configured' 
+                });
+            }
+
+            const proposals = await ContractModel.getProposals();
+            res.json(proposals);
+        } catch (error) {
+            logger.error('Error fetching proposals:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get governance proposal by ID
+     */
+    static async getProposal(req, res) {
+        try {
+            const { proposalId } = req.params;
+
+            if (!network.contracts.tokenizer) {
+                return res.status(400).json({ 
+                    error: 'IP tokenizer not configured' 
+                });
+            }
+
+            if (!/^\d+$/.test(proposalId)) {
+                return res.status(400).json({ error: 'Invalid proposal ID' });
+            }
+
+            const proposal = await ContractModel.getProposal(proposalId);
+            if (!proposal) {
+                return sendError(res, new ApiError(404, 'PROPOSAL_NOT_FOUND', `Proposal ${proposalId} not found`));
+            }
+
+            res.json(proposal);
+        } catch (error) {
+            logger.error('Error fetching proposal:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * List admin operations and the signer that sends them
+     */
+    static listAdminOperations(req, res) {
+        res.json({
+            signer: adminSigner.getStatus(),
+            operations: adminOperations.getOperations()
+        });
+    }
+
+    /**
+     * Dry-run an admin operation and submit it from the admin signer
+     * Body: { ...operation parameters, dryRun } (dryRun: true only simulates)
+     */
+    static async runAdminOperation(req, res) {
+        try {
+            const { operation } = req.params;
+
+            if (!adminOperations.hasOperation(operation)) {
+                return res.status(404).json({ error: `Unknown operation: ${operation}` });
+            }
+            if (!adminOperations.isConfigured(operation)) {
+                return res.status(400).json({
+                    error: `${adminOperations.getContractName(operation)} not configured`
+                });
+            }
+            if (!requireAdminWrites(res)) return;
+
+            let held;
+            try {
+                held = await resolveRoles(req);
+            } catch (error) {
+                logger.error('Role resolution error:', error);
+                return res.status(503).json({ error: 'Could not read on-chain roles' });
+            }
+            const roles = adminOperations.getRoles(operation);
+            if (!roles.some((role) => held.includes(role))) {
+                return res.status(403).json({ error: `Requires one of the roles: ${roles.join(', ')}` });
+            }
+
+            const parsed = adminOperations.parse(operation, req.body);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+
+            const dryRun = Boolean(req.body && req.body.dryRun === true);
+            const actor = describeActor(req.auth);
+            const result = dryRun
+                ? await adminOperations.dryRun(operation, parsed, actor)
+                : await adminOperations.submit(operation, parsed, actor);
+
+            if (result.rejected) {
+                return res.status(422).json({ error: result.rejected });
+            }
+            if (result.revert) {
+                return res.status(422).json({
+                    error: `Transaction would revert: ${result.revert.message}`,
+                    reason: result.revert.message,
+                    revert: result.revert,
+                    blockNumber: result.blockNumber
+                });
+            }
+
+            if (dryRun) {
+                return res.json(result);
+            }
+            res.status(202).json(result.write);
+        } catch (error) {
+            logger.error('Error running admin operation:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * List admin writes, newest first
+     * Query: status, operation, limit
+     */
+    static async listAdminWrites(req, res) {
+        try {
+            if (!adminOperations.isEnabled()) {
+                return res.status(503).json({ error: 'Admin operations require a MongoDB connection' });
+            }
+
+            const { status, operation, limit = '50' } = req.query;
+            if (status !== undefined && !WRITE_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Invalid status, expected one of: ${WRITE_STATUSES.join(', ')}` });
+            }
+            const parsedLimit = parseLimit(limit);
+            if (parsedLimit.error) {
+                return res.status(400).json({ error: parsedLimit.error });
+            }
+
+            const filter = {};
+            if (status) filter.status = status;
+            if (operation) filter.operation = operation;
+
+            const writes = await AdminWrite.find(filter)
+                .sort({ createdAt: -1 })
+                .limit(parsedLimit.value)
+                .lean();
+
+            res.json({ writes });
+        } catch (error) {
+            logger.error('Error listing admin writes:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get an admin write and the status of its transactions
+     */
+    static async getAdminWrite(req, res) {
+        try {
+            if (!adminOperations.isEnabled()) {
+                return res.status(503).json({ error: 'Admin operations require a MongoDB connection' });
+            }
+
+            const { id } = req.params;
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid write ID' });
+            }
+
+            const write = await AdminWrite.findById(id).lean();
+            if (!write) {
+                return res.status(404).json({ error: `Admin write ${id} not found` });
+            }
+
+            res.json(write);
+        } catch (error) {
+            logger.error('Error fetching admin write:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get the admin audit log, newest first
+     * Query: operation, action, write, before (ISO date), limit
+     */
+    static async getAuditLog(req, res) {
+        try {
+            if (!adminOperations.isEnabled()) {
+                return res.status(503).json({ error: 'Admin operations require a MongoDB connection' });
+            }
+
+            const { operation, action, write, before, limit = '50' } = req.query;
+            const parsedLimit = parseLimit(limit);
+            if (parsedLimit.error) {
+                return res.status(400).json({ error: parsedLimit.error });
+            }
+            if (write !== undefined && !mongoose.isValidObjectId(write)) {
+                return res.status(400).json({ error: 'Invalid write ID' });
+            }
+            if (before !== undefined && Number.isNaN(Date.parse(before))) {
+                return res.status(400).json({ error: 'Invalid before date' });
+            }
+
+            const filter = {};
+            if (operation) filter.operation = operation;
+            if (action) filter.action = action;
+            if (write) filter.write = write;
+            if (before) filter.createdAt = { $lt: new Date(before) };
+
+            const entries = await AuditLogEntry.find(filter)
+                .sort({ createdAt: -1 })
+                .limit(parsedLimit.value)
+                .lean();
+
+            res.json({ entries });
+        } catch (error) {
+            logger.error('Error fetching audit log:', error);
+            sendError(res, error);
         }
     }
 
     /**
      * Get monitoring status
      */
-    static getMonitoringStatus(req, res) {
+    static async getMonitoringStatus(req, res) {
         try {
             const eventMonitor = require('../services/eventMonitor');
-            const status = eventMonitor.getStatus();
-            res.json(status);
+            const eventStream = require('../services/eventStream');
+            const readCache = require('../services/readCache');
+            const status = await eventMonitor.getStatus();
+            res.json({ ...status, stream: eventStream.getStatus(), cache: await readCache.getStatus() });
         } catch (error) {
             logger.error('Error fetching monitoring status:', error);
-            res.status(500).json({ error: 'Failed to fetch monitoring status' });
+            sendError(res, error);
         }
     }
 }
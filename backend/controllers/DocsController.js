@@ -0,0 +1,74 @@
+/**
+ * Docs Controller
+ * OpenAPI 3 document generated from the routes, and an interactive docs page
+ */
+
+const crypto = require('crypto');
+const { buildDocument } = require('../utils/openapi');
+
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+
+let document = null;
+
+/**
+ * Build the document once; routers are required here because they require this controller
+ */
+function getDocument() {
+    if (!document) {
+        document = buildDocument({
+            title: 'Kasplex Agricultural IP Tokenization API',
+            version: '1.0.0',
+            description: 'IP-NFT, royalty, fractional token and governance data for agricultural biotech IP on Kasplex. '
+                + 'Errors are returned as { error: { code, message, details } }.',
+            mounts: [
+                { prefix: '/api', router: require('../routes'), rateLimited: true },
+                { prefix: '/metadata', router: require('../routes/metadata') }
+            ]
+        });
+    }
+    return document;
+}
+
+class DocsController {
+    /**
+     * Get the OpenAPI document
+     */
+    static getOpenApiDocument(req, res) {
+        res.json(getDocument());
+    }
+
+    /**
+     * Get the Swagger UI page for the OpenAPI document
+     */
+    static getApiDocs(req, res) {
+        const nonce = crypto.randomBytes(16).toString('base64');
+
+        // Loosen the default policy just enough for the pinned Swagger UI bundle
+        res.set('Content-Security-Policy', [
+            "default-src 'self'",
+            `script-src 'nonce-${nonce}' ${SWAGGER_UI}/`,
+            `style-src 'self' 'unsafe-inline' ${SWAGGER_UI}/`,
+            "img-src 'self' data:",
+            "connect-src 'self'"
+        ].join('; '));
+
+        res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Kasplex Agricultural IP API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script nonce="${nonce}" src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script nonce="${nonce}">
+        window.ui = SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>
+`);
+    }
+}
+
+module.exports = DocsController;
@@ -0,0 +1,81 @@
+/**
+ * Event Controller
+ * Real-time contract event stream over Server-Sent Events
+ */
+
+const eventMonitor = require('../services/eventMonitor');
+const eventStream = require('../services/eventStream');
+const { sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const CONTRACTS = ['ipnft', 'distributor', 'tokenizer'];
+
+/**
+ * Split a comma-separated query parameter into trimmed values
+ */
+function parseList(value) {
+    if (value === undefined || value === '') {
+        return [];
+    }
+    return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+class EventController {
+    /**
+     * Stream contract events as SSE
+     * Query: contract, event (event or signal type), tokenId (comma-separated), fromBlock, lastEventId
+     * Header: Last-Event-ID (takes precedence over lastEventId)
+     */
+    static async streamEvents(req, res) {
+        try {
+            const contracts = parseList(req.query.contract);
+            const events = parseList(req.query.event);
+            const tokenIds = parseList(req.query.tokenId);
+            const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+            const { fromBlock } = req.query;
+
+            const unknownContract = contracts.find((contract) => !CONTRACTS.includes(contract));
+            if (unknownContract !== undefined) {
+                return res.status(400).json({ error: `Invalid contract, expected one of: ${CONTRACTS.join(', ')}` });
+            }
+            const knownEvents = [...eventMonitor.getEventTypes(), ...eventMonitor.getSignalTypes()];
+            const unknownEvent = events.find((event) => !knownEvents.includes(event));
+            if (unknownEvent !== undefined) {
+                return res.status(400).json({ error: `Unknown event type: ${unknownEvent}`, knownEvents });
+            }
+            if (tokenIds.some((tokenId) => !/^\d+$/.test(tokenId))) {
+                return res.status(400).json({ error: 'Invalid token ID' });
+            }
+            if (fromBlock !== undefined && !/^\d+$/.test(fromBlock)) {
+                return res.status(400).json({ error: 'Invalid fromBlock' });
+            }
+
+            if (eventStream.isFull()) {
+                return res.status(503).json({ error: 'Too many event stream clients' });
+            }
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            res.write('retry: 5000\n\n');
+
+            await eventStream.subscribe(res, { contracts, events, tokenIds }, {
+                lastEventId,
+                fromBlock: fromBlock === undefined ? null : Number(fromBlock)
+            });
+        } catch (error) {
+            logger.error('Error opening event stream:', error);
+            if (!res.headersSent) {
+                sendError(res, error);
+            } else {
+                res.end();
+            }
+        }
+    }
+}
+
+module.exports = EventController;
@@ -0,0 +1,71 @@
+/**
+ * Governance Controller
+ * IPTokenizer proposal lifecycle, quorum progress and votes
+ */
+
+const { network } = require('../config/network');
+const governanceService = require('../services/governanceService');
+const { ApiError, sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+/**
+ * Respond with 400 when the tokenizer is not configured
+ */
+function requireTokenizer(res) {
+    if (!network.contracts.tokenizer) {
+        res.status(400).json({ error: 'IP tokenizer not configured' });
+        return false;
+    }
+    return true;
+}
+
+class GovernanceController {
+    /**
+     * List proposals with derived state, quorum progress and estimated end time
+     * Query: state (pending|active|defeated|succeeded|executed|canceled)
+     */
+    static async getProposals(req, res) {
+        try {
+            if (!requireTokenizer(res)) return;
+
+            const { state } = req.query;
+            if (state !== undefined && !governanceService.states.includes(state)) {
+                return res.status(400).json({
+                    error: `Invalid state, expected one of: ${governanceService.states.join(', ')}`
+                });
+            }
+
+            const result = await governanceService.getProposals({ state: state === undefined ? null : state });
+            res.json(result);
+        } catch (error) {
+            logger.error('Error fetching governance proposals:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get a proposal with its per-voter records
+     */
+    static async getProposal(req, res) {
+        try {
+            if (!requireTokenizer(res)) return;
+
+            const { proposalId } = req.params;
+            if (!/^\d+$/.test(proposalId)) {
+                return res.status(400).json({ error: 'Invalid proposal ID' });
+            }
+
+            const proposal = await governanceService.getProposal(proposalId);
+            if (!proposal) {
+                return sendError(res, new ApiError(404, 'PROPOSAL_NOT_FOUND', `Proposal ${proposalId} not found`));
+            }
+
+            res.json(proposal);
+        } catch (error) {
+            logger.error('Error fetching governance proposal:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = GovernanceController;
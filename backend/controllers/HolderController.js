@@ -0,0 +1,146 @@
+/**
+ * Holder Controller
+ * IPT cap table, current and point-in-time (JSON and CSV output)
+ */
+
+const { network } = require('../config/network');
+const holderLedger = require('../services/holderLedger');
+const { toCSV } = require('../utils/csv');
+const { sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const FORMATS = ['json', 'csv'];
+const MAX_PAGE_SIZE = 500;
+
+const HOLDER_COLUMNS = [
+    { key: 'rank', label: 'Rank' },
+    { key: 'address', label: 'Holder' },
+    { key: 'balanceWei', label: 'Balance (wei)' },
+    { key: 'balance', label: 'Balance (IPT)' },
+    { key: 'percentage', label: 'Supply (%)' }
+];
+
+const VERIFICATION_COLUMNS = [
+    { key: 'onChainBalanceWei', label: 'On-chain Balance (wei)' },
+    { key: 'balanceMatches', label: 'Balance Matches' },
+    { key: 'votesWei', label: 'Votes (wei)' },
+    { key: 'delegate', label: 'Delegate' }
+];
+
+/**
+ * Validate the holders query, returning { error } or { value }
+ */
+function parseQuery(query) {
+    const {
+        block,
+        at,
+        sort = 'balance',
+        order = sort === 'balance' ? 'desc' : 'asc',
+        limit = '50',
+        offset = '0',
+        format = 'json',
+        verify = 'false'
+    } = query;
+
+    if (block !== undefined && at !== undefined) {
+        return { error: 'Use either block or at, not both' };
+    }
+    if (block !== undefined && !/^\d+$/.test(block)) {
+        return { error: 'Invalid block' };
+    }
+    if (at !== undefined && Number.isNaN(Date.parse(at))) {
+        return { error: 'Invalid at, expected ISO 8601' };
+    }
+    if (!holderLedger.sortKeys.includes(sort)) {
+        return { error: `Invalid sort, expected one of: ${holderLedger.sortKeys.join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'Invalid order, expected asc or desc' };
+    }
+    if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_PAGE_SIZE) {
+        return { error: `Invalid limit, expected 1-${MAX_PAGE_SIZE}` };
+    }
+    if (!/^\d+$/.test(offset)) {
+        return { error: 'Invalid offset' };
+    }
+    if (!FORMATS.includes(format)) {
+        return { error: `Invalid format, expected one of: ${FORMATS.join(', ')}` };
+    }
+    if (!['true', 'false'].includes(verify)) {
+        return { error: 'Invalid verify, expected true or false' };
+    }
+
+    return {
+        value: {
+            block: block === undefined ? null : Number(block),
+            at: at === undefined ? null : new Date(Date.parse(at)),
+            sort,
+            order,
+            limit: Number(limit),
+            offset: Number(offset),
+            format,
+            verify: verify === 'true'
+        }
+    };
+}
+
+class HolderController {
+    /**
+     * IPT holders sorted and paginated with percentage of supply. CSV exports every holder.
+     * Query: block or at (ISO 8601) for a snapshot, sort (balance|address), order,
+     *        limit, offset, format (json|csv), verify (compare with balanceOf and getPastVotes)
+     */
+    static async getHolders(req, res) {
+        try {
+            if (!network.contracts.tokenizer) {
+                return res.status(400).json({ error: 'IP tokenizer not configured' });
+            }
+            if (!holderLedger.isEnabled()) {
+                return res.status(503).json({ error: 'IPT holders require the MongoDB event index' });
+            }
+
+            const { error, value: query } = parseQuery(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            let blockNumber = query.block;
+            if (query.at) {
+                blockNumber = await holderLedger.findBlockAt(query.at);
+                if (blockNumber === null) {
+                    return res.status(400).json({ error: 'at is before the first block' });
+                }
+            }
+
+            const isCSV = query.format === 'csv';
+            const result = await holderLedger.getHolders({
+                blockNumber,
+                sort: query.sort,
+                order: query.order,
+                offset: isCSV ? 0 : query.offset,
+                limit: isCSV ? null : query.limit,
+                verify: query.verify
+            });
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            if (isCSV) {
+                const columns = query.verify ? [...HOLDER_COLUMNS, ...VERIFICATION_COLUMNS] : HOLDER_COLUMNS;
+                res.type('text/csv');
+                res.attachment(`ipt-holders-${result.value.blockNumber}.csv`);
+                return res.send(toCSV(columns, result.value.holders));
+            }
+
+            res.json({
+                ...result.value,
+                at: query.at ? query.at.toISOString() : null
+            });
+        } catch (error) {
+            logger.error('Error fetching IPT holders:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = HolderController;
@@ -0,0 +1,333 @@
+/**
+ * Licensing Controller
+ * Licensing agreement registry, payment schedules and royalty reconciliation
+ */
+
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const LicensingAgreement = require('../models/LicensingAgreement');
+const licensingService = require('../services/licensingService');
+const { sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const FEE_BASES = ['flat', 'per-acre'];
+const MAX_GRACE_DAYS = 365;
+
+const isUint = (value) => /^\d+$/.test(String(value));
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Respond with 503 when MongoDB is not connected
+ */
+function requireDatabase(res) {
+    if (!licensingService.isEnabled()) {
+        res.status(503).json({ error: 'Licensing agreements require a MongoDB connection' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validate agreement input, returning { error } or { value }
+ */
+function parseAgreement(body) {
+    const {
+        licensee = {},
+        wallet,
+        tokenId,
+        acres,
+        territory,
+        cropSeason = '',
+        feeSchedule = {},
+        term = {}
+    } = body || {};
+
+    if (!isText(licensee.name)) {
+        return { error: 'licensee.name is required' };
+    }
+    if (licensee.contact !== undefined && typeof licensee.contact !== 'string') {
+        return { error: 'licensee.contact must be a string' };
+    }
+    if (!ethers.isAddress(wallet)) {
+        return { error: 'wallet must be a valid address' };
+    }
+    if (!isUint(tokenId)) {
+        return { error: 'tokenId must be a non-negative integer' };
+    }
+    if (!isUint(acres) || !Number.isSafeInteger(Number(acres))) {
+        return { error: 'acres must be a non-negative integer' };
+    }
+    if (!isText(territory)) {
+        return { error: 'territory is required' };
+    }
+    if (typeof cropSeason !== 'string') {
+        return { error: 'cropSeason must be a string' };
+    }
+
+    const { basis, amountWei, frequency, graceDays = 0 } = feeSchedule;
+    if (!FEE_BASES.includes(basis)) {
+        return { error: `feeSchedule.basis must be one of: ${FEE_BASES.join(', ')}` };
+    }
+    if (!isUint(amountWei) || BigInt(amountWei) === 0n) {
+        return { error: 'feeSchedule.amountWei must be a positive integer' };
+    }
+    if (!licensingService.frequencies.includes(frequency)) {
+        return { error: `feeSchedule.frequency must be one of: ${licensingService.frequencies.join(', ')}` };
+    }
+    if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > MAX_GRACE_DAYS) {
+        return { error: `feeSchedule.graceDays must be an integer from 0 to ${MAX_GRACE_DAYS}` };
+    }
+
+    const startsAt = Date.parse(term.startsAt);
+    const endsAt = Date.parse(term.endsAt);
+    if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) {
+        return { error: 'term.startsAt and term.endsAt must be ISO 8601 dates' };
+    }
+    if (startsAt >= endsAt) {
+        return { error: 'term.startsAt must be before term.endsAt' };
+    }
+    if (licensingService.listDueDates(frequency, startsAt, endsAt) === null) {
+        return { error: `Term too long for ${frequency} installments, at most ${licensingService.maxInstallments}` };
+    }
+
+    return {
+        value: {
+            licensee: { name: licensee.name.trim(), contact: licensee.contact || '' },
+            wallet: ethers.getAddress(wallet),
+            tokenId: String(tokenId),
+            acres: Number(acres),
+            territory: territory.trim(),
+            cropSeason,
+            feeSchedule: { basis, amountWei: String(amountWei), frequency, graceDays },
+            term: { startsAt: new Date(startsAt), endsAt: new Date(endsAt) }
+        }
+    };
+}
+
+/**
+ * Parse the optional ?at= reference time, returning undefined when invalid
+ */
+function parseAt(at) {
+    if (at === undefined) {
+        return new Date();
+    }
+    const time = Date.parse(at);
+    return Number.isNaN(time) ? undefined : new Date(time);
+}
+
+/**
+ * Load an agreement by ID, responding with 400/404 when it cannot be found
+ */
+async function findAgreement(req, res) {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+        res.status(400).json({ error: 'Invalid agreement ID' });
+        return null;
+    }
+
+    const agreement = await LicensingAgreement.findById(id);
+    if (!agreement) {
+        res.status(404).json({ error: `Agreement ${id} not found` });
+        return null;
+    }
+    return agreement;
+}
+
+class LicensingController {
+    /**
+     * Register a licensing agreement
+     */
+    static async createAgreement(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { error, value } = parseAgreement(req.body);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const agreement = await LicensingAgreement.create(value);
+            res.status(201).json(agreement.toObject());
+        } catch (error) {
+            logger.error('Error creating licensing agreement:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * List licensing agreements
+     * Query: tokenId, wallet, status (active|terminated)
+     */
+    static async listAgreements(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { tokenId, wallet, status } = req.query;
+            const filter = {};
+
+            if (tokenId !== undefined) {
+                if (!isUint(tokenId)) {
+                    return res.status(400).json({ error: 'Invalid token ID' });
+                }
+                filter.tokenId = tokenId;
+            }
+            if (wallet !== undefined) {
+                if (!ethers.isAddress(wallet)) {
+                    return res.status(400).json({ error: 'Invalid wallet address' });
+                }
+                filter.wallet = ethers.getAddress(wallet);
+            }
+            if (status !== undefined) {
+                if (!['active', 'terminated'].includes(status)) {
+                    return res.status(400).json({ error: 'Invalid status, expected active or terminated' });
+                }
+                filter.status = status;
+            }
+
+            const agreements = await LicensingAgreement.find(filter).sort({ 'term.startsAt': -1 }).lean();
+            res.json({ agreements });
+        } catch (error) {
+            logger.error('Error listing licensing agreements:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get an agreement with its reconciled payment schedule
+     * Query: at (ISO 8601 reference time, defaults to now)
+     */
+    static async getAgreement(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const now = parseAt(req.query.at);
+            if (now === undefined) {
+                return res.status(400).json({ error: 'Invalid at, expected ISO 8601' });
+            }
+
+            const agreement = await findAgreement(req, res);
+            if (!agreement) return;
+
+            const { schedule, summary, flags, acreage } = await licensingService.reconcileAgreement(
+                agreement.toObject(),
+                now
+            );
+
+            res.json({
+                ...agreement.toObject(),
+                installmentAmountWei: licensingService.getInstallmentAmount(agreement).toString(),
+                asOf: now.toISOString(),
+                summary,
+                flags,
+                acreage,
+                schedule
+            });
+        } catch (error) {
+            logger.error('Error fetching licensing agreement:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Update an active agreement; omitted fields keep their values
+     */
+    static async updateAgreement(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const agreement = await findAgreement(req, res);
+            if (!agreement) return;
+
+            if (agreement.status === 'terminated') {
+                return res.status(400).json({ error: 'Terminated agreements cannot be changed' });
+            }
+
+            const current = JSON.parse(JSON.stringify(agreement.toObject()));
+            const body = req.body || {};
+            const { error, value } = parseAgreement({
+                ...current,
+                ...body,
+                licensee: { ...current.licensee, ...body.licensee },
+                feeSchedule: { ...current.feeSchedule, ...body.feeSchedule },
+                term: { ...current.term, ...body.term }
+            });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            agreement.set(value);
+            await agreement.save();
+            res.json(agreement.toObject());
+        } catch (error) {
+            logger.error('Error updating licensing agreement:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Terminate an agreement; installments due from then on are no longer expected
+     * Body: terminatedAt (ISO 8601, defaults to now)
+     */
+    static async terminateAgreement(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const terminatedAt = parseAt((req.body || {}).terminatedAt);
+            if (terminatedAt === undefined) {
+                return res.status(400).json({ error: 'Invalid terminatedAt, expected ISO 8601' });
+            }
+
+            const agreement = await findAgreement(req, res);
+            if (!agreement) return;
+
+            if (agreement.status === 'terminated') {
+                return res.status(400).json({ error: 'Agreement is already terminated' });
+            }
+
+            agreement.status = 'terminated';
+            agreement.terminatedAt = terminatedAt;
+            await agreement.save();
+            res.json(agreement.toObject());
+        } catch (error) {
+            logger.error('Error terminating licensing agreement:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Reconcile agreements against royalty payments and on-chain acreage.
+     * Flags underpaid and overdue installments, payments from unknown senders
+     * and tokens whose agreement acres differ from licensedAcres.
+     * Query: tokenId, at (ISO 8601 reference time, defaults to now)
+     */
+    static async getReconciliation(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+            if (!network.contracts.royaltyDistributor) {
+                return res.status(400).json({ error: 'Royalty distributor not configured' });
+            }
+
+            const { tokenId } = req.query;
+            if (tokenId !== undefined && !isUint(tokenId)) {
+                return res.status(400).json({ error: 'Invalid token ID' });
+            }
+
+            const now = parseAt(req.query.at);
+            if (now === undefined) {
+                return res.status(400).json({ error: 'Invalid at, expected ISO 8601' });
+            }
+
+            const report = await licensingService.reconcile({
+                tokenId: tokenId === undefined ? null : tokenId,
+                now
+            });
+            res.json(report);
+        } catch (error) {
+            logger.error('Error reconciling licensing agreements:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = LicensingController;
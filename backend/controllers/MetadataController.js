@@ -0,0 +1,179 @@
+/**
+ * Metadata Controller
+ * Serves ERC-721 token metadata, badge images and collection metadata (contractURI)
+ */
+
+const ContractModel = require('../models/ContractModel');
+const { network } = require('../config/network');
+const metadataResolver = require('../services/metadataResolver');
+const { renderBadge } = require('../utils/badge');
+const { ApiError, sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const CACHE_CONTROL = 'public, max-age=300';
+
+/**
+ * Public base URL used for image and external links. Responses are cached by
+ * shared caches, so the client-controlled Host header is never used instead.
+ */
+function getBaseUrl() {
+    return (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+}
+
+/**
+ * Fetch the linked IPFS document, ignoring resolution failures
+ */
+async function getLinkedDocument(token) {
+    if (!token.metadataURI) {
+        return null;
+    }
+
+    try {
+        const resolved = await metadataResolver.resolve(token.metadataURI);
+        return resolved.document;
+    } catch (error) {
+        logger.warn(`Linked metadata unavailable for token ${token.tokenId}:`, error.message);
+        return null;
+    }
+}
+
+class MetadataController {
+    /**
+     * Metadata links need PUBLIC_BASE_URL; checked at startup
+     */
+    static verifyConfig() {
+        if (!/^https?:\/\/[^/]/.test(getBaseUrl())) {
+            throw new Error('PUBLIC_BASE_URL is not set, expected the public http(s) URL of this backend');
+        }
+    }
+
+    /**
+     * Get ERC-721 metadata JSON for a token
+     */
+    static async getTokenMetadata(req, res) {
+        try {
+            const { tokenId } = req.params;
+
+            if (!network.contracts.ipnft) {
+                return res.status(400).json({ error: 'IP-NFT contract not configured' });
+            }
+
+            if (!/^\d+$/.test(tokenId)) {
+                return res.status(400).json({ error: 'Invalid token ID' });
+            }
+
+            const token = await ContractModel.getTokenMetadataSource(tokenId);
+            if (!token) {
+                return sendError(res, new ApiError(404, 'TOKEN_NOT_FOUND', `Token ${tokenId} not found`));
+            }
+
+            const document = await getLinkedDocument(token);
+            const baseUrl = getBaseUrl();
+
+            const attributes = [
+                { trait_type: 'Crop Species', value: token.cropSpecies },
+                { trait_type: 'Bacterial Strain', value: token.bacterialStrain },
+                { trait_type: 'Regulatory Status', value: token.regulatoryStatus },
+                { trait_type: 'Licensed Acres', value: Number(token.licensedAcres), display_type: 'number' },
+                { trait_type: 'Research Institution', value: token.researchInstitution },
+                {
+                    trait_type: 'Approval Date',
+                    value: Math.floor(Date.parse(token.approvalDate) / 1000),
+                    display_type: 'date'
+                },
+                { trait_type: 'Fractionalized', value: token.isFractionalized ? 'Yes' : 'No' }
+            ];
+
+            if (token.royalty) {
+                attributes.push({
+                    trait_type: 'Royalty (bps)',
+                    value: token.royalty.bps,
+                    display_type: 'number'
+                });
+            }
+
+            res.set('Cache-Control', CACHE_CONTROL);
+            res.json({
+                name: (document && document.name) || `${token.cropSpecies} — ${token.bacterialStrain} #${token.tokenId}`,
+                description: (document && document.description)
+                    || `Agricultural biotech IP for ${token.bacterialStrain} on ${token.cropSpecies}, `
+                    + `developed by ${token.researchInstitution}. Regulatory status: ${token.regulatoryStatus}.`,
+                image: `${baseUrl}/metadata/${token.tokenId}/image.svg`,
+                external_url: `${baseUrl}/api/ipnft/${token.tokenId}`,
+                attributes,
+                properties: {
+                    metadataURI: token.metadataURI,
+                    owner: token.owner,
+                    document
+                }
+            });
+        } catch (error) {
+            logger.error('Error building token metadata:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get generated SVG badge for a token
+     */
+    static async getTokenImage(req, res) {
+        try {
+            const { tokenId } = req.params;
+
+            if (!network.contracts.ipnft) {
+                return res.status(400).json({ error: 'IP-NFT contract not configured' });
+            }
+
+            if (!/^\d+$/.test(tokenId)) {
+                return res.status(400).json({ error: 'Invalid token ID' });
+            }
+
+            const token = await ContractModel.getTokenMetadataSource(tokenId);
+            if (!token) {
+                return sendError(res, new ApiError(404, 'TOKEN_NOT_FOUND', `Token ${tokenId} not found`));
+            }
+
+            res.set('Cache-Control', CACHE_CONTROL);
+            res.type('image/svg+xml').send(renderBadge(token));
+        } catch (error) {
+            logger.error('Error rendering token image:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get collection-level metadata (contractURI) reflecting ERC-2981 royalties
+     */
+    static async getContractMetadata(req, res) {
+        try {
+            if (!network.contracts.ipnft) {
+                return res.status(400).json({ error: 'IP-NFT contract not configured' });
+            }
+
+            const collection = await ContractModel.getCollectionInfo();
+            const baseUrl = getBaseUrl();
+
+            // Marketplaces read a single fee; only report it when every token agrees
+            const settings = new Set(collection.royalties.map((entry) => `${entry.receiver}:${entry.bps}`));
+            const uniform = settings.size === 1 ? collection.royalties[0] : null;
+
+            res.set('Cache-Control', CACHE_CONTROL);
+            res.json({
+                name: collection.name,
+                symbol: collection.symbol,
+                description: 'Tokenized agricultural biotechnology IP for beneficial bacterial strains '
+                    + 'used as organic pesticide alternatives.',
+                image: collection.totalSupply > 0 ? `${baseUrl}/metadata/0/image.svg` : undefined,
+                external_link: baseUrl,
+                seller_fee_basis_points: uniform ? uniform.bps : undefined,
+                fee_recipient: uniform ? uniform.receiver : undefined,
+                royalties: collection.royalties
+            });
+        } catch (error) {
+            logger.error('Error building contract metadata:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = MetadataController;
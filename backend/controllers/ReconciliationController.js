@@ -0,0 +1,96 @@
+/**
+ * Reconciliation Controller
+ * Stored accounting reconciliation runs: event-derived ledgers compared with
+ * on-chain views and balances, and the invariant checks of each run
+ */
+
+const mongoose = require('mongoose');
+const reconciliationService = require('../services/reconciliationService');
+const { sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const MAX_RUNS = 200;
+
+/**
+ * Respond with 503 when runs cannot be read
+ */
+function checkAvailable(res) {
+    if (!reconciliationService.isEnabled()) {
+        res.status(503).json({ error: 'Reconciliation requires the MongoDB event index' });
+        return false;
+    }
+    return true;
+}
+
+class ReconciliationController {
+    /**
+     * Latest run in full and earlier runs without pool detail, newest first
+     * Query: status, before (ISO date), limit
+     */
+    static async getAccountingReconciliation(req, res) {
+        try {
+            if (!checkAvailable(res)) {
+                return;
+            }
+
+            const { status, before, limit = '20' } = req.query;
+            if (status !== undefined && !reconciliationService.statuses.includes(status)) {
+                return res.status(400).json({
+                    error: `Invalid status, expected one of: ${reconciliationService.statuses.join(', ')}`
+                });
+            }
+            if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_RUNS) {
+                return res.status(400).json({ error: `Invalid limit, expected 1-${MAX_RUNS}` });
+            }
+            if (before !== undefined && Number.isNaN(Date.parse(before))) {
+                return res.status(400).json({ error: 'Invalid date, expected ISO 8601' });
+            }
+
+            const [latest, runs] = await Promise.all([
+                reconciliationService.getLatestRun(),
+                reconciliationService.listRuns({
+                    status: status || null,
+                    before: before === undefined ? null : new Date(before),
+                    limit: Number(limit)
+                })
+            ]);
+
+            res.json({
+                intervalMs: reconciliationService.interval,
+                latest,
+                runs
+            });
+        } catch (error) {
+            logger.error('Error fetching reconciliation runs:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get a single run with its pool and tokenizer ledgers
+     */
+    static async getAccountingReconciliationRun(req, res) {
+        try {
+            if (!checkAvailable(res)) {
+                return;
+            }
+
+            const { id } = req.params;
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid run ID' });
+            }
+
+            const run = await reconciliationService.getRun(id);
+            if (!run) {
+                return res.status(404).json({ error: `Reconciliation run ${id} not found` });
+            }
+
+            res.json(run);
+        } catch (error) {
+            logger.error('Error fetching reconciliation run:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = ReconciliationController;
@@ -0,0 +1,168 @@
+/**
+ * Report Controller
+ * Compliance reporting for royalty distributions (JSON, CSV and PDF output)
+ */
+
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const reportService = require('../services/reportService');
+const { toCSV } = require('../utils/csv');
+const { parseTime } = require('../utils/timeBuckets');
+const { renderTablePDF } = require('../utils/pdf');
+const { sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const FORMATS = ['json', 'csv', 'pdf'];
+
+const STATEMENT_COLUMNS = [
+    { key: 'ipnftTokenId', label: 'IP-NFT', width: 60 },
+    { key: 'shareBps', label: 'Share (bps)', width: 70 },
+    { key: 'isActive', label: 'Active', width: 50 },
+    { key: 'receivedWei', label: 'Received (wei)', width: 0 },
+    { key: 'received', label: 'Received (KAS)', width: 120 },
+    { key: 'withdrawnWei', label: 'Withdrawn (wei)', width: 0 },
+    { key: 'withdrawn', label: 'Withdrawn (KAS)', width: 120 },
+    { key: 'withdrawalCount', label: 'Withdrawals', width: 70 }
+];
+
+/**
+ * Parse an optional ISO date query parameter, returning undefined when invalid
+ */
+function parseDate(value, options) {
+    if (value === undefined) {
+        return null;
+    }
+    const time = parseTime(value, options);
+    return Number.isNaN(time) ? undefined : new Date(time);
+}
+
+/**
+ * Send report in the requested format
+ */
+async function sendReport(res, format, filename, { json, title, summary, columns, rows }) {
+    if (format === 'csv') {
+        res.type('text/csv');
+        res.attachment(`${filename}.csv`);
+        return res.send(toCSV(columns, rows));
+    }
+
+    if (format === 'pdf') {
+        const pdf = await renderTablePDF({
+            title,
+            summary,
+            columns: columns.filter((column) => column.width > 0),
+            rows
+        });
+        res.type('application/pdf');
+        res.attachment(`${filename}.pdf`);
+        return res.send(pdf);
+    }
+
+    return res.json(json);
+}
+
+class ReportController {
+    /**
+     * Get royalty distribution report
+     * Query: tokenId, beneficiary, from, to (ISO dates), format (json|csv|pdf)
+     */
+    static async getDistributionReport(req, res) {
+        try {
+            const { tokenId, beneficiary, format = 'json' } = req.query;
+
+            if (!network.contracts.royaltyDistributor) {
+                return res.status(400).json({ error: 'Royalty distributor not configured' });
+            }
+
+            if (!FORMATS.includes(format)) {
+                return res.status(400).json({ error: `Invalid format, expected one of: ${FORMATS.join(', ')}` });
+            }
+            if (tokenId !== undefined && !/^\d+$/.test(tokenId)) {
+                return res.status(400).json({ error: 'Invalid token ID' });
+            }
+            if (beneficiary !== undefined && !ethers.isAddress(beneficiary)) {
+                return res.status(400).json({ error: 'Invalid beneficiary address' });
+            }
+
+            const from = parseDate(req.query.from);
+            const to = parseDate(req.query.to, { endOfDay: true });
+            if (from === undefined || to === undefined) {
+                return res.status(400).json({ error: 'Invalid date, expected ISO 8601' });
+            }
+
+            const report = await reportService.getDistributionReport({
+                tokenId: tokenId === undefined ? null : tokenId,
+                beneficiary: beneficiary === undefined ? null : ethers.getAddress(beneficiary),
+                from,
+                to
+            });
+
+            await sendReport(res, format, 'royalty-distributions', {
+                json: report,
+                title: 'Royalty Distribution Report',
+                summary: [
+                    `Generated: ${report.generatedAt}`,
+                    `Royalty distributor: ${report.contract}`,
+                    `Filters: token ${report.filters.tokenId ?? 'all'}, beneficiary ${report.filters.beneficiary ?? 'all'}, `
+                        + `from ${report.filters.from ?? 'start'} to ${report.filters.to ?? 'now'}`,
+                    `Records: ${report.summary.count}, total ${report.summary.total} KAS (${report.summary.totalWei} wei)`,
+                    `Records without transaction reference: ${report.summary.unverified}`
+                ],
+                columns: reportService.distributionColumns,
+                rows: report.lines
+            });
+        } catch (error) {
+            logger.error('Error generating distribution report:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get annual statement for a beneficiary
+     * Query: year (defaults to current year), format (json|csv|pdf)
+     */
+    static async getBeneficiaryStatement(req, res) {
+        try {
+            const { beneficiary } = req.params;
+            const { year = String(new Date().getUTCFullYear()), format = 'json' } = req.query;
+
+            if (!network.contracts.royaltyDistributor) {
+                return res.status(400).json({ error: 'Royalty distributor not configured' });
+            }
+
+            if (!ethers.isAddress(beneficiary)) {
+                return res.status(400).json({ error: 'Invalid beneficiary address' });
+            }
+            if (!/^\d{4}$/.test(year)) {
+                return res.status(400).json({ error: 'Invalid year' });
+            }
+            if (!FORMATS.includes(format)) {
+                return res.status(400).json({ error: `Invalid format, expected one of: ${FORMATS.join(', ')}` });
+            }
+
+            const address = ethers.getAddress(beneficiary);
+            const statement = await reportService.getBeneficiaryStatement(address, Number(year));
+
+            await sendReport(res, format, `statement-${address}-${year}`, {
+                json: statement,
+                title: `Annual Royalty Statement ${year}`,
+                summary: [
+                    `Beneficiary: ${address}`,
+                    `Period: ${statement.period.from} to ${statement.period.to}`,
+                    `Royalty distributor: ${statement.contract}`,
+                    `Received: ${statement.totals.received ?? 'n/a'} KAS, withdrawn: ${statement.totals.withdrawn} KAS`
+                ],
+                columns: STATEMENT_COLUMNS,
+                rows: statement.tokens.map((token) => ({
+                    ...token,
+                    withdrawalCount: token.withdrawals.length
+                }))
+            });
+        } catch (error) {
+            logger.error('Error generating beneficiary statement:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = ReportController;
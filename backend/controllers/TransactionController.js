@@ -0,0 +1,63 @@
+/**
+ * Transaction Controller
+ * Builds unsigned, pre-simulated transactions for wallets to sign
+ */
+
+const { ethers } = require('ethers');
+const transactionBuilder = require('../services/transactionBuilder');
+const { sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+class TransactionController {
+    /**
+     * List supported transaction actions and their parameters
+     */
+    static listActions(req, res) {
+        res.json({ actions: transactionBuilder.getActions() });
+    }
+
+    /**
+     * Build an unsigned transaction for an action
+     * Body: { from, ...action parameters }
+     */
+    static async buildTransaction(req, res) {
+        try {
+            const { action } = req.params;
+            const { from } = req.body || {};
+
+            if (!transactionBuilder.hasAction(action)) {
+                return res.status(404).json({ error: `Unknown action: ${action}` });
+            }
+            if (!transactionBuilder.isConfigured(action)) {
+                return res.status(400).json({
+                    error: `${transactionBuilder.getContractName(action)} not configured`
+                });
+            }
+            if (!ethers.isAddress(from)) {
+                return res.status(400).json({ error: 'from must be a valid address' });
+            }
+
+            const parsed = transactionBuilder.parse(action, req.body);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+
+            const result = await transactionBuilder.build(action, ethers.getAddress(from), parsed);
+            if (result.revert) {
+                return res.status(422).json({
+                    error: `Transaction would revert: ${result.revert.message}`,
+                    reason: result.revert.message,
+                    revert: result.revert,
+                    blockNumber: result.blockNumber
+                });
+            }
+
+            res.json(result);
+        } catch (error) {
+            logger.error('Error building transaction:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = TransactionController;
@@ -0,0 +1,294 @@
+/**
+ * Webhook Controller
+ * Manages webhook subscriptions, delivery logs, dead letters and replays
+ */
+
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookDispatcher = require('../services/webhookDispatcher');
+const eventMonitor = require('../services/eventMonitor');
+const { sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const DELIVERY_STATUSES = ['pending', 'failed', 'delivered', 'dead', 'canceled'];
+const MAX_DELIVERIES = 200;
+
+/**
+ * Respond with 503 when MongoDB is not connected
+ */
+function requireDatabase(res) {
+    if (!webhookDispatcher.isEnabled()) {
+        res.status(503).json({ error: 'Webhooks require a MongoDB connection' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validate and normalize subscription input, returning { error } or { value }
+ */
+function parseSubscription(body) {
+    const { url, description = '', events = [], tokenIds = [], addresses = [] } = body || {};
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return { error: 'Invalid url' };
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return { error: 'Webhook url must use http or https' };
+    }
+
+    if (!Array.isArray(events) || !Array.isArray(tokenIds) || !Array.isArray(addresses)) {
+        return { error: 'events, tokenIds and addresses must be arrays' };
+    }
+
+    const knownEvents = eventMonitor.getEventTypes();
+    const unknownEvent = events.find((event) => !knownEvents.includes(event));
+    if (unknownEvent !== undefined) {
+        return { error: `Unknown event type: ${unknownEvent}`, details: { knownEvents } };
+    }
+
+    const invalidTokenId = tokenIds.find((tokenId) => !/^\d+$/.test(String(tokenId)));
+    if (invalidTokenId !== undefined) {
+        return { error: `Invalid token ID: ${invalidTokenId}` };
+    }
+
+    const invalidAddress = addresses.find((address) => !ethers.isAddress(address));
+    if (invalidAddress !== undefined) {
+        return { error: `Invalid address: ${invalidAddress}` };
+    }
+
+    return {
+        value: {
+            url: parsedUrl.toString(),
+            description: String(description),
+            events,
+            tokenIds: tokenIds.map(String),
+            addresses: addresses.map((address) => address.toLowerCase())
+        }
+    };
+}
+
+class WebhookController {
+    /**
+     * Create a webhook subscription; the signing secret is only returned here
+     */
+    static async createSubscription(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { error, details, value } = parseSubscription(req.body);
+            if (error) {
+                return res.status(400).json({ error, ...details });
+            }
+
+            const secret = webhookDispatcher.generateSecret();
+            const subscription = await WebhookSubscription.create({ ...value, secret });
+
+            res.status(201).json({
+                ...subscription.toObject(),
+                secret
+            });
+        } catch (error) {
+            logger.error('Error creating webhook subscription:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * List webhook subscriptions
+     */
+    static async listSubscriptions(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 }).lean();
+            res.json({ subscriptions });
+        } catch (error) {
+            logger.error('Error listing webhook subscriptions:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get webhook subscription with delivery counts
+     */
+    static async getSubscription(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { id } = req.params;
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid subscription ID' });
+            }
+
+            const subscription = await WebhookSubscription.findById(id).lean();
+            if (!subscription) {
+                return res.status(404).json({ error: `Subscription ${id} not found` });
+            }
+
+            const counts = await WebhookDelivery.aggregate([
+                { $match: { subscription: subscription._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]);
+
+            res.json({
+                ...subscription,
+                deliveries: Object.fromEntries(counts.map((entry) => [entry._id, entry.count]))
+            });
+        } catch (error) {
+            logger.error('Error fetching webhook subscription:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Delete a webhook subscription and cancel its outstanding deliveries
+     */
+    static async deleteSubscription(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { id } = req.params;
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid subscription ID' });
+            }
+
+            const subscription = await WebhookSubscription.findByIdAndDelete(id);
+            if (!subscription) {
+                return res.status(404).json({ error: `Subscription ${id} not found` });
+            }
+
+            await WebhookDelivery.updateMany(
+                { subscription: subscription._id, status: { $in: ['pending', 'failed'] } },
+                { $set: { status: 'canceled', lastError: 'Subscription deleted' } }
+            );
+
+            res.status(204).end();
+        } catch (error) {
+            logger.error('Error deleting webhook subscription:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get delivery log for a subscription
+     * Query: status, limit
+     */
+    static async listDeliveries(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { id } = req.params;
+            const { status, limit = '50' } = req.query;
+
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid subscription ID' });
+            }
+            if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Invalid status, expected one of: ${DELIVERY_STATUSES.join(', ')}` });
+            }
+            if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_DELIVERIES) {
+                return res.status(400).json({ error: `Invalid limit, expected 1-${MAX_DELIVERIES}` });
+            }
+
+            const filter = { subscription: id };
+            if (status) {
+                filter.status = status;
+            }
+
+            const deliveries = await WebhookDelivery.find(filter)
+                .sort({ createdAt: -1 })
+                .limit(Number(limit))
+                .lean();
+
+            res.json({ deliveries });
+        } catch (error) {
+            logger.error('Error listing webhook deliveries:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get dead-lettered deliveries across all subscriptions
+     */
+    static async listDeadLetters(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const deliveries = await WebhookDelivery.find({ status: 'dead' })
+                .sort({ updatedAt: -1 })
+                .limit(MAX_DELIVERIES)
+                .lean();
+
+            res.json({ deliveries });
+        } catch (error) {
+            logger.error('Error listing dead-lettered deliveries:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Replay a single delivery immediately
+     */
+    static async replayDelivery(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { deliveryId } = req.params;
+            if (!mongoose.isValidObjectId(deliveryId)) {
+                return res.status(400).json({ error: 'Invalid delivery ID' });
+            }
+
+            const delivery = await webhookDispatcher.replay(deliveryId);
+            if (!delivery) {
+                return res.status(404).json({ error: `Delivery ${deliveryId} not found` });
+            }
+
+            res.json(delivery.toObject());
+        } catch (error) {
+            logger.error('Error replaying webhook delivery:', error);
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Re-send indexed events from a block range to a subscription
+     * Body: { fromBlock, toBlock? }
+     */
+    static async replaySubscription(req, res) {
+        try {
+            if (!requireDatabase(res)) return;
+
+            const { id } = req.params;
+            const { fromBlock, toBlock = null } = req.body || {};
+
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid subscription ID' });
+            }
+            if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+                return res.status(400).json({ error: 'fromBlock must be a non-negative integer' });
+            }
+            if (toBlock !== null && (!Number.isInteger(toBlock) || toBlock < fromBlock)) {
+                return res.status(400).json({ error: 'toBlock must be an integer not below fromBlock' });
+            }
+
+            const subscription = await WebhookSubscription.findById(id).lean();
+            if (!subscription) {
+                return res.status(404).json({ error: `Subscription ${id} not found` });
+            }
+
+            const queued = await webhookDispatcher.replayRange(subscription, fromBlock, toBlock);
+            res.status(202).json({ queued });
+        } catch (error) {
+            logger.error('Error replaying webhook subscription:', error);
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = WebhookController;
@@ -10,13 +10,35 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const mongoose = require('mongoose');
 
+const { network, describeNetwork } = require('./config/network');
+const rpcProvider = require('./services/rpcProvider');
+const contractRegistry = require('./services/contractRegistry');
+const demoChain = require('./services/demoChain');
 const eventMonitor = require('./services/eventMonitor');
+const eventStream = require('./services/eventStream');
+const readCache = require('./services/readCache');
+const adminOperations = require('./services/adminOperations');
+const webhookDispatcher = require('./services/webhookDispatcher');
+const governanceService = require('./services/governanceService');
+const holderLedger = require('./services/holderLedger');
+const reconciliationService = require('./services/reconciliationService');
+const authService = require('./services/authService');
 const apiRoutes = require('./routes');  // MVC Routes
+const MetadataController = require('./controllers/MetadataController');
+const metadataRoutes = require('./routes/metadata');
+const { authenticate } = require('./middleware/auth');
+const { ipRateLimit, apiRateLimit } = require('./middleware/rateLimit');
+const { errorEnvelope, notFound, errorHandler } = require('./middleware/errors');
 const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Needed behind a reverse proxy so rate limits see the client IP, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -24,25 +46,27 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(morgan('combined', { stream: logger.stream }));
+app.use(errorEnvelope);
+
+// Routes (a per-IP ceiling guards authentication; credentials are then
+// resolved so API keys get their own rate limit)
+app.use('/api', ipRateLimit, authenticate, apiRateLimit, apiRoutes, notFound);
 
-// Routes
-app.use('/api', apiRoutes);
+// Token metadata is fetched by wallets and marketplaces from any origin
+app.use('/metadata', cors(), helmet.crossOriginResourcePolicy({ policy: 'cross-origin' }), metadataRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
     res.json({ 
         status: 'ok', 
         timestamp: new Date().toISOString(),
-        network: 'Kasplex Testnet',
-        chainId: process.env.CHAIN_ID || '167012'
+        network: network.name,
+        ...describeNetwork()
     });
 });
 
 // Error handling
-app.use((err, req, res, next) => {
-    logger.error('Error:', err);
-    res.status(500).json({ error: 'Internal server error' });
-});
+app.use(errorHandler);
 
 // Database connection
 const connectDB = async () => {
@@ -62,20 +86,52 @@ const connectDB = async () => {
 // Start server
 const startServer = async () => {
     try {
+        authService.verifyConfig();
+        MetadataController.verifyConfig();
+
+        // Demo mode brings up a seeded local chain before anything reads from it
+        if (demoChain.isEnabled()) {
+            await demoChain.start();
+        }
+
+        // Refuse to serve data from a different chain, or contracts built from different source
+        await rpcProvider.verifyEndpoints();
+        await contractRegistry.verify();
+
         await connectDB();
+        await readCache.start();
+        await adminOperations.start();
         
         app.listen(PORT, () => {
             logger.info(`Kasplex Agricultural IP Backend running on port ${PORT}`);
-            logger.info(`Network: Kasplex Testnet (Chain ID: ${process.env.CHAIN_ID || '167012'})`);
+            logger.info(`Network: ${network.name} (Chain ID: ${network.chainId}, RPC endpoints: ${network.rpcUrls.length})`);
             logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
         });
 
         // Start event monitoring
-        if (process.env.IPNFT_ADDRESS) {
+        if (network.contracts.ipnft) {
             eventMonitor.start();
+
+            if (network.contracts.tokenizer) {
+                governanceService.start();
+
+                if (holderLedger.isEnabled()) {
+                    holderLedger.start();
+                }
+            }
+
+            if (webhookDispatcher.isEnabled()) {
+                webhookDispatcher.start();
+            }
+
+            if (network.contracts.royaltyDistributor && reconciliationService.isEnabled()) {
+                reconciliationService.start();
+            }
         } else {
             logger.warn('Contract addresses not configured, event monitoring disabled');
         }
+
+        eventStream.start();
     } catch (error) {
         logger.error('Failed to start server:', error);
         process.exit(1);
@@ -85,15 +141,29 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, shutting down gracefully');
+    eventStream.stop();
+    webhookDispatcher.stop();
+    reconciliationService.stop();
+    governanceService.stop();
+    holderLedger.stop();
     eventMonitor.stop();
+    await readCache.stop();
     await mongoose.connection.close();
+    demoChain.stop();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     logger.info('SIGINT received, shutting down gracefully');
+    eventStream.stop();
+    webhookDispatcher.stop();
+    reconciliationService.stop();
+    governanceService.stop();
+    holderLedger.stop();
     eventMonitor.stop();
+    await readCache.stop();
     await mongoose.connection.close();
+    demoChain.stop();
     process.exit(0);
 });
 
@@ -0,0 +1,136 @@
+/**
+ * Auth Middleware
+ * Resolves credentials on every API request and guards routes by role.
+ *
+ * Sessions are sent as "Authorization: Bearer <token>", API keys as "X-API-Key: <key>".
+ * Requests without credentials continue anonymously; invalid credentials are rejected.
+ */
+
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+/**
+ * Attach req.auth ({ type, address, keyId, name, roles }) or null
+ */
+async function authenticate(req, res, next) {
+    req.auth = null;
+
+    try {
+        const apiKey = req.get('x-api-key');
+        if (apiKey) {
+            // Without the key store no key can be checked; that is an outage, not a bad key
+            if (!authService.isApiKeyStoreEnabled()) {
+                return res.status(503).json({ error: 'API keys require a MongoDB connection' });
+            }
+            const record = await authService.findApiKey(apiKey);
+            if (!record) {
+                return res.status(401).json({ error: 'Invalid API key' });
+            }
+            req.auth = {
+                type: 'apiKey',
+                address: null,
+                keyId: record._id.toString(),
+                name: record.name,
+                roles: record.roles,
+                rateLimit: record.rateLimit
+            };
+            return next();
+        }
+
+        const authorization = req.get('authorization');
+        if (authorization) {
+            const [scheme, token] = authorization.split(' ');
+            const session = scheme === 'Bearer' ? authService.verifyToken(token) : null;
+            if (!session) {
+                return res.status(401).json({ error: 'Invalid or expired session token' });
+            }
+            req.auth = {
+                type: 'session',
+                address: session.sub,
+                expiresAt: new Date(session.exp * 1000).toISOString(),
+                // Session roles are read from chain when a guard first needs them
+                roles: null
+            };
+        }
+
+        next();
+    } catch (error) {
+        logger.error('Authentication error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+}
+
+/**
+ * Load the roles of a session from chain state
+ */
+async function resolveRoles(req) {
+    if (req.auth.roles === null) {
+        const { roles, beneficiaryPools } = await authService.getRoles(req.auth.address);
+        req.auth.roles = roles;
+        req.auth.beneficiaryPools = beneficiaryPools;
+    }
+    return req.auth.roles;
+}
+
+function requireAuth(req, res, next) {
+    if (!req.auth) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+}
+requireAuth.auth = { roles: [], self: null };
+
+/**
+ * Allow requests holding the given address (route parameter) or any of the roles.
+ * The guard keeps its roles so the OpenAPI document can list them.
+ */
+function guard(param, roles) {
+    const middleware = async (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const own = param && req.auth.address
+            && String(req.params[param]).toLowerCase() === req.auth.address.toLowerCase();
+        if (own) {
+            return next();
+        }
+
+        try {
+            const held = await resolveRoles(req);
+            if (roles.some((role) => held.includes(role))) {
+                return next();
+            }
+        } catch (error) {
+            logger.error('Role resolution error:', error);
+            return res.status(503).json({ error: 'Could not read on-chain roles' });
+        }
+
+        res.status(403).json({ error: `Requires one of the roles: ${roles.join(', ')}` });
+    };
+
+    middleware.auth = { roles, self: param };
+    return middleware;
+}
+
+/**
+ * Require any of the given roles
+ */
+function requireRole(...roles) {
+    return guard(null, roles);
+}
+
+/**
+ * Require the address in a route parameter to be the caller's, or any of the given roles
+ */
+function requireSelfOrRole(param, ...roles) {
+    return guard(param, roles);
+}
+
+module.exports = {
+    authenticate,
+    resolveRoles,
+    requireAuth,
+    requireRole,
+    requireSelfOrRole
+};
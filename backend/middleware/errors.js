@@ -0,0 +1,52 @@
+/**
+ * Error Middleware
+ * Keeps every error response in the { error: { code, message, details } } shape
+ */
+
+const { ApiError, codeForStatus, sendError } = require('../utils/apiError');
+
+/**
+ * Reshape { error: 'message', ...details } bodies sent with a 4xx/5xx status,
+ * so guards, rate limits and controllers share one error format
+ */
+function errorEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+            const { error, ...details } = body;
+            return json({ error: { code: codeForStatus(res.statusCode), message: error, details } });
+        }
+        return json(body);
+    };
+
+    next();
+}
+
+/**
+ * 404 for paths no route matched
+ */
+function notFound(req, res) {
+    sendError(res, new ApiError(404, 'NOT_FOUND', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+/**
+ * Last-resort handler for errors passed to next(), including malformed JSON bodies
+ * (Express recognises error handlers by their four arguments)
+ */
+function errorHandler(err, req, res, next) {
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, new ApiError(400, 'INVALID_INPUT', 'Request body is not valid JSON'));
+    }
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return sendError(res, new ApiError(err.status, codeForStatus(err.status), err.message));
+    }
+
+    sendError(res, err);
+}
+
+module.exports = {
+    errorEnvelope,
+    notFound,
+    errorHandler
+};
@@ -0,0 +1,42 @@
+/**
+ * Rate Limit Middleware
+ * Fixed-window limits per API key and per client IP, reported with the
+ * standard RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers
+ */
+
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10);
+const IP_LIMIT = parseInt(process.env.RATE_LIMIT_MAX || '120', 10);
+const API_KEY_LIMIT = parseInt(process.env.RATE_LIMIT_API_KEY_MAX || '1200', 10);
+// Ceiling per IP before credentials are checked, so it must allow API key traffic
+const PRE_AUTH_LIMIT = parseInt(process.env.RATE_LIMIT_PRE_AUTH_MAX || String(Math.max(IP_LIMIT, API_KEY_LIMIT)), 10);
+
+const isApiKey = (req) => Boolean(req.auth && req.auth.type === 'apiKey');
+
+/**
+ * Runs before authentication, which reads API keys from MongoDB,
+ * so unauthenticated floods are cut off per IP first
+ */
+const ipRateLimit = rateLimit({
+    windowMs: WINDOW_MS,
+    limit: PRE_AUTH_LIMIT,
+    keyGenerator: (req) => `ip:${ipKeyGenerator(req.ip)}`,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    message: { error: 'Too many requests, please retry later' }
+});
+
+const apiRateLimit = rateLimit({
+    windowMs: WINDOW_MS,
+    limit: (req) => (isApiKey(req) ? req.auth.rateLimit || API_KEY_LIMIT : IP_LIMIT),
+    keyGenerator: (req) => (isApiKey(req) ? `key:${req.auth.keyId}` : `ip:${ipKeyGenerator(req.ip)}`),
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    message: { error: 'Too many requests, please retry later' }
+});
+
+module.exports = {
+    ipRateLimit,
+    apiRateLimit
+};
@@ -0,0 +1,180 @@
+/**
+ * Validation Middleware
+ * Checks route parameters, query strings and JSON bodies against JSON schemas
+ * before a controller runs. Address values are replaced by their checksummed
+ * form. Each validator keeps its route spec so the OpenAPI document can be
+ * generated from the router.
+ */
+
+const Ajv = require('ajv');
+const { ethers } = require('ethers');
+const { ApiError, sendError } = require('../utils/apiError');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const FORMATS = {
+    uint256: {
+        type: 'string',
+        validate: (value) => /^\d{1,78}$/.test(value) && BigInt(value) <= ethers.MaxUint256,
+        message: 'must be an unsigned integer of at most 2^256 - 1'
+    },
+    'positive-uint256': {
+        type: 'string',
+        validate: (value) => /^\d{1,78}$/.test(value) && BigInt(value) > 0n && BigInt(value) <= ethers.MaxUint256,
+        message: 'must be a positive integer of at most 2^256 - 1'
+    },
+    bps: {
+        type: 'string',
+        validate: (value) => /^\d{1,5}$/.test(value) && Number(value) <= 10000,
+        message: 'must be basis points from 0 to 10000'
+    },
+    address: {
+        type: 'string',
+        validate: (value) => ethers.isAddress(value),
+        message: 'must be a valid address'
+    },
+    'iso-date': {
+        type: 'string',
+        validate: (value) => !Number.isNaN(Date.parse(value)),
+        message: 'must be an ISO 8601 date'
+    },
+    'object-id': {
+        type: 'string',
+        validate: (value) => /^[0-9a-fA-F]{24}$/.test(value),
+        message: 'must be a 24 character hex ID'
+    }
+};
+
+/**
+ * uniqueBy: array items must not repeat a string property, compared
+ * case-insensitively so addresses match in any checksum form
+ */
+function uniqueBy(property, items, parentSchema, { instancePath }) {
+    const seen = new Set();
+    const index = items.findIndex((item) => {
+        if (!item || typeof item[property] !== 'string') {
+            return false;
+        }
+        const key = item[property].toLowerCase();
+        return seen.has(key) || !seen.add(key);
+    });
+    if (index === -1) {
+        return true;
+    }
+
+    uniqueBy.errors = [{
+        keyword: 'uniqueBy',
+        instancePath: `${instancePath}/${index}/${property}`,
+        message: 'is listed more than once',
+        params: { property }
+    }];
+    return false;
+}
+
+/**
+ * Path strings and query strings are coerced ("5" to 5, "true" to true) on a
+ * copy; JSON bodies are checked exactly as sent
+ */
+function createAjv(coerceTypes) {
+    const ajv = new Ajv({ allErrors: true, coerceTypes, strict: false });
+    Object.entries(FORMATS).forEach(([name, { type, validate }]) => ajv.addFormat(name, { type, validate }));
+    ajv.addKeyword({ keyword: 'uniqueBy', type: 'array', schemaType: 'string', errors: true, validate: uniqueBy });
+    return ajv;
+}
+
+const compilers = {
+    params: createAjv(true),
+    query: createAjv(true),
+    body: createAjv(false)
+};
+
+/**
+ * Convert an ajv error into a per-field error, e.g. query.limit or body.tokenIds[0]
+ */
+function formatValidationError(location, error) {
+    let path = error.instancePath;
+    if (error.keyword === 'required') {
+        path = `${path}/${error.params.missingProperty}`;
+    }
+
+    const field = path
+        .split('/')
+        .filter(Boolean)
+        .reduce((result, segment) => (/^\d+$/.test(segment) ? `${result}[${segment}]` : `${result}.${segment}`), location);
+
+    let { message } = error;
+    if (error.keyword === 'required') {
+        message = 'is required';
+    } else if (error.keyword === 'enum') {
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'format' && FORMATS[error.params.format]) {
+        message = FORMATS[error.params.format].message;
+    }
+
+    return { field, message };
+}
+
+/**
+ * Replace address values described by a schema with their checksummed form
+ */
+function checksumAddresses(schema, value) {
+    if (value === null || value === undefined || !schema) {
+        return value;
+    }
+    if (schema.format === 'address' && typeof value === 'string') {
+        return ethers.getAddress(value);
+    }
+    if (Array.isArray(value) && schema.items) {
+        return value.map((item) => checksumAddresses(schema.items, item));
+    }
+    if (typeof value === 'object' && schema.properties) {
+        Object.keys(schema.properties).forEach((key) => {
+            if (value[key] !== undefined) {
+                value[key] = checksumAddresses(schema.properties[key], value[key]);
+            }
+        });
+    }
+    return value;
+}
+
+/**
+ * Validate a request against a route spec: { operationId, summary, params, query, body, ... }
+ */
+function validate(spec) {
+    const validators = {};
+    LOCATIONS.forEach((location) => {
+        if (spec[location]) {
+            validators[location] = compilers[location].compile(spec[location]);
+        }
+    });
+
+    const middleware = (req, res, next) => {
+        const errors = [];
+
+        Object.entries(validators).forEach(([location, validator]) => {
+            const input = location === 'body' ? req.body : structuredClone(req[location]);
+            if (!validator(input === undefined ? {} : input)) {
+                errors.push(...validator.errors.map((error) => formatValidationError(location, error)));
+            }
+        });
+
+        if (errors.length > 0) {
+            const [first] = errors;
+            return sendError(res, new ApiError(400, 'INVALID_INPUT', `${first.field} ${first.message}`, { errors }));
+        }
+
+        LOCATIONS.forEach((location) => {
+            if (spec[location] && req[location]) {
+                checksumAddresses(spec[location], req[location]);
+            }
+        });
+        next();
+    };
+
+    middleware.spec = spec;
+    return middleware;
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,54 @@
+/**
+ * Admin Write Model
+ * One admin operation and the transactions submitted for it (MongoDB)
+ */
+
+const mongoose = require('mongoose');
+
+const transactionSchema = new mongoose.Schema({
+    contract: { type: String, required: true },
+    method: { type: String, required: true },
+    // Call arguments with integers as decimal strings
+    args: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    status: {
+        type: String,
+        enum: ['queued', 'submitted', 'confirmed', 'failed'],
+        default: 'queued'
+    },
+    hash: { type: String, default: null },
+    nonce: { type: Number, default: null },
+    blockNumber: { type: Number, default: null },
+    gasUsed: { type: String, default: null },
+    // Events the transaction emitted on the target contract
+    events: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    error: { type: String, default: null },
+    submittedAt: { type: Date, default: null },
+    confirmedAt: { type: Date, default: null }
+}, {
+    _id: false
+});
+
+const adminWriteSchema = new mongoose.Schema({
+    operation: { type: String, required: true },
+    params: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Who asked for the write: { type, address, keyId, name }
+    requestedBy: { type: mongoose.Schema.Types.Mixed, required: true },
+    signer: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'failed', 'partially-failed'],
+        default: 'pending'
+    },
+    transactions: { type: [transactionSchema], default: [] },
+    error: { type: String, default: null },
+    // After a partial failure, the { operation, params, reason } that completes the write, or { error }
+    compensation: { type: mongoose.Schema.Types.Mixed, default: null },
+    completedAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+adminWriteSchema.index({ status: 1, createdAt: -1 });
+adminWriteSchema.index({ operation: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdminWrite', adminWriteSchema);
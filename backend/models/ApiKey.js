@@ -0,0 +1,23 @@
+/**
+ * API Key Model
+ * Credentials for machine clients (MongoDB). Only a hash of the key is stored.
+ */
+
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true, select: false },
+    // First characters of the key, shown so clients can tell keys apart
+    prefix: { type: String, required: true },
+    roles: { type: [String], default: [] },
+    // Requests per rate limit window; null uses the default for API keys
+    rateLimit: { type: Number, default: null },
+    createdBy: { type: String, default: null },
+    lastUsedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,43 @@
+/**
+ * Audit Log Entry Model
+ * Append-only record of admin operations (MongoDB). Entries cannot be
+ * updated or deleted through the model.
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogEntrySchema = new mongoose.Schema({
+    // dry-run, rejected, submitted, transaction-sent, confirmed, failed or partially-failed
+    action: { type: String, required: true },
+    operation: { type: String, required: true },
+    write: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminWrite', default: null },
+    actor: { type: mongoose.Schema.Types.Mixed, required: true },
+    params: { type: mongoose.Schema.Types.Mixed, default: {} },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogEntrySchema.index({ createdAt: -1 });
+auditLogEntrySchema.index({ write: 1, createdAt: 1 });
+
+auditLogEntrySchema.pre('save', async function () {
+    if (!this.isNew) {
+        throw new Error('Audit log entries are append-only');
+    }
+});
+
+auditLogEntrySchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+], async function () {
+    throw new Error('Audit log entries are append-only');
+});
+
+module.exports = mongoose.model('AuditLogEntry', auditLogEntrySchema);
@@ -0,0 +1,32 @@
+/**
+ * Contract Event Model
+ * Persisted contract event log written by the event indexer (MongoDB)
+ */
+
+const mongoose = require('mongoose');
+
+const contractEventSchema = new mongoose.Schema({
+    contract: {
+        type: String,
+        required: true,
+        enum: ['ipnft', 'distributor', 'tokenizer']
+    },
+    address: { type: String, required: true },
+    event: { type: String, required: true },
+    args: { type: mongoose.Schema.Types.Mixed, default: {} },
+    tokenId: { type: String, default: null },
+    blockNumber: { type: Number, required: true },
+    blockHash: { type: String, required: true },
+    transactionHash: { type: String, required: true },
+    logIndex: { type: Number, required: true },
+    timestamp: { type: Date, required: true }
+}, {
+    timestamps: true
+});
+
+// A log is uniquely identified by its transaction and position in the block
+contractEventSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+contractEventSchema.index({ blockNumber: 1, logIndex: 1 });
+contractEventSchema.index({ contract: 1, event: 1, tokenId: 1 });
+
+module.exports = mongoose.model('ContractEvent', contractEventSchema);
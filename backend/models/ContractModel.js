@@ -4,36 +4,116 @@
  */
 
 const { ethers } = require('ethers');
+const { network, describeNetwork } = require('../config/network');
+const rpcProvider = require('../services/rpcProvider');
+const contractRegistry = require('../services/contractRegistry');
+const readCache = require('../services/readCache');
 const logger = require('../utils/logger');
+const { aggregate } = require('../utils/multicall');
 
-// Simplified ABIs for reading contract data
-const IPNFT_ABI = [
-    "function name() view returns (string)",
-    "function symbol() view returns (string)",
-    "function totalSupply() view returns (uint256)",
-    "function ownerOf(uint256) view returns (address)",
-    "function getIPMetadata(uint256) view returns (tuple(string cropSpecies, string bacterialStrain, string regulatoryStatus, uint256 licensedAcres, string researchInstitution, uint256 approvalDate, string metadataURI))"
-];
-
-const DISTRIBUTOR_ABI = [
-    "function getPoolInfo(uint256) view returns (uint256 totalReceived, uint256 totalDistributed, uint256 pendingDistribution)",
-    "function withdrawableAmount(uint256, address) view returns (uint256)",
-    "function getBeneficiaries(uint256) view returns (address[], uint256[], bool[])"
-];
+// AccessControl role identifiers on AgriculturalIPNFT
+const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+const MINTER_ROLE = ethers.id('MINTER_ROLE');
+const LICENSING_ROLE = ethers.id('LICENSING_ROLE');
+
+// ERC-2981 royalties are queried against a sale price of 10000 to read basis points
+const BPS_DENOMINATOR = 10000n;
+
+// Catalogue sort keys mapped to comparable values
+const SORT_KEYS = {
+    tokenId: (token) => BigInt(token.tokenId),
+    approvalDate: (token) => BigInt(Date.parse(token.approvalDate)),
+    licensedAcres: (token) => BigInt(token.licensedAcres)
+};
+
+/**
+ * Format on-chain IPMetadata struct into API response shape
+ */
+function formatIPMetadata(tokenId, owner, metadata) {
+    return {
+        tokenId: tokenId.toString(),
+        owner,
+        cropSpecies: metadata[0],
+        bacterialStrain: metadata[1],
+        regulatoryStatus: metadata[2],
+        licensedAcres: metadata[3].toString(),
+        researchInstitution: metadata[4],
+        approvalDate: new Date(Number(metadata[5]) * 1000).toISOString(),
+        metadataURI: metadata[6]
+    };
+}
+
+/**
+ * Check token against catalogue filters (case-insensitive exact match)
+ */
+function matchesFilters(token, filters) {
+    return Object.entries(filters).every(([field, value]) => {
+        if (value === undefined || value === null || value === '') {
+            return true;
+        }
+        return String(token[field]).toLowerCase() === String(value).toLowerCase();
+    });
+}
+
+/**
+ * Build comparator for sort key, breaking ties by token ID
+ */
+function compareTokens(sort, order) {
+    const direction = order === 'desc' ? -1 : 1;
+    const key = SORT_KEYS[sort];
+
+    return (a, b) => {
+        const left = 'sortValue' in a ? BigInt(a.sortValue) : key(a);
+        const right = 'sortValue' in b ? BigInt(b.sortValue) : key(b);
+        if (left !== right) {
+            return (left < right ? -1 : 1) * direction;
+        }
+        const leftId = BigInt(a.tokenId);
+        const rightId = BigInt(b.tokenId);
+        return leftId === rightId ? 0 : (leftId < rightId ? -1 : 1) * direction;
+    };
+}
+
+/**
+ * Opaque keyset cursor: sort value and token ID of the last item on the page
+ */
+function encodeCursor(token, sort) {
+    const payload = { sortValue: SORT_KEYS[sort](token).toString(), tokenId: token.tokenId };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!/^\d+$/.test(payload.sortValue) || !/^\d+$/.test(payload.tokenId)) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
 
 class ContractModel {
-    static provider = null;
+    /**
+     * Sort keys supported by the IP-NFT catalogue
+     */
+    static get catalogueSortKeys() {
+        return Object.keys(SORT_KEYS);
+    }
+
+    /**
+     * Check that a catalogue cursor can be decoded
+     */
+    static isValidCursor(cursor) {
+        return decodeCursor(cursor) !== null;
+    }
 
     /**
-     * Get or create provider instance
+     * Get the shared provider instance
      */
     static getProvider() {
-        if (!this.provider) {
-            this.provider = new ethers.JsonRpcProvider(
-                process.env.KASPLEX_RPC_URL || 'https://rpc.kasplextest.xyz'
-            );
-        }
-        return this.provider;
+        return rpcProvider.getProvider();
     }
 
     /**
@@ -41,14 +121,17 @@ class ContractModel {
      */
     static async getNetworkInfo() {
         const provider = this.getProvider();
-        const network = await provider.getNetwork();
-        const blockNumber = await provider.getBlockNumber();
+        // Ask the node directly; the provider's network is pinned to the configured chain
+        const [chainId, blockNumber] = await Promise.all([
+            provider.send('eth_chainId', []),
+            provider.getBlockNumber()
+        ]);
 
         return {
-            chainId: network.chainId.toString(),
+            ...describeNetwork(),
+            chainId: BigInt(chainId).toString(),
             blockNumber,
-            rpcUrl: process.env.KASPLEX_RPC_URL || 'https://rpc.kasplextest.xyz',
-            name: 'Kasplex Testnet'
+            rpcUrl: network.rpcUrl
         };
     }
 
@@ -57,129 +140,850 @@ class ContractModel {
      */
     static getContractAddresses() {
         return {
-            ipnft: process.env.IPNFT_ADDRESS || null,
-            royaltyDistributor: process.env.ROYALTY_DISTRIBUTOR_ADDRESS || null,
-            tokenizer: process.env.TOKENIZER_ADDRESS || null
+            ipnft: network.contracts.ipnft || null,
+            royaltyDistributor: network.contracts.royaltyDistributor || null,
+            tokenizer: network.contracts.tokenizer || null
         };
     }
 
     /**
-     * Get IP-NFT metadata for a specific token
+     * Get IP-NFT metadata for a specific token (cached until the token changes)
      */
     static async getIPNFTMetadata(tokenId) {
-        if (!process.env.IPNFT_ADDRESS) {
+        if (!network.contracts.ipnft) {
             throw new Error('IP-NFT contract address not configured');
         }
 
         const provider = this.getProvider();
-        const contract = new ethers.Contract(
-            process.env.IPNFT_ADDRESS,
-            IPNFT_ABI,
-            provider
-        );
+        const contract = contractRegistry.getContract('ipnft', provider);
 
         try {
-            const [metadata, owner] = await Promise.all([
-                contract.getIPMetadata(tokenId),
-                contract.ownerOf(tokenId)
-            ]);
+            return await readCache.read({
+                contract: 'ipnft',
+                method: 'getIPNFTMetadata',
+                args: [tokenId],
+                tags: [readCache.tokenTag('ipnft', tokenId)]
+            }, async () => {
+                const blockNumber = await provider.getBlockNumber();
+                const [metadata, owner] = await Promise.all([
+                    contract.getIPMetadata(tokenId, { blockTag: blockNumber }),
+                    contract.ownerOf(tokenId, { blockTag: blockNumber })
+                ]);
 
-            return {
-                tokenId: tokenId.toString(),
-                owner,
-                cropSpecies: metadata[0],
-                bacterialStrain: metadata[1],
-                regulatoryStatus: metadata[2],
-                licensedAcres: metadata[3].toString(),
-                researchInstitution: metadata[4],
-                approvalDate: new Date(Number(metadata[5]) * 1000).toISOString(),
-                metadataURI: metadata[6]
-            };
+                return { ...formatIPMetadata(tokenId, owner, metadata), blockNumber };
+            });
         } catch (error) {
             logger.error('Error fetching IP-NFT metadata:', error);
-            throw new Error(`Failed to fetch metadata for token ${tokenId}`);
+            throw new Error(`Failed to fetch metadata for token ${tokenId}`, { cause: error });
         }
     }
 
     /**
-     * Get all IP-NFTs (up to total supply)
+     * Get IP-NFT catalogue with filtering, sorting and pagination.
+     * All token reads are batched so a page costs a constant number of round trips.
      */
-    static async getAllIPNFTs() {
-        if (!process.env.IPNFT_ADDRESS) {
+    static async getAllIPNFTs(options = {}) {
+        if (!network.contracts.ipnft) {
             throw new Error('IP-NFT contract address not configured');
         }
 
+        const {
+            filters = {},
+            sort = 'tokenId',
+            order = 'asc',
+            limit = 20,
+            offset = 0,
+            cursor = null
+        } = options;
+
         const provider = this.getProvider();
-        const contract = new ethers.Contract(
-            process.env.IPNFT_ADDRESS,
-            IPNFT_ABI,
-            provider
-        );
+        const contract = contractRegistry.getContract('ipnft', provider);
 
         try {
-            const totalSupply = await contract.totalSupply();
-            const supply = Number(totalSupply);
+            // The unfiltered collection is cached until any IP-NFT changes
+            const { blockNumber, totalSupply, burned, tokens } = await readCache.read({
+                contract: 'ipnft',
+                method: 'getAllIPNFTs',
+                tags: [readCache.contractTag('ipnft')]
+            }, async () => {
+                // Pin every read to one block so the page is a consistent snapshot
+                const snapshotBlock = await provider.getBlockNumber();
+                const supply = Number(await contract.totalSupply({ blockTag: snapshotBlock }));
+
+                const calls = [];
+                for (let i = 0; i < supply; i++) {
+                    calls.push({ contract, method: 'getIPMetadata', args: [i] });
+                    calls.push({ contract, method: 'ownerOf', args: [i] });
+                }
+                const results = await aggregate(provider, calls, snapshotBlock);
+
+                const collection = [];
+                let burnedCount = 0;
+                for (let i = 0; i < supply; i++) {
+                    const metadata = results[i * 2];
+                    const owner = results[i * 2 + 1];
 
-            // Limit to first 100 tokens for performance
-            const limit = Math.min(supply, 100);
-            const ipnfts = [];
+                    // ownerOf reverts for burned tokens
+                    if (!metadata.success || !owner.success) {
+                        burnedCount++;
+                        continue;
+                    }
+                    collection.push(formatIPMetadata(i, owner.value, metadata.value));
+                }
+
+                return { blockNumber: snapshotBlock, totalSupply: supply, burned: burnedCount, tokens: collection };
+            });
 
-            for (let i = 0; i < limit; i++) {
-                try {
-                    const metadata = await this.getIPNFTMetadata(i);
-                    ipnfts.push(metadata);
-                } catch (error) {
-                    logger.warn(`Skipping token ${i}:`, error.message);
+            const matching = tokens.filter((token) => matchesFilters(token, filters));
+            matching.sort(compareTokens(sort, order));
+
+            let start = offset;
+            if (cursor) {
+                const position = decodeCursor(cursor);
+                const compare = compareTokens(sort, order);
+                start = matching.findIndex((token) => compare(token, position) > 0);
+                if (start === -1) {
+                    start = matching.length;
                 }
             }
 
+            const page = matching.slice(start, start + limit);
+            const hasMore = start + page.length < matching.length;
+
             return {
-                totalSupply: supply,
-                tokens: ipnfts,
-                showing: ipnfts.length
+                blockNumber,
+                totalSupply,
+                burned,
+                total: matching.length,
+                offset: start,
+                limit,
+                showing: page.length,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+                tokens: page
             };
         } catch (error) {
             logger.error('Error fetching all IP-NFTs:', error);
-            throw new Error('Failed to fetch IP-NFT collection');
+            throw new Error('Failed to fetch IP-NFT collection', { cause: error });
+        }
+    }
+
+    /**
+     * Get on-chain data needed to build ERC-721 token metadata,
+     * or null if the token does not exist
+     */
+    static async getTokenMetadataSource(tokenId) {
+        if (!network.contracts.ipnft) {
+            throw new Error('IP-NFT contract address not configured');
+        }
+
+        const provider = this.getProvider();
+        const contract = contractRegistry.getContract('ipnft', provider);
+
+        try {
+            const [metadata, owner, fractionalized, royalty] = await aggregate(provider, [
+                { contract, method: 'getIPMetadata', args: [tokenId] },
+                { contract, method: 'ownerOf', args: [tokenId] },
+                { contract, method: 'isFramentalized', args: [tokenId] },
+                { contract, method: 'royaltyInfo', args: [tokenId, BPS_DENOMINATOR] }
+            ]);
+
+            if (!metadata.success || !owner.success) {
+                return null;
+            }
+
+            return {
+                ...formatIPMetadata(tokenId, owner.value, metadata.value),
+                isFractionalized: fractionalized.success ? fractionalized.value : false,
+                royalty: royalty.success ? {
+                    receiver: royalty.value[0],
+                    bps: Number(royalty.value[1])
+                } : null
+            };
+        } catch (error) {
+            logger.error('Error fetching token metadata source:', error);
+            throw new Error(`Failed to fetch metadata for token ${tokenId}`, { cause: error });
+        }
+    }
+
+    /**
+     * Get collection-level information including ERC-2981 royalty settings per token
+     */
+    static async getCollectionInfo() {
+        if (!network.contracts.ipnft) {
+            throw new Error('IP-NFT contract address not configured');
+        }
+
+        const provider = this.getProvider();
+        const contract = contractRegistry.getContract('ipnft', provider);
+
+        try {
+            const [name, symbol, totalSupply] = await Promise.all([
+                contract.name(),
+                contract.symbol(),
+                contract.totalSupply()
+            ]);
+
+            const supply = Number(totalSupply);
+            const calls = Array.from({ length: supply }, (_, tokenId) => ({
+                contract,
+                method: 'royaltyInfo',
+                args: [tokenId, BPS_DENOMINATOR]
+            }));
+            const results = await aggregate(provider, calls);
+
+            const royalties = results
+                .map((result, tokenId) => (result.success ? {
+                    tokenId: tokenId.toString(),
+                    receiver: result.value[0],
+                    bps: Number(result.value[1])
+                } : null))
+                .filter(Boolean);
+
+            return {
+                address: network.contracts.ipnft,
+                name,
+                symbol,
+                totalSupply: supply,
+                royalties
+            };
+        } catch (error) {
+            logger.error('Error fetching collection info:', error);
+            throw new Error('Failed to fetch collection info', { cause: error });
         }
     }
 
     /**
-     * Get royalty distribution information
+     * Get royalty distribution information (cached until the pool changes)
      */
     static async getRoyaltyInfo(tokenId) {
-        if (!process.env.ROYALTY_DISTRIBUTOR_ADDRESS) {
+        if (!network.contracts.royaltyDistributor) {
             throw new Error('Royalty distributor address not configured');
         }
 
         const provider = this.getProvider();
-        const contract = new ethers.Contract(
-            process.env.ROYALTY_DISTRIBUTOR_ADDRESS,
-            DISTRIBUTOR_ABI,
-            provider
-        );
+        const contract = contractRegistry.getContract('royaltyDistributor', provider);
+
+        try {
+            return await readCache.read({
+                contract: 'distributor',
+                method: 'getRoyaltyInfo',
+                args: [tokenId],
+                tags: [readCache.tokenTag('distributor', tokenId)]
+            }, async () => {
+                const blockNumber = await provider.getBlockNumber();
+                const [poolInfo, beneficiaries] = await Promise.all([
+                    contract.getPoolInfo(tokenId, { blockTag: blockNumber }),
+                    contract.getBeneficiaries(tokenId, { blockTag: blockNumber })
+                ]);
+
+                return {
+                    tokenId: tokenId.toString(),
+                    blockNumber,
+                    totalReceived: ethers.formatEther(poolInfo[0]),
+                    totalDistributed: ethers.formatEther(poolInfo[1]),
+                    pendingDistribution: ethers.formatEther(poolInfo[2]),
+                    beneficiaries: beneficiaries[0].map((address, index) => ({
+                        address,
+                        shareBps: beneficiaries[1][index].toString(),
+                        sharePercentage: (Number(beneficiaries[1][index]) / 100).toFixed(2) + '%',
+                        isActive: beneficiaries[2][index]
+                    }))
+                };
+            });
+        } catch (error) {
+            logger.error('Error fetching royalty info:', error);
+            throw new Error(`Failed to fetch royalty info for token ${tokenId}`, { cause: error });
+        }
+    }
+
+    /**
+     * Get the pool state a royalty payment is split against, pinned to one block:
+     * totals, beneficiaries (shares as bigint), wei already withdrawn by each
+     * beneficiary and extra address, and the tokenizer if the IP-NFT is fractionalized
+     */
+    static async getPayoutState(tokenId, addresses = []) {
+        if (!network.contracts.ipnft || !network.contracts.royaltyDistributor) {
+            throw new Error('IP-NFT and royalty distributor must be configured');
+        }
+
+        const provider = this.getProvider();
+        const ipnft = contractRegistry.getContract('ipnft', provider);
+        const distributor = contractRegistry.getContract('royaltyDistributor', provider);
 
         try {
-            const [poolInfo, beneficiaries] = await Promise.all([
-                contract.getPoolInfo(tokenId),
-                contract.getBeneficiaries(tokenId)
+            const blockNumber = await provider.getBlockNumber();
+            const [exists, fractionalized, fractionalizer] = await aggregate(provider, [
+                { contract: distributor, method: 'poolExists', args: [tokenId] },
+                { contract: ipnft, method: 'isFramentalized', args: [tokenId] },
+                { contract: ipnft, method: 'getFractionalizer', args: [tokenId] }
+            ], blockNumber);
+            if (!exists.success) {
+                throw new Error(`Failed to read royalty pool ${tokenId}`);
+            }
+
+            const state = {
+                blockNumber,
+                exists: exists.value,
+                totalReceived: 0n,
+                totalDistributed: 0n,
+                pendingDistribution: 0n,
+                beneficiaries: [],
+                withdrawn: {},
+                tokenizer: fractionalized.success && fractionalized.value ? fractionalizer.value : null
+            };
+            if (!state.exists) {
+                return state;
+            }
+
+            const [poolInfo, beneficiaries] = await aggregate(provider, [
+                { contract: distributor, method: 'getPoolInfo', args: [tokenId] },
+                { contract: distributor, method: 'getBeneficiaries', args: [tokenId] }
+            ], blockNumber);
+            if (!poolInfo.success || !beneficiaries.success) {
+                throw new Error(`Failed to read royalty pool ${tokenId}`);
+            }
+
+            [state.totalReceived, state.totalDistributed, state.pendingDistribution] = poolInfo.value;
+            const [poolAddresses, shares, active] = beneficiaries.value;
+            state.beneficiaries = poolAddresses.map((address, index) => ({
+                address,
+                shareBps: shares[index],
+                isActive: active[index]
+            }));
+
+            const accounts = [...new Set([...poolAddresses, ...addresses].map((address) => ethers.getAddress(address)))];
+            const withdrawn = await aggregate(provider, accounts.map((account) => ({
+                contract: distributor,
+                method: 'withdrawnAmount',
+                args: [tokenId, account]
+            })), blockNumber);
+            accounts.forEach((account, index) => {
+                if (!withdrawn[index].success) {
+                    throw new Error(`Failed to read the amount withdrawn by ${account}`);
+                }
+                state.withdrawn[account] = withdrawn[index].value;
+            });
+
+            return state;
+        } catch (error) {
+            logger.error('Error fetching payout state:', error);
+            throw new Error(`Failed to fetch payout state for token ${tokenId}`, { cause: error });
+        }
+    }
+
+    /**
+     * Get the revenue state of a tokenizer at a block: supply, revenue and
+     * distribution totals, its KAS balance, and the balance, claimed and
+     * claimable revenue of some holders
+     */
+    static async getRevenueState(tokenizer, holders, blockNumber) {
+        const provider = this.getProvider();
+        const contract = new ethers.Contract(tokenizer, contractRegistry.getAbi('tokenizer'), provider);
+
+        try {
+            const [results, balance] = await Promise.all([
+                aggregate(provider, [
+                    { contract, method: 'totalSupply', args: [] },
+                    { contract, method: 'totalRevenue', args: [] },
+                    { contract, method: 'totalDistributed', args: [] },
+                    { contract, method: 'isRedeemed', args: [] },
+                    ...holders.flatMap((holder) => [
+                        { contract, method: 'balanceOf', args: [holder] },
+                        { contract, method: 'lastClaimedRevenue', args: [holder] },
+                        { contract, method: 'claimableRevenue', args: [holder] }
+                    ])
+                ], blockNumber),
+                provider.getBalance(tokenizer, blockNumber)
             ]);
+            if (!results.every((result) => result.success)) {
+                throw new Error(`Failed to read revenue state of ${tokenizer}`);
+            }
 
+            const [totalSupply, totalRevenue, totalDistributed, isRedeemed] = results.map((result) => result.value);
             return {
-                tokenId: tokenId.toString(),
-                totalReceived: ethers.formatEther(poolInfo[0]),
-                totalDistributed: ethers.formatEther(poolInfo[1]),
-                pendingDistribution: ethers.formatEther(poolInfo[2]),
-                beneficiaries: beneficiaries[0].map((address, index) => ({
+                totalSupply,
+                totalRevenue,
+                totalDistributed,
+                isRedeemed,
+                balance,
+                holders: holders.map((address, index) => ({
                     address,
-                    shareBps: beneficiaries[1][index].toString(),
-                    sharePercentage: (Number(beneficiaries[1][index]) / 100).toFixed(2) + '%',
-                    isActive: beneficiaries[2][index]
+                    balance: results[4 + index * 3].value,
+                    claimed: results[5 + index * 3].value,
+                    claimable: results[6 + index * 3].value
                 }))
             };
         } catch (error) {
-            logger.error('Error fetching royalty info:', error);
-            throw new Error(`Failed to fetch royalty info for token ${tokenId}`);
+            logger.error('Error fetching revenue state:', error);
+            throw new Error(`Failed to fetch revenue state of ${tokenizer}`, { cause: error });
+        }
+    }
+
+    /**
+     * Get every royalty pool with its beneficiaries' withdrawn and withdrawable
+     * amounts, and the distributor's KAS balance, at a block. Pools are
+     * discovered by checking each minted IP-NFT.
+     */
+    static async getDistributorLedger(blockNumber) {
+        if (!network.contracts.ipnft || !network.contracts.royaltyDistributor) {
+            throw new Error('IP-NFT and royalty distributor must be configured');
+        }
+
+        const provider = this.getProvider();
+        const ipnft = contractRegistry.getContract('ipnft', provider);
+        const distributor = contractRegistry.getContract('royaltyDistributor', provider);
+
+        try {
+            const [supply, balance] = await Promise.all([
+                ipnft.totalSupply({ blockTag: blockNumber }),
+                provider.getBalance(network.contracts.royaltyDistributor, blockNumber)
+            ]);
+            const tokenIds = Array.from({ length: Number(supply) }, (_, tokenId) => tokenId);
+
+            const exists = await aggregate(provider, tokenIds.map((tokenId) => ({
+                contract: distributor,
+                method: 'poolExists',
+                args: [tokenId]
+            })), blockNumber);
+            const poolIds = tokenIds.filter((tokenId, index) => exists[index].success && exists[index].value);
+
+            const details = await aggregate(provider, poolIds.flatMap((tokenId) => [
+                { contract: distributor, method: 'getPoolInfo', args: [tokenId] },
+                { contract: distributor, method: 'getBeneficiaries', args: [tokenId] }
+            ]), blockNumber);
+
+            const pools = poolIds.map((tokenId, index) => {
+                const [poolInfo, beneficiaries] = details.slice(index * 2, index * 2 + 2);
+                if (!poolInfo.success || !beneficiaries.success) {
+                    throw new Error(`Failed to read royalty pool ${tokenId}`);
+                }
+                const [addresses, shares, active] = beneficiaries.value;
+                return {
+                    tokenId: tokenId.toString(),
+                    totalReceived: poolInfo.value[0],
+                    totalDistributed: poolInfo.value[1],
+                    pendingDistribution: poolInfo.value[2],
+                    beneficiaries: addresses.map((address, position) => ({
+                        address,
+                        shareBps: shares[position],
+                        isActive: active[position]
+                    })),
+                    accounts: [...new Set(addresses)]
+                };
+            });
+
+            const amounts = await aggregate(provider, pools.flatMap((pool) => pool.accounts.flatMap((account) => [
+                { contract: distributor, method: 'withdrawnAmount', args: [pool.tokenId, account] },
+                { contract: distributor, method: 'withdrawableAmount', args: [pool.tokenId, account] }
+            ])), blockNumber);
+
+            let offset = 0;
+            pools.forEach((pool) => {
+                pool.withdrawn = {};
+                pool.withdrawable = {};
+                pool.accounts.forEach((account) => {
+                    const [withdrawn, withdrawable] = amounts.slice(offset, offset + 2);
+                    offset += 2;
+                    if (!withdrawn.success || !withdrawable.success) {
+                        throw new Error(`Failed to read balances of ${account} in pool ${pool.tokenId}`);
+                    }
+                    pool.withdrawn[account] = withdrawn.value;
+                    pool.withdrawable[account] = withdrawable.value;
+                });
+                delete pool.accounts;
+            });
+
+            return { blockNumber, balance, pools };
+        } catch (error) {
+            logger.error('Error fetching distributor ledger:', error);
+            throw new Error(`Failed to fetch distributor ledger at block ${blockNumber}`, { cause: error });
+        }
+    }
+
+    /**
+     * Get on-chain distribution records kept for compliance,
+     * optionally limited to a single beneficiary
+     */
+    static async getDistributionRecords(beneficiary = null) {
+        if (!network.contracts.royaltyDistributor) {
+            throw new Error('Royalty distributor address not configured');
+        }
+
+        const provider = this.getProvider();
+        const contract = contractRegistry.getContract('royaltyDistributor', provider);
+
+        try {
+            const blockNumber = await provider.getBlockNumber();
+
+            let indices;
+            if (beneficiary) {
+                const history = await contract.getDistributionHistory(beneficiary, { blockTag: blockNumber });
+                indices = history.map(Number);
+            } else {
+                const count = Number(await contract.getDistributionCount({ blockTag: blockNumber }));
+                indices = Array.from({ length: count }, (_, index) => index);
+            }
+
+            const results = await aggregate(provider, indices.map((index) => ({
+                contract,
+                method: 'distributionHistory',
+                args: [index]
+            })), blockNumber);
+
+            return results.map((result, position) => {
+                if (!result.success) {
+                    throw new Error(`Failed to read distribution record ${indices[position]}`);
+                }
+                const [timestamp, amount, recordBeneficiary, ipnftTokenId] = result.value;
+                return {
+                    index: indices[position],
+                    timestamp: new Date(Number(timestamp) * 1000).toISOString(),
+                    ipnftTokenId: ipnftTokenId.toString(),
+                    beneficiary: recordBeneficiary,
+                    amountWei: amount.toString(),
+                    amount: ethers.formatEther(amount)
+                };
+            });
+        } catch (error) {
+            logger.error('Error fetching distribution records:', error);
+            throw new Error('Failed to fetch distribution records', { cause: error });
+        }
+    }
+
+    /**
+     * Get every royalty pool an address participates in, plus its IPT position
+     * when a tokenizer is configured. Pools are discovered by checking each minted
+     * IP-NFT, and all reads are pinned to one block.
+     */
+    static async getBeneficiaryPositions(address) {
+        if (!network.contracts.ipnft) {
+            throw new Error('IP-NFT contract address not configured');
+        }
+        if (!network.contracts.royaltyDistributor) {
+            throw new Error('Royalty distributor address not configured');
+        }
+
+        const provider = this.getProvider();
+        const ipnft = contractRegistry.getContract('ipnft', provider);
+        const distributor = contractRegistry.getContract('royaltyDistributor', provider);
+
+        try {
+            const blockNumber = await provider.getBlockNumber();
+            const supply = Number(await ipnft.totalSupply({ blockTag: blockNumber }));
+            const tokenIds = Array.from({ length: supply }, (_, tokenId) => tokenId);
+
+            const exists = await aggregate(provider, tokenIds.map((tokenId) => ({
+                contract: distributor,
+                method: 'poolExists',
+                args: [tokenId]
+            })), blockNumber);
+            const poolIds = tokenIds.filter((tokenId, index) => exists[index].success && exists[index].value);
+
+            const beneficiaries = await aggregate(provider, poolIds.map((tokenId) => ({
+                contract: distributor,
+                method: 'getBeneficiaries',
+                args: [tokenId]
+            })), blockNumber);
+
+            const memberships = [];
+            poolIds.forEach((tokenId, index) => {
+                if (!beneficiaries[index].success) {
+                    throw new Error(`Failed to read beneficiaries of pool ${tokenId}`);
+                }
+                const [addresses, shares, active] = beneficiaries[index].value;
+                const position = addresses.findIndex((entry) => entry.toLowerCase() === address.toLowerCase());
+                if (position !== -1) {
+                    memberships.push({ tokenId, shareBps: shares[position], isActive: active[position] });
+                }
+            });
+
+            const balances = await aggregate(provider, memberships.flatMap(({ tokenId }) => [
+                { contract: distributor, method: 'getPoolInfo', args: [tokenId] },
+                { contract: distributor, method: 'withdrawnAmount', args: [tokenId, address] },
+                { contract: distributor, method: 'withdrawableAmount', args: [tokenId, address] }
+            ]), blockNumber);
+
+            const pools = memberships.map((membership, index) => {
+                const [poolInfo, withdrawn, withdrawable] = balances.slice(index * 3, index * 3 + 3);
+                if (!poolInfo.success || !withdrawn.success || !withdrawable.success) {
+                    throw new Error(`Failed to read balances of pool ${membership.tokenId}`);
+                }
+                // Earned is what the contract has credited: already withdrawn plus withdrawable now
+                const earned = withdrawn.value + withdrawable.value;
+                return {
+                    ipnftTokenId: membership.tokenId.toString(),
+                    shareBps: membership.shareBps.toString(),
+                    sharePercentage: (Number(membership.shareBps) / 100).toFixed(2) + '%',
+                    isActive: membership.isActive,
+                    poolTotalReceivedWei: poolInfo.value[0].toString(),
+                    poolTotalReceived: ethers.formatEther(poolInfo.value[0]),
+                    earnedWei: earned.toString(),
+                    earned: ethers.formatEther(earned),
+                    withdrawnWei: withdrawn.value.toString(),
+                    withdrawn: ethers.formatEther(withdrawn.value),
+                    withdrawableWei: withdrawable.value.toString(),
+                    withdrawable: ethers.formatEther(withdrawable.value)
+                };
+            });
+
+            let tokenizer = null;
+            if (network.contracts.tokenizer) {
+                const contract = this.getTokenizerContract();
+                const [ipnftTokenId, balance, claimable, claimed] = await aggregate(provider, [
+                    { contract, method: 'ipnftTokenId', args: [] },
+                    { contract, method: 'balanceOf', args: [address] },
+                    { contract, method: 'claimableRevenue', args: [address] },
+                    { contract, method: 'lastClaimedRevenue', args: [address] }
+                ], blockNumber);
+                if (![ipnftTokenId, balance, claimable, claimed].every((result) => result.success)) {
+                    throw new Error('Failed to read IPT position');
+                }
+                tokenizer = {
+                    address: network.contracts.tokenizer,
+                    ipnftTokenId: ipnftTokenId.value.toString(),
+                    balanceWei: balance.value.toString(),
+                    balance: ethers.formatEther(balance.value),
+                    claimableRevenueWei: claimable.value.toString(),
+                    claimableRevenue: ethers.formatEther(claimable.value),
+                    claimedRevenueWei: claimed.value.toString(),
+                    claimedRevenue: ethers.formatEther(claimed.value)
+                };
+            }
+
+            return { blockNumber, pools, tokenizer };
+        } catch (error) {
+            logger.error('Error fetching beneficiary positions:', error);
+            throw new Error(`Failed to fetch positions for ${address}`, { cause: error });
+        }
+    }
+
+    /**
+     * Derive an address's roles from on-chain state, pinned to one block:
+     * admin, minter and licensing on the IP-NFT, owner of the royalty distributor,
+     * beneficiary of any royalty pool and IPT holder.
+     */
+    static async getAccountRoles(address) {
+        const provider = this.getProvider();
+        const roles = [];
+        const beneficiaryPools = [];
+
+        try {
+            const blockNumber = await provider.getBlockNumber();
+
+            if (network.contracts.ipnft) {
+                const ipnft = contractRegistry.getContract('ipnft', provider);
+                const [isAdmin, isMinter, isLicensing] = await aggregate(provider, [
+                    { contract: ipnft, method: 'hasRole', args: [DEFAULT_ADMIN_ROLE, address] },
+                    { contract: ipnft, method: 'hasRole', args: [MINTER_ROLE, address] },
+                    { contract: ipnft, method: 'hasRole', args: [LICENSING_ROLE, address] }
+                ], blockNumber);
+                if (isAdmin.success && isAdmin.value) roles.push('admin');
+                if (isMinter.success && isMinter.value) roles.push('minter');
+                if (isLicensing.success && isLicensing.value) roles.push('licensing');
+
+                if (network.contracts.royaltyDistributor) {
+                    const distributor = contractRegistry.getContract('royaltyDistributor', provider);
+                    const owner = await distributor.owner({ blockTag: blockNumber });
+                    if (owner.toLowerCase() === address.toLowerCase()) {
+                        roles.push('distributor-owner');
+                    }
+
+                    const supply = Number(await ipnft.totalSupply({ blockTag: blockNumber }));
+                    const tokenIds = Array.from({ length: supply }, (_, tokenId) => tokenId);
+                    const beneficiaries = await aggregate(provider, tokenIds.map((tokenId) => ({
+                        contract: distributor,
+                        method: 'getBeneficiaries',
+                        args: [tokenId]
+                    })), blockNumber);
+
+                    // Pools that do not exist revert and are skipped
+                    beneficiaries.forEach((result, tokenId) => {
+                        if (!result.success) {
+                            return;
+                        }
+                        const [addresses, , active] = result.value;
+                        const position = addresses.findIndex((entry) => entry.toLowerCase() === address.toLowerCase());
+                        if (position !== -1 && active[position]) {
+                            beneficiaryPools.push(tokenId.toString());
+                        }
+                    });
+                    if (beneficiaryPools.length > 0) {
+                        roles.push('beneficiary');
+                    }
+                }
+            }
+
+            if (network.contracts.tokenizer) {
+                const balance = await this.getTokenizerContract().balanceOf(address, { blockTag: blockNumber });
+                if (balance > 0n) {
+                    roles.push('ipt-holder');
+                }
+            }
+
+            return { address, blockNumber, roles, beneficiaryPools };
+        } catch (error) {
+            logger.error('Error fetching account roles:', error);
+            throw new Error(`Failed to fetch roles for ${address}`, { cause: error });
+        }
+    }
+
+    /**
+     * Minimum payment redeemIPNFT accepts: the tokenizer checks msg.value against
+     * its private _totalFractionalSupply, which is read from storage
+     */
+    static async getRedemptionPrice(blockTag = 'latest') {
+        if (!network.contracts.tokenizer) {
+            throw new Error('IP tokenizer address not configured');
+        }
+
+        const slot = contractRegistry.getStorageSlot('tokenizer', '_totalFractionalSupply');
+        return BigInt(await this.getProvider().getStorage(network.contracts.tokenizer, slot, blockTag));
+    }
+
+    /**
+     * Get IPTokenizer contract instance
+     */
+    static getTokenizerContract() {
+        if (!network.contracts.tokenizer) {
+            throw new Error('IP tokenizer address not configured');
+        }
+
+        return contractRegistry.getContract('tokenizer', this.getProvider());
+    }
+
+    /**
+     * Get fractional token information
+     */
+    static async getTokenizerInfo() {
+        const contract = this.getTokenizerContract();
+
+        try {
+            const [
+                name,
+                symbol,
+                totalSupply,
+                ipnftContract,
+                ipnftTokenId,
+                quorumBps,
+                isRedeemed,
+                totalRevenue,
+                totalDistributed,
+                proposalCount
+            ] = await Promise.all([
+                contract.name(),
+                contract.symbol(),
+                contract.totalSupply(),
+                contract.ipnftContract(),
+                contract.ipnftTokenId(),
+                contract.quorumBps(),
+                contract.isRedeemed(),
+                contract.totalRevenue(),
+                contract.totalDistributed(),
+                contract.proposalCount()
+            ]);
+
+            return {
+                address: network.contracts.tokenizer,
+                name,
+                symbol,
+                totalSupply: ethers.formatEther(totalSupply),
+                ipnftContract,
+                ipnftTokenId: ipnftTokenId.toString(),
+                quorumBps: quorumBps.toString(),
+                quorumPercentage: (Number(quorumBps) / 100).toFixed(2) + '%',
+                isRedeemed,
+                totalRevenue: ethers.formatEther(totalRevenue),
+                totalDistributed: ethers.formatEther(totalDistributed),
+                undistributedRevenue: ethers.formatEther(totalRevenue - totalDistributed),
+                proposalCount: Number(proposalCount)
+            };
+        } catch (error) {
+            logger.error('Error fetching tokenizer info:', error);
+            throw new Error('Failed to fetch tokenizer info', { cause: error });
+        }
+    }
+
+    /**
+     * Get claimable revenue for an IPT holder
+     */
+    static async getClaimableRevenue(holder) {
+        const contract = this.getTokenizerContract();
+
+        try {
+            const [balance, claimable, alreadyClaimed] = await Promise.all([
+                contract.balanceOf(holder),
+                contract.claimableRevenue(holder),
+                contract.lastClaimedRevenue(holder)
+            ]);
+
+            return {
+                holder,
+                balance: ethers.formatEther(balance),
+                claimableRevenue: ethers.formatEther(claimable),
+                claimedRevenue: ethers.formatEther(alreadyClaimed)
+            };
+        } catch (error) {
+            logger.error('Error fetching claimable revenue:', error);
+            throw new Error(`Failed to fetch claimable revenue for ${holder}`, { cause: error });
+        }
+    }
+
+    /**
+     * Get a governance proposal by ID, or null if it does not exist
+     */
+    static async getProposal(proposalId) {
+        const contract = this.getTokenizerContract();
+
+        try {
+            const proposalCount = await contract.proposalCount();
+            const id = BigInt(proposalId);
+            if (id < 1n || id > proposalCount) {
+                return null;
+            }
+
+            const [proposal, hasQuorum, passed] = await Promise.all([
+                contract.proposals(id),
+                contract.hasQuorum(id),
+                contract.proposalPassed(id)
+            ]);
+
+            return {
+                id: proposal.id.toString(),
+                description: proposal.description,
+                proposer: proposal.proposer,
+                forVotes: ethers.formatEther(proposal.forVotes),
+                againstVotes: ethers.formatEther(proposal.againstVotes),
+                startBlock: Number(proposal.startBlock),
+                endBlock: Number(proposal.endBlock),
+                executed: proposal.executed,
+                canceled: proposal.canceled,
+                hasQuorum,
+                passed
+            };
+        } catch (error) {
+            logger.error('Error fetching proposal:', error);
+            throw new Error(`Failed to fetch proposal ${proposalId}`, { cause: error });
+        }
+    }
+
+    /**
+     * Get all governance proposals
+     */
+    static async getProposals() {
+        const contract = this.getTokenizerContract();
+
+        try {
+            const proposalCount = Number(await contract.proposalCount());
+            const ids = Array.from({ length: proposalCount }, (_, index) => index + 1);
+            const proposals = await Promise.all(ids.map((id) => this.getProposal(id)));
+
+            return {
+                proposalCount,
+                proposals
+            };
+        } catch (error) {
+            logger.error('Error fetching proposals:', error);
+            throw new Error('Failed to fetch proposals', { cause: error });
         }
     }
 }
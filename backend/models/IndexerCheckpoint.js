@@ -0,0 +1,22 @@
+/**
+ * Indexer Checkpoint Model
+ * Last block fully processed by the event indexer, with the hashes of the
+ * blocks in the reorg window below it (MongoDB)
+ */
+
+const mongoose = require('mongoose');
+
+const indexerCheckpointSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    blockNumber: { type: Number, required: true },
+    blockHash: { type: String, required: true },
+    // { number, hash } of the last INDEXER_REORG_DEPTH blocks up to blockNumber, oldest first
+    recentBlocks: {
+        type: [{ _id: false, number: Number, hash: String }],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
@@ -0,0 +1,48 @@
+/**
+ * Licensing Agreement Model
+ * Off-chain terms under which a licensee farms an IP-NFT strain (MongoDB)
+ */
+
+const mongoose = require('mongoose');
+
+const licensingAgreementSchema = new mongoose.Schema({
+    licensee: {
+        name: { type: String, required: true },
+        contact: { type: String, default: '' }
+    },
+    // Checksummed address the licensee pays royalties from
+    wallet: { type: String, required: true },
+    tokenId: { type: String, required: true },
+    acres: { type: Number, required: true },
+    territory: { type: String, required: true },
+    cropSeason: { type: String, default: '' },
+    feeSchedule: {
+        // flat: amountWei per installment; per-acre: amountWei per acre per installment
+        basis: { type: String, enum: ['flat', 'per-acre'], required: true },
+        amountWei: { type: String, required: true },
+        frequency: {
+            type: String,
+            enum: ['once', 'monthly', 'quarterly', 'semiannual', 'annual'],
+            required: true
+        },
+        // Days after the due date before an installment is overdue
+        graceDays: { type: Number, default: 0 }
+    },
+    term: {
+        startsAt: { type: Date, required: true },
+        endsAt: { type: Date, required: true }
+    },
+    status: {
+        type: String,
+        enum: ['active', 'terminated'],
+        default: 'active'
+    },
+    terminatedAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+licensingAgreementSchema.index({ tokenId: 1, status: 1 });
+licensingAgreementSchema.index({ wallet: 1 });
+
+module.exports = mongoose.model('LicensingAgreement', licensingAgreementSchema);
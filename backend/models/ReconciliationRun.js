@@ -0,0 +1,41 @@
+/**
+ * Reconciliation Run Model
+ * Result of one accounting reconciliation: the event-derived and on-chain
+ * ledgers of every royalty pool and the tokenizer at a block, and any drift
+ * or invariant violation found (MongoDB). Runs are kept as audit evidence.
+ */
+
+const mongoose = require('mongoose');
+
+const findingSchema = new mongoose.Schema({
+    check: { type: String, required: true },
+    // error for drift and broken invariants, warning for anomalies that are not a loss
+    severity: { type: String, required: true, enum: ['error', 'warning'] },
+    subject: { type: String, required: true },
+    message: { type: String, required: true },
+    expectedWei: { type: String, default: null },
+    actualWei: { type: String, default: null }
+}, { _id: false });
+
+const reconciliationRunSchema = new mongoose.Schema({
+    // clean, drift or failed
+    status: { type: String, required: true, enum: ['clean', 'drift', 'failed'] },
+    trigger: { type: String, required: true, enum: ['schedule', 'manual'] },
+    blockNumber: { type: Number, default: null },
+    blockHash: { type: String, default: null },
+    eventCount: { type: Number, default: 0 },
+    startedAt: { type: Date, required: true },
+    durationMs: { type: Number, default: 0 },
+    distributor: { type: mongoose.Schema.Types.Mixed, default: null },
+    pools: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    tokenizer: { type: mongoose.Schema.Types.Mixed, default: null },
+    findings: { type: [findingSchema], default: [] },
+    error: { type: String, default: null }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+reconciliationRunSchema.index({ createdAt: -1 });
+reconciliationRunSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationRun', reconciliationRunSchema);
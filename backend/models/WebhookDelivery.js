@@ -0,0 +1,43 @@
+/**
+ * Webhook Delivery Model
+ * Delivery state and attempt log for one event sent to one subscription (MongoDB)
+ */
+
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: { type: Date, required: true },
+    statusCode: { type: Number, default: null },
+    error: { type: String, default: null },
+    durationMs: { type: Number, required: true }
+}, {
+    _id: false
+});
+
+const webhookDeliverySchema = new mongoose.Schema({
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookSubscription',
+        required: true
+    },
+    // Derived from transaction hash and log index
+    idempotencyKey: { type: String, required: true },
+    event: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'failed', 'delivered', 'dead', 'canceled'],
+        default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    deliveredAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    log: { type: [attemptSchema], default: [] }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ subscription: 1, idempotencyKey: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
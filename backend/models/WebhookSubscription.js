@@ -0,0 +1,21 @@
+/**
+ * Webhook Subscription Model
+ * Partner endpoints notified of contract events (MongoDB)
+ */
+
+const mongoose = require('mongoose');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    secret: { type: String, required: true, select: false },
+    description: { type: String, default: '' },
+    // Empty filters match everything
+    events: { type: [String], default: [] },
+    tokenIds: { type: [String], default: [] },
+    addresses: { type: [String], default: [] },
+    active: { type: Boolean, default: true }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -4,7 +4,22 @@
  */
 
 const express = require('express');
+const { network } = require('../config/network');
 const ContractController = require('../controllers/ContractController');
+const ReportController = require('../controllers/ReportController');
+const AnalyticsController = require('../controllers/AnalyticsController');
+const ReconciliationController = require('../controllers/ReconciliationController');
+const LicensingController = require('../controllers/LicensingController');
+const GovernanceController = require('../controllers/GovernanceController');
+const HolderController = require('../controllers/HolderController');
+const EventController = require('../controllers/EventController');
+const TransactionController = require('../controllers/TransactionController');
+const WebhookController = require('../controllers/WebhookController');
+const AuthController = require('../controllers/AuthController');
+const DocsController = require('../controllers/DocsController');
+const { requireAuth, requireRole, requireSelfOrRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('./schemas');
 
 const router = express.Router();
 
@@ -16,37 +31,512 @@ const router = express.Router();
  * GET /api/network
  * Get Kasplex network information
  */
-router.get('/network', ContractController.getNetworkInfo);
+router.get('/network', validate(schemas.getNetworkInfo), ContractController.getNetworkInfo);
 
 /**
  * GET /api/contracts
  * Get deployed contract addresses
  */
-router.get('/contracts', ContractController.getContractAddresses);
+router.get('/contracts', validate(schemas.getContractAddresses), ContractController.getContractAddresses);
 
 /**
  * GET /api/status
  * Get event monitoring status
  */
-router.get('/status', ContractController.getMonitoringStatus);
+router.get('/status', validate(schemas.getMonitoringStatus), ContractController.getMonitoringStatus);
 
 /**
  * GET /api/ipnfts
- * Get all IP-NFTs
+ * Get IP-NFT catalogue (filterable, sortable, paginated)
  */
-router.get('/ipnfts', ContractController.getAllIPNFTs);
+router.get('/ipnfts', validate(schemas.getIPNFTs), ContractController.getAllIPNFTs);
 
 /**
  * GET /api/ipnft/:tokenId
- * Get specific IP-NFT metadata
+ * Get specific IP-NFT metadata (?resolve=true includes the IPFS document)
  */
-router.get('/ipnft/:tokenId', ContractController.getIPNFTMetadata);
+router.get('/ipnft/:tokenId', validate(schemas.getIPNFT), ContractController.getIPNFTMetadata);
+
+/**
+ * GET /api/schemas/agricultural-strain
+ * Get JSON schema for off-chain IP-NFT metadata documents
+ */
+router.get('/schemas/agricultural-strain', validate(schemas.getMetadataSchema), ContractController.getMetadataSchema);
 
 /**
  * GET /api/royalties/:tokenId
  * Get royalty distribution info for specific IP-NFT
  */
-router.get('/royalties/:tokenId', ContractController.getRoyaltyInfo);
+router.get('/royalties/:tokenId', validate(schemas.getRoyaltyInfo), ContractController.getRoyaltyInfo);
+
+/**
+ * POST /api/royalties/:tokenId/simulate
+ * Split a royalty payment with the current or a hypothetical beneficiary set
+ */
+router.post(
+    '/royalties/:tokenId/simulate',
+    validate(schemas.simulateRoyalties),
+    ContractController.simulateRoyalties
+);
+
+/**
+ * GET /api/beneficiaries/:address
+ * Royalty portfolio of a beneficiary across all pools
+ */
+router.get(
+    '/beneficiaries/:address',
+    validate(schemas.getBeneficiaryPortfolio),
+    ContractController.getBeneficiaryPortfolio
+);
+
+// ============================================
+// Tokenizer Routes
+// ============================================
+
+/**
+ * GET /api/tokenizer
+ * Get fractional token (IPT) information
+ */
+router.get('/tokenizer', validate(schemas.getTokenizerInfo), ContractController.getTokenizerInfo);
+
+/**
+ * GET /api/tokenizer/revenue/:holder
+ * Get claimable revenue for an IPT holder
+ */
+router.get('/tokenizer/revenue/:holder', validate(schemas.getClaimableRevenue), ContractController.getClaimableRevenue);
+
+/**
+ * GET /api/tokenizer/holders
+ * IPT cap table, current or at ?block= / ?at= (JSON or CSV)
+ */
+router.get('/tokenizer/holders', validate(schemas.getIPTHolders), HolderController.getHolders);
+
+/**
+ * GET /api/tokenizer/proposals
+ * Get all governance proposals
+ */
+router.get('/tokenizer/proposals', validate(schemas.getTokenizerProposals), ContractController.getProposals);
+
+/**
+ * GET /api/tokenizer/proposals/:proposalId
+ * Get specific governance proposal
+ */
+router.get('/tokenizer/proposals/:proposalId', validate(schemas.getTokenizerProposal), ContractController.getProposal);
+
+// ============================================
+// Governance Routes
+// ============================================
+
+/**
+ * GET /api/governance/proposals
+ * Proposal lifecycle with quorum progress and estimated end time (filter by state)
+ */
+router.get('/governance/proposals', validate(schemas.listGovernanceProposals), GovernanceController.getProposals);
+
+/**
+ * GET /api/governance/proposals/:proposalId
+ * Proposal lifecycle with per-voter records
+ */
+router.get(
+    '/governance/proposals/:proposalId',
+    validate(schemas.getGovernanceProposal),
+    GovernanceController.getProposal
+);
+
+// ============================================
+// Transaction Builder Routes
+// ============================================
+
+/**
+ * GET /api/tx
+ * List actions that can be prepared as unsigned transactions
+ */
+router.get('/tx', validate(schemas.listTransactionActions), TransactionController.listActions);
+
+/**
+ * POST /api/tx/:action
+ * Simulate and build an unsigned transaction for a wallet to sign
+ */
+router.post('/tx/:action', validate(schemas.buildTransaction), TransactionController.buildTransaction);
+
+// ============================================
+// Report Routes
+// ============================================
+
+/**
+ * GET /api/reports/distributions
+ * Royalty distribution compliance report (JSON, CSV or PDF)
+ */
+router.get(
+    '/reports/distributions',
+    requireRole('admin', 'distributor-owner'),
+    validate(schemas.getDistributionReport),
+    ReportController.getDistributionReport
+);
+
+/**
+ * GET /api/reports/statements/:beneficiary
+ * Annual royalty statement for a beneficiary (JSON, CSV or PDF)
+ */
+router.get(
+    '/reports/statements/:beneficiary',
+    requireSelfOrRole('beneficiary', 'admin', 'distributor-owner'),
+    validate(schemas.getBeneficiaryStatement),
+    ReportController.getBeneficiaryStatement
+);
+
+// ============================================
+// Analytics Routes (admin or distributor owner)
+// ============================================
+
+const analyticsAccess = requireRole('admin', 'distributor-owner');
+
+/**
+ * GET /api/analytics/royalties/received
+ * Royalties received per IP-NFT per day/week/month (JSON or CSV)
+ */
+router.get(
+    '/analytics/royalties/received',
+    analyticsAccess,
+    validate(schemas.getRoyaltiesReceived),
+    AnalyticsController.getRoyaltiesReceived
+);
+
+/**
+ * GET /api/analytics/royalties/senders
+ * Top paying senders (licensees) (JSON or CSV)
+ */
+router.get(
+    '/analytics/royalties/senders',
+    analyticsAccess,
+    validate(schemas.getTopSenders),
+    AnalyticsController.getTopSenders
+);
+
+/**
+ * GET /api/analytics/royalties/withdrawals
+ * Withdrawal velocity per beneficiary (JSON or CSV)
+ */
+router.get(
+    '/analytics/royalties/withdrawals',
+    analyticsAccess,
+    validate(schemas.getWithdrawalVelocity),
+    AnalyticsController.getWithdrawalVelocity
+);
+
+/**
+ * GET /api/analytics/royalties/balances
+ * Pending vs distributed royalties over time (JSON or CSV)
+ */
+router.get(
+    '/analytics/royalties/balances',
+    analyticsAccess,
+    validate(schemas.getPoolBalances),
+    AnalyticsController.getPoolBalances
+);
+
+/**
+ * GET /api/analytics/royalties/per-acre
+ * Revenue per licensed acre per IP-NFT (JSON or CSV)
+ */
+router.get(
+    '/analytics/royalties/per-acre',
+    analyticsAccess,
+    validate(schemas.getRevenuePerAcre),
+    AnalyticsController.getRevenuePerAcre
+);
+
+// ============================================
+// Reconciliation Routes (admin or distributor owner)
+// ============================================
+
+const reconciliationAccess = requireRole('admin', 'distributor-owner');
+
+/**
+ * GET /api/reconciliation
+ * Latest accounting reconciliation and earlier runs
+ */
+router.get(
+    '/reconciliation',
+    reconciliationAccess,
+    validate(schemas.getAccountingReconciliation),
+    ReconciliationController.getAccountingReconciliation
+);
+
+/**
+ * GET /api/reconciliation/:id
+ * Reconciliation run with its pool and tokenizer ledgers
+ */
+router.get(
+    '/reconciliation/:id',
+    reconciliationAccess,
+    validate(schemas.getAccountingReconciliationRun),
+    ReconciliationController.getAccountingReconciliationRun
+);
+
+// ============================================
+// Licensing Routes (admin or licensing role; distributor owner may read)
+// ============================================
+
+const licensingAccess = requireRole('admin', 'licensing');
+const licensingReadAccess = requireRole('admin', 'licensing', 'distributor-owner');
+
+/**
+ * POST /api/licensing/agreements
+ * Register a licensing agreement
+ */
+router.post(
+    '/licensing/agreements',
+    licensingAccess,
+    validate(schemas.createAgreement),
+    LicensingController.createAgreement
+);
+
+/**
+ * GET /api/licensing/agreements
+ * List licensing agreements (filter by tokenId, wallet, status)
+ */
+router.get(
+    '/licensing/agreements',
+    licensingReadAccess,
+    validate(schemas.listAgreements),
+    LicensingController.listAgreements
+);
+
+/**
+ * GET /api/licensing/agreements/:id
+ * Get an agreement with its reconciled payment schedule
+ */
+router.get(
+    '/licensing/agreements/:id',
+    licensingReadAccess,
+    validate(schemas.getAgreement),
+    LicensingController.getAgreement
+);
+
+/**
+ * PATCH /api/licensing/agreements/:id
+ * Update an active agreement
+ */
+router.patch(
+    '/licensing/agreements/:id',
+    licensingAccess,
+    validate(schemas.updateAgreement),
+    LicensingController.updateAgreement
+);
+
+/**
+ * POST /api/licensing/agreements/:id/terminate
+ * Terminate an agreement
+ */
+router.post(
+    '/licensing/agreements/:id/terminate',
+    licensingAccess,
+    validate(schemas.terminateAgreement),
+    LicensingController.terminateAgreement
+);
+
+/**
+ * GET /api/licensing/reconciliation
+ * Match royalty payments to agreements; flag underpaid, overdue, unknown-sender and acreage mismatches
+ */
+router.get(
+    '/licensing/reconciliation',
+    licensingReadAccess,
+    validate(schemas.getReconciliation),
+    LicensingController.getReconciliation
+);
+
+// ============================================
+// Event Stream Routes
+// ============================================
+
+/**
+ * GET /api/events/stream
+ * Live contract events as Server-Sent Events, resumable via Last-Event-ID
+ */
+router.get('/events/stream', validate(schemas.streamEvents), EventController.streamEvents);
+
+// ============================================
+// Webhook Routes (admin or distributor owner)
+// ============================================
+
+const webhookAccess = requireRole('admin', 'distributor-owner');
+
+/**
+ * POST /api/webhooks
+ * Subscribe an endpoint to contract events
+ */
+router.post('/webhooks', webhookAccess, validate(schemas.createSubscription), WebhookController.createSubscription);
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions
+ */
+router.get('/webhooks', webhookAccess, validate(schemas.listSubscriptions), WebhookController.listSubscriptions);
+
+/**
+ * GET /api/webhooks/dead-letters
+ * Deliveries that exhausted their retries
+ */
+router.get(
+    '/webhooks/dead-letters',
+    webhookAccess,
+    validate(schemas.listDeadLetters),
+    WebhookController.listDeadLetters
+);
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Re-send a single delivery
+ */
+router.post(
+    '/webhooks/deliveries/:deliveryId/replay',
+    webhookAccess,
+    validate(schemas.replayDelivery),
+    WebhookController.replayDelivery
+);
+
+/**
+ * GET /api/webhooks/:id
+ * Get webhook subscription with delivery counts
+ */
+router.get('/webhooks/:id', webhookAccess, validate(schemas.getSubscription), WebhookController.getSubscription);
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove webhook subscription
+ */
+router.delete(
+    '/webhooks/:id',
+    webhookAccess,
+    validate(schemas.deleteSubscription),
+    WebhookController.deleteSubscription
+);
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log for a subscription
+ */
+router.get(
+    '/webhooks/:id/deliveries',
+    webhookAccess,
+    validate(schemas.listDeliveries),
+    WebhookController.listDeliveries
+);
+
+/**
+ * POST /api/webhooks/:id/replay
+ * Re-send indexed events from a block range
+ */
+router.post(
+    '/webhooks/:id/replay',
+    webhookAccess,
+    validate(schemas.replaySubscription),
+    WebhookController.replaySubscription
+);
+
+// ============================================
+// Auth Routes
+// ============================================
+
+/**
+ * GET /api/auth/nonce
+ * Get a single-use nonce for a Sign-In with Ethereum message
+ */
+router.get('/auth/nonce', validate(schemas.getNonce), AuthController.getNonce);
+
+/**
+ * POST /api/auth/verify
+ * Verify a signed SIWE message and open a session
+ */
+router.post('/auth/verify', validate(schemas.verifySignIn), AuthController.verify);
+
+/**
+ * GET /api/auth/session
+ * Current session or API key with its roles
+ */
+router.get('/auth/session', requireAuth, validate(schemas.getSession), AuthController.getSession);
+
+/**
+ * POST /api/auth/api-keys
+ * Create an API key for a machine client (admin)
+ */
+router.post('/auth/api-keys', requireRole('admin'), validate(schemas.createApiKey), AuthController.createApiKey);
+
+/**
+ * GET /api/auth/api-keys
+ * List API keys (admin)
+ */
+router.get('/auth/api-keys', requireRole('admin'), validate(schemas.listApiKeys), AuthController.listApiKeys);
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revoke an API key (admin)
+ */
+router.delete('/auth/api-keys/:id', requireRole('admin'), validate(schemas.revokeApiKey), AuthController.revokeApiKey);
+
+// ============================================
+// Admin Routes (on-chain admin roles or scoped API keys)
+// ============================================
+
+const adminAccess = requireRole('admin', 'minter', 'licensing', 'distributor-owner');
+
+/**
+ * GET /api/admin/operations
+ * List admin operations, their parameters and required roles
+ */
+router.get(
+    '/admin/operations',
+    adminAccess,
+    validate(schemas.listAdminOperations),
+    ContractController.listAdminOperations
+);
+
+/**
+ * POST /api/admin/operations/:operation
+ * Dry-run and submit an admin operation ({ dryRun: true } only simulates)
+ */
+router.post(
+    '/admin/operations/:operation',
+    adminAccess,
+    validate(schemas.runAdminOperation),
+    ContractController.runAdminOperation
+);
+
+/**
+ * GET /api/admin/writes
+ * List admin writes with their status
+ */
+router.get('/admin/writes', adminAccess, validate(schemas.listAdminWrites), ContractController.listAdminWrites);
+
+/**
+ * GET /api/admin/writes/:id
+ * Get an admin write and its transactions
+ */
+router.get('/admin/writes/:id', adminAccess, validate(schemas.getAdminWrite), ContractController.getAdminWrite);
+
+/**
+ * GET /api/admin/audit
+ * Get the append-only admin audit log
+ */
+router.get('/admin/audit', adminAccess, validate(schemas.getAuditLog), ContractController.getAuditLog);
+
+// ============================================
+// Documentation Routes
+// ============================================
+
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3 document generated from the route schemas
+ */
+router.get('/openapi.json', validate(schemas.getOpenApiDocument), DocsController.getOpenApiDocument);
+
+/**
+ * GET /api/docs
+ * Interactive API documentation (Swagger UI)
+ */
+router.get('/docs', validate(schemas.getApiDocs), DocsController.getApiDocs);
 
 // ============================================
 // Health & Info Routes
@@ -56,20 +546,61 @@ router.get('/royalties/:tokenId', ContractController.getRoyaltyInfo);
  * GET /api/
  * API welcome message
  */
-router.get('/', (req, res) => {
+router.get('/', validate(schemas.getApiInfo), (req, res) => {
     res.json({
         message: 'Kasplex Agricultural IP Tokenization API',
         version: '1.0.0',
-        network: 'Kasplex Testnet',
+        network: network.name,
         endpoints: {
             network: '/api/network',
             contracts: '/api/contracts',
             status: '/api/status',
             allIPNFTs: '/api/ipnfts',
             ipnft: '/api/ipnft/:tokenId',
-            royalties: '/api/royalties/:tokenId'
+            metadataSchema: '/api/schemas/agricultural-strain',
+            royalties: '/api/royalties/:tokenId',
+            royaltySimulator: '/api/royalties/:tokenId/simulate',
+            beneficiaryPortfolio: '/api/beneficiaries/:address',
+            tokenizer: '/api/tokenizer',
+            claimableRevenue: '/api/tokenizer/revenue/:holder',
+            iptHolders: '/api/tokenizer/holders',
+            proposals: '/api/tokenizer/proposals',
+            proposal: '/api/tokenizer/proposals/:proposalId',
+            governanceProposals: '/api/governance/proposals',
+            governanceProposal: '/api/governance/proposals/:proposalId',
+            transactionActions: '/api/tx',
+            buildTransaction: '/api/tx/:action',
+            distributionReport: '/api/reports/distributions',
+            beneficiaryStatement: '/api/reports/statements/:beneficiary',
+            royaltiesReceived: '/api/analytics/royalties/received',
+            royaltySenders: '/api/analytics/royalties/senders',
+            royaltyWithdrawals: '/api/analytics/royalties/withdrawals',
+            royaltyBalances: '/api/analytics/royalties/balances',
+            revenuePerAcre: '/api/analytics/royalties/per-acre',
+            reconciliation: '/api/reconciliation',
+            reconciliationRun: '/api/reconciliation/:id',
+            licensingAgreements: '/api/licensing/agreements',
+            licensingAgreement: '/api/licensing/agreements/:id',
+            terminateLicensingAgreement: '/api/licensing/agreements/:id/terminate',
+            licensingReconciliation: '/api/licensing/reconciliation',
+            eventStream: '/api/events/stream',
+            webhooks: '/api/webhooks',
+            webhook: '/api/webhooks/:id',
+            webhookDeliveries: '/api/webhooks/:id/deliveries',
+            webhookDeadLetters: '/api/webhooks/dead-letters',
+            authNonce: '/api/auth/nonce',
+            authVerify: '/api/auth/verify',
+            authSession: '/api/auth/session',
+            apiKeys: '/api/auth/api-keys',
+            adminOperations: '/api/admin/operations',
+            runAdminOperation: '/api/admin/operations/:operation',
+            adminWrites: '/api/admin/writes',
+            adminWrite: '/api/admin/writes/:id',
+            auditLog: '/api/admin/audit',
+            openApi: '/api/openapi.json',
+            apiDocs: '/api/docs'
         },
-        documentation: 'See README.md for full API documentation'
+        documentation: 'See /api/docs or README.md for full API documentation'
     });
 });
 
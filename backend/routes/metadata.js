@@ -0,0 +1,31 @@
+/**
+ * Metadata Routes
+ * ERC-721 metadata host for the collection's base URI (mounted at /metadata)
+ */
+
+const express = require('express');
+const MetadataController = require('../controllers/MetadataController');
+const { validate } = require('../middleware/validate');
+const schemas = require('./schemas');
+
+const router = express.Router();
+
+/**
+ * GET /metadata/contract.json
+ * Collection-level metadata (contractURI) with ERC-2981 royalty settings
+ */
+router.get('/contract.json', validate(schemas.getContractMetadata), MetadataController.getContractMetadata);
+
+/**
+ * GET /metadata/:tokenId/image.svg
+ * Generated SVG badge for an IP-NFT
+ */
+router.get('/:tokenId/image.svg', validate(schemas.getTokenImage), MetadataController.getTokenImage);
+
+/**
+ * GET /metadata/:tokenId
+ * ERC-721 metadata JSON for an IP-NFT (tokenURI = baseURI + tokenId)
+ */
+router.get('/:tokenId', validate(schemas.getTokenMetadata), MetadataController.getTokenMetadata);
+
+module.exports = router;
@@ -0,0 +1,475 @@
+/**
+ * Route Schemas
+ * Request schemas for every API route, checked by the validate middleware and
+ * published in the OpenAPI document. Controllers keep their own checks for
+ * rules that depend on configuration or chain state.
+ */
+
+const ContractModel = require('../models/ContractModel');
+const holderLedger = require('../services/holderLedger');
+const governanceService = require('../services/governanceService');
+const licensingService = require('../services/licensingService');
+const authService = require('../services/authService');
+const reconciliationService = require('../services/reconciliationService');
+const { BUCKETS } = require('../utils/timeBuckets');
+
+const ORDERS = ['asc', 'desc'];
+
+const uint256 = (description) => ({ type: 'string', format: 'uint256', description });
+const address = (description) => ({ type: 'string', format: 'address', description });
+const isoDate = (description) => ({ type: 'string', format: 'iso-date', description });
+const objectId = (description) => ({ type: 'string', format: 'object-id', description });
+const text = (description) => ({ type: 'string', description });
+const flag = (description) => ({ type: 'boolean', description });
+const oneOf = (values, description) => ({ type: 'string', enum: values, description });
+const integer = (description, minimum = 0, maximum = null) => (maximum === null
+    ? { type: 'integer', minimum, description }
+    : { type: 'integer', minimum, maximum, description });
+
+// uint256 values in JSON bodies may be sent as decimal strings or as numbers
+const uintValue = (description) => ({ type: ['string', 'integer'], format: 'uint256', minimum: 0, description });
+const positiveUintValue = (description) => ({ ...uintValue(description), format: 'positive-uint256', minimum: 1 });
+const bpsValue = (description) => ({ ...uintValue(description), format: 'bps', maximum: 10000 });
+
+const params = (properties) => ({ type: 'object', properties, required: Object.keys(properties) });
+const query = (properties) => ({ type: 'object', properties });
+const body = (properties, required = []) => ({ type: 'object', properties, required });
+
+const tokenIdParam = params({ tokenId: uint256('IP-NFT token ID') });
+const proposalIdParam = params({ proposalId: uint256('Proposal ID') });
+
+const analyticsQuery = (extra = {}) => query({
+    tokenId: uint256('IP-NFT token ID'),
+    bucket: oneOf(BUCKETS, 'Bucket size (default day)'),
+    timeZone: text('IANA time zone for bucket boundaries, e.g. Europe/Berlin (default UTC)'),
+    from: isoDate('Start of the period'),
+    to: isoDate('End of the period; a date without a time includes that whole day'),
+    format: oneOf(['json', 'csv'], 'Response format (default json)'),
+    ...extra
+});
+
+const agreementProperties = {
+    licensee: {
+        type: 'object',
+        properties: { name: text('Licensee name'), contact: text('Contact details') }
+    },
+    wallet: address('Wallet the licensee pays royalties from'),
+    tokenId: uintValue('Licensed IP-NFT'),
+    acres: uintValue('Licensed acres'),
+    territory: text('Territory'),
+    cropSeason: text('Crop season'),
+    feeSchedule: {
+        type: 'object',
+        properties: {
+            basis: oneOf(['flat', 'per-acre'], 'Fee basis'),
+            amountWei: uintValue('Fee per installment, or per acre per installment, in wei'),
+            frequency: oneOf(licensingService.frequencies, 'Installment frequency'),
+            graceDays: integer('Days after the due date before an installment is overdue', 0, 365)
+        }
+    },
+    term: {
+        type: 'object',
+        properties: { startsAt: isoDate('Start of the term'), endsAt: isoDate('End of the term') }
+    }
+};
+
+const webhookId = params({ id: objectId('Subscription ID') });
+
+/**
+ * Set operationId and tag on each spec of a section
+ */
+function section(tag, specs) {
+    return Object.fromEntries(Object.entries(specs).map(([operationId, spec]) => [
+        operationId,
+        { operationId, tag, ...spec }
+    ]));
+}
+
+module.exports = {
+    ...section('Contracts', {
+        getNetworkInfo: { summary: 'Kasplex network information' },
+        getContractAddresses: { summary: 'Deployed contract addresses' },
+        getMonitoringStatus: { summary: 'Event monitor, stream and read cache status' },
+        getIPNFTs: {
+            summary: 'IP-NFT catalogue, filterable, sortable and paginated',
+            query: query({
+                cropSpecies: text('Filter by crop species'),
+                bacterialStrain: text('Filter by bacterial strain'),
+                regulatoryStatus: text('Filter by regulatory status'),
+                researchInstitution: text('Filter by research institution'),
+                owner: address('Filter by owner'),
+                sort: oneOf(ContractModel.catalogueSortKeys, 'Sort key (default tokenId)'),
+                order: oneOf(ORDERS, 'Sort order (default asc)'),
+                limit: integer('Page size (default 20)', 1, 100),
+                offset: integer('Items to skip (default 0)'),
+                cursor: text('Keyset cursor from a previous page (nextCursor)')
+            })
+        },
+        getIPNFT: {
+            summary: 'IP-NFT metadata',
+            params: tokenIdParam,
+            query: query({ resolve: flag('Include the verified off-chain metadata document') }),
+            notFound: true
+        },
+        getMetadataSchema: { summary: 'JSON schema for off-chain IP-NFT metadata documents' },
+        getRoyaltyInfo: {
+            summary: 'Royalty pool of an IP-NFT',
+            params: tokenIdParam,
+            notFound: true
+        },
+        simulateRoyalties: {
+            summary: 'Split a royalty payment with the current or a hypothetical beneficiary set',
+            params: tokenIdParam,
+            body: body({
+                amountWei: positiveUintValue('Incoming payment in wei'),
+                beneficiaries: {
+                    type: 'array',
+                    maxItems: 50,
+                    uniqueBy: 'address',
+                    items: body({
+                        address: address('Beneficiary'),
+                        shareBps: bpsValue('Share in basis points'),
+                        isActive: flag('Whether the entry is active (default true)')
+                    }, ['address', 'shareBps']),
+                    description: 'Hypothetical beneficiary set, each address listed once; current beneficiaries left out are treated as removed'
+                }
+            }, ['amountWei']),
+            notFound: true
+        },
+        getBeneficiaryPortfolio: {
+            summary: 'Royalty portfolio of a beneficiary across all pools',
+            params: params({ address: address('Beneficiary address') })
+        }
+    }),
+
+    ...section('Tokenizer', {
+        getTokenizerInfo: { summary: 'Fractional token (IPT) information' },
+        getClaimableRevenue: {
+            summary: 'Claimable revenue of an IPT holder',
+            params: params({ holder: address('IPT holder') })
+        },
+        getIPTHolders: {
+            summary: 'IPT cap table, current or at a block or date (JSON or CSV)',
+            query: query({
+                block: integer('Snapshot block'),
+                at: isoDate('Snapshot at the last block mined at or before this date'),
+                sort: oneOf(holderLedger.sortKeys, 'Sort key (default balance)'),
+                order: oneOf(ORDERS, 'Sort order (default desc by balance, asc by address)'),
+                limit: integer('Page size (default 50)', 1, 500),
+                offset: integer('Holders to skip (default 0)'),
+                format: oneOf(['json', 'csv'], 'Response format; CSV exports every holder'),
+                verify: flag('Compare with on-chain balanceOf and voting checkpoints')
+            }),
+            formats: ['json', 'csv']
+        },
+        getTokenizerProposals: { summary: 'All governance proposals' },
+        getTokenizerProposal: {
+            summary: 'Governance proposal',
+            params: proposalIdParam,
+            notFound: true
+        }
+    }),
+
+    ...section('Governance', {
+        listGovernanceProposals: {
+            summary: 'Proposal lifecycle with quorum progress and estimated end time',
+            query: query({ state: oneOf(governanceService.states, 'Only proposals in this state') })
+        },
+        getGovernanceProposal: {
+            summary: 'Proposal lifecycle with per-voter records',
+            params: proposalIdParam,
+            notFound: true
+        }
+    }),
+
+    ...section('Transactions', {
+        listTransactionActions: { summary: 'Actions that can be prepared as unsigned transactions' },
+        buildTransaction: {
+            summary: 'Simulate and build an unsigned transaction for a wallet to sign',
+            description: 'The body holds the sender and the action parameters listed by GET /api/tx.',
+            params: params({ action: text('Action, e.g. withdraw-royalties (see GET /api/tx)') }),
+            body: body({
+                from: address('Wallet that will sign the transaction'),
+                tokenId: uintValue('IP-NFT token ID'),
+                tokenIds: { type: 'array', items: uintValue('IP-NFT token ID'), description: 'IP-NFT token IDs' },
+                value: uintValue('Payment in wei'),
+                proposalId: uintValue('Proposal ID'),
+                support: flag('true to vote for, false to vote against')
+            }, ['from']),
+            notFound: true
+        }
+    }),
+
+    ...section('Reports', {
+        getDistributionReport: {
+            summary: 'Royalty distribution compliance report (JSON, CSV or PDF)',
+            query: query({
+                tokenId: uint256('IP-NFT token ID'),
+                beneficiary: address('Beneficiary'),
+                from: isoDate('Start of the period'),
+                to: isoDate('End of the period; a date without a time includes that whole day'),
+                format: oneOf(['json', 'csv', 'pdf'], 'Response format (default json)')
+            }),
+            formats: ['json', 'csv', 'pdf']
+        },
+        getBeneficiaryStatement: {
+            summary: 'Annual royalty statement for a beneficiary (JSON, CSV or PDF)',
+            params: params({ beneficiary: address('Beneficiary') }),
+            query: query({
+                year: { type: 'string', pattern: '^\\d{4}$', description: 'Year (default current year)' },
+                format: oneOf(['json', 'csv', 'pdf'], 'Response format (default json)')
+            }),
+            formats: ['json', 'csv', 'pdf']
+        }
+    }),
+
+    ...section('Analytics', {
+        getRoyaltiesReceived: {
+            summary: 'Royalties received per IP-NFT per bucket (JSON or CSV)',
+            query: analyticsQuery(),
+            formats: ['json', 'csv']
+        },
+        getTopSenders: {
+            summary: 'Top paying senders (JSON or CSV)',
+            query: analyticsQuery({ limit: integer('Number of senders (default 10)', 1, 100) }),
+            formats: ['json', 'csv']
+        },
+        getWithdrawalVelocity: {
+            summary: 'Withdrawal velocity per beneficiary (JSON or CSV)',
+            query: analyticsQuery({ beneficiary: address('Only this beneficiary') }),
+            formats: ['json', 'csv']
+        },
+        getPoolBalances: {
+            summary: 'Pending vs distributed royalties over time (JSON or CSV)',
+            query: analyticsQuery(),
+            formats: ['json', 'csv']
+        },
+        getRevenuePerAcre: {
+            summary: 'Revenue per licensed acre per IP-NFT (JSON or CSV)',
+            query: analyticsQuery(),
+            formats: ['json', 'csv']
+        }
+    }),
+
+    ...section('Reconciliation', {
+        getAccountingReconciliation: {
+            summary: 'Latest accounting reconciliation and earlier runs',
+            query: query({
+                status: oneOf(reconciliationService.statuses, 'Run status'),
+                before: isoDate('Only runs before this date'),
+                limit: integer('Number of runs (default 20)', 1, 200)
+            })
+        },
+        getAccountingReconciliationRun: {
+            summary: 'Reconciliation run with its pool and tokenizer ledgers',
+            params: params({ id: objectId('Run ID') }),
+            notFound: true
+        }
+    }),
+
+    ...section('Licensing', {
+        createAgreement: {
+            summary: 'Register a licensing agreement',
+            body: body(agreementProperties, ['licensee', 'wallet', 'tokenId', 'acres', 'territory', 'feeSchedule', 'term']),
+            status: 201
+        },
+        listAgreements: {
+            summary: 'List licensing agreements',
+            query: query({
+                tokenId: uint256('IP-NFT token ID'),
+                wallet: address('Licensee wallet'),
+                status: oneOf(['active', 'terminated'], 'Agreement status')
+            })
+        },
+        getAgreement: {
+            summary: 'Agreement with its reconciled payment schedule',
+            params: params({ id: objectId('Agreement ID') }),
+            query: query({ at: isoDate('Reference time (default now)') }),
+            notFound: true
+        },
+        updateAgreement: {
+            summary: 'Update an active agreement; omitted fields keep their values',
+            params: params({ id: objectId('Agreement ID') }),
+            body: body(agreementProperties),
+            notFound: true
+        },
+        terminateAgreement: {
+            summary: 'Terminate an agreement',
+            params: params({ id: objectId('Agreement ID') }),
+            body: body({ terminatedAt: isoDate('Termination time (default now)') }),
+            notFound: true
+        },
+        getReconciliation: {
+            summary: 'Match royalty payments to agreements and flag discrepancies',
+            query: query({
+                tokenId: uint256('IP-NFT token ID'),
+                at: isoDate('Reference time (default now)')
+            })
+        }
+    }),
+
+    ...section('Events', {
+        streamEvents: {
+            summary: 'Live contract events as Server-Sent Events, resumable via Last-Event-ID',
+            query: query({
+                contract: text('Comma-separated contracts: ipnft, distributor, tokenizer'),
+                event: text('Comma-separated event or signal types'),
+                tokenId: { type: 'string', pattern: '^[\\d\\s,]*$', description: 'Comma-separated IP-NFT token IDs' },
+                fromBlock: integer('Replay indexed events from this block'),
+                lastEventId: text('Resume after this event (the Last-Event-ID header takes precedence)')
+            }),
+            formats: ['event-stream']
+        }
+    }),
+
+    ...section('Webhooks', {
+        createSubscription: {
+            summary: 'Subscribe an endpoint to contract events',
+            body: body({
+                url: text('http or https endpoint'),
+                description: text('Description'),
+                events: { type: 'array', items: { type: 'string' }, description: 'Event types (default all)' },
+                tokenIds: { type: 'array', items: uintValue('IP-NFT token ID'), description: 'IP-NFT token IDs (default all)' },
+                addresses: { type: 'array', items: address('Address'), description: 'Addresses (default all)' }
+            }, ['url']),
+            status: 201
+        },
+        listSubscriptions: { summary: 'List webhook subscriptions' },
+        listDeadLetters: { summary: 'Deliveries that exhausted their retries' },
+        replayDelivery: {
+            summary: 'Re-send a single delivery',
+            params: params({ deliveryId: objectId('Delivery ID') }),
+            notFound: true
+        },
+        getSubscription: {
+            summary: 'Webhook subscription with delivery counts',
+            params: webhookId,
+            notFound: true
+        },
+        deleteSubscription: {
+            summary: 'Remove a webhook subscription',
+            params: webhookId,
+            notFound: true
+        },
+        listDeliveries: {
+            summary: 'Delivery log for a subscription',
+            params: webhookId,
+            query: query({
+                status: oneOf(['pending', 'failed', 'delivered', 'dead', 'canceled'], 'Delivery status'),
+                limit: integer('Number of deliveries (default 50)', 1, 200)
+            })
+        },
+        replaySubscription: {
+            summary: 'Re-send indexed events from a block range',
+            params: webhookId,
+            body: body({
+                fromBlock: integer('First block'),
+                toBlock: { type: ['integer', 'null'], minimum: 0, description: 'Last block (default latest indexed)' }
+            }, ['fromBlock']),
+            status: 202,
+            notFound: true
+        }
+    }),
+
+    ...section('Auth', {
+        getNonce: { summary: 'Single-use nonce for a Sign-In with Ethereum message' },
+        verifySignIn: {
+            summary: 'Verify a signed SIWE message and open a session',
+            body: body({
+                message: text('EIP-4361 message'),
+                signature: { type: 'string', pattern: '^0x[0-9a-fA-F]+$', description: 'Signature of the message' }
+            }, ['message', 'signature'])
+        },
+        getSession: { summary: 'Current session or API key with its roles' },
+        createApiKey: {
+            summary: 'Create an API key for a machine client',
+            body: body({
+                name: text('Key name'),
+                roles: { type: 'array', items: oneOf(authService.roles), description: 'Roles granted to the key' },
+                rateLimit: { type: ['integer', 'null'], minimum: 1, description: 'Requests per window (default RATE_LIMIT_API_KEY_MAX)' }
+            }, ['name']),
+            status: 201
+        },
+        listApiKeys: { summary: 'List API keys' },
+        revokeApiKey: {
+            summary: 'Revoke an API key',
+            params: params({ id: objectId('API key ID') }),
+            status: 204,
+            notFound: true
+        }
+    }),
+
+    ...section('Admin', {
+        listAdminOperations: { summary: 'Admin operations, their parameters and required roles' },
+        runAdminOperation: {
+            summary: 'Dry-run and submit an admin operation',
+            description: 'The body holds the operation parameters listed by GET /api/admin/operations; '
+                + '{ "dryRun": true } only simulates.',
+            params: params({ operation: text('Operation, e.g. mint-ipnft (see GET /api/admin/operations)') }),
+            body: body({
+                dryRun: flag('Only simulate the operation'),
+                tokenId: uintValue('IP-NFT token ID'),
+                acres: uintValue('Licensed acres'),
+                royaltyBps: uintValue('Royalty in basis points'),
+                shareBps: uintValue('Share in basis points'),
+                to: address('Owner address'),
+                royaltyReceiver: address('Royalty receiver'),
+                receiver: address('Royalty receiver'),
+                fractionalizer: address('Tokenizer contract address'),
+                beneficiary: address('Beneficiary address'),
+                reassignTo: address('Beneficiary that receives a removed share'),
+                beneficiaries: {
+                    type: 'array',
+                    items: body({ address: address('Beneficiary'), shareBps: uintValue('Share in basis points') }),
+                    description: 'Pool beneficiaries and their shares'
+                }
+            }),
+            status: 202,
+            notFound: true
+        },
+        listAdminWrites: {
+            summary: 'Admin writes with their status',
+            query: query({
+                status: oneOf(['pending', 'confirmed', 'failed', 'partially-failed'], 'Write status'),
+                operation: text('Operation'),
+                limit: integer('Number of writes (default 50)', 1, 200)
+            })
+        },
+        getAdminWrite: {
+            summary: 'Admin write and its transactions',
+            params: params({ id: objectId('Write ID') }),
+            notFound: true
+        },
+        getAuditLog: {
+            summary: 'Append-only admin audit log',
+            query: query({
+                operation: text('Operation'),
+                action: text('Audit action'),
+                write: objectId('Write ID'),
+                before: isoDate('Only entries before this date'),
+                limit: integer('Number of entries (default 50)', 1, 200)
+            })
+        }
+    }),
+
+    ...section('Info', {
+        getApiInfo: { summary: 'API welcome message and endpoint list' },
+        getOpenApiDocument: { summary: 'This OpenAPI 3 document' },
+        getApiDocs: { summary: 'Interactive API documentation', formats: ['html'] }
+    }),
+
+    ...section('Metadata', {
+        getContractMetadata: { summary: 'Collection-level metadata (contractURI) with ERC-2981 royalty settings' },
+        getTokenImage: {
+            summary: 'Generated SVG badge for an IP-NFT',
+            params: tokenIdParam,
+            formats: ['svg'],
+            notFound: true
+        },
+        getTokenMetadata: {
+            summary: 'ERC-721 metadata JSON for an IP-NFT',
+            params: tokenIdParam,
+            notFound: true
+        }
+    })
+};
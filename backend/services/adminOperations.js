@@ -0,0 +1,803 @@
+/**
+ * Admin Operations Service
+ * Validates, dry-runs, signs and tracks admin writes to the IP-NFT and
+ * royalty distributor contracts. Every request and state change is written
+ * to the append-only audit log.
+ *
+ * Writes are sent one at a time from the admin signer so nonces never collide,
+ * and move from pending to confirmed, or to failed. A multi-transaction write
+ * that fails after an earlier transaction was mined is partially-failed, and
+ * records the operation that restores a consistent state.
+ */
+
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const ContractModel = require('../models/ContractModel');
+const AdminWrite = require('../models/AdminWrite');
+const AuditLogEntry = require('../models/AuditLogEntry');
+const adminSigner = require('./adminSigner');
+const contractRegistry = require('./contractRegistry');
+const { decodeRevert } = require('../utils/revertDecoder');
+const logger = require('../utils/logger');
+
+const CONTRACTS = {
+    ipnft: { key: 'ipnft', name: 'IP-NFT contract' },
+    distributor: { key: 'royaltyDistributor', name: 'Royalty distributor' }
+};
+
+const BPS_DENOMINATOR = 10000n;
+const MAX_ROYALTY_BPS = 1000n;
+const MAX_BENEFICIARIES = 50;
+const GAS_LIMIT_BUFFER_PERCENT = 20n;
+
+const isUint = (value) => /^\d+$/.test(String(value));
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Integers are stored and reported as decimal strings
+ */
+const serialize = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(serialize);
+    }
+    return typeof value === 'bigint' ? value.toString() : value;
+};
+
+function parseTokenId(tokenId) {
+    return isUint(tokenId) ? null : 'tokenId must be a non-negative integer';
+}
+
+function parseAddress(value, name) {
+    return ethers.isAddress(value) ? null : `${name} must be a valid address`;
+}
+
+function parseRoyaltyBps(value, name) {
+    return isUint(value) && BigInt(value) <= MAX_ROYALTY_BPS
+        ? null
+        : `${name} must be an integer from 0 to ${MAX_ROYALTY_BPS}`;
+}
+
+/**
+ * Active beneficiaries of a pool as { address, shareBps }, or null if it does not exist
+ */
+async function readPool(tokenId) {
+    const distributor = contractRegistry.getContract('royaltyDistributor', ContractModel.getProvider());
+
+    if (!await distributor.poolExists(tokenId)) {
+        return null;
+    }
+
+    const [addresses, shares, active] = await distributor.getBeneficiaries(tokenId);
+    return addresses
+        .map((address, index) => ({ address, shareBps: shares[index], isActive: active[index] }))
+        .filter((beneficiary) => beneficiary.isActive);
+}
+
+const findBeneficiary = (pool, address) => pool.find(
+    (beneficiary) => beneficiary.address.toLowerCase() === address.toLowerCase()
+);
+
+const totalShares = (pool) => pool.reduce((total, beneficiary) => total + beneficiary.shareBps, 0n);
+
+const sharesError = (total) => `Shares would total ${total} bps, expected ${BPS_DENOMINATOR}`;
+
+/**
+ * Supported operations. parse() returns { error } or { args };
+ * plan(), when present, checks chain state and returns { error } or { calls }.
+ * compensate(), when present, reads the state left by a partial failure and
+ * returns { error } or the { operation, params } that completes it.
+ */
+const OPERATIONS = {
+    'mint-ipnft': {
+        contract: 'ipnft',
+        method: 'mintIPNFT',
+        roles: ['admin', 'minter'],
+        description: 'Mint an IP-NFT for an approved strain',
+        params: {
+            to: 'Owner address',
+            cropSpecies: 'Crop species',
+            bacterialStrain: 'Bacterial strain',
+            regulatoryStatus: 'Regulatory status (optional)',
+            researchInstitution: 'Research institution (optional)',
+            metadataURI: 'Metadata URI',
+            royaltyReceiver: 'Royalty receiver (defaults to the owner)',
+            royaltyBps: `Royalty in basis points, at most ${MAX_ROYALTY_BPS}`
+        },
+        parse: (body) => {
+            const {
+                to,
+                cropSpecies,
+                bacterialStrain,
+                regulatoryStatus = '',
+                researchInstitution = '',
+                metadataURI,
+                royaltyReceiver = to,
+                royaltyBps
+            } = body;
+
+            const error = parseAddress(to, 'to')
+                || (!isText(cropSpecies) && 'cropSpecies is required')
+                || (!isText(bacterialStrain) && 'bacterialStrain is required')
+                || (typeof regulatoryStatus !== 'string' && 'regulatoryStatus must be a string')
+                || (typeof researchInstitution !== 'string' && 'researchInstitution must be a string')
+                || (!isText(metadataURI) && 'metadataURI is required')
+                || parseAddress(royaltyReceiver, 'royaltyReceiver')
+                || parseRoyaltyBps(royaltyBps, 'royaltyBps');
+            if (error) {
+                return { error };
+            }
+
+            return {
+                args: [
+                    ethers.getAddress(to),
+                    cropSpecies.trim(),
+                    bacterialStrain.trim(),
+                    regulatoryStatus.trim(),
+                    researchInstitution.trim(),
+                    metadataURI.trim(),
+                    ethers.getAddress(royaltyReceiver),
+                    BigInt(royaltyBps)
+                ]
+            };
+        }
+    },
+    'update-metadata-uri': {
+        contract: 'ipnft',
+        method: 'updateMetadataURI',
+        roles: ['admin', 'minter'],
+        description: 'Point an IP-NFT at a new metadata URI',
+        params: { tokenId: 'IP-NFT token ID', metadataURI: 'New metadata URI' },
+        parse: ({ tokenId, metadataURI }) => {
+            const error = parseTokenId(tokenId) || (!isText(metadataURI) && 'metadataURI is required');
+            return error ? { error } : { args: [BigInt(tokenId), metadataURI.trim()] };
+        }
+    },
+    'update-licensed-acres': {
+        contract: 'ipnft',
+        method: 'updateLicensedAcres',
+        roles: ['admin', 'licensing'],
+        description: 'Record the licensed acreage of an IP-NFT',
+        params: { tokenId: 'IP-NFT token ID', acres: 'Licensed acres' },
+        parse: ({ tokenId, acres }) => {
+            const error = parseTokenId(tokenId) || (!isUint(acres) && 'acres must be a non-negative integer');
+            return error ? { error } : { args: [BigInt(tokenId), BigInt(acres)] };
+        }
+    },
+    'update-royalty': {
+        contract: 'ipnft',
+        method: 'updateRoyalty',
+        roles: ['admin'],
+        description: 'Change the ERC-2981 royalty of an IP-NFT',
+        params: {
+            tokenId: 'IP-NFT token ID',
+            receiver: 'Royalty receiver',
+            royaltyBps: `Royalty in basis points, at most ${MAX_ROYALTY_BPS}`
+        },
+        parse: ({ tokenId, receiver, royaltyBps }) => {
+            const error = parseTokenId(tokenId)
+                || parseAddress(receiver, 'receiver')
+                || parseRoyaltyBps(royaltyBps, 'royaltyBps');
+            return error ? { error } : { args: [BigInt(tokenId), ethers.getAddress(receiver), BigInt(royaltyBps)] };
+        }
+    },
+    'set-fractionalized': {
+        contract: 'ipnft',
+        method: 'setFractionalized',
+        roles: ['admin', 'minter'],
+        description: 'Mark an IP-NFT as fractionalized by a tokenizer contract',
+        params: { tokenId: 'IP-NFT token ID', fractionalizer: 'Tokenizer contract address' },
+        parse: ({ tokenId, fractionalizer }) => {
+            const error = parseTokenId(tokenId) || parseAddress(fractionalizer, 'fractionalizer');
+            return error ? { error } : { args: [BigInt(tokenId), ethers.getAddress(fractionalizer)] };
+        }
+    },
+    'create-royalty-pool': {
+        contract: 'distributor',
+        method: 'createRoyaltyPool',
+        roles: ['admin', 'distributor-owner'],
+        description: `Create the royalty pool of an IP-NFT; shares must total ${BPS_DENOMINATOR} bps`,
+        params: {
+            tokenId: 'IP-NFT token ID',
+            beneficiaries: `Array of { address, shareBps }, at most ${MAX_BENEFICIARIES}`
+        },
+        parse: ({ tokenId, beneficiaries }) => {
+            const tokenIdError = parseTokenId(tokenId);
+            if (tokenIdError) {
+                return { error: tokenIdError };
+            }
+            if (!Array.isArray(beneficiaries) || beneficiaries.length === 0 || beneficiaries.length > MAX_BENEFICIARIES) {
+                return { error: `beneficiaries must be an array of 1-${MAX_BENEFICIARIES} entries` };
+            }
+
+            const invalid = beneficiaries.find((entry) => !entry
+                || !ethers.isAddress(entry.address)
+                || entry.address === ethers.ZeroAddress
+                || !isUint(entry.shareBps)
+                || BigInt(entry.shareBps) === 0n);
+            if (invalid !== undefined) {
+                return { error: 'Each beneficiary needs a non-zero address and a positive shareBps' };
+            }
+
+            const addresses = beneficiaries.map((entry) => ethers.getAddress(entry.address));
+            if (new Set(addresses).size !== addresses.length) {
+                return { error: 'beneficiaries must not repeat an address' };
+            }
+
+            const shares = beneficiaries.map((entry) => BigInt(entry.shareBps));
+            const total = shares.reduce((sum, share) => sum + share, 0n);
+            if (total !== BPS_DENOMINATOR) {
+                return { error: sharesError(total) };
+            }
+
+            return { args: [BigInt(tokenId), addresses, shares] };
+        }
+    },
+    'update-beneficiary': {
+        contract: 'distributor',
+        method: 'updateBeneficiary',
+        roles: ['admin', 'distributor-owner'],
+        description: `Change a beneficiary's share; active shares must still total ${BPS_DENOMINATOR} bps`,
+        params: { tokenId: 'IP-NFT token ID', beneficiary: 'Beneficiary address', shareBps: 'New share in basis points' },
+        parse: ({ tokenId, beneficiary, shareBps }) => {
+            const error = parseTokenId(tokenId)
+                || parseAddress(beneficiary, 'beneficiary')
+                || (!isUint(shareBps) && 'shareBps must be a non-negative integer');
+            return error ? { error } : { args: [BigInt(tokenId), ethers.getAddress(beneficiary), BigInt(shareBps)] };
+        },
+        plan: async ([tokenId, beneficiary, shareBps]) => {
+            const pool = await readPool(tokenId);
+            if (!pool) {
+                return { error: `Royalty pool for IP-NFT ${tokenId} does not exist` };
+            }
+            const current = findBeneficiary(pool, beneficiary);
+            if (!current) {
+                return { error: `${beneficiary} is not an active beneficiary of pool ${tokenId}` };
+            }
+
+            const total = totalShares(pool) - current.shareBps + shareBps;
+            if (total !== BPS_DENOMINATOR) {
+                return { error: sharesError(total) };
+            }
+            return { calls: [{ method: 'updateBeneficiary', args: [tokenId, beneficiary, shareBps] }] };
+        }
+    },
+    'remove-beneficiary': {
+        contract: 'distributor',
+        method: 'removeBeneficiary',
+        roles: ['admin', 'distributor-owner'],
+        description: 'Remove a beneficiary and move their share to another active beneficiary (two transactions)',
+        params: {
+            tokenId: 'IP-NFT token ID',
+            beneficiary: 'Beneficiary to remove',
+            reassignTo: 'Active beneficiary that receives the removed share'
+        },
+        parse: ({ tokenId, beneficiary, reassignTo }) => {
+            const error = parseTokenId(tokenId)
+                || parseAddress(beneficiary, 'beneficiary')
+                || parseAddress(reassignTo, 'reassignTo');
+            if (error) {
+                return { error };
+            }
+            if (ethers.getAddress(beneficiary) === ethers.getAddress(reassignTo)) {
+                return { error: 'reassignTo must differ from beneficiary' };
+            }
+            return { args: [BigInt(tokenId), ethers.getAddress(beneficiary), ethers.getAddress(reassignTo)] };
+        },
+        plan: async ([tokenId, beneficiary, reassignTo]) => {
+            const pool = await readPool(tokenId);
+            if (!pool) {
+                return { error: `Royalty pool for IP-NFT ${tokenId} does not exist` };
+            }
+            const removed = findBeneficiary(pool, beneficiary);
+            const recipient = findBeneficiary(pool, reassignTo);
+            if (!removed) {
+                return { error: `${beneficiary} is not an active beneficiary of pool ${tokenId}` };
+            }
+            if (!recipient) {
+                return { error: `${reassignTo} is not an active beneficiary of pool ${tokenId}` };
+            }
+
+            // The contract leaves shares short after a removal, so the share is moved in a second
+            // transaction and the active total ends where it started
+            const total = totalShares(pool);
+            if (total !== BPS_DENOMINATOR) {
+                return { error: sharesError(total) };
+            }
+            return {
+                calls: [
+                    { method: 'removeBeneficiary', args: [tokenId, beneficiary] },
+                    { method: 'updateBeneficiary', args: [tokenId, reassignTo, recipient.shareBps + removed.shareBps] }
+                ]
+            };
+        },
+        // The contract cannot reactivate a removed beneficiary, so the share move is completed
+        // instead, from the shares on chain now rather than those planned
+        compensate: async ([removal, update]) => {
+            const tokenId = BigInt(removal.args[0]);
+            const reassignTo = update.args[1];
+            const pool = await readPool(tokenId);
+            const recipient = pool && findBeneficiary(pool, reassignTo);
+            if (!recipient) {
+                return { error: `${reassignTo} is no longer an active beneficiary of pool ${tokenId}` };
+            }
+
+            const total = totalShares(pool);
+            return {
+                operation: 'update-beneficiary',
+                params: {
+                    tokenId: tokenId.toString(),
+                    beneficiary: reassignTo,
+                    shareBps: (recipient.shareBps + BPS_DENOMINATOR - total).toString()
+                },
+                reason: `Active shares of pool ${tokenId} total ${total} bps after the removal`
+            };
+        }
+    },
+    'pause-ipnft': {
+        contract: 'ipnft',
+        method: 'pause',
+        roles: ['admin'],
+        description: 'Pause minting and transfers of IP-NFTs',
+        params: {},
+        parse: () => ({ args: [] })
+    },
+    'unpause-ipnft': {
+        contract: 'ipnft',
+        method: 'unpause',
+        roles: ['admin'],
+        description: 'Resume minting and transfers of IP-NFTs',
+        params: {},
+        parse: () => ({ args: [] })
+    },
+    'pause-distributor': {
+        contract: 'distributor',
+        method: 'pause',
+        roles: ['admin', 'distributor-owner'],
+        description: 'Pause royalty payments and withdrawals',
+        params: {},
+        parse: () => ({ args: [] })
+    },
+    'unpause-distributor': {
+        contract: 'distributor',
+        method: 'unpause',
+        roles: ['admin', 'distributor-owner'],
+        description: 'Resume royalty payments and withdrawals',
+        params: {},
+        parse: () => ({ args: [] })
+    }
+};
+
+class AdminOperations {
+    constructor() {
+        this.confirmations = parseInt(process.env.ADMIN_CONFIRMATIONS || '1', 10);
+        this.confirmationTimeout = parseInt(process.env.ADMIN_TX_TIMEOUT_MS || '300000', 10);
+
+        // Serializes signing and broadcasting so each write gets the next nonce
+        this.queue = Promise.resolve();
+        this.nextNonce = null;
+    }
+
+    /**
+     * Load the signer and resume writes left pending by a previous run
+     */
+    async start() {
+        await adminSigner.start();
+
+        if (!this.isEnabled() || !adminSigner.isReady()) {
+            return;
+        }
+
+        const pending = await AdminWrite.find({ status: 'pending' }).sort({ createdAt: 1 }).select('_id');
+        if (pending.length > 0) {
+            logger.info(`Resuming ${pending.length} pending admin writes`);
+        }
+        pending.forEach(({ _id }) => this.process(_id));
+    }
+
+    /**
+     * Writes and the audit log are stored in MongoDB
+     */
+    isEnabled() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    getOperations() {
+        return Object.entries(OPERATIONS).map(([operation, spec]) => ({
+            operation,
+            contract: spec.contract,
+            method: spec.method,
+            description: spec.description,
+            roles: spec.roles,
+            params: spec.params,
+            configured: this.isConfigured(operation)
+        }));
+    }
+
+    hasOperation(operation) {
+        return Object.prototype.hasOwnProperty.call(OPERATIONS, operation);
+    }
+
+    isConfigured(operation) {
+        return Boolean(network.contracts[CONTRACTS[OPERATIONS[operation].contract].key]);
+    }
+
+    getContractName(operation) {
+        return CONTRACTS[OPERATIONS[operation].contract].name;
+    }
+
+    getRoles(operation) {
+        return OPERATIONS[operation].roles;
+    }
+
+    /**
+     * Validate request parameters, returning { error } or { args, params }.
+     * params is the request body reduced to the operation's parameters.
+     */
+    parse(operation, body) {
+        const spec = OPERATIONS[operation];
+        const input = body || {};
+        const parsed = spec.parse(input);
+        if (parsed.error) {
+            return parsed;
+        }
+
+        const params = {};
+        Object.keys(spec.params).forEach((name) => {
+            if (input[name] !== undefined) {
+                params[name] = input[name];
+            }
+        });
+        return { args: parsed.args, params };
+    }
+
+    /**
+     * Resolve the transactions for an operation, returning { error } or { calls }
+     */
+    async plan(operation, args) {
+        const spec = OPERATIONS[operation];
+        const planned = spec.plan ? await spec.plan(args) : { calls: [{ method: spec.method, args }] };
+        if (planned.error) {
+            return planned;
+        }
+
+        return {
+            calls: planned.calls.map((call) => ({
+                contract: spec.contract,
+                method: call.method,
+                args: serialize(call.args)
+            }))
+        };
+    }
+
+    getContract(contract) {
+        return contractRegistry.getContract(CONTRACTS[contract].key, ContractModel.getProvider());
+    }
+
+    encode(call) {
+        const contract = this.getContract(call.contract);
+        return {
+            to: network.contracts[CONTRACTS[call.contract].key],
+            data: contract.interface.encodeFunctionData(call.method, call.args)
+        };
+    }
+
+    /**
+     * eth_call a planned transaction from the admin signer.
+     * Returns { blockNumber, returnData } or { blockNumber, revert }.
+     */
+    async simulate(call) {
+        const provider = ContractModel.getProvider();
+        const blockNumber = await provider.getBlockNumber();
+
+        try {
+            const returnData = await provider.call({
+                ...this.encode(call),
+                from: adminSigner.address,
+                blockTag: blockNumber
+            });
+            return { blockNumber, returnData };
+        } catch (error) {
+            if (error.code === 'CALL_EXCEPTION') {
+                return { blockNumber, revert: decodeRevert(error.data) };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Append an entry to the audit log. Audit failures are logged, never thrown,
+     * so a write in flight is still tracked.
+     */
+    async audit(action, { operation, write = null, actor, params = {}, details = {} }) {
+        try {
+            await AuditLogEntry.create({ action, operation, write, actor, params, details });
+        } catch (error) {
+            logger.error(`Failed to write audit log entry (${action} ${operation}):`, error);
+        }
+    }
+
+    /**
+     * Simulate an operation without sending it. Only the first transaction is
+     * simulated, as later ones depend on it being mined.
+     */
+    async dryRun(operation, { args, params }, actor) {
+        const planned = await this.plan(operation, args);
+        if (planned.error) {
+            await this.audit('rejected', { operation, actor, params, details: { dryRun: true, error: planned.error } });
+            return { rejected: planned.error };
+        }
+
+        const simulation = await this.simulate(planned.calls[0]);
+        await this.audit('dry-run', {
+            operation,
+            actor,
+            params,
+            details: { calls: planned.calls, blockNumber: simulation.blockNumber, revert: simulation.revert || null }
+        });
+        if (simulation.revert) {
+            return simulation;
+        }
+
+        return {
+            operation,
+            dryRun: true,
+            signer: adminSigner.address,
+            transactions: planned.calls.map((call, index) => ({
+                ...call,
+                ...this.encode(call),
+                simulation: index === 0
+                    ? { success: true, blockNumber: simulation.blockNumber, returnData: simulation.returnData }
+                    : null
+            }))
+        };
+    }
+
+    /**
+     * Dry-run an operation and, if it would succeed, record it as a pending
+     * write and send it in the background. Returns { rejected }, { revert } or { write }.
+     */
+    async submit(operation, { args, params }, actor) {
+        const planned = await this.plan(operation, args);
+        if (planned.error) {
+            await this.audit('rejected', { operation, actor, params, details: { error: planned.error } });
+            return { rejected: planned.error };
+        }
+
+        const simulation = await this.simulate(planned.calls[0]);
+        if (simulation.revert) {
+            await this.audit('rejected', {
+                operation,
+                actor,
+                params,
+                details: { blockNumber: simulation.blockNumber, revert: simulation.revert }
+            });
+            return simulation;
+        }
+
+        const write = await AdminWrite.create({
+            operation,
+            params,
+            requestedBy: actor,
+            signer: adminSigner.address,
+            transactions: planned.calls
+        });
+        await this.audit('submitted', { operation, write: write._id, actor, params, details: { calls: planned.calls } });
+
+        this.process(write._id);
+        return { write: write.toObject() };
+    }
+
+    /**
+     * Run an async task after every task queued before it
+     */
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Send and confirm a write's transactions in order, stopping at the first failure
+     */
+    async process(writeId) {
+        try {
+            const write = await AdminWrite.findById(writeId);
+
+            for (let index = 0; index < write.transactions.length; index++) {
+                const status = write.transactions[index].status;
+                if (status === 'confirmed') {
+                    continue;
+                }
+                if (status === 'queued' && !await this.enqueue(() => this.send(write, index))) {
+                    return;
+                }
+                if (!await this.confirm(write, index)) {
+                    return;
+                }
+            }
+
+            write.status = 'confirmed';
+            write.completedAt = new Date();
+            await write.save();
+            await this.audit('confirmed', {
+                operation: write.operation,
+                write: write._id,
+                actor: write.requestedBy,
+                params: write.params,
+                details: { transactions: write.transactions.map((transaction) => transaction.hash) }
+            });
+            logger.info(`Admin write ${write._id} (${write.operation}) confirmed`);
+        } catch (error) {
+            logger.error(`Admin write ${writeId} could not be processed:`, error);
+        }
+    }
+
+    /**
+     * Simulate, sign and broadcast one transaction of a write.
+     * Returns false when the write failed.
+     */
+    async send(write, index) {
+        const transaction = write.transactions[index];
+        const provider = ContractModel.getProvider();
+
+        try {
+            // State may have changed since the request was accepted
+            const simulation = await this.simulate(transaction);
+            if (simulation.revert) {
+                await this.fail(write, index, `Transaction would revert: ${simulation.revert.message}`);
+                return false;
+            }
+
+            const request = { ...this.encode(transaction), from: adminSigner.address, value: 0n };
+            const [gasEstimate, pendingNonce, feeData] = await Promise.all([
+                provider.estimateGas(request),
+                provider.getTransactionCount(adminSigner.address, 'pending'),
+                provider.getFeeData()
+            ]);
+
+            // An endpoint that has not seen our last broadcast yet reports a stale pending nonce
+            const nonce = Math.max(pendingNonce, this.nextNonce ?? 0);
+            const fees = feeData.maxFeePerGas !== null
+                ? { type: 2, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+                : { type: 0, gasPrice: feeData.gasPrice };
+
+            const signed = await adminSigner.signTransaction({
+                to: request.to,
+                data: request.data,
+                value: 0n,
+                chainId: network.chainId,
+                nonce,
+                gasLimit: (gasEstimate * (100n + GAS_LIMIT_BUFFER_PERCENT)) / 100n,
+                ...fees
+            });
+
+            // Record the hash before broadcasting so a restart can find the transaction
+            transaction.hash = ethers.Transaction.from(signed).hash;
+            transaction.nonce = nonce;
+            transaction.status = 'submitted';
+            transaction.submittedAt = new Date();
+            await write.save();
+
+            await provider.broadcastTransaction(signed);
+            this.nextNonce = nonce + 1;
+
+            await this.audit('transaction-sent', {
+                operation: write.operation,
+                write: write._id,
+                actor: write.requestedBy,
+                params: write.params,
+                details: { method: transaction.method, hash: transaction.hash, nonce }
+            });
+            return true;
+        } catch (error) {
+            await this.fail(write, index, error.shortMessage || error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Wait for a submitted transaction to be mined. Returns false when the write failed.
+     */
+    async confirm(write, index) {
+        const transaction = write.transactions[index];
+        const provider = ContractModel.getProvider();
+
+        let receipt;
+        try {
+            receipt = await provider.waitForTransaction(
+                transaction.hash,
+                this.confirmations,
+                this.confirmationTimeout
+            );
+        } catch (error) {
+            await this.fail(write, index, `Not confirmed: ${error.shortMessage || error.message}`);
+            return false;
+        }
+
+        transaction.blockNumber = receipt.blockNumber;
+        transaction.gasUsed = receipt.gasUsed.toString();
+        if (receipt.status !== 1) {
+            await this.fail(write, index, 'Transaction reverted on chain');
+            return false;
+        }
+
+        transaction.events = this.decodeEvents(transaction.contract, receipt.logs);
+        transaction.status = 'confirmed';
+        transaction.confirmedAt = new Date();
+        await write.save();
+        return true;
+    }
+
+    /**
+     * Events emitted by the target contract as { name, args }
+     */
+    decodeEvents(contract, logs) {
+        const target = network.contracts[CONTRACTS[contract].key].toLowerCase();
+        const contractInterface = this.getContract(contract).interface;
+
+        return logs
+            .filter((log) => log.address.toLowerCase() === target)
+            .map((log) => contractInterface.parseLog(log))
+            .filter(Boolean)
+            .map((parsed) => ({
+                name: parsed.name,
+                args: Object.fromEntries(parsed.fragment.inputs.map((input, position) => [
+                    input.name,
+                    serialize(parsed.args[position])
+                ]))
+            }));
+    }
+
+    /**
+     * Operation that restores a consistent state after a write failed with
+     * earlier transactions already mined, or { error } when there is none
+     */
+    async compensate(write) {
+        const spec = OPERATIONS[write.operation];
+        if (!spec.compensate) {
+            return { error: 'No compensating operation, check the contract state before retrying' };
+        }
+
+        try {
+            return await spec.compensate(write.transactions);
+        } catch (error) {
+            return { error: `Could not read the state left by the write: ${error.shortMessage || error.message}` };
+        }
+    }
+
+    async fail(write, index, message) {
+        const transaction = write.transactions[index];
+        const partial = write.transactions.some((earlier, position) => position < index && earlier.status === 'confirmed');
+
+        transaction.status = 'failed';
+        transaction.error = message;
+        write.status = partial ? 'partially-failed' : 'failed';
+        write.error = message;
+        write.compensation = partial ? await this.compensate(write) : null;
+        write.completedAt = new Date();
+        await write.save();
+
+        await this.audit(write.status, {
+            operation: write.operation,
+            write: write._id,
+            actor: write.requestedBy,
+            params: write.params,
+            details: {
+                method: transaction.method,
+                hash: transaction.hash,
+                error: message,
+                ...(partial && { compensation: write.compensation })
+            }
+        });
+
+        if (partial) {
+            logger.error(`Admin write ${write._id} (${write.operation}) partially failed at ${transaction.method}, `
+                + `earlier transactions were mined: ${message}`);
+        } else {
+            logger.warn(`Admin write ${write._id} (${write.operation}) failed: ${message}`);
+        }
+    }
+}
+
+module.exports = new AdminOperations();
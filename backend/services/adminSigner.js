@@ -0,0 +1,110 @@
+/**
+ * Admin Signer Service
+ * Signs admin transactions with a local encrypted keystore or an external
+ * signer reached over JSON-RPC (eth_signTransaction), e.g. Clef or Web3Signer.
+ *
+ * ADMIN_SIGNER selects the signer (keystore or rpc); admin writes are disabled without it.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const logger = require('../utils/logger');
+
+class AdminSigner {
+    constructor() {
+        this.type = process.env.ADMIN_SIGNER || null;
+        this.signer = null;
+        this.address = null;
+        this.error = null;
+    }
+
+    /**
+     * Load the configured signer. A misconfigured signer leaves admin writes
+     * disabled rather than stopping the read API.
+     */
+    async start() {
+        if (!this.type) {
+            logger.info('Admin signer not configured, admin writes disabled');
+            return;
+        }
+
+        try {
+            if (this.type === 'keystore') {
+                this.signer = await this.loadKeystore();
+                this.address = this.signer.address;
+            } else if (this.type === 'rpc') {
+                this.signer = await this.connectExternal();
+                this.address = await this.signer.getAddress();
+            } else {
+                throw new Error(`Unknown ADMIN_SIGNER "${this.type}", expected keystore or rpc`);
+            }
+            logger.info(`Admin signer ready (${this.type}, ${this.address})`);
+        } catch (error) {
+            this.signer = null;
+            this.error = error.message;
+            logger.error(`Admin signer unavailable: ${error.message}`);
+        }
+    }
+
+    async loadKeystore() {
+        const path = process.env.ADMIN_KEYSTORE_PATH;
+        if (!path) {
+            throw new Error('ADMIN_KEYSTORE_PATH is required for the keystore signer');
+        }
+
+        let password = process.env.ADMIN_KEYSTORE_PASSWORD;
+        if (process.env.ADMIN_KEYSTORE_PASSWORD_FILE) {
+            password = fs.readFileSync(process.env.ADMIN_KEYSTORE_PASSWORD_FILE, 'utf8').trim();
+        }
+        if (password === undefined) {
+            throw new Error('ADMIN_KEYSTORE_PASSWORD or ADMIN_KEYSTORE_PASSWORD_FILE is required');
+        }
+
+        const json = fs.readFileSync(path, 'utf8');
+        return ethers.Wallet.fromEncryptedJson(json, password);
+    }
+
+    async connectExternal() {
+        const url = process.env.ADMIN_SIGNER_URL;
+        if (!url) {
+            throw new Error('ADMIN_SIGNER_URL is required for the rpc signer');
+        }
+
+        const provider = new ethers.JsonRpcProvider(url, ethers.Network.from(network.chainId), {
+            staticNetwork: true
+        });
+        if (process.env.ADMIN_SIGNER_ADDRESS) {
+            return provider.getSigner(ethers.getAddress(process.env.ADMIN_SIGNER_ADDRESS));
+        }
+
+        // Without an address, use the first account the signer manages
+        const [account] = await provider.listAccounts();
+        if (!account) {
+            throw new Error('External signer manages no accounts, set ADMIN_SIGNER_ADDRESS');
+        }
+        return account;
+    }
+
+    isReady() {
+        return this.signer !== null;
+    }
+
+    /**
+     * Sign a fully populated transaction and return the serialized transaction
+     */
+    async signTransaction(transaction) {
+        return this.signer.signTransaction({ ...transaction, from: this.address });
+    }
+
+    getStatus() {
+        return {
+            type: this.type,
+            ready: this.isReady(),
+            address: this.address,
+            error: this.error
+        };
+    }
+}
+
+module.exports = new AdminSigner();
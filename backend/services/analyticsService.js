@@ -0,0 +1,390 @@
+/**
+ * Analytics Service
+ * Royalty time series computed from indexed RoyaltiesReceived,
+ * RoyaltiesWithdrawn and RevenueAdded events. Series are bucketed by day,
+ * week or month in a time zone and zero-filled so they can be charted directly.
+ *
+ * Methods return { error } for unusable ranges, or { value }.
+ */
+
+const { ethers } = require('ethers');
+const ContractModel = require('../models/ContractModel');
+const eventIndexer = require('./eventIndexer');
+const { bucketLabel, listBuckets, MAX_BUCKETS } = require('../utils/timeBuckets');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const amount = (wei) => ({ wei: wei.toString(), kas: ethers.formatEther(wei) });
+
+/**
+ * Group values by key, creating each group with init() on first use
+ */
+function groupBy(items, keyOf, init) {
+    const groups = new Map();
+    items.forEach((item) => {
+        const key = keyOf(item);
+        if (!groups.has(key)) {
+            groups.set(key, init(key));
+        }
+        groups.get(key).items.push(item);
+    });
+    return groups;
+}
+
+const byTokenId = (a, b) => Number(a) - Number(b);
+
+class AnalyticsService {
+    isEnabled() {
+        return eventIndexer.isEnabled();
+    }
+
+    /**
+     * Indexed events in a time range; `to` defaults to now
+     */
+    async loadEvents(filter, { from = null, to = null } = {}) {
+        const timestamp = { $lte: to || new Date() };
+        if (from) {
+            timestamp.$gte = from;
+        }
+        return eventIndexer.findEvents({ ...filter, timestamp });
+    }
+
+    /**
+     * Resolve the reported range and its buckets. Without `from` the range
+     * starts at the earliest event.
+     */
+    resolveRange(events, { bucket, timeZone, from, to }) {
+        const end = to || new Date();
+        const start = from || (events.length > 0 ? new Date(events[0].timestamp) : end);
+
+        const buckets = listBuckets(start, end, bucket, timeZone);
+        if (buckets === null) {
+            return { error: `Range too long for ${bucket} buckets, at most ${MAX_BUCKETS}` };
+        }
+
+        return {
+            range: {
+                bucket,
+                timeZone,
+                from: start.toISOString(),
+                to: end.toISOString()
+            },
+            buckets
+        };
+    }
+
+    /**
+     * Sum event fields into zero-filled points, one per bucket
+     * @param {Array<Object>} events Indexed events
+     * @param {Object} fields Map of field name to (event) => wei bigint, or 0n when not counted
+     */
+    toPoints(events, buckets, { bucket, timeZone }, fields) {
+        const points = new Map(buckets.map((entry) => [entry.bucket, {
+            ...entry,
+            count: 0,
+            sums: Object.fromEntries(Object.keys(fields).map((field) => [field, 0n]))
+        }]));
+
+        events.forEach((event) => {
+            const point = points.get(bucketLabel(new Date(event.timestamp), bucket, timeZone));
+            if (!point) {
+                return;
+            }
+            point.count += 1;
+            Object.entries(fields).forEach(([field, valueOf]) => {
+                point.sums[field] += valueOf(event);
+            });
+        });
+
+        return Array.from(points.values());
+    }
+
+    /**
+     * Royalties received per IP-NFT per bucket, with revenue paid to the
+     * IP tokenizer (RevenueAdded) shown separately
+     */
+    async getRoyaltiesReceived({ tokenId = null, bucket, timeZone, from = null, to = null }) {
+        const filter = {
+            $or: [
+                { contract: 'distributor', event: 'RoyaltiesReceived' },
+                { contract: 'tokenizer', event: 'RevenueAdded' }
+            ]
+        };
+        if (tokenId !== null) {
+            filter.tokenId = tokenId;
+        }
+
+        const events = await this.loadEvents(filter, { from, to });
+        const resolved = this.resolveRange(events, { bucket, timeZone, from, to });
+        if (resolved.error) {
+            return resolved;
+        }
+
+        const royalties = (event) => (event.event === 'RoyaltiesReceived' ? BigInt(event.args.amount) : 0n);
+        const iptRevenue = (event) => (event.event === 'RevenueAdded' ? BigInt(event.args.amount) : 0n);
+
+        const groups = groupBy(events, (event) => event.tokenId, (key) => ({ tokenId: key, items: [] }));
+        const series = Array.from(groups.values())
+            .sort((a, b) => byTokenId(a.tokenId, b.tokenId))
+            .map((group) => {
+                const points = this.toPoints(group.items, resolved.buckets, resolved.range, {
+                    royalties,
+                    iptRevenue
+                }).map((point) => {
+                    const total = amount(point.sums.royalties + point.sums.iptRevenue);
+                    return {
+                        bucket: point.bucket,
+                        startsAt: point.startsAt,
+                        royaltiesWei: point.sums.royalties.toString(),
+                        iptRevenueWei: point.sums.iptRevenue.toString(),
+                        totalWei: total.wei,
+                        total: total.kas,
+                        payments: point.count
+                    };
+                });
+
+                const total = amount(points.reduce((sum, point) => sum + BigInt(point.totalWei), 0n));
+                return { tokenId: group.tokenId, totalWei: total.wei, total: total.kas, points };
+            });
+
+        const total = amount(series.reduce((sum, entry) => sum + BigInt(entry.totalWei), 0n));
+
+        return {
+            value: {
+                generatedAt: new Date().toISOString(),
+                ...resolved.range,
+                tokenId,
+                buckets: resolved.buckets,
+                totalWei: total.wei,
+                total: total.kas,
+                series
+            }
+        };
+    }
+
+    /**
+     * Senders (licensees) ranked by royalties paid
+     */
+    async getTopSenders({ tokenId = null, from = null, to = null, limit = 10 }) {
+        const filter = { contract: 'distributor', event: 'RoyaltiesReceived' };
+        if (tokenId !== null) {
+            filter.tokenId = tokenId;
+        }
+
+        const events = await this.loadEvents(filter, { from, to });
+        const grandTotal = events.reduce((sum, event) => sum + BigInt(event.args.amount), 0n);
+
+        const groups = groupBy(
+            events,
+            (event) => ethers.getAddress(event.args.sender),
+            (sender) => ({ sender, items: [] })
+        );
+
+        const senders = Array.from(groups.values()).map(({ sender, items }) => {
+            const paid = items.reduce((sum, event) => sum + BigInt(event.args.amount), 0n);
+            const total = amount(paid);
+            return {
+                sender,
+                totalWei: total.wei,
+                total: total.kas,
+                shareBps: grandTotal > 0n ? Number((paid * 10000n) / grandTotal) : 0,
+                payments: items.length,
+                tokenIds: Array.from(new Set(items.map((event) => event.tokenId))).sort(byTokenId),
+                firstPaidAt: new Date(items[0].timestamp).toISOString(),
+                lastPaidAt: new Date(items[items.length - 1].timestamp).toISOString()
+            };
+        }).sort((a, b) => {
+            const difference = BigInt(b.totalWei) - BigInt(a.totalWei);
+            return difference === 0n ? b.payments - a.payments : (difference > 0n ? 1 : -1);
+        });
+
+        const total = amount(grandTotal);
+
+        return {
+            value: {
+                generatedAt: new Date().toISOString(),
+                from: from ? from.toISOString() : null,
+                to: (to || new Date()).toISOString(),
+                tokenId,
+                totalWei: total.wei,
+                total: total.kas,
+                senderCount: senders.length,
+                senders: senders.slice(0, limit)
+            }
+        };
+    }
+
+    /**
+     * Withdrawals per beneficiary per bucket, with the average time between
+     * withdrawals and the average amount withdrawn per day of the range
+     */
+    async getWithdrawalVelocity({ beneficiary = null, tokenId = null, bucket, timeZone, from = null, to = null }) {
+        const filter = { contract: 'distributor', event: 'RoyaltiesWithdrawn' };
+        if (beneficiary !== null) {
+            filter['args.beneficiary'] = beneficiary;
+        }
+        if (tokenId !== null) {
+            filter.tokenId = tokenId;
+        }
+
+        const events = await this.loadEvents(filter, { from, to });
+        const resolved = this.resolveRange(events, { bucket, timeZone, from, to });
+        if (resolved.error) {
+            return resolved;
+        }
+
+        const rangeDays = Math.max(
+            (Date.parse(resolved.range.to) - Date.parse(resolved.range.from)) / DAY_MS,
+            1
+        );
+
+        const groups = groupBy(
+            events,
+            (event) => ethers.getAddress(event.args.beneficiary),
+            (address) => ({ beneficiary: address, items: [] })
+        );
+
+        const series = Array.from(groups.values()).map(({ beneficiary: address, items }) => {
+            const withdrawn = items.reduce((sum, event) => sum + BigInt(event.args.amount), 0n);
+            const times = items.map((event) => new Date(event.timestamp).getTime());
+            const averageIntervalDays = times.length > 1
+                ? Number(((times[times.length - 1] - times[0]) / (times.length - 1) / DAY_MS).toFixed(2))
+                : null;
+            const total = amount(withdrawn);
+            const perDay = amount((withdrawn * 1000n) / BigInt(Math.round(rangeDays * 1000)));
+
+            return {
+                beneficiary: address,
+                withdrawals: items.length,
+                totalWei: total.wei,
+                total: total.kas,
+                averageIntervalDays,
+                withdrawnPerDayWei: perDay.wei,
+                withdrawnPerDay: perDay.kas,
+                firstWithdrawalAt: new Date(times[0]).toISOString(),
+                lastWithdrawalAt: new Date(times[times.length - 1]).toISOString(),
+                points: this.toPoints(items, resolved.buckets, resolved.range, {
+                    withdrawn: (event) => BigInt(event.args.amount)
+                }).map((point) => ({
+                    bucket: point.bucket,
+                    startsAt: point.startsAt,
+                    withdrawnWei: point.sums.withdrawn.toString(),
+                    withdrawn: ethers.formatEther(point.sums.withdrawn),
+                    withdrawals: point.count
+                }))
+            };
+        }).sort((a, b) => {
+            const difference = BigInt(b.totalWei) - BigInt(a.totalWei);
+            return difference === 0n ? 0 : (difference > 0n ? 1 : -1);
+        });
+
+        return {
+            value: {
+                generatedAt: new Date().toISOString(),
+                ...resolved.range,
+                tokenId,
+                beneficiary,
+                buckets: resolved.buckets,
+                series
+            }
+        };
+    }
+
+    /**
+     * Received, distributed and pending royalties at the end of each bucket.
+     * Balances carry over from before the range, so events are read from the start.
+     */
+    async getPoolBalances({ tokenId = null, bucket, timeZone, from = null, to = null }) {
+        const filter = { contract: 'distributor', event: { $in: ['RoyaltiesReceived', 'RoyaltiesWithdrawn'] } };
+        if (tokenId !== null) {
+            filter.tokenId = tokenId;
+        }
+
+        const events = await this.loadEvents(filter, { to });
+        const resolved = this.resolveRange(events, { bucket, timeZone, from, to });
+        if (resolved.error) {
+            return resolved;
+        }
+
+        const start = Date.parse(resolved.range.from);
+        const opening = events.filter((event) => new Date(event.timestamp).getTime() < start);
+        let received = opening
+            .filter((event) => event.event === 'RoyaltiesReceived')
+            .reduce((sum, event) => sum + BigInt(event.args.amount), 0n);
+        let distributed = opening
+            .filter((event) => event.event === 'RoyaltiesWithdrawn')
+            .reduce((sum, event) => sum + BigInt(event.args.amount), 0n);
+
+        const inRange = events.filter((event) => new Date(event.timestamp).getTime() >= start);
+        const points = this.toPoints(inRange, resolved.buckets, resolved.range, {
+            received: (event) => (event.event === 'RoyaltiesReceived' ? BigInt(event.args.amount) : 0n),
+            distributed: (event) => (event.event === 'RoyaltiesWithdrawn' ? BigInt(event.args.amount) : 0n)
+        }).map((point) => {
+            received += point.sums.received;
+            distributed += point.sums.distributed;
+            return {
+                bucket: point.bucket,
+                startsAt: point.startsAt,
+                receivedWei: point.sums.received.toString(),
+                distributedWei: point.sums.distributed.toString(),
+                cumulativeReceivedWei: received.toString(),
+                cumulativeDistributedWei: distributed.toString(),
+                pendingWei: (received - distributed).toString(),
+                pending: ethers.formatEther(received - distributed)
+            };
+        });
+
+        return {
+            value: {
+                generatedAt: new Date().toISOString(),
+                ...resolved.range,
+                tokenId,
+                buckets: resolved.buckets,
+                points
+            }
+        };
+    }
+
+    /**
+     * Royalties and IPT revenue per licensed acre, using each IP-NFT's
+     * current licensedAcres. IP-NFTs without licensed acres have no per-acre figures.
+     */
+    async getRevenuePerAcre({ tokenId = null, bucket, timeZone, from = null, to = null }) {
+        const received = await this.getRoyaltiesReceived({ tokenId, bucket, timeZone, from, to });
+        if (received.error) {
+            return received;
+        }
+
+        const tokens = [];
+        for (const entry of received.value.series) {
+            const metadata = await ContractModel.getIPNFTMetadata(entry.tokenId);
+            const acres = BigInt(metadata.licensedAcres);
+            const perAcre = (wei) => (acres > 0n ? amount(BigInt(wei) / acres) : null);
+            const totalPerAcre = perAcre(entry.totalWei);
+
+            tokens.push({
+                tokenId: entry.tokenId,
+                cropSpecies: metadata.cropSpecies,
+                licensedAcres: acres.toString(),
+                totalWei: entry.totalWei,
+                total: entry.total,
+                perAcreWei: totalPerAcre ? totalPerAcre.wei : null,
+                perAcre: totalPerAcre ? totalPerAcre.kas : null,
+                points: entry.points.map((point) => {
+                    const pointPerAcre = perAcre(point.totalWei);
+                    return {
+                        bucket: point.bucket,
+                        startsAt: point.startsAt,
+                        totalWei: point.totalWei,
+                        perAcreWei: pointPerAcre ? pointPerAcre.wei : null,
+                        perAcre: pointPerAcre ? pointPerAcre.kas : null
+                    };
+                })
+            });
+        }
+
+        return { value: { ...received.value, series: tokens } };
+    }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,223 @@
+/**
+ * Auth Service
+ * Sign-In with Ethereum (EIP-4361) sessions, on-chain roles and API keys
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { SiweMessage, generateNonce } = require('siwe');
+const { network } = require('../config/network');
+const ApiKey = require('../models/ApiKey');
+const ContractModel = require('../models/ContractModel');
+const logger = require('../utils/logger');
+
+const ROLES = ['admin', 'minter', 'licensing', 'distributor-owner', 'beneficiary', 'ipt-holder'];
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+class AuthService {
+    constructor() {
+        this.roles = ROLES;
+        this.sessionTtl = parseInt(process.env.AUTH_SESSION_TTL_MS || '900000', 10);
+        this.nonceTtl = parseInt(process.env.AUTH_NONCE_TTL_MS || '300000', 10);
+        this.roleCacheTtl = parseInt(process.env.AUTH_ROLE_CACHE_MS || '60000', 10);
+        this.domains = (process.env.AUTH_DOMAIN || '')
+            .split(',')
+            .map((domain) => domain.trim().toLowerCase())
+            .filter(Boolean);
+
+        this.secret = process.env.AUTH_SECRET;
+        if (!this.secret) {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            logger.warn('AUTH_SECRET not set, sessions will not survive a restart');
+        }
+
+        this.nonces = new Map();
+        this.roleCache = new Map();
+    }
+
+    /**
+     * Sign-in needs the domains SIWE messages may be issued for; the request
+     * Host header is client-controlled and is never used in their place
+     */
+    verifyConfig() {
+        if (this.domains.length === 0) {
+            throw new Error('AUTH_DOMAIN is not set, expected the domain (or comma-separated domains) sign-in messages are issued for');
+        }
+    }
+
+    /**
+     * API keys are stored in MongoDB
+     */
+    isApiKeyStoreEnabled() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Issue a single-use nonce for a SIWE message
+     */
+    createNonce() {
+        const now = Date.now();
+        this.nonces.forEach((expiresAt, nonce) => {
+            if (expiresAt <= now) {
+                this.nonces.delete(nonce);
+            }
+        });
+
+        const nonce = generateNonce();
+        const expiresAt = now + this.nonceTtl;
+        this.nonces.set(nonce, expiresAt);
+        return { nonce, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * Consume a nonce, returning whether it was issued and is still valid
+     */
+    consumeNonce(nonce) {
+        const expiresAt = this.nonces.get(nonce);
+        this.nonces.delete(nonce);
+        return expiresAt !== undefined && expiresAt > Date.now();
+    }
+
+    /**
+     * Verify a signed SIWE message and open a session.
+     * Returns { error } or { value: { token, address, expiresAt } }.
+     */
+    async signIn({ message, signature }) {
+        if (typeof message !== 'string' || typeof signature !== 'string') {
+            return { error: 'message and signature are required' };
+        }
+
+        let siwe;
+        try {
+            siwe = new SiweMessage(message);
+        } catch (error) {
+            return { error: 'Invalid SIWE message' };
+        }
+
+        // Nonces are single use even when the rest of the message is rejected
+        if (!this.consumeNonce(siwe.nonce)) {
+            return { error: 'Unknown or expired nonce' };
+        }
+        if (Number(siwe.chainId) !== network.chainId) {
+            return { error: `Message is for chain ${siwe.chainId}, expected ${network.chainId}` };
+        }
+
+        if (!this.domains.includes(String(siwe.domain).toLowerCase())) {
+            return { error: `Message is for domain ${siwe.domain}, expected ${this.domains.join(' or ')}` };
+        }
+
+        const result = await siwe.verify(
+            { signature, domain: siwe.domain, nonce: siwe.nonce },
+            { suppressExceptions: true }
+        );
+        if (!result.success) {
+            return { error: `Sign-in rejected: ${result.error ? result.error.type : 'invalid signature'}` };
+        }
+
+        return { value: this.issueToken(siwe.address) };
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    /**
+     * Session tokens are HMAC-signed and self-contained: base64url(payload).signature
+     */
+    issueToken(address) {
+        const now = Date.now();
+        const payload = base64url(JSON.stringify({
+            sub: address,
+            chainId: network.chainId,
+            iat: Math.floor(now / 1000),
+            exp: Math.floor((now + this.sessionTtl) / 1000)
+        }));
+
+        return {
+            token: `${payload}.${this.sign(payload)}`,
+            address,
+            expiresAt: new Date(now + this.sessionTtl).toISOString()
+        };
+    }
+
+    /**
+     * Return the session payload of a valid, unexpired token, or null
+     */
+    verifyToken(token) {
+        const [payload, signature] = String(token).split('.');
+        if (!payload || !signature) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.sign(payload));
+        const received = Buffer.from(signature);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        try {
+            const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (session.chainId !== network.chainId || session.exp * 1000 <= Date.now()) {
+                return null;
+            }
+            return session;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * On-chain roles of an address, cached briefly so guarded routes
+     * do not re-read them on every request
+     */
+    async getRoles(address) {
+        const key = address.toLowerCase();
+        const cached = this.roleCache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.value;
+        }
+
+        const value = await ContractModel.getAccountRoles(address);
+        this.roleCache.set(key, { value, expiresAt: Date.now() + this.roleCacheTtl });
+        return value;
+    }
+
+    hashApiKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * Create an API key; the plain key is only returned here
+     */
+    async createApiKey({ name, roles, rateLimit }, createdBy) {
+        const key = `kip_${crypto.randomBytes(24).toString('hex')}`;
+        const apiKey = await ApiKey.create({
+            name,
+            keyHash: this.hashApiKey(key),
+            prefix: key.slice(0, 12),
+            roles,
+            rateLimit,
+            createdBy
+        });
+        return { key, apiKey };
+    }
+
+    /**
+     * Find an active API key by its plain value, or null
+     */
+    async findApiKey(key) {
+        if (!this.isApiKeyStoreEnabled()) {
+            return null;
+        }
+
+        const apiKey = await ApiKey.findOne({ keyHash: this.hashApiKey(key), revokedAt: null }).lean();
+        if (apiKey) {
+            ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+                .catch((error) => logger.warn(`Failed to record API key use: ${error.message}`));
+        }
+        return apiKey;
+    }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,215 @@
+/**
+ * Contract Registry
+ * Single source of contract ABIs and addresses. ABIs are the full ABIs of the
+ * Foundry artifacts in out/ (CONTRACT_ARTIFACTS_DIR overrides the directory);
+ * addresses come from the network configuration, which falls back to the
+ * Foundry broadcast logs when no address is set in the environment.
+ *
+ * verify() resolves the ERC-1967 implementation behind each UUPS proxy and
+ * compares its deployed bytecode with the artifact, so the backend never
+ * decodes a contract with an ABI built from different source.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const { CONTRACT_NAMES } = require('../config/deployments');
+const rpcProvider = require('./rpcProvider');
+const logger = require('../utils/logger');
+
+// bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const ERC1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+/**
+ * Deployed bytecode with immutable values zeroed (the artifact leaves them
+ * empty) and the trailing CBOR metadata removed; its length is stored in the
+ * last two bytes, and it changes with source paths rather than behaviour
+ */
+function comparableCode(code, immutableReferences = {}) {
+    const bytes = ethers.getBytes(code);
+    Object.values(immutableReferences).flat().forEach(({ start, length }) => {
+        bytes.fill(0, start, start + length);
+    });
+
+    const metadataLength = bytes.length >= 2 ? ((bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1]) + 2 : 0;
+    return ethers.hexlify(metadataLength <= bytes.length ? bytes.subarray(0, bytes.length - metadataLength) : bytes);
+}
+
+class ContractRegistry {
+    constructor() {
+        this.artifactsDir = process.env.CONTRACT_ARTIFACTS_DIR || path.resolve(__dirname, '../../out');
+        this.artifacts = new Map();
+        this.interfaces = new Map();
+        this.deployments = [];
+    }
+
+    /**
+     * Keys of all known contracts: ipnft, royaltyDistributor and tokenizer
+     */
+    get keys() {
+        return Object.keys(CONTRACT_NAMES);
+    }
+
+    /**
+     * Load the Foundry artifact of a contract, e.g. out/AgriculturalIPNFT.sol/AgriculturalIPNFT.json
+     */
+    getArtifact(key) {
+        const name = CONTRACT_NAMES[key];
+        if (!name) {
+            throw new Error(`Unknown contract "${key}", expected one of: ${this.keys.join(', ')}`);
+        }
+        return this.loadArtifact(name);
+    }
+
+    /**
+     * Load a Foundry artifact by Solidity contract name, including contracts
+     * without a key such as ERC1967Proxy
+     */
+    loadArtifact(name) {
+        if (!this.artifacts.has(name)) {
+            const file = path.join(this.artifactsDir, `${name}.sol`, `${name}.json`);
+            if (!fs.existsSync(file)) {
+                throw new Error(`Foundry artifact for ${name} not found at ${file}, run forge build or set CONTRACT_ARTIFACTS_DIR`);
+            }
+
+            const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!Array.isArray(artifact.abi) || !artifact.deployedBytecode || !artifact.deployedBytecode.object) {
+                throw new Error(`Foundry artifact ${file} has no ABI or deployed bytecode`);
+            }
+            this.artifacts.set(name, { name, file, ...artifact });
+        }
+        return this.artifacts.get(name);
+    }
+
+    getAbi(key) {
+        return this.getArtifact(key).abi;
+    }
+
+    getInterface(key) {
+        if (!this.interfaces.has(key)) {
+            this.interfaces.set(key, new ethers.Interface(this.getAbi(key)));
+        }
+        return this.interfaces.get(key);
+    }
+
+    /**
+     * Storage slot of a state variable, for private variables without a getter.
+     * The layout comes from the artifact (extra_output = ["storageLayout"] in
+     * foundry.toml), so it matches the bytecode verify() checked.
+     */
+    getStorageSlot(key, label) {
+        const artifact = this.getArtifact(key);
+        const variable = artifact.storageLayout
+            && artifact.storageLayout.storage.find((entry) => entry.label === label);
+        if (!variable) {
+            throw new Error(`Foundry artifact ${artifact.file} has no storage layout for ${label}, `
+                + 'build with extra_output = ["storageLayout"]');
+        }
+        return ethers.toBeHex(BigInt(variable.slot), 32);
+    }
+
+    /**
+     * Configured address of a contract, or null
+     */
+    getAddress(key) {
+        return network.contracts[key] || null;
+    }
+
+    /**
+     * Contract instance at the configured address, connected to a provider or signer
+     */
+    getContract(key, runner = rpcProvider.getProvider()) {
+        const address = this.getAddress(key);
+        if (!address) {
+            throw new Error(`${CONTRACT_NAMES[key]} address not configured`);
+        }
+        return new ethers.Contract(address, this.getAbi(key), runner);
+    }
+
+    /**
+     * ERC-1967 implementation address of a proxy, or null when the address is not a proxy
+     */
+    async getImplementation(address, provider = rpcProvider.getProvider()) {
+        const slot = await provider.getStorage(address, ERC1967_IMPLEMENTATION_SLOT);
+        const implementation = ethers.getAddress(ethers.dataSlice(slot, 12));
+        return implementation === ethers.ZeroAddress ? null : implementation;
+    }
+
+    /**
+     * Resolve one configured contract and compare its code with the artifact.
+     * Problems are returned in error rather than thrown.
+     */
+    async inspect(key, provider = rpcProvider.getProvider()) {
+        const address = this.getAddress(key);
+        const result = {
+            contract: key,
+            name: CONTRACT_NAMES[key],
+            address,
+            source: network.contractSources[key],
+            implementation: null,
+            codeSize: 0,
+            verified: false,
+            error: null
+        };
+
+        try {
+            const artifact = this.getArtifact(key);
+            result.implementation = await this.getImplementation(address, provider);
+
+            const codeAddress = result.implementation || address;
+            const code = await provider.getCode(codeAddress);
+            result.codeSize = ethers.dataLength(code);
+
+            if (code === '0x') {
+                result.error = `No contract code at ${codeAddress}`;
+            } else if (comparableCode(code, artifact.deployedBytecode.immutableReferences)
+                !== comparableCode(artifact.deployedBytecode.object, artifact.deployedBytecode.immutableReferences)) {
+                result.error = `Bytecode at ${codeAddress} does not match ${artifact.file}; `
+                    + 'rebuild the artifacts from the deployed source or check the address';
+            } else {
+                result.verified = true;
+            }
+        } catch (error) {
+            result.error = error.message;
+        }
+        return result;
+    }
+
+    /**
+     * Inspect every configured contract and throw (code CONTRACT_MISMATCH) if any
+     * is missing its artifact, has no code or runs different bytecode
+     */
+    async verify(provider = rpcProvider.getProvider()) {
+        const configured = this.keys.filter((key) => this.getAddress(key));
+        const deployments = await Promise.all(configured.map((key) => this.inspect(key, provider)));
+
+        const failures = deployments.filter((deployment) => deployment.error);
+        if (failures.length > 0) {
+            const error = new Error(`Contract verification failed: ${failures
+                .map((failure) => `${failure.name} at ${failure.address}: ${failure.error}`)
+                .join('; ')}`);
+            error.code = 'CONTRACT_MISMATCH';
+            throw error;
+        }
+
+        deployments.forEach((deployment) => {
+            logger.info(`${deployment.name} at ${deployment.address} (${deployment.source}) verified`
+                + (deployment.implementation ? `, implementation ${deployment.implementation}` : ''));
+        });
+        this.deployments = deployments;
+        return deployments;
+    }
+
+    /**
+     * Contracts verified at startup
+     */
+    getStatus() {
+        return {
+            artifactsDir: this.artifactsDir,
+            contracts: this.deployments
+        };
+    }
+}
+
+module.exports = new ContractRegistry();
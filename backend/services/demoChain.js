@@ -0,0 +1,419 @@
+/**
+ * Demo Chain
+ * Runs the stack without a testnet deployment (DEMO_MODE=true, local network only).
+ *
+ * Starts Anvil when nothing answers on the local RPC URL, deploys the three contracts
+ * from the Foundry artifacts as script/Deploy.s.sol does, and seeds them with strains,
+ * royalty pools, payments, IPT holders and proposals. Seeding sends real transactions,
+ * so the event monitor, indexer and API see the same events as on testnet.
+ *
+ * The deployment is recorded as a broadcast run: a restart against the same node
+ * reuses it, and the CLI finds it with --network local.
+ */
+
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const { network, useDeployments, verifyChainId } = require('../config/network');
+const { CONTRACT_NAMES, PROXY_NAME, discoverDeployments, writeBroadcast } = require('../config/deployments');
+const contractRegistry = require('./contractRegistry');
+const logger = require('../utils/logger');
+
+const NODE_START_TIMEOUT_MS = 30000;
+const NODE_POLL_INTERVAL_MS = 250;
+
+// Anvil started by the demo begins this far in the past, so seeded payments spread over time
+const HISTORY_SECONDS = 90 * 24 * 60 * 60;
+
+const FRACTIONAL_SUPPLY = ethers.parseEther('1000000');
+const QUORUM_BPS = 5100;
+
+/**
+ * Seed data. Accounts are indexes into the node's unlocked accounts; account 0
+ * deploys and administers the contracts and owns the fractionalized strain.
+ * Timeline steps are spread evenly over the available history.
+ */
+const SEED = {
+    strains: [
+        {
+            owner: 0,
+            cropSpecies: 'Corn',
+            bacterialStrain: 'Bacillus thuringiensis DX-14',
+            regulatoryStatus: 'EPA Approved',
+            researchInstitution: 'Iowa State University',
+            licensedAcres: 12000,
+            royaltyBps: 500
+        },
+        {
+            owner: 0,
+            cropSpecies: 'Soybean',
+            bacterialStrain: 'Bradyrhizobium japonicum SB-7',
+            regulatoryStatus: 'EPA Approved',
+            researchInstitution: 'University of Illinois',
+            licensedAcres: 8500,
+            royaltyBps: 400
+        },
+        {
+            owner: 1,
+            cropSpecies: 'Wheat',
+            bacterialStrain: 'Pseudomonas fluorescens WF-3',
+            regulatoryStatus: 'Field Trial',
+            researchInstitution: 'Kansas State University',
+            licensedAcres: 2200,
+            royaltyBps: 300
+        },
+        {
+            owner: 4,
+            cropSpecies: 'Rice',
+            bacterialStrain: 'Azospirillum brasilense RA-2',
+            regulatoryStatus: 'Pending Review',
+            researchInstitution: 'UC Davis',
+            licensedAcres: 0,
+            royaltyBps: 250
+        }
+    ],
+    pools: [
+        { tokenId: 0, beneficiaries: [[1, 5000], [2, 3000], [3, 2000]] },
+        { tokenId: 1, beneficiaries: [[1, 6000], [2, 4000]] },
+        { tokenId: 2, beneficiaries: [[3, 7000], [4, 3000]] }
+    ],
+    tokenizer: {
+        tokenId: 0,
+        holders: [[8, '250000'], [9, '150000']]
+    },
+    timeline: [
+        { action: 'royalties', tokenId: 0, from: 5, amount: '4.5' },
+        { action: 'royalties', tokenId: 1, from: 6, amount: '1.8' },
+        { action: 'revenue', from: 5, amount: '2' },
+        { action: 'withdraw', tokenId: 0, beneficiary: 1 },
+        { action: 'royalties', tokenId: 2, from: 7, amount: '0.9' },
+        { action: 'royalties', tokenId: 0, from: 6, amount: '3.2' },
+        {
+            action: 'proposal',
+            proposer: 0,
+            description: 'Renew the Iowa State field trial licence for 2027',
+            votes: [[0, true], [8, true]],
+            execute: true
+        },
+        { action: 'claim', holder: 8 },
+        { action: 'royalties', tokenId: 1, from: 7, amount: '2.4' },
+        { action: 'withdraw', tokenId: 1, beneficiary: 2 },
+        { action: 'revenue', from: 7, amount: '1.5' },
+        { action: 'royalties', tokenId: 0, from: 5, amount: '5.1' },
+        {
+            action: 'proposal',
+            proposer: 8,
+            description: 'Raise the minimum licensing fee by 10%',
+            votes: [[9, false]],
+            execute: false
+        }
+    ]
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function mined(transaction) {
+    return (await transaction).wait();
+}
+
+/**
+ * Timeline actions: each sends the transactions of one seeded event
+ */
+const TIMELINE_ACTIONS = {
+    royalties: ({ tokenId, from, amount }, { distributor, signers }) => mined(
+        distributor.connect(signers[from]).receiveRoyalties(tokenId, { value: ethers.parseEther(amount) })
+    ),
+    withdraw: ({ tokenId, beneficiary }, { distributor, signers }) => mined(
+        distributor.connect(signers[beneficiary]).withdrawRoyalties(tokenId)
+    ),
+    revenue: ({ from, amount }, { tokenizer, signers }) => mined(
+        tokenizer.connect(signers[from]).addRevenue({ value: ethers.parseEther(amount) })
+    ),
+    claim: ({ holder }, { tokenizer, signers }) => mined(tokenizer.connect(signers[holder]).claimRevenue()),
+    proposal: async ({ proposer, description, votes, execute }, { tokenizer, signers, provider }) => {
+        const votingPeriod = await tokenizer.MIN_VOTING_PERIOD();
+        await mined(tokenizer.connect(signers[proposer]).createProposal(description, votingPeriod));
+        const proposalId = await tokenizer.proposalCount();
+
+        for (const [account, support] of votes) {
+            await mined(tokenizer.connect(signers[account]).castVote(proposalId, support));
+        }
+        if (execute) {
+            await provider.send('evm_mine', [{ blocks: Number(votingPeriod) }]);
+            await mined(tokenizer.executeProposal(proposalId));
+        }
+    }
+};
+
+class DemoChain {
+    constructor() {
+        this.node = null;
+        this.transactions = [];
+    }
+
+    isEnabled() {
+        return network.demo;
+    }
+
+    /**
+     * Bring up the local node and deploy and seed the contracts unless the
+     * recorded deployment is still on it
+     */
+    async start() {
+        const provider = new ethers.JsonRpcProvider(network.rpcUrl, ethers.Network.from(network.chainId), {
+            staticNetwork: true
+        });
+
+        try {
+            if (!(await this.isReachable(provider))) {
+                await this.startNode(provider);
+            }
+            await verifyChainId(provider);
+
+            if (await this.isDeployed(provider)) {
+                logger.info('Demo contracts found on the local node, reusing them');
+                return;
+            }
+
+            const signers = await provider.listAccounts();
+            const needed = Math.max(...this.seedAccounts()) + 1;
+            if (signers.length < needed) {
+                throw new Error(`Demo mode needs ${needed} unlocked accounts, ${network.rpcUrl} has ${signers.length}`);
+            }
+
+            await this.deployAndSeed(provider, signers);
+
+            const file = writeBroadcast(network.chainId, this.transactions);
+            useDeployments(discoverDeployments(network.chainId));
+            logger.info(`Demo deployment recorded in ${file}`);
+        } finally {
+            provider.destroy();
+        }
+    }
+
+    async isReachable(provider) {
+        try {
+            await provider.send('eth_chainId', []);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Start Anvil on the port of the local RPC URL, with its genesis block in the past
+     */
+    async startNode(provider) {
+        const url = new URL(network.rpcUrl);
+        if (!['127.0.0.1', 'localhost'].includes(url.hostname)) {
+            throw new Error(`No node is reachable at ${network.rpcUrl}, and Anvil is only started for a localhost RPC URL`);
+        }
+
+        const command = process.env.DEMO_ANVIL_PATH || 'anvil';
+        const args = [
+            '--port', url.port || '8545',
+            '--chain-id', String(network.chainId),
+            '--timestamp', String(Math.floor(Date.now() / 1000) - HISTORY_SECONDS),
+            '--silent'
+        ];
+        logger.info(`No node at ${network.rpcUrl}, starting ${command} ${args.join(' ')}`);
+
+        let failure = null;
+        let ready = false;
+        this.node = spawn(command, args, { stdio: 'ignore' });
+        this.node.once('error', (error) => {
+            failure = error.code === 'ENOENT'
+                ? new Error(`${command} not found, install Foundry or set DEMO_ANVIL_PATH`)
+                : error;
+        });
+        this.node.once('exit', (code, signal) => {
+            this.node = null;
+            failure = failure || new Error(`${command} exited (${signal || `code ${code}`})`);
+            if (ready) {
+                logger.error(`Demo node ${command} exited (${signal || `code ${code}`})`);
+            }
+        });
+        process.once('exit', () => this.stop());
+
+        const deadline = Date.now() + NODE_START_TIMEOUT_MS;
+        while (!(await this.isReachable(provider))) {
+            if (failure) {
+                throw failure;
+            }
+            if (Date.now() > deadline) {
+                this.stop();
+                throw new Error(`${command} did not answer on ${network.rpcUrl} within ${NODE_START_TIMEOUT_MS / 1000}s`);
+            }
+            await sleep(NODE_POLL_INTERVAL_MS);
+        }
+        ready = true;
+    }
+
+    /**
+     * Whether every configured contract has code on the node
+     */
+    async isDeployed(provider) {
+        const addresses = contractRegistry.keys.map((key) => contractRegistry.getAddress(key));
+        if (addresses.some((address) => !address)) {
+            return false;
+        }
+
+        const codes = await Promise.all(addresses.map((address) => provider.getCode(address)));
+        return codes.every((code) => code !== '0x');
+    }
+
+    seedAccounts() {
+        return [
+            ...SEED.strains.map((strain) => strain.owner),
+            ...SEED.pools.flatMap((pool) => pool.beneficiaries.map(([account]) => account)),
+            ...SEED.tokenizer.holders.map(([account]) => account),
+            ...SEED.timeline.flatMap((step) => [
+                step.from, step.beneficiary, step.holder, step.proposer,
+                ...(step.votes || []).map(([account]) => account)
+            ]).filter((account) => account !== undefined)
+        ];
+    }
+
+    /**
+     * Deploy a contract from its Foundry artifact and record the CREATE transaction
+     */
+    async deployContract(signer, name, args = []) {
+        const artifact = contractRegistry.loadArtifact(name);
+        const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode.object, signer);
+        const contract = await factory.deploy(...args);
+        await contract.waitForDeployment();
+
+        const address = await contract.getAddress();
+        this.transactions.push({
+            hash: contract.deploymentTransaction().hash,
+            transactionType: 'CREATE',
+            contractName: name,
+            contractAddress: address,
+            arguments: args.map(String)
+        });
+        return address;
+    }
+
+    /**
+     * Deploy an ERC1967Proxy that initializes the implementation, as the deploy scripts do
+     */
+    async deployProxy(signer, key, implementation, initArgs) {
+        const initData = contractRegistry.getInterface(key).encodeFunctionData('initialize', initArgs);
+        const address = await this.deployContract(signer, PROXY_NAME, [implementation, initData]);
+        return new ethers.Contract(address, contractRegistry.getAbi(key), signer);
+    }
+
+    async deployAndSeed(provider, signers) {
+        const [admin] = signers;
+        this.transactions = [];
+
+        logger.info(`Deploying demo contracts from ${admin.address}`);
+        const ipnft = await this.deployProxy(admin, 'ipnft', await this.deployContract(admin, CONTRACT_NAMES.ipnft), [
+            'Agricultural IP-NFT', 'AGRI-IP', admin.address, 'ipfs://'
+        ]);
+        const distributor = await this.deployProxy(
+            admin, 'royaltyDistributor', await this.deployContract(admin, CONTRACT_NAMES.royaltyDistributor), [admin.address]
+        );
+
+        // Token IDs start at 0 on a fresh deployment
+        for (const [tokenId, strain] of SEED.strains.entries()) {
+            await mined(ipnft.mintIPNFT(
+                signers[strain.owner].address,
+                strain.cropSpecies,
+                strain.bacterialStrain,
+                strain.regulatoryStatus,
+                strain.researchInstitution,
+                '',
+                signers[strain.owner].address,
+                strain.royaltyBps
+            ));
+            if (strain.licensedAcres > 0) {
+                await mined(ipnft.updateLicensedAcres(tokenId, strain.licensedAcres));
+            }
+        }
+
+        for (const pool of SEED.pools) {
+            await mined(distributor.createRoyaltyPool(
+                pool.tokenId,
+                pool.beneficiaries.map(([account]) => signers[account].address),
+                pool.beneficiaries.map(([, shareBps]) => shareBps)
+            ));
+        }
+
+        const tokenizer = await this.fractionalize(admin, ipnft, await this.deployContract(admin, CONTRACT_NAMES.tokenizer));
+        for (const [account, amount] of SEED.tokenizer.holders) {
+            await mined(tokenizer.transfer(signers[account].address, ethers.parseEther(amount)));
+        }
+        // ERC20Votes only counts delegated balances
+        for (const account of [0, ...SEED.tokenizer.holders.map(([holder]) => holder)]) {
+            await mined(tokenizer.connect(signers[account]).delegate(signers[account].address));
+        }
+
+        await this.runTimeline(provider, signers, { distributor, tokenizer });
+
+        logger.info(`Demo chain seeded: ${SEED.strains.length} strains, ${SEED.pools.length} royalty pools, `
+            + `${SEED.timeline.length} timeline events`);
+    }
+
+    /**
+     * Deploy the tokenizer proxy for the seeded strain. Its initializer pulls the
+     * NFT and marks it fractionalized, so the proxy address is approved and granted
+     * MINTER_ROLE before it exists.
+     */
+    async fractionalize(admin, ipnft, implementation) {
+        const nonce = await admin.getNonce();
+        const proxy = ethers.getCreateAddress({ from: admin.address, nonce: nonce + 2 });
+
+        await mined(ipnft.grantRole(await ipnft.MINTER_ROLE(), proxy));
+        await mined(ipnft.approve(proxy, SEED.tokenizer.tokenId));
+
+        return this.deployProxy(admin, 'tokenizer', implementation, [
+            await ipnft.getAddress(),
+            SEED.tokenizer.tokenId,
+            FRACTIONAL_SUPPLY,
+            'Agricultural IP Token',
+            'AGRI-IPT',
+            admin.address,
+            QUORUM_BPS
+        ]);
+    }
+
+    /**
+     * Replay the timeline, advancing time between steps when the node started in
+     * the past, then catch up with the wall clock
+     */
+    async runTimeline(provider, signers, contracts) {
+        const now = () => Math.floor(Date.now() / 1000);
+        const head = await provider.getBlock('latest');
+        const history = Math.min(Math.max(now() - head.timestamp, 0), HISTORY_SECONDS);
+        const step = Math.floor(history / SEED.timeline.length);
+
+        for (const entry of SEED.timeline) {
+            if (step > 0) {
+                await provider.send('evm_increaseTime', [step]);
+            }
+            const action = TIMELINE_ACTIONS[entry.action];
+            if (!action) {
+                throw new Error(`Unknown demo timeline action "${entry.action}"`);
+            }
+            await action(entry, { ...contracts, signers, provider });
+        }
+
+        const latest = await provider.getBlock('latest');
+        if (now() > latest.timestamp) {
+            await provider.send('evm_increaseTime', [now() - latest.timestamp]);
+            await provider.send('evm_mine', []);
+        }
+    }
+
+    /**
+     * Stop the node if the demo started it
+     */
+    stop() {
+        if (this.node) {
+            this.node.kill();
+            this.node = null;
+        }
+    }
+}
+
+module.exports = new DemoChain();
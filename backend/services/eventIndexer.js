@@ -0,0 +1,383 @@
+/**
+ * Event Indexer Service
+ * Persists contract events to MongoDB with checkpointing, backfill and reorg handling
+ */
+
+const mongoose = require('mongoose');
+const ContractEvent = require('../models/ContractEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const logger = require('../utils/logger');
+
+const CHECKPOINT_KEY = 'contract-events';
+const BLOCK_CACHE_SIZE = 256;
+
+/**
+ * Convert decoded event values into JSON/BSON friendly values
+ */
+function serializeValue(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, serializeValue);
+    }
+    return value;
+}
+
+class EventIndexer {
+    constructor() {
+        this.provider = null;
+        this.contracts = {};
+        this.tokenizerTokenId = null;
+        this.isSyncing = false;
+        this.lastSyncAt = null;
+        this.lastError = null;
+        this.blockCache = new Map();
+
+        this.startBlock = parseInt(process.env.INDEXER_START_BLOCK || '0', 10);
+        this.chunkSize = parseInt(process.env.INDEXER_CHUNK_SIZE || '2000', 10);
+        this.reorgDepth = parseInt(process.env.INDEXER_REORG_DEPTH || '12', 10);
+    }
+
+    /**
+     * Set the provider and contract instances to index
+     */
+    configure(provider, contracts, options = {}) {
+        this.provider = provider;
+        this.contracts = contracts;
+        this.tokenizerTokenId = options.tokenizerTokenId ?? null;
+        this.blockCache.clear();
+    }
+
+    /**
+     * Events are only persisted while MongoDB is connected
+     */
+    isEnabled() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Get block header, cached by block number
+     */
+    async getBlock(blockNumber) {
+        if (this.blockCache.has(blockNumber)) {
+            return this.blockCache.get(blockNumber);
+        }
+
+        const block = await this.provider.getBlock(blockNumber);
+        if (block) {
+            if (this.blockCache.size >= BLOCK_CACHE_SIZE) {
+                this.blockCache.delete(this.blockCache.keys().next().value);
+            }
+            this.blockCache.set(blockNumber, block);
+        }
+        return block;
+    }
+
+    /**
+     * Build a persistable record from a decoded event log
+     */
+    async buildRecord(contractKey, log) {
+        const args = {};
+        log.fragment.inputs.forEach((input, index) => {
+            args[input.name] = serializeValue(log.args[index]);
+        });
+
+        let tokenId = args.tokenId ?? args.ipnftTokenId ?? null;
+        if (tokenId === null && contractKey === 'tokenizer') {
+            tokenId = this.tokenizerTokenId;
+        }
+
+        const block = await this.getBlock(log.blockNumber);
+
+        return {
+            contract: contractKey,
+            address: log.address,
+            event: log.eventName,
+            args,
+            tokenId,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            timestamp: new Date((block ? block.timestamp : Math.floor(Date.now() / 1000)) * 1000)
+        };
+    }
+
+    /**
+     * Strip storage fields from a persisted event, leaving the record shape
+     */
+    toRecord(stored) {
+        return {
+            contract: stored.contract,
+            address: stored.address,
+            event: stored.event,
+            args: stored.args,
+            tokenId: stored.tokenId,
+            blockNumber: stored.blockNumber,
+            blockHash: stored.blockHash,
+            transactionHash: stored.transactionHash,
+            logIndex: stored.logIndex,
+            timestamp: stored.timestamp
+        };
+    }
+
+    /**
+     * Store event records, returning only those not already indexed
+     */
+    async storeEvents(records) {
+        if (!this.isEnabled() || records.length === 0) {
+            return records;
+        }
+
+        const result = await ContractEvent.bulkWrite(records.map((record) => ({
+            updateOne: {
+                filter: { transactionHash: record.transactionHash, logIndex: record.logIndex },
+                update: { $setOnInsert: record },
+                upsert: true
+            }
+        })), { ordered: false });
+
+        return Object.keys(result.upsertedIds).map((index) => records[Number(index)]);
+    }
+
+    /**
+     * Fetch and decode all events of the configured contracts in a block range
+     */
+    async fetchRange(fromBlock, toBlock) {
+        const records = [];
+
+        for (const [contractKey, contract] of Object.entries(this.contracts)) {
+            const logs = await contract.queryFilter('*', fromBlock, toBlock);
+            for (const log of logs) {
+                // Logs that do not match a known event fragment cannot be decoded
+                if (!log.fragment) {
+                    continue;
+                }
+                records.push(await this.buildRecord(contractKey, log));
+            }
+        }
+
+        return records.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+    }
+
+    /**
+     * Get last processed block checkpoint
+     */
+    async getCheckpoint() {
+        return IndexerCheckpoint.findOne({ key: CHECKPOINT_KEY }).lean();
+    }
+
+    /**
+     * Save the checkpoint with the hashes of the reorg window below it. Hashes
+     * already known (from the previous checkpoint) are reused, so a sync only
+     * fetches the headers of new blocks. Returns the window saved.
+     */
+    async saveCheckpoint(blockNumber, known = []) {
+        const hashes = new Map(known.map((entry) => [entry.number, entry.hash]));
+        const recentBlocks = [];
+
+        for (let number = Math.max(blockNumber - this.reorgDepth, 0); number <= blockNumber; number++) {
+            const hash = hashes.get(number) || (await this.getBlock(number)).hash;
+            recentBlocks.push({ number, hash });
+        }
+
+        await IndexerCheckpoint.updateOne(
+            { key: CHECKPOINT_KEY },
+            { $set: { blockNumber, blockHash: recentBlocks[recentBlocks.length - 1].hash, recentBlocks } },
+            { upsert: true }
+        );
+        return recentBlocks;
+    }
+
+    /**
+     * Find where the chain diverged from the indexed blocks. The checkpoint hash
+     * commits to every block below it, so a match means no reorg. Otherwise the
+     * hashes of the reorg window (and of stored events, for checkpoints saved
+     * without a window) are walked back to the highest one still on the chain:
+     * the common ancestor. Returns the block after it, or null if the chain is consistent.
+     */
+    async findOrphanedBlock(checkpoint) {
+        // Bypass the cache so a replaced block is not mistaken for the indexed one
+        const latest = await this.provider.getBlock(checkpoint.blockNumber);
+        if (latest && latest.hash === checkpoint.blockHash) {
+            return null;
+        }
+
+        const windowStart = Math.max(checkpoint.blockNumber - this.reorgDepth, 0);
+        const stored = await ContractEvent.aggregate([
+            { $match: { blockNumber: { $gte: windowStart, $lt: checkpoint.blockNumber } } },
+            { $group: { _id: '$blockNumber', blockHash: { $first: '$blockHash' } } }
+        ]);
+
+        const known = new Map(stored.map((entry) => [entry._id, entry.blockHash]));
+        (checkpoint.recentBlocks || [])
+            .filter((entry) => entry.number >= windowStart && entry.number < checkpoint.blockNumber)
+            .forEach((entry) => known.set(entry.number, entry.hash));
+
+        const candidates = [...known.keys()].sort((a, b) => b - a);
+        for (const number of candidates) {
+            const block = await this.provider.getBlock(number);
+            if (block && block.hash === known.get(number)) {
+                return number + 1;
+            }
+        }
+
+        // The fork is at least as deep as the window: rescan all of it
+        return windowStart;
+    }
+
+    /**
+     * Remove every event from the given block onwards and rewind the checkpoint
+     * to the block before it, the common ancestor
+     */
+    async rollback(fromBlock, checkpoint) {
+        const { deletedCount } = await ContractEvent.deleteMany({ blockNumber: { $gte: fromBlock } });
+
+        const resumeBlock = Math.max(Math.min(checkpoint.blockNumber, fromBlock - 1), 0);
+        this.blockCache.clear();
+        await this.saveCheckpoint(
+            resumeBlock,
+            (checkpoint.recentBlocks || []).filter((entry) => entry.number <= resumeBlock)
+        );
+
+        logger.warn('Chain reorganization detected, rolled back indexed events', {
+            fromBlock,
+            removedEvents: deletedCount,
+            resumeBlock
+        });
+
+        return { fromBlock, removedEvents: deletedCount, resumeBlock };
+    }
+
+    /**
+     * Process all blocks between the checkpoint and chain head.
+     * Returns newly indexed records and any rollback performed.
+     */
+    async sync() {
+        if (!this.isEnabled() || !this.provider || this.isSyncing) {
+            return { records: [], rollback: null };
+        }
+
+        this.isSyncing = true;
+        const indexed = [];
+        let rollback = null;
+
+        try {
+            let checkpoint = await this.getCheckpoint();
+
+            if (checkpoint) {
+                const orphanedBlock = await this.findOrphanedBlock(checkpoint);
+                if (orphanedBlock !== null) {
+                    rollback = await this.rollback(orphanedBlock, checkpoint);
+                    checkpoint = await this.getCheckpoint();
+                }
+            }
+            let known = checkpoint ? checkpoint.recentBlocks || [] : [];
+
+            const head = await this.provider.getBlockNumber();
+            let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+
+            if (fromBlock <= head) {
+                logger.info(`Indexing blocks ${fromBlock} to ${head}`);
+            }
+
+            while (fromBlock <= head) {
+                const toBlock = Math.min(fromBlock + this.chunkSize - 1, head);
+                const records = await this.fetchRange(fromBlock, toBlock);
+                indexed.push(...await this.storeEvents(records));
+
+                known = await this.saveCheckpoint(toBlock, known);
+                fromBlock = toBlock + 1;
+            }
+
+            this.lastSyncAt = new Date();
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            throw error;
+        } finally {
+            this.isSyncing = false;
+        }
+
+        return { records: indexed, rollback };
+    }
+
+    /**
+     * Re-index a block range (up to chain head by default). Events already
+     * stored are skipped. The checkpoint only moves forward, and only when the
+     * range joins up with it, so a backfill never hides an unindexed gap.
+     */
+    async backfill(fromBlock, toBlock = null, onProgress = () => {}) {
+        if (!this.isEnabled()) {
+            throw new Error('MongoDB not connected, events cannot be persisted');
+        }
+        if (!this.provider) {
+            throw new Error('Event indexer is not configured');
+        }
+
+        const head = await this.provider.getBlockNumber();
+        const lastBlock = toBlock === null ? head : Math.min(toBlock, head);
+        const checkpoint = await this.getCheckpoint();
+        const resumeBlock = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+
+        let scanned = 0;
+        let stored = 0;
+        let block = fromBlock;
+
+        while (block <= lastBlock) {
+            const chunkEnd = Math.min(block + this.chunkSize - 1, lastBlock);
+            const records = await this.fetchRange(block, chunkEnd);
+            scanned += records.length;
+            stored += (await this.storeEvents(records)).length;
+            onProgress({ fromBlock: block, toBlock: chunkEnd, scanned, stored });
+            block = chunkEnd + 1;
+        }
+
+        const advanceCheckpoint = fromBlock <= resumeBlock && lastBlock >= resumeBlock;
+        if (advanceCheckpoint) {
+            await this.saveCheckpoint(lastBlock, checkpoint ? checkpoint.recentBlocks || [] : []);
+        }
+
+        return {
+            fromBlock,
+            toBlock: lastBlock,
+            headBlock: head,
+            eventsScanned: scanned,
+            eventsStored: stored,
+            checkpoint: advanceCheckpoint ? lastBlock : (checkpoint ? checkpoint.blockNumber : null)
+        };
+    }
+
+    /**
+     * Query persisted events in chain order, or null when the index is unavailable
+     */
+    async findEvents(filter = {}, { limit = 0 } = {}) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        return ContractEvent.find(filter)
+            .sort({ blockNumber: 1, logIndex: 1 })
+            .limit(limit)
+            .lean();
+    }
+
+    /**
+     * Get indexer status
+     */
+    async getStatus() {
+        const checkpoint = this.isEnabled() ? await this.getCheckpoint() : null;
+
+        return {
+            enabled: this.isEnabled(),
+            isSyncing: this.isSyncing,
+            startBlock: this.startBlock,
+            lastProcessedBlock: checkpoint ? checkpoint.blockNumber : null,
+            lastSyncAt: this.lastSyncAt ? this.lastSyncAt.toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = new EventIndexer();
@@ -3,71 +3,301 @@
  * Monitors blockchain events from Agricultural IP contracts
  */
 
+const { EventEmitter } = require('events');
 const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const contractRegistry = require('./contractRegistry');
+const eventIndexer = require('./eventIndexer');
+const rpcProvider = require('./rpcProvider');
 const logger = require('../utils/logger');
 
-// Contract ABIs (simplified - add full ABIs after deployment)
-const IPNFT_ABI = [
-    "event IPNFTMinted(uint256 indexed tokenId, address indexed owner, string cropSpecies, string bacterialStrain, string metadataURI)",
-    "event MetadataUpdated(uint256 indexed tokenId, string metadataURI)",
-    "event LicensedAcresUpdated(uint256 indexed tokenId, uint256 newAcreage)",
-    "event IPNFTFractionalized(uint256 indexed tokenId, address indexed fractionalizer, address indexed tokenOwner)"
-];
-
-const TOKENIZER_ABI = [
-    "event RevenueAdded(uint256 amount, uint256 totalRevenue)",
-    "event RevenueClaimed(address indexed holder, uint256 amount)",
-    "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string description, uint256 startBlock, uint256 endBlock)",
-    "event VoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight)"
-];
-
-const DISTRIBUTOR_ABI = [
-    "event RoyaltiesReceived(uint256 indexed ipnftTokenId, uint256 amount, address indexed sender)",
-    "event RoyaltiesWithdrawn(uint256 indexed ipnftTokenId, address indexed beneficiary, uint256 amount)"
-];
-
-class EventMonitor {
+// Signals published alongside contract events
+const SIGNAL_TYPES = ['quorum-reached', 'voting-closes-soon'];
+
+// Recently emitted event IDs, used to drop duplicates when events are not persisted
+const SEEN_EVENTS_LIMIT = 5000;
+
+/**
+ * Emits 'event' for every newly seen contract event record,
+ * 'rollback' when indexed events are removed after a reorganization and
+ * 'signal' for conditions derived from contract state (governance signals).
+ *
+ * A watchdog compares the chain head with the blocks the subscriptions
+ * deliver; when they stall it resubscribes and re-syncs from the last
+ * processed block so no events are lost while the RPC was unavailable.
+ */
+class EventMonitor extends EventEmitter {
     constructor() {
+        super();
         this.provider = null;
         this.ipnftContract = null;
         this.distributorContract = null;
+        this.tokenizerContract = null;
         this.isMonitoring = false;
+        this.syncTimer = null;
+        this.watchdogTimer = null;
+        this.isCheckingHealth = false;
+        this.pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '15000', 10);
+        this.watchdogInterval = parseInt(process.env.MONITOR_WATCHDOG_INTERVAL_MS || '15000', 10);
+        this.stallTimeout = parseInt(process.env.MONITOR_STALL_TIMEOUT_MS || '60000', 10);
+
+        this.headBlock = null;
+        this.lastBlockEvent = null;
+        this.lastBlockAt = null;
+        this.lastProcessedBlock = null;
+        this.stalledSince = null;
+        this.stallReason = null;
+        this.resubscriptions = 0;
+        this.seenEvents = new Set();
+
+        this.onBlock = this.onBlock.bind(this);
+    }
+
+    /**
+     * Create contract instances and point the indexer at them, without
+     * subscribing; used on its own by the CLI to backfill the index
+     */
+    async connect() {
+        // Initialize provider
+        this.provider = rpcProvider.getProvider();
+
+        // Initialize contracts
+        if (network.contracts.ipnft) {
+            this.ipnftContract = contractRegistry.getContract('ipnft', this.provider);
+        }
+
+        if (network.contracts.royaltyDistributor) {
+            this.distributorContract = contractRegistry.getContract('royaltyDistributor', this.provider);
+        }
+
+        let tokenizerTokenId = null;
+        if (network.contracts.tokenizer) {
+            this.tokenizerContract = contractRegistry.getContract('tokenizer', this.provider);
+            tokenizerTokenId = (await this.tokenizerContract.ipnftTokenId()).toString();
+        }
+
+        eventIndexer.configure(this.provider, this.getIndexedContracts(), { tokenizerTokenId });
     }
 
     async start() {
         try {
-            // Initialize provider
-            this.provider = new ethers.JsonRpcProvider(
-                process.env.KASPLEX_RPC_URL || 'https://rpc.kasplextest.xyz'
-            );
-
-            // Initialize contracts
-            if (process.env.IPNFT_ADDRESS) {
-                this.ipnftContract = new ethers.Contract(
-                    process.env.IPNFT_ADDRESS,
-                    IPNFT_ABI,
-                    this.provider
-                );
-                this.setupIPNFTListeners();
-            }
+            await this.connect();
 
-            if (process.env.ROYALTY_DISTRIBUTOR_ADDRESS) {
-                this.distributorContract = new ethers.Contract(
-                    process.env.ROYALTY_DISTRIBUTOR_ADDRESS,
-                    DISTRIBUTOR_ABI,
-                    this.provider
-                );
-                this.setupDistributorListeners();
-            }
+            const head = await this.provider.getBlockNumber();
+            this.headBlock = head;
+            this.lastBlockEvent = head;
+            this.lastBlockAt = new Date();
+            this.lastProcessedBlock = head;
+
+            this.subscribe();
+            this.watchdogTimer = setInterval(() => this.checkHealth(), this.watchdogInterval);
 
             this.isMonitoring = true;
             logger.info('Event monitoring started successfully');
+
+            if (eventIndexer.isEnabled()) {
+                // Backfill runs in the background so startup is not blocked on history
+                this.sync();
+                this.syncTimer = setInterval(() => this.sync(), this.pollInterval);
+            } else {
+                logger.warn('MongoDB not connected, events will not be persisted');
+            }
         } catch (error) {
             logger.error('Failed to start event monitoring:', error);
             throw error;
         }
     }
 
+    /**
+     * Names of all events the monitor decodes
+     */
+    getEventTypes() {
+        const names = contractRegistry.keys
+            .flatMap((key) => contractRegistry.getInterface(key).fragments)
+            .filter((fragment) => fragment.type === 'event')
+            .map((fragment) => fragment.name);
+        return Array.from(new Set(names)).sort();
+    }
+
+    /**
+     * Types of derived signals, which stream clients can filter on like event names
+     */
+    getSignalTypes() {
+        return SIGNAL_TYPES;
+    }
+
+    /**
+     * Contracts whose events are persisted by the indexer
+     */
+    getIndexedContracts() {
+        const contracts = {};
+        if (this.ipnftContract) contracts.ipnft = this.ipnftContract;
+        if (this.distributorContract) contracts.distributor = this.distributorContract;
+        if (this.tokenizerContract) contracts.tokenizer = this.tokenizerContract;
+        return contracts;
+    }
+
+    /**
+     * Attach contract event listeners and track blocks delivered by the subscription
+     */
+    subscribe() {
+        if (this.ipnftContract) this.setupIPNFTListeners();
+        if (this.distributorContract) this.setupDistributorListeners();
+        if (this.tokenizerContract) this.setupTokenizerListeners();
+        this.provider.on('block', this.onBlock);
+    }
+
+    unsubscribe() {
+        Object.values(this.getIndexedContracts()).forEach((contract) => contract.removeAllListeners());
+        if (this.provider) {
+            this.provider.off('block', this.onBlock);
+        }
+    }
+
+    onBlock(blockNumber) {
+        this.lastBlockEvent = Math.max(this.lastBlockEvent ?? 0, blockNumber);
+        this.headBlock = Math.max(this.headBlock ?? 0, blockNumber);
+        this.lastBlockAt = new Date();
+    }
+
+    /**
+     * Notify subscribers of new records. Without MongoDB nothing deduplicates
+     * events seen by both a live listener and a catch-up pass, so it is done here.
+     */
+    publish(records) {
+        records.forEach((record) => {
+            if (!eventIndexer.isEnabled()) {
+                const id = `${record.transactionHash}:${record.logIndex}`;
+                if (this.seenEvents.has(id)) {
+                    return;
+                }
+                this.seenEvents.add(id);
+                if (this.seenEvents.size > SEEN_EVENTS_LIMIT) {
+                    this.seenEvents.delete(this.seenEvents.values().next().value);
+                }
+            }
+            this.emit('event', record);
+        });
+    }
+
+    /**
+     * Persist a live event and notify subscribers if it was not seen before
+     */
+    async recordEvent(contractKey, event) {
+        try {
+            const record = await eventIndexer.buildRecord(contractKey, event.log);
+            this.publish(await eventIndexer.storeEvents([record]));
+        } catch (error) {
+            logger.error(`Failed to record ${contractKey} event:`, error);
+        }
+    }
+
+    /**
+     * Notify subscribers of a derived signal, such as a proposal reaching quorum
+     */
+    publishSignal(signal) {
+        logger.info(`Signal ${signal.type}:`, { contract: signal.contract, proposalId: signal.proposalId });
+        this.emit('signal', signal);
+    }
+
+    markStalled(reason) {
+        if (!this.stalledSince) {
+            this.stalledSince = new Date();
+            this.stallReason = reason;
+            logger.warn(`Event subscriptions stalled: ${reason}`);
+        }
+    }
+
+    /**
+     * Watchdog pass: read the chain head, detect stalled subscriptions and
+     * recover them, then process any blocks the listeners have not covered
+     */
+    async checkHealth() {
+        if (this.isCheckingHealth) {
+            return;
+        }
+        this.isCheckingHealth = true;
+
+        try {
+            let head;
+            try {
+                head = await this.provider.getBlockNumber();
+            } catch (error) {
+                this.markStalled(`chain head unavailable: ${error.shortMessage || error.message}`);
+                return;
+            }
+            this.headBlock = Math.max(this.headBlock ?? 0, head);
+
+            // Blocks are only produced on demand on some chains, so silence alone is not a stall
+            const silentFor = Date.now() - this.lastBlockAt.getTime();
+            if (head > this.lastBlockEvent && silentFor > this.stallTimeout) {
+                this.markStalled(`no blocks delivered for ${Math.round(silentFor / 1000)}s while the chain advanced`);
+            }
+
+            const recovering = this.stalledSince !== null;
+            if (recovering) {
+                this.resubscribe();
+            }
+
+            if (eventIndexer.isEnabled()) {
+                if (recovering) {
+                    await this.sync();
+                }
+            } else {
+                await this.catchUp(head);
+            }
+        } catch (error) {
+            logger.error('Event monitor health check failed:', error);
+        } finally {
+            this.isCheckingHealth = false;
+        }
+    }
+
+    /**
+     * Replace every listener with a fresh subscription
+     */
+    resubscribe() {
+        logger.warn(`Resubscribing to contract events, stalled since ${this.stalledSince.toISOString()}`);
+        this.unsubscribe();
+        this.subscribe();
+
+        this.lastBlockEvent = this.headBlock;
+        this.lastBlockAt = new Date();
+        this.stalledSince = null;
+        this.stallReason = null;
+        this.resubscriptions += 1;
+    }
+
+    /**
+     * Fetch events from the last processed block up to head. Only used when
+     * events are not persisted; otherwise the indexer sync covers the gap.
+     */
+    async catchUp(head) {
+        let fromBlock = this.lastProcessedBlock + 1;
+
+        while (fromBlock <= head) {
+            const toBlock = Math.min(fromBlock + eventIndexer.chunkSize - 1, head);
+            this.publish(await eventIndexer.fetchRange(fromBlock, toBlock));
+            this.lastProcessedBlock = toBlock;
+            fromBlock = toBlock + 1;
+        }
+    }
+
+    /**
+     * Run an indexer pass: reorg check, then backfill up to chain head
+     */
+    async sync() {
+        try {
+            const { records, rollback } = await eventIndexer.sync();
+            if (rollback) {
+                this.emit('rollback', rollback);
+            }
+            this.publish(records);
+        } catch (error) {
+            logger.error('Event indexer sync failed:', error);
+        }
+    }
+
     setupIPNFTListeners() {
         this.ipnftContract.on('IPNFTMinted', (tokenId, owner, cropSpecies, bacterialStrain, metadataURI, event) => {
             logger.info('IPNFTMinted event:', {
@@ -78,7 +308,7 @@ class EventMonitor {
                 metadataURI,
                 blockNumber: event.log.blockNumber
             });
-            // Store in database or trigger notifications
+            this.recordEvent('ipnft', event);
         });
 
         this.ipnftContract.on('MetadataUpdated', (tokenId, metadataURI, event) => {
@@ -87,6 +317,7 @@ class EventMonitor {
                 metadataURI,
                 blockNumber: event.log.blockNumber
             });
+            this.recordEvent('ipnft', event);
         });
 
         this.ipnftContract.on('LicensedAcresUpdated', (tokenId, newAcreage, event) => {
@@ -95,6 +326,7 @@ class EventMonitor {
                 newAcreage: newAcreage.toString(),
                 blockNumber: event.log.blockNumber
             });
+            this.recordEvent('ipnft', event);
         });
 
         this.ipnftContract.on('IPNFTFractionalized', (tokenId, fractionalizer, tokenOwner, event) => {
@@ -104,6 +336,7 @@ class EventMonitor {
                 tokenOwner,
                 blockNumber: event.log.blockNumber
             });
+            this.recordEvent('ipnft', event);
         });
 
         logger.info('IP-NFT event listeners configured');
@@ -117,6 +350,7 @@ class EventMonitor {
                 sender,
                 blockNumber: event.log.blockNumber
             });
+            this.recordEvent('distributor', event);
         });
 
         this.distributorContract.on('RoyaltiesWithdrawn', (ipnftTokenId, beneficiary, amount, event) => {
@@ -126,29 +360,133 @@ class EventMonitor {
                 amount: ethers.formatEther(amount),
                 blockNumber: event.log.blockNumber
             });
+            this.recordEvent('distributor', event);
         });
 
         logger.info('Royalty Distributor event listeners configured');
     }
 
+    setupTokenizerListeners() {
+        this.tokenizerContract.on('RevenueAdded', (amount, totalRevenue, event) => {
+            logger.info('RevenueAdded event:', {
+                amount: ethers.formatEther(amount),
+                totalRevenue: ethers.formatEther(totalRevenue),
+                blockNumber: event.log.blockNumber
+            });
+            this.recordEvent('tokenizer', event);
+        });
+
+        this.tokenizerContract.on('RevenueClaimed', (holder, amount, event) => {
+            logger.info('RevenueClaimed event:', {
+                holder,
+                amount: ethers.formatEther(amount),
+                blockNumber: event.log.blockNumber
+            });
+            this.recordEvent('tokenizer', event);
+        });
+
+        this.tokenizerContract.on('Transfer', (from, to, value, event) => {
+            logger.info('IPT Transfer event:', {
+                from,
+                to,
+                value: ethers.formatEther(value),
+                blockNumber: event.log.blockNumber
+            });
+            this.recordEvent('tokenizer', event);
+        });
+
+        this.tokenizerContract.on('ProposalCreated', (proposalId, proposer, description, startBlock, endBlock, event) => {
+            logger.info('ProposalCreated event:', {
+                proposalId: proposalId.toString(),
+                proposer,
+                description,
+                startBlock: startBlock.toString(),
+                endBlock: endBlock.toString(),
+                blockNumber: event.log.blockNumber
+            });
+            this.recordEvent('tokenizer', event);
+        });
+
+        this.tokenizerContract.on('VoteCast', (proposalId, voter, support, weight, event) => {
+            logger.info('VoteCast event:', {
+                proposalId: proposalId.toString(),
+                voter,
+                support,
+                weight: ethers.formatEther(weight),
+                blockNumber: event.log.blockNumber
+            });
+            this.recordEvent('tokenizer', event);
+        });
+
+        this.tokenizerContract.on('ProposalExecuted', (proposalId, event) => {
+            logger.info('ProposalExecuted event:', {
+                proposalId: proposalId.toString(),
+                blockNumber: event.log.blockNumber
+            });
+            this.recordEvent('tokenizer', event);
+        });
+
+        this.tokenizerContract.on('IPNFTRedeemed', (redeemer, redemptionPrice, event) => {
+            logger.info('IPNFTRedeemed event:', {
+                redeemer,
+                redemptionPrice: ethers.formatEther(redemptionPrice),
+                blockNumber: event.log.blockNumber
+            });
+            this.recordEvent('tokenizer', event);
+        });
+
+        logger.info('IP Tokenizer event listeners configured');
+    }
+
     stop() {
-        if (this.ipnftContract) {
-            this.ipnftContract.removeAllListeners();
+        if (this.syncTimer) {
+            clearInterval(this.syncTimer);
+            this.syncTimer = null;
         }
-        if (this.distributorContract) {
-            this.distributorContract.removeAllListeners();
+        if (this.watchdogTimer) {
+            clearInterval(this.watchdogTimer);
+            this.watchdogTimer = null;
         }
+        this.unsubscribe();
         this.isMonitoring = false;
         logger.info('Event monitoring stopped');
     }
 
-    getStatus() {
+    /**
+     * Monitoring status. isMonitoring is false while subscriptions are stalled;
+     * lagBlocks is how far processed events trail the chain head.
+     */
+    async getStatus() {
+        const indexer = await eventIndexer.getStatus();
+        const lastProcessedBlock = indexer.enabled ? indexer.lastProcessedBlock : this.lastProcessedBlock;
+
+        let state = 'stopped';
+        if (this.isMonitoring) {
+            state = this.stalledSince ? 'stalled' : 'live';
+        }
+
         return {
-            isMonitoring: this.isMonitoring,
+            isMonitoring: this.isMonitoring && !this.stalledSince,
             contracts: {
-                ipnft: process.env.IPNFT_ADDRESS || 'Not configured',
-                distributor: process.env.ROYALTY_DISTRIBUTOR_ADDRESS || 'Not configured'
-            }
+                ipnft: network.contracts.ipnft || 'Not configured',
+                distributor: network.contracts.royaltyDistributor || 'Not configured',
+                tokenizer: network.contracts.tokenizer || 'Not configured'
+            },
+            sync: {
+                state,
+                headBlock: this.headBlock,
+                lastProcessedBlock,
+                lagBlocks: this.headBlock !== null && lastProcessedBlock !== null
+                    ? Math.max(this.headBlock - lastProcessedBlock, 0)
+                    : null,
+                lastBlockAt: this.lastBlockAt ? this.lastBlockAt.toISOString() : null,
+                stalledSince: this.stalledSince ? this.stalledSince.toISOString() : null,
+                stallReason: this.stallReason,
+                resubscriptions: this.resubscriptions
+            },
+            indexer,
+            deployments: contractRegistry.getStatus(),
+            rpc: rpcProvider.getHealth()
         };
     }
 }
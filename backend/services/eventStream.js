@@ -0,0 +1,326 @@
+/**
+ * Event Stream Service
+ * Rebroadcasts contract events to Server-Sent Events clients with per-client
+ * filters and resume from the last seen event id
+ */
+
+const eventIndexer = require('./eventIndexer');
+const eventMonitor = require('./eventMonitor');
+const rpcProvider = require('./rpcProvider');
+const logger = require('../utils/logger');
+
+const REPLAY_PAGE_SIZE = 500;
+
+/**
+ * Stream id of an event, stable across reconnects and restarts
+ */
+function eventId(record) {
+    return `${record.transactionHash}:${record.logIndex}`;
+}
+
+/**
+ * Parse a "<txHash>:<logIndex>" event id, returning null when malformed
+ */
+function parseEventId(id) {
+    const match = /^(0x[0-9a-fA-F]{64}):(\d+)$/.exec(id || '');
+    if (!match) {
+        return null;
+    }
+    return { transactionHash: match[1].toLowerCase(), logIndex: Number(match[2]) };
+}
+
+/**
+ * Check whether a record passes a client's filters
+ */
+function matchesFilters(filters, record) {
+    return (filters.contracts.length === 0 || filters.contracts.includes(record.contract))
+        && (filters.events.length === 0 || filters.events.includes(record.event))
+        && (filters.tokenIds.length === 0 || filters.tokenIds.includes(record.tokenId));
+}
+
+/**
+ * Check whether a record comes strictly after a chain position
+ */
+function isAfter(record, position) {
+    return record.blockNumber > position.blockNumber
+        || (record.blockNumber === position.blockNumber && record.logIndex > position.logIndex);
+}
+
+/**
+ * Write one SSE frame, resolving once the socket can take more data
+ */
+function writeFrame(res, { id = null, event = null, data }) {
+    let frame = '';
+    if (id) frame += `id: ${id}\n`;
+    if (event) frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+
+    if (res.destroyed || res.write(frame)) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+    });
+}
+
+class EventStream {
+    constructor() {
+        this.clients = new Set();
+        this.recent = [];
+        this.headBlock = null;
+        this.provider = null;
+        this.heartbeatTimer = null;
+        this.onEvent = (record) => this.publish(record);
+        this.onRollback = (rollback) => this.publishRollback(rollback);
+        this.onSignal = (signal) => this.publishSignal(signal);
+        this.onBlock = (blockNumber) => {
+            this.headBlock = Math.max(this.headBlock || 0, blockNumber);
+        };
+
+        this.bufferSize = parseInt(process.env.EVENT_STREAM_BUFFER_SIZE || '1000', 10);
+        this.maxClients = parseInt(process.env.EVENT_STREAM_MAX_CLIENTS || '500', 10);
+        this.heartbeatInterval = parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS || '15000', 10);
+    }
+
+    start() {
+        eventMonitor.on('event', this.onEvent);
+        eventMonitor.on('rollback', this.onRollback);
+        eventMonitor.on('signal', this.onSignal);
+
+        this.provider = rpcProvider.getProvider();
+        this.provider.on('block', this.onBlock);
+        this.provider.getBlockNumber()
+            .then(this.onBlock)
+            .catch((error) => logger.warn(`Event stream could not read head block: ${error.message}`));
+
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+        logger.info('Event stream started');
+    }
+
+    stop() {
+        eventMonitor.off('event', this.onEvent);
+        eventMonitor.off('rollback', this.onRollback);
+        eventMonitor.off('signal', this.onSignal);
+        if (this.provider) {
+            this.provider.off('block', this.onBlock);
+            this.provider = null;
+        }
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        this.clients.forEach((client) => client.res.end());
+        this.clients.clear();
+    }
+
+    isFull() {
+        return this.clients.size >= this.maxClients;
+    }
+
+    /**
+     * Wrap a record in the stream envelope
+     */
+    envelope(record) {
+        return {
+            id: eventId(record),
+            contract: record.contract,
+            address: record.address,
+            event: record.event,
+            args: record.args,
+            tokenId: record.tokenId,
+            blockNumber: record.blockNumber,
+            blockHash: record.blockHash,
+            transactionHash: record.transactionHash,
+            logIndex: record.logIndex,
+            timestamp: record.timestamp,
+            confirmations: this.headBlock === null ? null : Math.max(this.headBlock - record.blockNumber + 1, 0)
+        };
+    }
+
+    /**
+     * Send a record to a client unless it was already sent during replay
+     */
+    send(client, record) {
+        const id = eventId(record);
+        if (client.replayedIds && client.replayedIds.has(id)) {
+            return Promise.resolve();
+        }
+        return writeFrame(client.res, { id, data: this.envelope(record) });
+    }
+
+    /**
+     * Fan a new event out to matching clients and keep it for in-memory resume
+     */
+    publish(record) {
+        this.headBlock = Math.max(this.headBlock || 0, record.blockNumber);
+
+        this.recent.push(record);
+        if (this.recent.length > this.bufferSize) {
+            this.recent.shift();
+        }
+
+        this.clients.forEach((client) => {
+            if (!matchesFilters(client.filters, record)) {
+                return;
+            }
+            if (client.pending) {
+                client.pending.push(record);
+            } else {
+                this.send(client, record);
+            }
+        });
+    }
+
+    /**
+     * Tell clients that events from a block onwards were removed by a reorganization
+     */
+    publishRollback({ fromBlock, resumeBlock }) {
+        this.recent = this.recent.filter((record) => record.blockNumber < fromBlock);
+        this.clients.forEach((client) => {
+            writeFrame(client.res, { event: 'rollback', data: { fromBlock, resumeBlock } });
+        });
+    }
+
+    /**
+     * Send a derived signal to clients whose filters match its contract,
+     * type (as the event name) and token. Signals are not replayed on resume.
+     */
+    publishSignal(signal) {
+        const record = { contract: signal.contract, event: signal.type, tokenId: signal.tokenId };
+        this.clients.forEach((client) => {
+            if (matchesFilters(client.filters, record)) {
+                writeFrame(client.res, { event: 'signal', data: signal });
+            }
+        });
+    }
+
+    heartbeat() {
+        this.clients.forEach((client) => {
+            writeFrame(client.res, { event: 'heartbeat', data: { headBlock: this.headBlock } });
+        });
+    }
+
+    /**
+     * Find the chain position of a previously streamed event
+     */
+    async findPosition(id) {
+        const parsed = parseEventId(id);
+        if (!parsed) {
+            return null;
+        }
+
+        const buffered = this.recent.find((record) => record.transactionHash === parsed.transactionHash
+            && record.logIndex === parsed.logIndex);
+        if (buffered) {
+            return { blockNumber: buffered.blockNumber, logIndex: buffered.logIndex };
+        }
+
+        const stored = await eventIndexer.findEvents(parsed, { limit: 1 });
+        if (stored && stored.length > 0) {
+            return { blockNumber: stored[0].blockNumber, logIndex: stored[0].logIndex };
+        }
+        return null;
+    }
+
+    /**
+     * Send every matching event after a position, from the index when available
+     * and otherwise from the in-memory buffer
+     */
+    async replay(client, position) {
+        if (!eventIndexer.isEnabled()) {
+            const records = this.recent
+                .filter((record) => isAfter(record, position) && matchesFilters(client.filters, record));
+            for (const record of records) {
+                await this.send(client, record);
+                client.replayedIds.add(eventId(record));
+            }
+            return;
+        }
+
+        const filter = {};
+        if (client.filters.contracts.length > 0) filter.contract = { $in: client.filters.contracts };
+        if (client.filters.events.length > 0) filter.event = { $in: client.filters.events };
+        if (client.filters.tokenIds.length > 0) filter.tokenId = { $in: client.filters.tokenIds };
+
+        let cursor = position;
+        for (;;) {
+            const page = await eventIndexer.findEvents({
+                ...filter,
+                $or: [
+                    { blockNumber: { $gt: cursor.blockNumber } },
+                    { blockNumber: cursor.blockNumber, logIndex: { $gt: cursor.logIndex } }
+                ]
+            }, { limit: REPLAY_PAGE_SIZE });
+
+            for (const stored of page) {
+                const record = eventIndexer.toRecord(stored);
+                await this.send(client, record);
+                client.replayedIds.add(eventId(record));
+            }
+
+            if (page.length < REPLAY_PAGE_SIZE || client.closed) {
+                return;
+            }
+            const last = page[page.length - 1];
+            cursor = { blockNumber: last.blockNumber, logIndex: last.logIndex };
+        }
+    }
+
+    /**
+     * Register a client on an open SSE response.
+     * Events published while the backlog is replayed are held and sent afterwards.
+     * @param {Object} res Express response with SSE headers already written
+     * @param {Object} filters { contracts, events, tokenIds }
+     * @param {Object} resume { lastEventId } or { fromBlock }, both optional
+     */
+    async subscribe(res, filters, { lastEventId = null, fromBlock = null } = {}) {
+        const client = { res, filters, pending: [], replayedIds: new Set(), closed: false };
+        this.clients.add(client);
+        res.on('close', () => {
+            client.closed = true;
+            this.clients.delete(client);
+        });
+
+        await writeFrame(res, { event: 'ready', data: { headBlock: this.headBlock, filters } });
+
+        try {
+            let position = null;
+            if (lastEventId) {
+                position = await this.findPosition(lastEventId);
+                if (!position) {
+                    await writeFrame(res, {
+                        event: 'reset',
+                        data: { reason: `Event ${lastEventId} is not available for resume` }
+                    });
+                }
+            } else if (fromBlock !== null) {
+                position = { blockNumber: fromBlock, logIndex: -1 };
+            }
+
+            if (position) {
+                await this.replay(client, position);
+            }
+        } catch (error) {
+            logger.error('Event stream replay failed:', error);
+            await writeFrame(res, { event: 'reset', data: { reason: 'Replay failed' } });
+        }
+
+        const pending = client.pending;
+        client.pending = null;
+        for (const record of pending) {
+            await this.send(client, record);
+        }
+        client.replayedIds = null;
+    }
+
+    getStatus() {
+        return {
+            clients: this.clients.size,
+            bufferedEvents: this.recent.length,
+            headBlock: this.headBlock
+        };
+    }
+}
+
+module.exports = new EventStream();
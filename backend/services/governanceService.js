@@ -0,0 +1,309 @@
+/**
+ * Governance Service
+ * IPTokenizer proposal lifecycle: state derived from the current block,
+ * quorum progress, estimated voting end times and per-voter records.
+ *
+ * While started it also watches active proposals and publishes
+ * 'voting-closes-soon' and 'quorum-reached' signals through the event monitor.
+ */
+
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const ContractModel = require('../models/ContractModel');
+const contractRegistry = require('./contractRegistry');
+const eventIndexer = require('./eventIndexer');
+const eventMonitor = require('./eventMonitor');
+const { aggregate } = require('../utils/multicall');
+const logger = require('../utils/logger');
+
+const STATES = ['pending', 'active', 'defeated', 'succeeded', 'executed', 'canceled'];
+const BPS_DENOMINATOR = 10000n;
+const BLOCK_TIME_TTL_MS = 60 * 1000;
+
+/**
+ * Lifecycle state at a block, mirroring the checks in castVote and executeProposal
+ */
+function deriveState(proposal, blockNumber, passed) {
+    if (proposal.canceled) return 'canceled';
+    if (proposal.executed) return 'executed';
+    if (blockNumber < proposal.startBlock) return 'pending';
+    if (blockNumber <= proposal.endBlock) return 'active';
+    return passed ? 'succeeded' : 'defeated';
+}
+
+class GovernanceService {
+    constructor() {
+        this.states = STATES;
+        this.timer = null;
+        this.isChecking = false;
+        this.blockTime = null;
+        this.tokenId = null;
+        this.signalled = new Set();
+
+        this.checkInterval = parseInt(process.env.GOVERNANCE_SIGNAL_INTERVAL_MS || '30000', 10);
+        this.closingSoonSeconds = parseInt(process.env.GOVERNANCE_CLOSING_SOON_SECONDS || '3600', 10);
+        this.blockTimeSample = parseInt(process.env.GOVERNANCE_BLOCK_TIME_SAMPLE || '1000', 10);
+    }
+
+    start() {
+        this.timer = setInterval(() => this.checkSignals(), this.checkInterval);
+        this.checkSignals();
+        logger.info('Governance signal monitoring started');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Average seconds per block over the last blocks, cached briefly.
+     * Returns { head, headTimestamp, averageBlockTime } where the average is
+     * null until the chain has more than one block.
+     */
+    async getBlockTime(head) {
+        if (this.blockTime && this.blockTime.head === head && Date.now() - this.blockTime.at < BLOCK_TIME_TTL_MS) {
+            return this.blockTime.value;
+        }
+
+        const provider = ContractModel.getProvider();
+        const sample = Math.min(this.blockTimeSample, head);
+        const [latest, earlier] = await Promise.all([
+            provider.getBlock(head),
+            sample > 0 ? provider.getBlock(head - sample) : null
+        ]);
+
+        const value = {
+            head,
+            headTimestamp: latest.timestamp,
+            averageBlockTime: earlier ? (latest.timestamp - earlier.timestamp) / sample : null
+        };
+        this.blockTime = { head, at: Date.now(), value };
+        return value;
+    }
+
+    /**
+     * Estimated time a block is (or was) mined, from the average block time
+     */
+    estimateBlockTime(blockNumber, { head, headTimestamp, averageBlockTime }) {
+        if (averageBlockTime === null) {
+            return null;
+        }
+        const seconds = headTimestamp + (blockNumber - head) * averageBlockTime;
+        return new Date(Math.round(seconds) * 1000).toISOString();
+    }
+
+    /**
+     * Read every proposal with quorum progress and timing at one block
+     */
+    async loadProposals() {
+        const provider = ContractModel.getProvider();
+        const tokenizer = ContractModel.getTokenizerContract();
+
+        const head = await provider.getBlockNumber();
+        const [proposalCount, totalSupply, quorumBps] = await Promise.all([
+            tokenizer.proposalCount({ blockTag: head }),
+            tokenizer.totalSupply({ blockTag: head }),
+            tokenizer.quorumBps({ blockTag: head })
+        ]);
+
+        const ids = Array.from({ length: Number(proposalCount) }, (_, index) => BigInt(index + 1));
+        const [results, blockTime] = await Promise.all([
+            aggregate(provider, ids.map((id) => ({ contract: tokenizer, method: 'proposals', args: [id] })), head),
+            this.getBlockTime(head)
+        ]);
+
+        // hasQuorum() measures votes against the current supply, so this does too
+        const quorumVotes = (totalSupply * quorumBps) / BPS_DENOMINATOR;
+
+        const proposals = results.map(({ success, value }, index) => {
+            if (!success) {
+                throw new Error(`Failed to read proposal ${ids[index]}`);
+            }
+            return this.describe(value, { head, quorumBps, quorumVotes, blockTime });
+        });
+
+        return { blockNumber: head, quorumBps: quorumBps.toString(), proposals };
+    }
+
+    /**
+     * Format a proposal struct with its derived state, quorum and timing
+     */
+    describe(proposal, { head, quorumBps, quorumVotes, blockTime }) {
+        const startBlock = Number(proposal.startBlock);
+        const endBlock = Number(proposal.endBlock);
+        const totalVotes = proposal.forVotes + proposal.againstVotes;
+        const reached = totalVotes >= quorumVotes;
+        const passed = reached && proposal.forVotes > proposal.againstVotes;
+        const blocksRemaining = Math.max(endBlock - head, 0);
+
+        return {
+            id: proposal.id.toString(),
+            description: proposal.description,
+            proposer: proposal.proposer,
+            state: deriveState({
+                canceled: proposal.canceled,
+                executed: proposal.executed,
+                startBlock,
+                endBlock
+            }, head, passed),
+            forVotes: ethers.formatEther(proposal.forVotes),
+            againstVotes: ethers.formatEther(proposal.againstVotes),
+            quorum: {
+                quorumBps: quorumBps.toString(),
+                requiredVotes: ethers.formatEther(quorumVotes),
+                totalVotes: ethers.formatEther(totalVotes),
+                progressBps: quorumVotes > 0n
+                    ? Number((totalVotes * BPS_DENOMINATOR) / quorumVotes)
+                    : Number(BPS_DENOMINATOR),
+                reached
+            },
+            passed,
+            timing: {
+                startBlock,
+                endBlock,
+                currentBlock: head,
+                blocksRemaining,
+                averageBlockTime: blockTime.averageBlockTime,
+                estimatedStartAt: this.estimateBlockTime(startBlock, blockTime),
+                estimatedEndAt: this.estimateBlockTime(endBlock, blockTime),
+                secondsRemaining: blockTime.averageBlockTime === null
+                    ? null
+                    : Math.round(blocksRemaining * blockTime.averageBlockTime)
+            }
+        };
+    }
+
+    /**
+     * All proposals, newest first, optionally limited to one state
+     */
+    async getProposals({ state = null } = {}) {
+        const { blockNumber, quorumBps, proposals } = await this.loadProposals();
+        const matching = proposals
+            .filter((proposal) => state === null || proposal.state === state)
+            .reverse();
+
+        return {
+            blockNumber,
+            quorumBps,
+            proposalCount: proposals.length,
+            proposals: matching
+        };
+    }
+
+    /**
+     * A proposal with its votes, or null if it does not exist
+     */
+    async getProposal(proposalId) {
+        const { blockNumber, proposals } = await this.loadProposals();
+        const proposal = proposals.find((entry) => entry.id === String(proposalId));
+        if (!proposal) {
+            return null;
+        }
+
+        const votes = await this.getVotes(proposal);
+        return { ...proposal, blockNumber, voterCount: votes.length, votes };
+    }
+
+    /**
+     * Per-voter records from the event index, or from the chain's logs for
+     * the voting window when MongoDB is not connected
+     */
+    async getVotes(proposal) {
+        const indexed = await eventIndexer.findEvents({
+            contract: 'tokenizer',
+            event: 'VoteCast',
+            'args.proposalId': proposal.id
+        });
+
+        if (indexed !== null) {
+            return indexed.map((event) => ({
+                voter: ethers.getAddress(event.args.voter),
+                support: event.args.support,
+                weight: ethers.formatEther(event.args.weight),
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash,
+                timestamp: new Date(event.timestamp).toISOString()
+            }));
+        }
+
+        const contract = contractRegistry.getContract('tokenizer', ContractModel.getProvider());
+        const { startBlock, endBlock, currentBlock } = proposal.timing;
+        if (startBlock > currentBlock) {
+            return [];
+        }
+
+        const logs = await contract.queryFilter(
+            contract.filters.VoteCast(proposal.id),
+            startBlock,
+            Math.min(endBlock, currentBlock)
+        );
+        return logs.map((log) => ({
+            voter: log.args.voter,
+            support: log.args.support,
+            weight: ethers.formatEther(log.args.weight),
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            timestamp: null
+        }));
+    }
+
+    /**
+     * Publish each signal once per proposal: quorum reached while voting is
+     * open, and voting closing within GOVERNANCE_CLOSING_SOON_SECONDS
+     */
+    async checkSignals() {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            if (this.tokenId === null) {
+                this.tokenId = (await ContractModel.getTokenizerContract().ipnftTokenId()).toString();
+            }
+            const { proposals } = await this.getProposals({ state: 'active' });
+
+            proposals.forEach((proposal) => {
+                const { timing, quorum } = proposal;
+
+                if (quorum.reached) {
+                    this.signal('quorum-reached', proposal);
+                }
+                if (timing.secondsRemaining !== null && timing.secondsRemaining <= this.closingSoonSeconds) {
+                    this.signal('voting-closes-soon', proposal);
+                }
+            });
+        } catch (error) {
+            logger.warn(`Governance signal check failed: ${error.message}`);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    signal(type, proposal) {
+        const key = `${type}:${proposal.id}`;
+        if (this.signalled.has(key)) {
+            return;
+        }
+        this.signalled.add(key);
+
+        eventMonitor.publishSignal({
+            type,
+            contract: 'tokenizer',
+            address: network.contracts.tokenizer,
+            tokenId: this.tokenId,
+            proposalId: proposal.id,
+            description: proposal.description,
+            forVotes: proposal.forVotes,
+            againstVotes: proposal.againstVotes,
+            quorum: proposal.quorum,
+            timing: proposal.timing,
+            detectedAt: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = new GovernanceService();
@@ -0,0 +1,286 @@
+/**
+ * Holder Ledger Service
+ * IPT cap table built from indexed IPTokenizer Transfer events. The current
+ * ledger is kept in memory and updated as transfers are indexed; snapshots at
+ * earlier blocks are replayed from the event index. Balances can be checked
+ * against on-chain balanceOf and the ERC20Votes checkpoints keyed by clock().
+ */
+
+const { ethers } = require('ethers');
+const ContractModel = require('../models/ContractModel');
+const contractRegistry = require('./contractRegistry');
+const eventIndexer = require('./eventIndexer');
+const eventMonitor = require('./eventMonitor');
+const { aggregate } = require('../utils/multicall');
+const logger = require('../utils/logger');
+
+const SORT_KEYS = ['balance', 'address'];
+const TRANSFER_FILTER = { contract: 'tokenizer', event: 'Transfer' };
+
+const eventKey = (record) => `${record.transactionHash}:${record.logIndex}`;
+
+/**
+ * Apply a Transfer record to a balance map; mints and burns move from/to the zero address
+ */
+function applyTransfer(balances, { args }) {
+    const value = BigInt(args.value);
+    const from = ethers.getAddress(args.from);
+    const to = ethers.getAddress(args.to);
+
+    if (from !== ethers.ZeroAddress) {
+        balances.set(from, (balances.get(from) || 0n) - value);
+    }
+    if (to !== ethers.ZeroAddress) {
+        balances.set(to, (balances.get(to) || 0n) + value);
+    }
+}
+
+/**
+ * Percentage of supply with four decimals
+ */
+function percentage(balance, supply) {
+    return supply > 0n ? Number((balance * 1000000n) / supply) / 10000 : 0;
+}
+
+class HolderLedger {
+    constructor() {
+        this.sortKeys = SORT_KEYS;
+        this.balances = new Map();
+        this.applied = new Set();
+        this.lastTransferBlock = null;
+        this.building = null;
+        this.onEvent = (record) => this.onTransfer(record);
+        this.onRollback = () => this.rebuild();
+    }
+
+    isEnabled() {
+        return eventIndexer.isEnabled();
+    }
+
+    start() {
+        eventMonitor.on('event', this.onEvent);
+        eventMonitor.on('rollback', this.onRollback);
+        this.rebuild();
+        logger.info('IPT holder ledger started');
+    }
+
+    stop() {
+        eventMonitor.off('event', this.onEvent);
+        eventMonitor.off('rollback', this.onRollback);
+    }
+
+    /**
+     * Rebuild the ledger from every indexed transfer. A call while a rebuild
+     * is running joins it rather than resetting the ledger under it.
+     */
+    rebuild() {
+        if (this.building) {
+            return this.building;
+        }
+
+        this.building = (async () => {
+            try {
+                const events = await eventIndexer.findEvents(TRANSFER_FILTER) || [];
+                this.balances = new Map();
+                this.applied = new Set();
+                this.lastTransferBlock = null;
+                events.forEach((record) => this.apply(record));
+                logger.info(`IPT holder ledger built from ${events.length} transfers`);
+            } catch (error) {
+                logger.error('Failed to build IPT holder ledger:', error);
+            } finally {
+                this.building = null;
+            }
+        })();
+        return this.building;
+    }
+
+    apply(record) {
+        const key = eventKey(record);
+        if (this.applied.has(key)) {
+            return;
+        }
+        this.applied.add(key);
+        applyTransfer(this.balances, record);
+        this.lastTransferBlock = Math.max(this.lastTransferBlock ?? 0, record.blockNumber);
+    }
+
+    async onTransfer(record) {
+        if (record.contract !== 'tokenizer' || record.event !== 'Transfer') {
+            return;
+        }
+        if (this.building) {
+            await this.building;
+        }
+        this.apply(record);
+    }
+
+    /**
+     * Latest block covered by the ledger: the indexer checkpoint or a newer live transfer
+     */
+    async getLedgerBlock() {
+        const checkpoint = await eventIndexer.getCheckpoint();
+        return Math.max(checkpoint ? checkpoint.blockNumber : 0, this.lastTransferBlock ?? 0);
+    }
+
+    /**
+     * Balances at a block, replayed from the event index
+     */
+    async loadSnapshot(blockNumber) {
+        const events = await eventIndexer.findEvents({ ...TRANSFER_FILTER, blockNumber: { $lte: blockNumber } });
+        const balances = new Map();
+        events.forEach((record) => applyTransfer(balances, record));
+        return balances;
+    }
+
+    /**
+     * Last block mined at or before a date, or null if the date precedes the chain
+     */
+    async findBlockAt(date) {
+        const provider = ContractModel.getProvider();
+        const target = Math.floor(date.getTime() / 1000);
+
+        let low = 0;
+        let high = await provider.getBlockNumber();
+        if ((await provider.getBlock(low)).timestamp > target) {
+            return null;
+        }
+        if ((await provider.getBlock(high)).timestamp <= target) {
+            return high;
+        }
+
+        // Invariant: block `low` is at or before the target, block `high` is after it
+        while (high - low > 1) {
+            const middle = Math.floor((low + high) / 2);
+            if ((await provider.getBlock(middle)).timestamp <= target) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Compare ledger balances with on-chain balanceOf and voting checkpoints at a block.
+     * Historical balanceOf needs an archive node; unavailable reads are null.
+     */
+    async verify(holders, blockNumber, supply) {
+        const provider = ContractModel.getProvider();
+        const contract = contractRegistry.getContract('tokenizer', provider);
+
+        const clock = Number(await contract.clock());
+        // getPastVotes only accepts timepoints before the current clock
+        const isPast = blockNumber < clock;
+
+        // Checkpoints are read at the latest block; balanceOf at the snapshot block
+        const [supplyResult, ...checkpoints] = await aggregate(provider, [
+            isPast
+                ? { contract, method: 'getPastTotalSupply', args: [blockNumber] }
+                : { contract, method: 'totalSupply', args: [] },
+            ...holders.flatMap((holder) => [
+                isPast
+                    ? { contract, method: 'getPastVotes', args: [holder.address, blockNumber] }
+                    : { contract, method: 'getVotes', args: [holder.address] },
+                { contract, method: 'delegates', args: [holder.address] }
+            ])
+        ]);
+        const balances = await aggregate(provider, holders.map((holder) => ({
+            contract, method: 'balanceOf', args: [holder.address]
+        })), blockNumber).catch((error) => {
+            logger.warn(`Could not read IPT balances at block ${blockNumber}: ${error.message}`);
+            return holders.map(() => ({ success: false, value: null }));
+        });
+
+        let mismatches = 0;
+        const verified = holders.map((holder, index) => {
+            const [votes, delegate] = checkpoints.slice(index * 2, index * 2 + 2);
+            const onChainBalanceWei = balances[index].success ? balances[index].value.toString() : null;
+            const balanceMatches = onChainBalanceWei === null ? null : onChainBalanceWei === holder.balanceWei;
+            if (balanceMatches === false) {
+                mismatches++;
+            }
+
+            return {
+                ...holder,
+                onChainBalanceWei,
+                balanceMatches,
+                votesWei: votes.success ? votes.value.toString() : null,
+                votes: votes.success ? ethers.formatEther(votes.value) : null,
+                delegate: delegate.success ? delegate.value : null
+            };
+        });
+
+        const onChainSupplyWei = supplyResult.success ? supplyResult.value.toString() : null;
+        return {
+            holders: verified,
+            verification: {
+                clock,
+                votesSource: isPast ? 'getPastVotes' : 'getVotes',
+                onChainTotalSupplyWei: onChainSupplyWei,
+                supplyMatches: onChainSupplyWei === null ? null : onChainSupplyWei === supply.toString(),
+                mismatches
+            }
+        };
+    }
+
+    /**
+     * Cap table at a block (or the current ledger), sorted and paginated.
+     * @param {Object} options blockNumber, sort, order, offset, limit (null for all), verify
+     * @returns {Object} { error } when the block is not indexed yet, or { value }
+     */
+    async getHolders({ blockNumber = null, sort = 'balance', order = 'desc', offset = 0, limit = null, verify = false }) {
+        if (this.building) {
+            await this.building;
+        }
+
+        const ledgerBlock = await this.getLedgerBlock();
+        if (blockNumber !== null && blockNumber > ledgerBlock) {
+            return { error: `Block ${blockNumber} is not indexed yet, holders are indexed through block ${ledgerBlock}` };
+        }
+
+        const balances = blockNumber === null ? this.balances : await this.loadSnapshot(blockNumber);
+        const snapshotBlock = blockNumber === null ? ledgerBlock : blockNumber;
+
+        const positive = [...balances.entries()].filter(([, balance]) => balance > 0n);
+        const supply = positive.reduce((total, [, balance]) => total + balance, 0n);
+
+        const direction = order === 'asc' ? 1 : -1;
+        positive.sort(([addressA, balanceA], [addressB, balanceB]) => {
+            if (sort === 'balance' && balanceA !== balanceB) {
+                return (balanceA < balanceB ? -1 : 1) * direction;
+            }
+            return addressA.toLowerCase().localeCompare(addressB.toLowerCase()) * (sort === 'address' ? direction : 1);
+        });
+
+        const page = positive.slice(offset, limit === null ? undefined : offset + limit);
+        let holders = page.map(([address, balance], index) => ({
+            rank: offset + index + 1,
+            address,
+            balanceWei: balance.toString(),
+            balance: ethers.formatEther(balance),
+            percentage: percentage(balance, supply)
+        }));
+
+        let verification = null;
+        if (verify) {
+            ({ holders, verification } = await this.verify(holders, snapshotBlock, supply));
+        }
+
+        return {
+            value: {
+                blockNumber: snapshotBlock,
+                supplyWei: supply.toString(),
+                supply: ethers.formatEther(supply),
+                holderCount: positive.length,
+                offset,
+                limit,
+                showing: holders.length,
+                holders,
+                verification
+            }
+        };
+    }
+}
+
+module.exports = new HolderLedger();
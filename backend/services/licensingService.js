@@ -0,0 +1,347 @@
+/**
+ * Licensing Service
+ * Expected payment schedules for licensing agreements, reconciled against
+ * indexed RoyaltiesReceived events and the IP-NFT's on-chain licensedAcres.
+ *
+ * Payments from an agreement's wallet to its IP-NFT settle that wallet's
+ * installments oldest first, across all of its agreements for the token.
+ * Payments from wallets without an agreement are flagged as unknown senders.
+ */
+
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const ContractModel = require('../models/ContractModel');
+const LicensingAgreement = require('../models/LicensingAgreement');
+const eventIndexer = require('./eventIndexer');
+const logger = require('../utils/logger');
+
+const FREQUENCIES = ['once', 'monthly', 'quarterly', 'semiannual', 'annual'];
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, semiannual: 6, annual: 12 };
+const MAX_INSTALLMENTS = 600;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Same day of month `months` later, clamped to the month's last day
+ */
+function addMonths(date, months) {
+    const target = new Date(date.getTime());
+    target.setUTCDate(1);
+    target.setUTCMonth(target.getUTCMonth() + months);
+
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return target;
+}
+
+const accountKey = (tokenId, wallet) => `${tokenId}:${wallet.toLowerCase()}`;
+
+const isActiveAt = (agreement, at) => agreement.status === 'active'
+    && new Date(agreement.term.startsAt) <= at
+    && at < new Date(agreement.term.endsAt);
+
+/**
+ * Installment status at `now`; overdue and underpaid once the grace period has passed
+ */
+function installmentStatus(installment, now) {
+    if (installment.paidWei >= installment.amountWei) {
+        return 'paid';
+    }
+    if (now < installment.overdueAt) {
+        if (installment.paidWei > 0n) {
+            return 'partial';
+        }
+        return now < installment.dueAt ? 'upcoming' : 'due';
+    }
+    return installment.paidWei > 0n ? 'underpaid' : 'overdue';
+}
+
+class LicensingService {
+    constructor() {
+        this.frequencies = FREQUENCIES;
+        this.maxInstallments = MAX_INSTALLMENTS;
+    }
+
+    isEnabled() {
+        return eventIndexer.isEnabled();
+    }
+
+    /**
+     * Due dates from the term start, one per period before the term ends.
+     * Returns null when there would be more than MAX_INSTALLMENTS.
+     */
+    listDueDates(frequency, startsAt, endsAt) {
+        if (frequency === 'once') {
+            return [new Date(startsAt)];
+        }
+
+        const dates = [];
+        for (let period = 0; ; period++) {
+            const dueAt = addMonths(new Date(startsAt), period * FREQUENCY_MONTHS[frequency]);
+            if (dueAt >= new Date(endsAt)) {
+                return dates;
+            }
+            if (dates.length === MAX_INSTALLMENTS) {
+                return null;
+            }
+            dates.push(dueAt);
+        }
+    }
+
+    /**
+     * Amount of each installment in wei
+     */
+    getInstallmentAmount(agreement) {
+        const amount = BigInt(agreement.feeSchedule.amountWei);
+        return agreement.feeSchedule.basis === 'per-acre' ? amount * BigInt(agreement.acres) : amount;
+    }
+
+    /**
+     * Expected payments of an agreement. Installments due after termination are dropped.
+     */
+    getSchedule(agreement) {
+        const { feeSchedule, term, terminatedAt } = agreement;
+        const amountWei = this.getInstallmentAmount(agreement);
+        const graceMs = feeSchedule.graceDays * DAY_MS;
+
+        return (this.listDueDates(feeSchedule.frequency, term.startsAt, term.endsAt) || [])
+            .filter((dueAt) => !terminatedAt || dueAt < new Date(terminatedAt))
+            .map((dueAt, index) => ({
+                number: index + 1,
+                dueAt,
+                overdueAt: new Date(dueAt.getTime() + graceMs),
+                amountWei
+            }));
+    }
+
+    /**
+     * Settle a wallet's installments oldest first with its payments, in place.
+     * Returns the wei left over once every installment is paid.
+     */
+    allocate(installments, payments) {
+        let index = 0;
+        let credit = 0n;
+
+        payments.forEach((payment) => {
+            let remaining = BigInt(payment.args.amount);
+            while (remaining > 0n && index < installments.length) {
+                const installment = installments[index];
+                const applied = remaining < installment.amountWei - installment.paidWei
+                    ? remaining
+                    : installment.amountWei - installment.paidWei;
+
+                installment.paidWei += applied;
+                installment.payments.push(payment.transactionHash);
+                remaining -= applied;
+
+                if (installment.paidWei === installment.amountWei) {
+                    installment.paidAt = new Date(payment.timestamp);
+                    index++;
+                }
+            }
+            credit += remaining;
+        });
+
+        return credit;
+    }
+
+    /**
+     * Reconcile one wallet's agreements for a token against its payments
+     */
+    reconcileAccount(agreements, payments, now) {
+        const installments = agreements
+            .flatMap((agreement) => this.getSchedule(agreement).map((installment) => ({
+                ...installment,
+                agreement,
+                paidWei: 0n,
+                paidAt: null,
+                payments: []
+            })))
+            .sort((a, b) => a.dueAt - b.dueAt);
+
+        const credit = this.allocate(installments, payments);
+
+        // Credit belongs to the agreement further payments would settle next
+        const latest = agreements.reduce((last, agreement) => (
+            new Date(agreement.term.startsAt) > new Date(last.term.startsAt) ? agreement : last
+        ));
+
+        return agreements.map((agreement) => {
+            const own = installments.filter((installment) => installment.agreement === agreement);
+            const due = own.filter((installment) => installment.dueAt <= now);
+            const sum = (items, field) => items.reduce((total, item) => total + item[field], 0n);
+
+            const schedule = own.map((installment) => ({
+                number: installment.number,
+                dueAt: installment.dueAt.toISOString(),
+                overdueAt: installment.overdueAt.toISOString(),
+                amountWei: installment.amountWei.toString(),
+                amount: ethers.formatEther(installment.amountWei),
+                paidWei: installment.paidWei.toString(),
+                paidAt: installment.paidAt ? installment.paidAt.toISOString() : null,
+                late: Boolean(installment.paidAt && installment.paidAt > installment.overdueAt),
+                status: installmentStatus(installment, now),
+                payments: [...new Set(installment.payments)]
+            }));
+
+            const flags = schedule
+                .filter((installment) => ['underpaid', 'overdue'].includes(installment.status))
+                .map((installment) => ({
+                    type: installment.status,
+                    agreementId: agreement._id.toString(),
+                    tokenId: agreement.tokenId,
+                    wallet: agreement.wallet,
+                    installment: installment.number,
+                    dueAt: installment.dueAt,
+                    amountWei: installment.amountWei,
+                    paidWei: installment.paidWei,
+                    shortfallWei: (BigInt(installment.amountWei) - BigInt(installment.paidWei)).toString()
+                }));
+
+            return {
+                agreement,
+                schedule,
+                summary: {
+                    installments: schedule.length,
+                    expectedWei: sum(own, 'amountWei').toString(),
+                    dueWei: sum(due, 'amountWei').toString(),
+                    paidWei: sum(own, 'paidWei').toString(),
+                    outstandingWei: (sum(due, 'amountWei') - sum(due, 'paidWei')).toString(),
+                    creditWei: (agreement === latest ? credit : 0n).toString()
+                },
+                flags
+            };
+        });
+    }
+
+    /**
+     * Compare the acres of agreements active at `now` with each token's on-chain licensedAcres
+     */
+    async checkAcreage(tokenIds, agreements, now) {
+        return Promise.all(tokenIds.map(async (tokenId) => {
+            const agreementAcres = agreements
+                .filter((agreement) => agreement.tokenId === tokenId && isActiveAt(agreement, now))
+                .reduce((total, agreement) => total + agreement.acres, 0);
+
+            let licensedAcres = null;
+            let error = null;
+            if (network.contracts.ipnft) {
+                try {
+                    licensedAcres = Number((await ContractModel.getIPNFTMetadata(tokenId)).licensedAcres);
+                } catch (readError) {
+                    logger.warn(`Licensing: could not read licensedAcres of IP-NFT ${tokenId}: ${readError.message}`);
+                    error = readError.message;
+                }
+            } else {
+                error = 'IP-NFT contract not configured';
+            }
+
+            return {
+                tokenId,
+                agreementAcres,
+                licensedAcres,
+                matches: licensedAcres === null ? null : licensedAcres === agreementAcres,
+                error
+            };
+        }));
+    }
+
+    /**
+     * Reconcile agreements with royalty payments received up to `now`
+     * @param {Object} options tokenId to limit to one IP-NFT, now for the reference time
+     * @returns {Object} Per-agreement schedules, unknown-sender payments, acreage checks and flags
+     */
+    async reconcile({ tokenId = null, now = new Date() } = {}) {
+        const tokenFilter = tokenId === null ? {} : { tokenId };
+        const [agreements, events] = await Promise.all([
+            LicensingAgreement.find(tokenFilter).sort({ 'term.startsAt': 1 }).lean(),
+            eventIndexer.findEvents({
+                contract: 'distributor',
+                event: 'RoyaltiesReceived',
+                ...tokenFilter,
+                timestamp: { $lte: now }
+            })
+        ]);
+
+        const accounts = new Map();
+        agreements.forEach((agreement) => {
+            const key = accountKey(agreement.tokenId, agreement.wallet);
+            if (!accounts.has(key)) {
+                accounts.set(key, { agreements: [], payments: [] });
+            }
+            accounts.get(key).agreements.push(agreement);
+        });
+
+        const unknownPayments = [];
+        (events || []).forEach((event) => {
+            const account = accounts.get(accountKey(event.tokenId, event.args.sender));
+            if (account) {
+                account.payments.push(event);
+            } else {
+                unknownPayments.push({
+                    tokenId: event.tokenId,
+                    sender: ethers.getAddress(event.args.sender),
+                    amountWei: event.args.amount,
+                    amount: ethers.formatEther(event.args.amount),
+                    paidAt: new Date(event.timestamp).toISOString(),
+                    blockNumber: event.blockNumber,
+                    transactionHash: event.transactionHash
+                });
+            }
+        });
+
+        const results = [...accounts.values()]
+            .flatMap((account) => this.reconcileAccount(account.agreements, account.payments, now))
+            .sort((a, b) => new Date(a.agreement.term.startsAt) - new Date(b.agreement.term.startsAt));
+
+        const tokenIds = tokenId === null
+            ? [...new Set(agreements.map((agreement) => agreement.tokenId))].sort((a, b) => Number(a) - Number(b))
+            : [tokenId];
+        const acreage = await this.checkAcreage(tokenIds, agreements, now);
+
+        const flags = [
+            ...results.flatMap((result) => result.flags),
+            ...unknownPayments.map((payment) => ({ type: 'unknown-sender', ...payment })),
+            ...acreage
+                .filter((check) => check.matches === false)
+                .map((check) => ({
+                    type: 'acreage-mismatch',
+                    tokenId: check.tokenId,
+                    agreementAcres: check.agreementAcres,
+                    licensedAcres: check.licensedAcres
+                }))
+        ];
+
+        return {
+            asOf: now.toISOString(),
+            tokenId,
+            agreements: results.map(({ agreement, schedule, summary, flags: agreementFlags }) => ({
+                id: agreement._id.toString(),
+                licensee: agreement.licensee,
+                wallet: agreement.wallet,
+                tokenId: agreement.tokenId,
+                acres: agreement.acres,
+                status: agreement.status,
+                summary,
+                flags: [...new Set(agreementFlags.map((flag) => flag.type))],
+                schedule
+            })),
+            unknownPayments,
+            acreage,
+            flags
+        };
+    }
+
+    /**
+     * Reconciled schedule of a single agreement
+     */
+    async reconcileAgreement(agreement, now = new Date()) {
+        const report = await this.reconcile({ tokenId: agreement.tokenId, now });
+        const id = agreement._id.toString();
+        return {
+            ...report.agreements.find((entry) => entry.id === id),
+            acreage: report.acreage[0]
+        };
+    }
+}
+
+module.exports = new LicensingService();
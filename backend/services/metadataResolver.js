@@ -0,0 +1,278 @@
+/**
+ * Metadata Resolver Service
+ * Fetches IP-NFT metadata documents from IPFS, verifies them against their CID
+ * and validates them against the agricultural strain JSON schema
+ */
+
+const axios = require('axios');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const schema = require('../schemas/agricultural-strain.schema.json');
+const logger = require('../utils/logger');
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+
+/**
+ * Convert an ajv error into a per-field error, e.g. fieldTrials[0].acres
+ */
+function formatValidationError(error) {
+    let path = error.instancePath;
+    if (error.keyword === 'required') {
+        path = `${path}/${error.params.missingProperty}`;
+    }
+
+    const field = path
+        .split('/')
+        .filter(Boolean)
+        .reduce((result, segment) => (
+            /^\d+$/.test(segment) ? `${result}[${segment}]` : (result ? `${result}.${segment}` : segment)
+        ), '');
+
+    return {
+        field: field || '(root)',
+        message: error.message
+    };
+}
+
+class MetadataResolver {
+    constructor() {
+        this.gateway = process.env.IPFS_GATEWAY || 'https://ipfs.io/ipfs/';
+        this.apiUrl = process.env.IPFS_API_URL || null;
+        this.timeout = parseInt(process.env.IPFS_TIMEOUT_MS || '10000', 10);
+        this.maxBytes = parseInt(process.env.IPFS_MAX_BYTES || '1048576', 10);
+        this.cacheSize = parseInt(process.env.IPFS_CACHE_SIZE || '500', 10);
+        this.cache = new Map();
+        this.modules = null;
+        this.ipfsClient = null;
+
+        const ajv = new Ajv({ allErrors: true });
+        addFormats(ajv);
+        this.validate = ajv.compile(schema);
+    }
+
+    /**
+     * Get the published metadata JSON schema
+     */
+    getSchema() {
+        return schema;
+    }
+
+    /**
+     * Load the ESM-only IPFS libraries on first use
+     */
+    async loadModules() {
+        if (!this.modules) {
+            const [{ CID }, dagPB, { UnixFS }, { sha256 }] = await Promise.all([
+                import('multiformats/cid'),
+                import('@ipld/dag-pb'),
+                import('ipfs-unixfs'),
+                import('multiformats/hashes/sha2')
+            ]);
+            this.modules = { CID, dagPB, UnixFS, sha256 };
+        }
+        return this.modules;
+    }
+
+    async getIpfsClient() {
+        if (!this.ipfsClient) {
+            const { create } = await import('ipfs-http-client');
+            this.ipfsClient = create({ url: this.apiUrl, timeout: this.timeout });
+        }
+        return this.ipfsClient;
+    }
+
+    /**
+     * Parse ipfs://<cid>/<path>, gateway URLs and bare CIDs
+     */
+    async parseURI(uri) {
+        const { CID } = await this.loadModules();
+
+        const match = uri.match(/^ipfs:\/\/(?:ipfs\/)?([^/?#]+)(\/[^?#]*)?/)
+            || uri.match(/^https?:\/\/[^/]+\/ipfs\/([^/?#]+)(\/[^?#]*)?/)
+            || uri.match(/^([A-Za-z0-9]+)(\/[^?#]*)?$/);
+
+        if (!match) {
+            throw new Error('Unsupported metadata URI, expected ipfs://<cid>');
+        }
+
+        let cid;
+        try {
+            cid = CID.parse(match[1]);
+        } catch (error) {
+            throw new Error(`Invalid CID in metadata URI: ${match[1]}`);
+        }
+
+        const path = (match[2] || '')
+            .split('/')
+            .filter(Boolean)
+            .map(decodeURIComponent);
+
+        return { cid, path };
+    }
+
+    /**
+     * Fetch a single block and check that its hash matches the CID
+     */
+    async fetchBlock(cid) {
+        const { sha256 } = await this.loadModules();
+
+        if (cid.multihash.code !== sha256.code) {
+            throw new Error(`Unsupported hash function in CID ${cid}`);
+        }
+
+        let bytes;
+        if (this.apiUrl) {
+            const client = await this.getIpfsClient();
+            bytes = await client.block.get(cid, { timeout: this.timeout });
+        } else {
+            const response = await axios.get(`${this.gateway}${cid}`, {
+                params: { format: 'raw' },
+                headers: { Accept: 'application/vnd.ipld.raw' },
+                responseType: 'arraybuffer',
+                timeout: this.timeout,
+                maxContentLength: this.maxBytes
+            });
+            bytes = new Uint8Array(response.data);
+        }
+
+        if (bytes.length > this.maxBytes) {
+            throw new Error(`Block ${cid} exceeds size limit of ${this.maxBytes} bytes`);
+        }
+
+        const digest = await sha256.digest(bytes);
+        if (!Buffer.from(digest.digest).equals(Buffer.from(cid.multihash.digest))) {
+            throw new Error(`Content for ${cid} failed CID integrity check`);
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Decode a dag-pb block into its node and UnixFS data
+     */
+    async decodeUnixFS(cid, bytes) {
+        const { dagPB, UnixFS } = await this.loadModules();
+
+        if (cid.code !== CODEC_DAG_PB) {
+            throw new Error(`Unsupported codec for ${cid}`);
+        }
+
+        const node = dagPB.decode(bytes);
+        return { node, unixfs: UnixFS.unmarshal(node.Data) };
+    }
+
+    /**
+     * Walk UnixFS directory links to the CID at the given path
+     */
+    async resolvePath(cid, path) {
+        let current = cid;
+
+        for (const segment of path) {
+            const bytes = await this.fetchBlock(current);
+            const { node, unixfs } = await this.decodeUnixFS(current, bytes);
+
+            if (unixfs.type !== 'directory') {
+                throw new Error(`Cannot resolve "${segment}": ${current} is not a directory`);
+            }
+
+            const link = node.Links.find((entry) => entry.Name === segment);
+            if (!link) {
+                throw new Error(`Path segment "${segment}" not found in ${current}`);
+            }
+            current = link.Hash;
+        }
+
+        return current;
+    }
+
+    /**
+     * Read the full contents of a raw or UnixFS file, verifying every block
+     */
+    async readFile(cid, budget = { remaining: this.maxBytes }) {
+        const bytes = await this.fetchBlock(cid);
+
+        if (cid.code === CODEC_RAW) {
+            budget.remaining -= bytes.length;
+            if (budget.remaining < 0) {
+                throw new Error(`Metadata document exceeds size limit of ${this.maxBytes} bytes`);
+            }
+            return Buffer.from(bytes);
+        }
+
+        const { node, unixfs } = await this.decodeUnixFS(cid, bytes);
+        if (!['file', 'raw'].includes(unixfs.type)) {
+            throw new Error(`${cid} is a ${unixfs.type}, not a file`);
+        }
+
+        const chunks = [];
+        if (unixfs.data && unixfs.data.length > 0) {
+            budget.remaining -= unixfs.data.length;
+            chunks.push(Buffer.from(unixfs.data));
+        }
+        if (budget.remaining < 0) {
+            throw new Error(`Metadata document exceeds size limit of ${this.maxBytes} bytes`);
+        }
+
+        for (const link of node.Links) {
+            chunks.push(await this.readFile(link.Hash, budget));
+        }
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Resolve a metadata URI into a verified, schema-validated document.
+     * Results are cached by CID since IPFS content is immutable.
+     */
+    async resolve(uri) {
+        if (!uri) {
+            throw new Error('Token has no metadata URI');
+        }
+
+        const { cid, path } = await this.parseURI(uri);
+        const cacheKey = [cid.toString(), ...path].join('/');
+
+        if (this.cache.has(cacheKey)) {
+            const cached = this.cache.get(cacheKey);
+            // Refresh recency for LRU eviction
+            this.cache.delete(cacheKey);
+            this.cache.set(cacheKey, cached);
+            return { ...cached, uri, cached: true };
+        }
+
+        const contentCid = await this.resolvePath(cid, path);
+        const content = await this.readFile(contentCid);
+
+        let document;
+        try {
+            document = JSON.parse(content.toString('utf8'));
+        } catch (error) {
+            throw new Error('Metadata document is not valid JSON');
+        }
+
+        const valid = this.validate(document);
+        const result = {
+            cid: cid.toString(),
+            contentCid: contentCid.toString(),
+            verified: true,
+            size: content.length,
+            schema: schema.$id,
+            valid,
+            errors: valid ? [] : this.validate.errors.map(formatValidationError),
+            document,
+            resolvedAt: new Date().toISOString()
+        };
+
+        if (this.cache.size >= this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(cacheKey, result);
+
+        logger.info(`Resolved metadata document ${cacheKey}`, { valid, size: content.length });
+
+        return { ...result, uri, cached: false };
+    }
+}
+
+module.exports = new MetadataResolver();
@@ -0,0 +1,60 @@
+/**
+ * Portfolio Service
+ * Aggregates a beneficiary's royalty positions across all pools
+ */
+
+const { ethers } = require('ethers');
+const ContractModel = require('../models/ContractModel');
+const reportService = require('./reportService');
+
+/**
+ * Sum a wei field across items, returning exact and formatted totals
+ */
+function sum(items, field) {
+    const total = items.reduce((acc, item) => acc + BigInt(item[field]), 0n);
+    return { wei: total.toString(), kas: ethers.formatEther(total) };
+}
+
+class PortfolioService {
+    /**
+     * Portfolio for an address: pool positions, IPT revenue, withdrawal history and totals
+     */
+    async getBeneficiaryPortfolio(address) {
+        const [positions, records] = await Promise.all([
+            ContractModel.getBeneficiaryPositions(address),
+            ContractModel.getDistributionRecords(address)
+        ]);
+
+        const withdrawals = await reportService.attachEventReferences(records, address);
+
+        const earned = sum(positions.pools, 'earnedWei');
+        const withdrawn = sum(positions.pools, 'withdrawnWei');
+        const withdrawable = sum(positions.pools, 'withdrawableWei');
+        const iptClaimableWei = positions.tokenizer ? BigInt(positions.tokenizer.claimableRevenueWei) : 0n;
+        const claimableWei = BigInt(withdrawable.wei) + iptClaimableWei;
+
+        return {
+            address,
+            blockNumber: positions.blockNumber,
+            totals: {
+                poolCount: positions.pools.length,
+                activePoolCount: positions.pools.filter((pool) => pool.isActive).length,
+                earnedWei: earned.wei,
+                earned: earned.kas,
+                withdrawnWei: withdrawn.wei,
+                withdrawn: withdrawn.kas,
+                withdrawableWei: withdrawable.wei,
+                withdrawable: withdrawable.kas,
+                iptClaimableRevenueWei: iptClaimableWei.toString(),
+                iptClaimableRevenue: ethers.formatEther(iptClaimableWei),
+                totalClaimableWei: claimableWei.toString(),
+                totalClaimable: ethers.formatEther(claimableWei)
+            },
+            pools: positions.pools,
+            tokenizer: positions.tokenizer,
+            withdrawals
+        };
+    }
+}
+
+module.exports = new PortfolioService();
@@ -0,0 +1,381 @@
+/**
+ * Read Cache Service
+ * Caches contract reads keyed by contract, method, arguments and block tag.
+ * Entries are tagged with the tokens they cover and dropped when the event
+ * monitor sees an event for one of those tokens.
+ *
+ * The store is in memory unless CACHE_REDIS_URL points at a Redis-compatible server.
+ */
+
+const { network } = require('../config/network');
+const eventMonitor = require('./eventMonitor');
+const logger = require('../utils/logger');
+
+/**
+ * In-process LRU store. Values are kept serialized so callers can
+ * modify what they read without changing the cached copy. Each entry keeps
+ * its tags so evicted and expired keys are also dropped from the tag index.
+ */
+class MemoryStore {
+    constructor(maxEntries) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.tags = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.delete(key);
+            return null;
+        }
+
+        // Re-insert so the map stays ordered from least to most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return JSON.parse(entry.value);
+    }
+
+    async set(key, value, ttlMs, tags) {
+        this.delete(key);
+        this.entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlMs, tags });
+        tags.forEach((tag) => {
+            if (!this.tags.has(tag)) {
+                this.tags.set(tag, new Set());
+            }
+            this.tags.get(tag).add(key);
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove an entry and its key from every tag it was stored with
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+
+        this.entries.delete(key);
+        entry.tags.forEach((tag) => {
+            const keys = this.tags.get(tag);
+            if (keys) {
+                keys.delete(key);
+                if (keys.size === 0) {
+                    this.tags.delete(tag);
+                }
+            }
+        });
+        return true;
+    }
+
+    async invalidateTags(tags) {
+        let removed = 0;
+        tags.forEach((tag) => {
+            const keys = this.tags.get(tag);
+            if (!keys) {
+                return;
+            }
+            [...keys].forEach((key) => {
+                if (this.delete(key)) {
+                    removed++;
+                }
+            });
+        });
+        return removed;
+    }
+
+    async clear() {
+        this.entries.clear();
+        this.tags.clear();
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+
+    async close() {}
+}
+
+/**
+ * Redis-compatible store. Each tag is a set of the keys it covers.
+ */
+class RedisStore {
+    constructor(url, prefix) {
+        // Only loaded when Redis is configured
+        const { createClient } = require('redis');
+
+        this.name = 'redis';
+        this.prefix = prefix;
+        this.connected = false;
+        this.client = createClient({
+            url,
+            // Fail reads straight through to the chain while Redis is away
+            disableOfflineQueue: true,
+            socket: {
+                connectTimeout: 5000,
+                // Give up if the first connection fails; reconnect with backoff afterwards
+                reconnectStrategy: (retries) => (this.connected
+                    ? Math.min(retries * 200, 5000)
+                    : new Error('Redis unreachable'))
+            }
+        });
+        this.client.on('error', (error) => {
+            if (this.connected) {
+                logger.warn(`Read cache Redis error: ${error.message}`);
+            }
+        });
+    }
+
+    async connect() {
+        await this.client.connect();
+        this.connected = true;
+    }
+
+    tagKey(tag) {
+        return `${this.prefix}tag:${tag}`;
+    }
+
+    async get(key) {
+        const value = await this.client.get(key);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async set(key, value, ttlMs, tags) {
+        const transaction = this.client.multi().set(key, JSON.stringify(value), { PX: ttlMs });
+        tags.forEach((tag) => {
+            transaction.sAdd(this.tagKey(tag), key).pExpire(this.tagKey(tag), ttlMs);
+        });
+        await transaction.exec();
+    }
+
+    async invalidateTags(tags) {
+        let removed = 0;
+        for (const tag of tags) {
+            const keys = await this.client.sMembers(this.tagKey(tag));
+            if (keys.length > 0) {
+                removed += await this.client.del(keys);
+            }
+            await this.client.del(this.tagKey(tag));
+        }
+        return removed;
+    }
+
+    async clear() {
+        for await (const keys of this.client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 500 })) {
+            // node-redis 4 yields single keys, later versions yield batches
+            const batch = Array.isArray(keys) ? keys : [keys];
+            if (batch.length > 0) {
+                await this.client.del(batch);
+            }
+        }
+    }
+
+    async size() {
+        return null;
+    }
+
+    async close() {
+        if (this.client.isOpen) {
+            await this.client.quit();
+        }
+    }
+}
+
+class ReadCache {
+    constructor() {
+        this.store = null;
+        this.enabled = process.env.CACHE_ENABLED !== 'false';
+        this.ttl = parseInt(process.env.CACHE_TTL_MS || '60000', 10);
+        this.maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES || '5000', 10);
+        this.prefix = `${process.env.CACHE_PREFIX || 'kasplex-ip'}:${network.chainId}:`;
+
+        this.pending = new Map();
+        // Bumped on every invalidation so reads started before it are not stored
+        this.epoch = 0;
+        this.stats = { hits: 0, misses: 0, invalidations: 0, errors: 0 };
+
+        this.onEvent = this.onEvent.bind(this);
+        this.onRollback = this.onRollback.bind(this);
+    }
+
+    /**
+     * Open the store and follow contract events for invalidation.
+     * Falls back to memory when Redis cannot be reached.
+     */
+    async start() {
+        if (!this.enabled) {
+            logger.info('Read cache disabled');
+            return;
+        }
+
+        if (process.env.CACHE_REDIS_URL) {
+            try {
+                const store = new RedisStore(process.env.CACHE_REDIS_URL, this.prefix);
+                await store.connect();
+                this.store = store;
+            } catch (error) {
+                logger.warn(`Read cache could not connect to Redis, using memory: ${error.message}`);
+            }
+        }
+        if (!this.store) {
+            this.store = new MemoryStore(this.maxEntries);
+        }
+
+        eventMonitor.on('event', this.onEvent);
+        eventMonitor.on('rollback', this.onRollback);
+        logger.info(`Read cache started (${this.store.name})`);
+    }
+
+    async stop() {
+        eventMonitor.off('event', this.onEvent);
+        eventMonitor.off('rollback', this.onRollback);
+        if (this.store) {
+            await this.store.close();
+            this.store = null;
+        }
+    }
+
+    /**
+     * Tag for reads covering one token of a contract ('ipnft', 'distributor' or 'tokenizer')
+     */
+    tokenTag(contract, tokenId) {
+        const id = /^\d+$/.test(String(tokenId)) ? BigInt(tokenId).toString() : String(tokenId);
+        return `${contract}:${id}`;
+    }
+
+    /**
+     * Tag for reads covering every token of a contract, such as the catalogue
+     */
+    contractTag(contract) {
+        return `${contract}:*`;
+    }
+
+    key({ contract, method, args = [], blockTag = 'latest' }) {
+        return `${this.prefix}${contract}:${method}:${JSON.stringify(args.map(String))}:${blockTag}`;
+    }
+
+    /**
+     * Return the cached value for a read, or run the loader and cache its result.
+     * Values must be JSON serializable. Concurrent misses share one load.
+     */
+    async read(spec, loader) {
+        if (!this.store) {
+            return loader();
+        }
+
+        const key = this.key(spec);
+        try {
+            const cached = await this.store.get(key);
+            if (cached !== null) {
+                this.stats.hits++;
+                return cached;
+            }
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Read cache lookup failed: ${error.message}`);
+        }
+
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        this.stats.misses++;
+        const epoch = this.epoch;
+        const load = (async () => {
+            const value = await loader();
+            if (epoch === this.epoch) {
+                // Reads at a block number never change, so only "latest" reads need tags
+                const tags = (spec.blockTag ?? 'latest') === 'latest' ? spec.tags || [] : [];
+                try {
+                    await this.store.set(key, value, this.ttl, tags);
+                } catch (error) {
+                    this.stats.errors++;
+                    logger.warn(`Read cache write failed: ${error.message}`);
+                }
+            }
+            return value;
+        })();
+
+        this.pending.set(key, load);
+        try {
+            return await load;
+        } finally {
+            this.pending.delete(key);
+        }
+    }
+
+    async invalidate(tags) {
+        if (!this.store) {
+            return 0;
+        }
+
+        this.epoch++;
+        try {
+            const removed = await this.store.invalidateTags(tags);
+            this.stats.invalidations += removed;
+            return removed;
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Read cache invalidation failed: ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Any event of a contract invalidates reads of its token and contract-wide reads
+     */
+    onEvent(record) {
+        const tags = [this.contractTag(record.contract)];
+        if (record.tokenId !== null && record.tokenId !== undefined) {
+            tags.push(this.tokenTag(record.contract, record.tokenId));
+        }
+        this.invalidate(tags);
+    }
+
+    /**
+     * Reorganized blocks may have changed any state, so start over
+     */
+    async onRollback() {
+        if (!this.store) {
+            return;
+        }
+
+        this.epoch++;
+        try {
+            await this.store.clear();
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Read cache clear failed: ${error.message}`);
+        }
+    }
+
+    async getStatus() {
+        let entries = null;
+        if (this.store) {
+            try {
+                entries = await this.store.size();
+            } catch (error) {
+                entries = null;
+            }
+        }
+
+        return {
+            enabled: this.store !== null,
+            backend: this.store ? this.store.name : null,
+            ttlMs: this.ttl,
+            entries,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = new ReadCache();
@@ -0,0 +1,481 @@
+/**
+ * Reconciliation Service
+ * Scheduled accounting reconciliation. Each run rebuilds the ledger of every
+ * royalty pool and of the tokenizer from indexed events, compares it with the
+ * contracts' views and KAS balances at the indexer checkpoint block, and
+ * checks the invariants the contracts rely on:
+ *
+ * - pool totals, per-beneficiary withdrawals and beneficiary sets match events
+ * - pendingDistribution = totalReceived - totalDistributed
+ * - active beneficiary shares sum to 10000 bps
+ * - withdrawable amounts fit in the pool and in the distributor's balance
+ * - tokenizer revenue, claims and balances match events, and claimable
+ *   revenue fits in the tokenizer's balance
+ *
+ * Every run is stored, and drift is raised as an alert through the logger.
+ */
+
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const ContractModel = require('../models/ContractModel');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const eventIndexer = require('./eventIndexer');
+const logger = require('../utils/logger');
+
+const BPS_DENOMINATOR = 10000n;
+const STATUSES = ['clean', 'drift', 'failed'];
+
+const DISTRIBUTOR_EVENTS = [
+    'BeneficiaryAdded',
+    'BeneficiaryUpdated',
+    'BeneficiaryRemoved',
+    'RoyaltiesReceived',
+    'RoyaltiesWithdrawn'
+];
+const TOKENIZER_EVENTS = ['Transfer', 'RevenueAdded', 'RevenueClaimed', 'IPNFTRedeemed'];
+
+const add = (map, key, value) => map.set(key, (map.get(key) || 0n) + value);
+const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+/**
+ * Pool ledger rebuilt from distributor events, applied the way the contract
+ * applies each call: updateBeneficiary changes every entry of an address,
+ * removeBeneficiary deactivates the first one
+ */
+const POOL_EVENTS = {
+    BeneficiaryAdded: (pool, { beneficiary, shareBps }) => {
+        pool.beneficiaries.push({ address: ethers.getAddress(beneficiary), shareBps: BigInt(shareBps), isActive: true });
+    },
+    BeneficiaryUpdated: (pool, { beneficiary, newShareBps }) => {
+        pool.beneficiaries
+            .filter((entry) => entry.address === ethers.getAddress(beneficiary))
+            .forEach((entry) => { entry.shareBps = BigInt(newShareBps); });
+    },
+    BeneficiaryRemoved: (pool, { beneficiary }) => {
+        const entry = pool.beneficiaries.find((candidate) => candidate.address === ethers.getAddress(beneficiary));
+        if (entry) {
+            entry.isActive = false;
+        }
+    },
+    RoyaltiesReceived: (pool, { amount }) => {
+        pool.totalReceived += BigInt(amount);
+    },
+    RoyaltiesWithdrawn: (pool, { beneficiary, amount }) => {
+        pool.totalDistributed += BigInt(amount);
+        add(pool.withdrawn, ethers.getAddress(beneficiary), BigInt(amount));
+    }
+};
+
+/**
+ * Tokenizer ledger rebuilt from IPTokenizer events. Redemption payments are
+ * added to totalRevenue without a RevenueAdded event.
+ */
+const TOKENIZER_LEDGER_EVENTS = {
+    Transfer: (ledger, { from, to, value }) => {
+        if (from !== ethers.ZeroAddress) {
+            add(ledger.balances, ethers.getAddress(from), -BigInt(value));
+        }
+        if (to !== ethers.ZeroAddress) {
+            add(ledger.balances, ethers.getAddress(to), BigInt(value));
+        }
+    },
+    RevenueAdded: (ledger, { amount }) => {
+        ledger.totalRevenue += BigInt(amount);
+    },
+    IPNFTRedeemed: (ledger, { redemptionPrice }) => {
+        ledger.totalRevenue += BigInt(redemptionPrice);
+    },
+    RevenueClaimed: (ledger, { holder, amount }) => {
+        ledger.totalDistributed += BigInt(amount);
+        add(ledger.claimed, ethers.getAddress(holder), BigInt(amount));
+    }
+};
+
+/**
+ * Collects findings for one run
+ */
+class Findings {
+    constructor() {
+        this.items = [];
+    }
+
+    add(check, subject, message, { severity = 'error', expected = null, actual = null } = {}) {
+        this.items.push({
+            check,
+            severity,
+            subject,
+            message,
+            expectedWei: expected === null ? null : expected.toString(),
+            actualWei: actual === null ? null : actual.toString()
+        });
+    }
+
+    /**
+     * Record drift when an on-chain value differs from the event-derived one
+     */
+    match(check, subject, label, expected, actual) {
+        if (expected !== actual) {
+            this.add(check, subject, `${label} is ${actual} on-chain but ${expected} from events`, { expected, actual });
+        }
+    }
+
+    hasErrors() {
+        return this.items.some((finding) => finding.severity === 'error');
+    }
+}
+
+class ReconciliationService {
+    constructor() {
+        this.statuses = STATUSES;
+        this.timer = null;
+        this.running = null;
+
+        this.interval = parseInt(process.env.RECONCILIATION_INTERVAL_MS || '3600000', 10);
+    }
+
+    /**
+     * Events are read from, and runs stored in, MongoDB
+     */
+    isEnabled() {
+        return eventIndexer.isEnabled();
+    }
+
+    start() {
+        const scheduled = () => this.run().catch((error) => {
+            logger.error('Failed to store reconciliation run:', error);
+        });
+        this.timer = setInterval(scheduled, this.interval);
+        scheduled();
+        logger.info(`Accounting reconciliation scheduled every ${Math.round(this.interval / 1000)}s`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Reconcile at the indexer checkpoint and store the run. A run already in
+     * progress is shared rather than started twice.
+     */
+    run({ trigger = 'schedule' } = {}) {
+        if (!this.running) {
+            this.running = this.reconcile(trigger).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async reconcile(trigger) {
+        const startedAt = new Date();
+        let result;
+        try {
+            result = await this.check();
+        } catch (error) {
+            logger.error('Accounting reconciliation failed:', error);
+            result = { status: 'failed', error: error.message };
+        }
+
+        const run = await ReconciliationRun.create({
+            ...result,
+            trigger,
+            startedAt,
+            durationMs: Date.now() - startedAt.getTime()
+        });
+        this.alert(run);
+        return run.toObject();
+    }
+
+    /**
+     * Raise every finding through the logger
+     */
+    alert(run) {
+        run.findings.forEach((finding) => {
+            const message = `Reconciliation alert [${finding.check}] ${finding.subject}: ${finding.message}`;
+            if (finding.severity === 'error') {
+                logger.error(message);
+            } else {
+                logger.warn(message);
+            }
+        });
+
+        if (run.status === 'clean') {
+            logger.info(`Accounting reconciliation at block ${run.blockNumber} is clean (${run.findings.length} warnings)`);
+        } else if (run.status === 'drift') {
+            logger.error(`Accounting reconciliation at block ${run.blockNumber} found ${run.findings.length} findings`);
+        }
+    }
+
+    /**
+     * Rebuild and compare both ledgers at the indexer checkpoint.
+     * On-chain reads are pinned to the checkpoint block, so events indexed
+     * live beyond it never show up as drift.
+     */
+    async check() {
+        if (!network.contracts.ipnft || !network.contracts.royaltyDistributor) {
+            throw new Error('IP-NFT and royalty distributor must be configured');
+        }
+
+        const checkpoint = await eventIndexer.getCheckpoint();
+        if (!checkpoint) {
+            throw new Error('The event index has no checkpoint yet');
+        }
+        const { blockNumber, blockHash } = checkpoint;
+
+        const events = await eventIndexer.findEvents({
+            $or: [
+                { contract: 'distributor', event: { $in: DISTRIBUTOR_EVENTS } },
+                { contract: 'tokenizer', event: { $in: TOKENIZER_EVENTS } }
+            ],
+            blockNumber: { $lte: blockNumber }
+        });
+
+        const findings = new Findings();
+        const ledger = await ContractModel.getDistributorLedger(blockNumber);
+        const pools = this.checkPools(ledger, events.filter((event) => event.contract === 'distributor'), findings);
+        const distributor = this.checkDistributor(ledger, findings);
+
+        let tokenizer = null;
+        if (network.contracts.tokenizer) {
+            tokenizer = await this.checkTokenizer(
+                blockNumber,
+                events.filter((event) => event.contract === 'tokenizer'),
+                findings
+            );
+        }
+
+        return {
+            status: findings.hasErrors() ? 'drift' : 'clean',
+            blockNumber,
+            blockHash,
+            eventCount: events.length,
+            distributor,
+            pools,
+            tokenizer,
+            findings: findings.items
+        };
+    }
+
+    /**
+     * Compare each pool's views with its event ledger and check its invariants
+     */
+    checkPools(ledger, events, findings) {
+        const rebuilt = new Map();
+        events.forEach((event) => {
+            if (!rebuilt.has(event.tokenId)) {
+                rebuilt.set(event.tokenId, {
+                    totalReceived: 0n,
+                    totalDistributed: 0n,
+                    beneficiaries: [],
+                    withdrawn: new Map()
+                });
+            }
+            POOL_EVENTS[event.event](rebuilt.get(event.tokenId), event.args);
+        });
+
+        rebuilt.forEach((_, tokenId) => {
+            if (!ledger.pools.some((pool) => pool.tokenId === tokenId)) {
+                findings.add('pool-exists', `pool ${tokenId}`, 'Events were indexed for a pool that does not exist on-chain');
+            }
+        });
+
+        return ledger.pools.map((pool) => {
+            const subject = `pool ${pool.tokenId}`;
+            const expected = rebuilt.get(pool.tokenId);
+            if (!expected) {
+                findings.add('pool-exists', subject, 'Pool exists on-chain but no events were indexed for it');
+            }
+
+            if (expected) {
+                findings.match('pool-total-received', subject, 'totalReceived',
+                    expected.totalReceived, pool.totalReceived);
+                findings.match('pool-total-distributed', subject, 'totalDistributed',
+                    expected.totalDistributed, pool.totalDistributed);
+
+                const describe = (entries) => entries
+                    .map((entry) => `${entry.address}:${entry.shareBps}${entry.isActive ? '' : ':inactive'}`)
+                    .join(', ');
+                if (describe(expected.beneficiaries) !== describe(pool.beneficiaries)) {
+                    findings.add('pool-beneficiaries', subject,
+                        `Beneficiaries are [${describe(pool.beneficiaries)}] on-chain `
+                        + `but [${describe(expected.beneficiaries)}] from events`);
+                }
+
+                const accounts = new Set([...Object.keys(pool.withdrawn), ...expected.withdrawn.keys()]);
+                accounts.forEach((account) => {
+                    findings.match('pool-withdrawn', `${subject} beneficiary ${account}`, 'withdrawnAmount',
+                        expected.withdrawn.get(account) || 0n, pool.withdrawn[account] || 0n);
+                });
+            }
+
+            const pending = pool.totalReceived - pool.totalDistributed;
+            if (pool.pendingDistribution !== pending) {
+                findings.add('pool-pending', subject,
+                    `pendingDistribution is ${pool.pendingDistribution} but totalReceived - totalDistributed is ${pending}`,
+                    { expected: pending, actual: pool.pendingDistribution });
+            }
+
+            // Only the first active entry of an address counts, as in withdrawableAmount
+            const counted = pool.beneficiaries.filter((entry, index) => entry.isActive
+                && pool.beneficiaries.findIndex((other) => other.isActive && other.address === entry.address) === index);
+            const activeShareBps = sum(counted.map((entry) => entry.shareBps));
+            if (activeShareBps !== BPS_DENOMINATOR) {
+                findings.add('pool-active-shares', subject,
+                    `Active beneficiary shares sum to ${activeShareBps} bps instead of ${BPS_DENOMINATOR}`,
+                    { expected: BPS_DENOMINATOR, actual: activeShareBps });
+            }
+
+            const withdrawable = sum(Object.values(pool.withdrawable));
+            if (withdrawable > pool.pendingDistribution) {
+                findings.add('pool-solvency', subject,
+                    `Withdrawable amounts total ${withdrawable} wei but only ${pool.pendingDistribution} wei is pending, `
+                    + 'so the last withdrawals would revert',
+                    { expected: pool.pendingDistribution, actual: withdrawable });
+            }
+
+            return {
+                tokenId: pool.tokenId,
+                totalReceivedWei: pool.totalReceived.toString(),
+                totalDistributedWei: pool.totalDistributed.toString(),
+                pendingDistributionWei: pool.pendingDistribution.toString(),
+                withdrawableWei: withdrawable.toString(),
+                activeShareBps: activeShareBps.toString(),
+                events: expected
+                    ? {
+                        totalReceivedWei: expected.totalReceived.toString(),
+                        totalDistributedWei: expected.totalDistributed.toString()
+                    }
+                    : null,
+                beneficiaries: pool.beneficiaries.map((entry) => ({
+                    address: entry.address,
+                    shareBps: entry.shareBps.toString(),
+                    isActive: entry.isActive,
+                    withdrawnWei: pool.withdrawn[entry.address].toString(),
+                    withdrawableWei: pool.withdrawable[entry.address].toString()
+                }))
+            };
+        });
+    }
+
+    /**
+     * The distributor's KAS balance must cover every pool's pending royalties
+     * and everything beneficiaries can withdraw
+     */
+    checkDistributor(ledger, findings) {
+        const subject = `distributor ${network.contracts.royaltyDistributor}`;
+        const pending = sum(ledger.pools.map((pool) => pool.pendingDistribution));
+        const withdrawable = sum(ledger.pools.flatMap((pool) => Object.values(pool.withdrawable)));
+
+        if (withdrawable > ledger.balance) {
+            findings.add('distributor-solvency', subject,
+                `Withdrawable amounts total ${withdrawable} wei but the balance is ${ledger.balance} wei`,
+                { expected: ledger.balance, actual: withdrawable });
+        }
+        if (ledger.balance < pending) {
+            findings.add('distributor-balance', subject,
+                `Balance is ${ledger.balance} wei, less than the ${pending} wei pending across pools`,
+                { expected: pending, actual: ledger.balance });
+        } else if (ledger.balance > pending) {
+            // KAS can be forced into a contract without a call, so a surplus is not a loss
+            findings.add('distributor-balance', subject,
+                `Balance is ${ledger.balance - pending} wei more than the royalties pending across pools`,
+                { severity: 'warning', expected: pending, actual: ledger.balance });
+        }
+
+        return {
+            address: network.contracts.royaltyDistributor,
+            balanceWei: ledger.balance.toString(),
+            balance: ethers.formatEther(ledger.balance),
+            pendingDistributionWei: pending.toString(),
+            withdrawableWei: withdrawable.toString(),
+            poolCount: ledger.pools.length
+        };
+    }
+
+    /**
+     * Compare the configured tokenizer's views with its event ledger
+     */
+    async checkTokenizer(blockNumber, events, findings) {
+        const tokenizer = network.contracts.tokenizer;
+        const subject = `tokenizer ${tokenizer}`;
+        const expected = { totalRevenue: 0n, totalDistributed: 0n, balances: new Map(), claimed: new Map() };
+        events.forEach((event) => TOKENIZER_LEDGER_EVENTS[event.event](expected, event.args));
+
+        const accounts = [...new Set([...expected.balances.keys(), ...expected.claimed.keys()])];
+        const state = await ContractModel.getRevenueState(tokenizer, accounts, blockNumber);
+
+        findings.match('tokenizer-total-revenue', subject, 'totalRevenue', expected.totalRevenue, state.totalRevenue);
+        findings.match('tokenizer-total-distributed', subject, 'totalDistributed',
+            expected.totalDistributed, state.totalDistributed);
+        findings.match('tokenizer-supply', subject, 'totalSupply',
+            sum([...expected.balances.values()]), state.totalSupply);
+        state.holders.forEach((holder) => {
+            findings.match('tokenizer-holder-balance', `${subject} holder ${holder.address}`, 'balanceOf',
+                expected.balances.get(holder.address) || 0n, holder.balance);
+            findings.match('tokenizer-claimed', `${subject} holder ${holder.address}`, 'lastClaimedRevenue',
+                expected.claimed.get(holder.address) || 0n, holder.claimed);
+        });
+
+        const unclaimed = state.totalRevenue - state.totalDistributed;
+        if (state.balance < unclaimed) {
+            findings.add('tokenizer-balance', subject,
+                `Balance is ${state.balance} wei, less than the ${unclaimed} wei of revenue not yet claimed`,
+                { expected: unclaimed, actual: state.balance });
+        } else if (state.balance > unclaimed) {
+            findings.add('tokenizer-balance', subject,
+                `Balance is ${state.balance - unclaimed} wei more than the revenue not yet claimed`,
+                { severity: 'warning', expected: unclaimed, actual: state.balance });
+        }
+
+        const claimable = sum(state.holders.map((holder) => holder.claimable));
+        if (claimable > state.balance) {
+            findings.add('tokenizer-solvency', subject,
+                `Claimable revenue totals ${claimable} wei but the balance is ${state.balance} wei`,
+                { expected: state.balance, actual: claimable });
+        }
+
+        return {
+            address: tokenizer,
+            isRedeemed: state.isRedeemed,
+            balanceWei: state.balance.toString(),
+            balance: ethers.formatEther(state.balance),
+            totalSupplyWei: state.totalSupply.toString(),
+            totalRevenueWei: state.totalRevenue.toString(),
+            totalDistributedWei: state.totalDistributed.toString(),
+            claimableWei: claimable.toString(),
+            holderCount: state.holders.filter((holder) => holder.balance > 0n).length,
+            events: {
+                totalRevenueWei: expected.totalRevenue.toString(),
+                totalDistributedWei: expected.totalDistributed.toString()
+            }
+        };
+    }
+
+    /**
+     * Stored runs, newest first, without the per-pool and tokenizer detail
+     */
+    async listRuns({ status = null, before = null, limit = 20 } = {}) {
+        const filter = {};
+        if (status) filter.status = status;
+        if (before) filter.createdAt = { $lt: before };
+
+        return ReconciliationRun.find(filter)
+            .select('-pools -tokenizer -distributor')
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+    }
+
+    async getLatestRun() {
+        return ReconciliationRun.findOne().sort({ createdAt: -1 }).lean();
+    }
+
+    async getRun(id) {
+        return ReconciliationRun.findById(id).lean();
+    }
+}
+
+module.exports = new ReconciliationService();
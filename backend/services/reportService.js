@@ -0,0 +1,228 @@
+/**
+ * Report Service
+ * Builds compliance reports for royalty distributions from the on-chain
+ * distribution history, cross-referenced with indexed contract events
+ */
+
+const { ethers } = require('ethers');
+const ContractModel = require('../models/ContractModel');
+const { network } = require('../config/network');
+const eventIndexer = require('./eventIndexer');
+
+const BPS_DENOMINATOR = 10000n;
+
+// Distribution report columns for CSV and PDF output (width 0 leaves a column out of the PDF)
+const DISTRIBUTION_COLUMNS = [
+    { key: 'index', label: 'Record', width: 40 },
+    { key: 'timestamp', label: 'Timestamp (UTC)', width: 100 },
+    { key: 'ipnftTokenId', label: 'IP-NFT', width: 40 },
+    { key: 'beneficiary', label: 'Beneficiary', width: 180 },
+    { key: 'amountWei', label: 'Amount (wei)', width: 0 },
+    { key: 'amount', label: 'Amount (KAS)', width: 70 },
+    { key: 'blockNumber', label: 'Block', width: 50 },
+    { key: 'transactionHash', label: 'Transaction Hash', width: 260 },
+    { key: 'logIndex', label: 'Log', width: 30 },
+    { key: 'verified', label: 'Verified', width: 0 }
+];
+
+/**
+ * Key used to pair a distribution record with its RoyaltiesWithdrawn event
+ */
+function withdrawalKey(tokenId, beneficiary, amountWei, timestampSeconds) {
+    return `${tokenId}:${beneficiary.toLowerCase()}:${amountWei}:${timestampSeconds}`;
+}
+
+/**
+ * Sum wei strings and return both exact and formatted totals
+ */
+function total(values) {
+    const sum = values.reduce((acc, value) => acc + BigInt(value), 0n);
+    return { wei: sum.toString(), kas: ethers.formatEther(sum) };
+}
+
+class ReportService {
+    constructor() {
+        this.distributionColumns = DISTRIBUTION_COLUMNS;
+    }
+
+    /**
+     * Attach transaction and block references to distribution records.
+     * Records and RoyaltiesWithdrawn events are paired on token, beneficiary,
+     * amount and block timestamp; unmatched records are flagged unverified.
+     */
+    async attachEventReferences(records, beneficiary = null) {
+        const filter = { contract: 'distributor', event: 'RoyaltiesWithdrawn' };
+        if (beneficiary) {
+            filter['args.beneficiary'] = beneficiary;
+        }
+
+        const events = await eventIndexer.findEvents(filter);
+        const queues = new Map();
+
+        (events || []).forEach((event) => {
+            const key = withdrawalKey(
+                event.args.ipnftTokenId,
+                event.args.beneficiary,
+                event.args.amount,
+                Math.floor(new Date(event.timestamp).getTime() / 1000)
+            );
+            if (!queues.has(key)) {
+                queues.set(key, []);
+            }
+            queues.get(key).push(event);
+        });
+
+        return records.map((record) => {
+            const key = withdrawalKey(
+                record.ipnftTokenId,
+                record.beneficiary,
+                record.amountWei,
+                Math.floor(Date.parse(record.timestamp) / 1000)
+            );
+            const queue = queues.get(key);
+            const event = queue && queue.length > 0 ? queue.shift() : null;
+
+            return {
+                ...record,
+                transactionHash: event ? event.transactionHash : null,
+                blockNumber: event ? event.blockNumber : null,
+                blockHash: event ? event.blockHash : null,
+                logIndex: event ? event.logIndex : null,
+                verified: Boolean(event)
+            };
+        });
+    }
+
+    /**
+     * Distribution report filtered by token, beneficiary and date range
+     */
+    async getDistributionReport({ tokenId = null, beneficiary = null, from = null, to = null } = {}) {
+        const records = await ContractModel.getDistributionRecords(beneficiary);
+
+        const filtered = records.filter((record) => {
+            const timestamp = Date.parse(record.timestamp);
+            return (tokenId === null || record.ipnftTokenId === String(tokenId))
+                && (from === null || timestamp >= from.getTime())
+                && (to === null || timestamp <= to.getTime());
+        });
+
+        const lines = await this.attachEventReferences(filtered, beneficiary);
+
+        const byToken = new Map();
+        lines.forEach((line) => {
+            if (!byToken.has(line.ipnftTokenId)) {
+                byToken.set(line.ipnftTokenId, []);
+            }
+            byToken.get(line.ipnftTokenId).push(line.amountWei);
+        });
+
+        const grandTotal = total(lines.map((line) => line.amountWei));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            contract: network.contracts.royaltyDistributor,
+            filters: {
+                tokenId: tokenId === null ? null : String(tokenId),
+                beneficiary,
+                from: from ? from.toISOString() : null,
+                to: to ? to.toISOString() : null
+            },
+            eventIndexAvailable: eventIndexer.isEnabled(),
+            summary: {
+                count: lines.length,
+                totalWei: grandTotal.wei,
+                total: grandTotal.kas,
+                unverified: lines.filter((line) => !line.verified).length,
+                byToken: Array.from(byToken.entries()).map(([ipnftTokenId, amounts]) => {
+                    const tokenTotal = total(amounts);
+                    return {
+                        ipnftTokenId,
+                        count: amounts.length,
+                        totalWei: tokenTotal.wei,
+                        total: tokenTotal.kas
+                    };
+                })
+            },
+            lines
+        };
+    }
+
+    /**
+     * Annual statement for a beneficiary with per IP-NFT totals.
+     * "Received" is the beneficiary's share of royalties paid into each pool during
+     * the year, using the current share as the contract does for withdrawable amounts.
+     * It requires the event index and is null when the index is unavailable.
+     */
+    async getBeneficiaryStatement(beneficiary, year) {
+        const from = new Date(Date.UTC(year, 0, 1));
+        const to = new Date(Date.UTC(year + 1, 0, 1) - 1);
+
+        const report = await this.getDistributionReport({ beneficiary, from, to });
+
+        const tokenIds = new Set(report.lines.map((line) => line.ipnftTokenId));
+        const added = await eventIndexer.findEvents({
+            contract: 'distributor',
+            event: 'BeneficiaryAdded',
+            'args.beneficiary': beneficiary
+        });
+        (added || []).forEach((event) => tokenIds.add(event.args.ipnftTokenId));
+
+        const received = await eventIndexer.findEvents({
+            contract: 'distributor',
+            event: 'RoyaltiesReceived',
+            tokenId: { $in: Array.from(tokenIds) },
+            timestamp: { $gte: from, $lte: to }
+        });
+
+        const tokens = [];
+        for (const tokenId of Array.from(tokenIds).sort((a, b) => Number(a) - Number(b))) {
+            const royaltyInfo = await ContractModel.getRoyaltyInfo(tokenId);
+            const entry = royaltyInfo.beneficiaries
+                .find((item) => item.address.toLowerCase() === beneficiary.toLowerCase());
+            const shareBps = entry ? BigInt(entry.shareBps) : 0n;
+
+            let receivedWei = null;
+            if (received) {
+                const poolReceived = received
+                    .filter((event) => event.tokenId === tokenId)
+                    .reduce((acc, event) => acc + BigInt(event.args.amount), 0n);
+                receivedWei = ((poolReceived * shareBps) / BPS_DENOMINATOR).toString();
+            }
+
+            const withdrawals = report.lines.filter((line) => line.ipnftTokenId === tokenId);
+            const withdrawn = total(withdrawals.map((line) => line.amountWei));
+
+            tokens.push({
+                ipnftTokenId: tokenId,
+                shareBps: shareBps.toString(),
+                isActive: entry ? entry.isActive : false,
+                receivedWei,
+                received: receivedWei === null ? null : ethers.formatEther(receivedWei),
+                withdrawnWei: withdrawn.wei,
+                withdrawn: withdrawn.kas,
+                withdrawals
+            });
+        }
+
+        const receivedTotal = received ? total(tokens.map((token) => token.receivedWei)) : null;
+        const withdrawnTotal = total(tokens.map((token) => token.withdrawnWei));
+
+        return {
+            generatedAt: report.generatedAt,
+            contract: report.contract,
+            beneficiary,
+            year,
+            period: { from: from.toISOString(), to: to.toISOString() },
+            eventIndexAvailable: report.eventIndexAvailable,
+            totals: {
+                receivedWei: receivedTotal ? receivedTotal.wei : null,
+                received: receivedTotal ? receivedTotal.kas : null,
+                withdrawnWei: withdrawnTotal.wei,
+                withdrawn: withdrawnTotal.kas
+            },
+            tokens
+        };
+    }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,337 @@
+/**
+ * Royalty Simulator
+ * What-if splits of a royalty payment, computed with RoyaltyDistributor's own
+ * math for the current beneficiaries and, optionally, a hypothetical set.
+ *
+ * The distributor credits each active beneficiary a share of everything the
+ * pool has received, minus what they already withdrew. A payment therefore
+ * credits floor((received + amount) * bps / 10000) - floor(received * bps / 10000),
+ * and a share change applies retroactively to all earlier receipts.
+ *
+ * When the IP-NFT is fractionalized, the same amount is also split among IPT
+ * holders as IPTokenizer.addRevenue would make it claimable, pro rata by balance.
+ */
+
+const { ethers } = require('ethers');
+const { network } = require('../config/network');
+const ContractModel = require('../models/ContractModel');
+const holderLedger = require('./holderLedger');
+const { ApiError } = require('../utils/apiError');
+
+const BPS_DENOMINATOR = 10000n;
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Exact and formatted value of an amount, e.g. { creditedWei, credited }
+ */
+function amount(name, wei) {
+    return { [`${name}Wei`]: wei.toString(), [name]: ethers.formatEther(wei) };
+}
+
+/**
+ * RoyaltyDistributor.withdrawableAmount: only the first active entry of an address counts
+ */
+function withdrawable(beneficiaries, totalReceived, withdrawn, address) {
+    const entry = beneficiaries.find((beneficiary) => beneficiary.isActive && sameAddress(beneficiary.address, address));
+    if (!entry || entry.shareBps === 0n) {
+        return 0n;
+    }
+
+    const owed = (totalReceived * entry.shareBps) / BPS_DENOMINATOR;
+    return owed > withdrawn ? owed - withdrawn : 0n;
+}
+
+/**
+ * Part of a payment that a bps share of the cumulative total adds
+ */
+function shareOf(totalReceived, paymentWei, shareBps) {
+    return ((totalReceived + paymentWei) * shareBps) / BPS_DENOMINATOR - (totalReceived * shareBps) / BPS_DENOMINATOR;
+}
+
+/**
+ * IPTokenizer.claimableRevenue for a holder at a given total revenue
+ */
+function claimable(totalRevenue, totalSupply, { balance, claimed }) {
+    if (totalRevenue === 0n || balance === 0n) {
+        return 0n;
+    }
+    const share = (totalRevenue * balance) / totalSupply;
+    return share > claimed ? share - claimed : 0n;
+}
+
+/**
+ * Hypothetical set as the contract would hold it: entries cannot be deleted, so current
+ * beneficiaries left out become inactive, and new addresses are appended
+ */
+function applyHypothetical(current, hypothetical) {
+    const find = (address) => hypothetical.find((entry) => sameAddress(entry.address, address));
+
+    const updated = current.map((beneficiary) => {
+        const entry = find(beneficiary.address);
+        return entry
+            ? { address: beneficiary.address, shareBps: entry.shareBps, isActive: entry.isActive }
+            : { ...beneficiary, isActive: false };
+    });
+    const added = hypothetical.filter((entry) => !current.some((beneficiary) => sameAddress(beneficiary.address, entry.address)));
+
+    return [...updated, ...added];
+}
+
+class RoyaltySimulator {
+    /**
+     * Split a payment for a pool.
+     * @param {string} tokenId IP-NFT token ID
+     * @param {bigint} paymentWei Incoming payment
+     * @param {Array|null} hypothetical [{ address, shareBps (bigint), isActive }] or null
+     */
+    async simulate(tokenId, paymentWei, hypothetical = null) {
+        const state = await ContractModel.getPayoutState(
+            tokenId,
+            hypothetical ? hypothetical.map((entry) => entry.address) : []
+        );
+        if (!state.exists && !hypothetical) {
+            throw new ApiError(404, 'POOL_NOT_FOUND', `Royalty pool for IP-NFT ${tokenId} does not exist`);
+        }
+
+        const current = state.exists ? this.split(state, state.beneficiaries, paymentWei) : null;
+        let proposed = null;
+        let diff = null;
+        if (hypothetical) {
+            const beneficiaries = state.exists ? applyHypothetical(state.beneficiaries, hypothetical) : hypothetical;
+            proposed = this.split(state, beneficiaries, paymentWei);
+            proposed.warnings = [...this.checkHypothetical(state, hypothetical), ...proposed.warnings];
+            diff = state.exists ? this.diff(current, proposed) : null;
+        }
+
+        return {
+            tokenId: tokenId.toString(),
+            blockNumber: state.blockNumber,
+            ...amount('payment', paymentWei),
+            pool: {
+                exists: state.exists,
+                ...amount('totalReceived', state.totalReceived),
+                ...amount('totalDistributed', state.totalDistributed),
+                ...amount('pendingDistribution', state.pendingDistribution)
+            },
+            current,
+            hypothetical: proposed,
+            diff,
+            passThrough: state.tokenizer ? await this.passThrough(state, paymentWei) : null
+        };
+    }
+
+    /**
+     * Per-entry credits for a payment with a beneficiary set.
+     * The payment splits into credited wei and wei left in the pool: the share
+     * of bps no counted active entry holds (inactive and shadowed entries show
+     * their share of the payment but are credited nothing), credits withheld
+     * because a beneficiary already withdrew more than a reduced share, and
+     * rounding dust. Dust is negative when the payment releases rounding left
+     * by earlier payments.
+     */
+    split(state, beneficiaries, paymentWei) {
+        const { totalReceived, withdrawn } = state;
+        const withdrawnBy = (address) => withdrawn[ethers.getAddress(address)] || 0n;
+        const counted = new Set();
+
+        let withheldWei = 0n;
+        const entries = beneficiaries.map((beneficiary) => {
+            const key = beneficiary.address.toLowerCase();
+            const shareOfPayment = shareOf(totalReceived, paymentWei, beneficiary.shareBps);
+            const entry = {
+                address: ethers.getAddress(beneficiary.address),
+                shareBps: beneficiary.shareBps.toString(),
+                isActive: beneficiary.isActive,
+                counted: beneficiary.isActive && !counted.has(key),
+                ...amount('shareOfPayment', shareOfPayment)
+            };
+
+            if (!entry.counted) {
+                return { ...entry, ...amount('credited', 0n) };
+            }
+            counted.add(key);
+
+            const now = withdrawable(state.beneficiaries, totalReceived, withdrawnBy(beneficiary.address), beneficiary.address);
+            const before = withdrawable(beneficiaries, totalReceived, withdrawnBy(beneficiary.address), beneficiary.address);
+            const after = withdrawable(beneficiaries, totalReceived + paymentWei, withdrawnBy(beneficiary.address), beneficiary.address);
+            withheldWei += shareOfPayment - (after - before);
+
+            return {
+                ...entry,
+                ...amount('credited', after - before),
+                ...amount('retroactive', before - now),
+                ...amount('withdrawableNow', now),
+                ...amount('withdrawableAfter', after)
+            };
+        });
+
+        const activeShareBps = entries
+            .filter((entry) => entry.counted)
+            .reduce((total, entry) => total + BigInt(entry.shareBps), 0n);
+        const unassignedWei = activeShareBps < BPS_DENOMINATOR
+            ? shareOf(totalReceived, paymentWei, BPS_DENOMINATOR - activeShareBps)
+            : 0n;
+        const creditedWei = entries.reduce((total, entry) => total + BigInt(entry.creditedWei), 0n);
+        const dustWei = paymentWei - creditedWei - unassignedWei - withheldWei;
+
+        // Withdrawals draw on the pool's pending balance, which cannot go negative
+        const owedWei = entries.reduce((total, entry) => total + BigInt(entry.withdrawableAfterWei || 0), 0n);
+        const availableWei = state.pendingDistribution + paymentWei;
+        const shortfallWei = owedWei > availableWei ? owedWei - availableWei : 0n;
+
+        const warnings = [];
+        if (shortfallWei > 0n) {
+            warnings.push(`Withdrawable amounts exceed the pool balance by ${shortfallWei} wei, so the last withdrawals would revert`);
+        }
+
+        return {
+            activeShareBps: activeShareBps.toString(),
+            beneficiaries: entries,
+            ...amount('credited', creditedWei),
+            ...amount('unassigned', unassignedWei),
+            ...amount('withheld', withheldWei),
+            ...amount('dust', dustWei),
+            ...amount('shortfall', shortfallWei),
+            warnings
+        };
+    }
+
+    /**
+     * Contract rules a hypothetical set breaks. The distributor can only change
+     * shares (updateBeneficiary, active shares must total 10000 bps afterwards) and
+     * deactivate beneficiaries (removeBeneficiary); a new pool needs 10000 bps.
+     */
+    checkHypothetical(state, hypothetical) {
+        const warnings = [];
+        const activeBps = hypothetical
+            .filter((entry) => entry.isActive)
+            .reduce((total, entry) => total + entry.shareBps, 0n);
+
+        if (!state.exists) {
+            if (hypothetical.some((entry) => !entry.isActive || entry.shareBps === 0n)) {
+                warnings.push('createRoyaltyPool only accepts active beneficiaries with a positive share');
+            }
+            if (activeBps !== BPS_DENOMINATOR) {
+                warnings.push(`Shares total ${activeBps} bps; createRoyaltyPool requires ${BPS_DENOMINATOR} bps`);
+            }
+            return warnings;
+        }
+
+        hypothetical.forEach((entry) => {
+            const existing = state.beneficiaries.find((beneficiary) => sameAddress(beneficiary.address, entry.address));
+            if (!existing && entry.isActive) {
+                warnings.push(`${entry.address} is not in the pool, and the distributor cannot add beneficiaries to an existing pool`);
+            } else if (existing && !existing.isActive && entry.isActive) {
+                warnings.push(`${entry.address} was removed, and the distributor cannot reactivate beneficiaries`);
+            }
+        });
+        if (activeBps !== BPS_DENOMINATOR) {
+            warnings.push(`Active shares total ${activeBps} bps; updateBeneficiary requires ${BPS_DENOMINATOR} bps, `
+                + 'so this set is only reachable by removing beneficiaries');
+        }
+        return warnings;
+    }
+
+    /**
+     * Changes from the current set to the hypothetical one, per address
+     */
+    diff(current, proposed) {
+        const first = (split, address) => split.beneficiaries.find((entry) => entry.address === address && entry.counted)
+            || split.beneficiaries.find((entry) => entry.address === address)
+            || null;
+        const addresses = [...new Set([...current.beneficiaries, ...proposed.beneficiaries].map((entry) => entry.address))];
+
+        return addresses.map((address) => {
+            const before = first(current, address);
+            const after = first(proposed, address);
+            const wasActive = Boolean(before && before.counted);
+            const isActive = Boolean(after && after.counted);
+
+            let change = 'unchanged';
+            if (!before && isActive) {
+                change = 'added';
+            } else if (wasActive && !isActive) {
+                change = 'removed';
+            } else if (!wasActive && isActive) {
+                change = 'reactivated';
+            } else if (wasActive && before.shareBps !== after.shareBps) {
+                change = 'share-changed';
+            }
+
+            const creditedBefore = before ? BigInt(before.creditedWei) : 0n;
+            const creditedAfter = after ? BigInt(after.creditedWei) : 0n;
+            const withdrawableBefore = before && before.withdrawableAfterWei ? BigInt(before.withdrawableAfterWei) : 0n;
+            const withdrawableAfter = after && after.withdrawableAfterWei ? BigInt(after.withdrawableAfterWei) : 0n;
+
+            return {
+                address,
+                change,
+                current: before ? { shareBps: before.shareBps, isActive: before.isActive } : null,
+                hypothetical: after ? { shareBps: after.shareBps, isActive: after.isActive } : null,
+                shareBpsDelta: ((after ? BigInt(after.shareBps) : 0n) * (isActive ? 1n : 0n)
+                    - (before ? BigInt(before.shareBps) : 0n) * (wasActive ? 1n : 0n)).toString(),
+                ...amount('creditedDelta', creditedAfter - creditedBefore),
+                ...amount('withdrawableAfterDelta', withdrawableAfter - withdrawableBefore)
+            };
+        });
+    }
+
+    /**
+     * The payment paid to the tokenizer with addRevenue: what each IPT holder could
+     * claim. Holders are listed from the IPT ledger, which indexes the configured tokenizer.
+     */
+    async passThrough(state, paymentWei) {
+        let holders = [];
+        let error = null;
+        if (!network.contracts.tokenizer || !sameAddress(network.contracts.tokenizer, state.tokenizer)) {
+            error = `Holders are only indexed for the configured tokenizer, not ${state.tokenizer}`;
+        } else if (!holderLedger.isEnabled()) {
+            error = 'IPT holders require the MongoDB event index';
+        } else {
+            const { value } = await holderLedger.getHolders({});
+            holders = value.holders.map((holder) => holder.address);
+        }
+
+        const revenue = await ContractModel.getRevenueState(state.tokenizer, holders, state.blockNumber);
+        if (revenue.isRedeemed) {
+            error = 'The IP-NFT has been redeemed, so addRevenue reverts';
+        }
+
+        const { totalSupply, totalRevenue } = revenue;
+        const listed = revenue.holders.filter((holder) => holder.balance > 0n);
+        const entries = listed.map((holder) => {
+            const before = claimable(totalRevenue, totalSupply, holder);
+            const after = claimable(totalRevenue + paymentWei, totalSupply, holder);
+            return {
+                address: holder.address,
+                ...amount('balance', holder.balance),
+                percentage: totalSupply > 0n ? Number((holder.balance * 1000000n) / totalSupply) / 10000 : 0,
+                ...amount('claimableNow', before),
+                ...amount('credited', after - before)
+            };
+        });
+
+        const listedSupply = listed.reduce((total, holder) => total + holder.balance, 0n);
+        const creditedWei = entries.reduce((total, entry) => total + BigInt(entry.creditedWei), 0n);
+        const complete = holders.length > 0 && listedSupply === totalSupply;
+
+        return {
+            route: 'addRevenue',
+            tokenizer: state.tokenizer,
+            isRedeemed: revenue.isRedeemed,
+            ...amount('totalSupply', totalSupply),
+            ...amount('totalRevenue', totalRevenue),
+            ...amount('perToken', totalSupply > 0n ? (paymentWei * ethers.WeiPerEther) / totalSupply : 0n),
+            holderCount: entries.length,
+            complete,
+            holders: entries,
+            ...amount('credited', creditedWei),
+            // Only meaningful when every holder is listed
+            dustWei: complete ? (paymentWei - creditedWei).toString() : null,
+            error
+        };
+    }
+}
+
+module.exports = new RoyaltySimulator();
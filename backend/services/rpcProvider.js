@@ -0,0 +1,289 @@
+/**
+ * RPC Provider Service
+ * One shared provider for the selected network that fails over between RPC
+ * endpoints, scores their health and backs off from failing ones
+ */
+
+const { ethers } = require('ethers');
+const { network, verifyChainId } = require('../config/network');
+const logger = require('../utils/logger');
+
+// JSON-RPC error codes that mean the node, not the request, is at fault
+const RETRYABLE_RPC_CODES = new Set([-32005, 429]);
+
+const SCORE_WEIGHT = 0.2;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Hide credentials and API keys that are often embedded in RPC URLs
+ */
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const hasSecret = parsed.username || parsed.password || parsed.search || parsed.pathname.length > 1;
+        return `${parsed.protocol}//${parsed.host}${hasSecret ? '/…' : ''}`;
+    } catch (error) {
+        return 'invalid URL';
+    }
+}
+
+/**
+ * JSON-RPC provider that sends each request to the healthiest endpoint,
+ * retrying on the next one when an endpoint times out or errors.
+ *
+ * Contract events are polled with eth_getLogs rather than filter IDs,
+ * since a filter installed on one endpoint is unknown to the others.
+ */
+class FallbackJsonRpcProvider extends ethers.JsonRpcProvider {
+    constructor(urls, options) {
+        super(urls[0], ethers.Network.from(network.chainId), {
+            staticNetwork: true,
+            polling: true
+        });
+
+        this.timeout = options.timeout;
+        this.maxAttempts = options.maxAttempts;
+        this.backoffBase = options.backoffBase;
+        this.backoffMax = options.backoffMax;
+
+        this.endpoints = urls.map((url, index) => ({
+            url,
+            label: redactUrl(url),
+            priority: index,
+            score: 100,
+            latencyMs: null,
+            requests: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            cooldownUntil: 0,
+            blockNumber: null,
+            lastError: null,
+            lastErrorAt: null,
+            lastSuccessAt: null
+        }));
+    }
+
+    /**
+     * Exponential backoff delay for the given number of consecutive failures
+     */
+    backoffDelay(failures) {
+        return Math.min(this.backoffBase * (2 ** Math.max(failures - 1, 0)), this.backoffMax);
+    }
+
+    /**
+     * Endpoints not cooling down, best first: highest score, then configured order.
+     * When every endpoint is cooling down, the one that recovers soonest is returned.
+     */
+    rankEndpoints() {
+        const now = Date.now();
+        const available = this.endpoints
+            .filter((endpoint) => endpoint.cooldownUntil <= now)
+            .sort((a, b) => (b.score - a.score) || (a.priority - b.priority));
+
+        if (available.length > 0) {
+            return available;
+        }
+        return [...this.endpoints].sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+    }
+
+    recordSuccess(endpoint, payload, responses, latencyMs) {
+        if (endpoint.consecutiveFailures > 0) {
+            logger.info(`RPC endpoint ${endpoint.label} recovered after ${endpoint.consecutiveFailures} failures`);
+        }
+
+        endpoint.requests += 1;
+        endpoint.consecutiveFailures = 0;
+        endpoint.cooldownUntil = 0;
+        endpoint.score = endpoint.score * (1 - SCORE_WEIGHT) + 100 * SCORE_WEIGHT;
+        endpoint.latencyMs = endpoint.latencyMs === null
+            ? latencyMs
+            : Math.round(endpoint.latencyMs * (1 - SCORE_WEIGHT) + latencyMs * SCORE_WEIGHT);
+        endpoint.lastSuccessAt = new Date();
+
+        // Remember the head each endpoint reports so lagging nodes are visible
+        const requests = Array.isArray(payload) ? payload : [payload];
+        requests.forEach((request) => {
+            const response = responses.find((entry) => entry.id === request.id);
+            if (request.method === 'eth_blockNumber' && response && response.result) {
+                endpoint.blockNumber = Number(response.result);
+            }
+        });
+    }
+
+    recordFailure(endpoint, error) {
+        const message = error.shortMessage || error.message;
+        // Log once per outage; every retry is reflected in the health counters
+        if (endpoint.consecutiveFailures === 0) {
+            logger.warn(`RPC endpoint ${endpoint.label} failing: ${message}`);
+        }
+
+        endpoint.requests += 1;
+        endpoint.failures += 1;
+        endpoint.consecutiveFailures += 1;
+        endpoint.score = endpoint.score * (1 - SCORE_WEIGHT);
+        endpoint.cooldownUntil = Date.now() + this.backoffDelay(endpoint.consecutiveFailures);
+        endpoint.lastError = message;
+        endpoint.lastErrorAt = new Date();
+    }
+
+    /**
+     * POST a payload to one endpoint. Throws on transport failures, timeouts,
+     * HTTP errors and rate limiting; JSON-RPC errors such as reverts are returned.
+     */
+    async sendToEndpoint(endpoint, payload) {
+        const request = new ethers.FetchRequest(endpoint.url);
+        request.timeout = this.timeout;
+        // Rate limits are handled by failing over instead of waiting on one endpoint
+        request.setThrottleParams({ maxAttempts: 1 });
+        request.body = JSON.stringify(payload);
+        request.setHeader('content-type', 'application/json');
+
+        const response = await request.send();
+        response.assertOk();
+
+        let responses = response.bodyJson;
+        if (!Array.isArray(responses)) {
+            responses = [responses];
+        }
+
+        const throttled = responses.find((entry) => entry.error && RETRYABLE_RPC_CODES.has(entry.error.code));
+        if (throttled) {
+            throw new Error(`RPC error ${throttled.error.code}: ${throttled.error.message}`);
+        }
+
+        return responses;
+    }
+
+    async _send(payload) {
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            const [endpoint] = this.rankEndpoints();
+
+            // Every endpoint is cooling down; wait, but never longer than this attempt's backoff
+            const wait = Math.min(endpoint.cooldownUntil - Date.now(), this.backoffDelay(attempt));
+            if (wait > 0) {
+                await sleep(wait);
+            }
+
+            const startedAt = Date.now();
+            try {
+                const responses = await this.sendToEndpoint(endpoint, payload);
+                this.recordSuccess(endpoint, payload, responses, Date.now() - startedAt);
+                return responses;
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+}
+
+class RpcProvider {
+    constructor() {
+        this.provider = null;
+
+        this.options = {
+            timeout: parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10),
+            maxAttempts: parseInt(process.env.RPC_MAX_ATTEMPTS || '4', 10),
+            backoffBase: parseInt(process.env.RPC_BACKOFF_BASE_MS || '500', 10),
+            backoffMax: parseInt(process.env.RPC_BACKOFF_MAX_MS || '30000', 10)
+        };
+    }
+
+    /**
+     * Get the shared provider, creating it on first use
+     */
+    getProvider() {
+        if (!this.provider) {
+            this.provider = new FallbackJsonRpcProvider(network.rpcUrls, this.options);
+        }
+        return this.provider;
+    }
+
+    /**
+     * Query one endpoint directly, bypassing failover: confirms its chain ID
+     * (throwing as verifyChainId does) and reads its block number
+     */
+    async probeEndpoint(endpoint) {
+        const direct = new ethers.JsonRpcProvider(endpoint.url, ethers.Network.from(network.chainId), {
+            staticNetwork: true
+        });
+        const startedAt = Date.now();
+        try {
+            const chainId = await verifyChainId(direct, endpoint.label);
+            const blockNumber = await direct.getBlockNumber();
+            return { url: endpoint.label, chainId, blockNumber, latencyMs: Date.now() - startedAt };
+        } finally {
+            direct.destroy();
+        }
+    }
+
+    /**
+     * Check every endpoint serves the configured chain. An endpoint on another
+     * chain is fatal; unreachable endpoints are only fatal when none respond.
+     */
+    async verifyEndpoints() {
+        const provider = this.getProvider();
+        const unreachable = [];
+
+        for (const endpoint of provider.endpoints) {
+            try {
+                await this.probeEndpoint(endpoint);
+            } catch (error) {
+                if (error.code === 'NETWORK_MISMATCH') {
+                    throw error;
+                }
+                provider.recordFailure(endpoint, error);
+                unreachable.push(endpoint.label);
+            }
+        }
+
+        if (unreachable.length === provider.endpoints.length) {
+            throw new Error(`No RPC endpoint for ${network.name} is reachable`);
+        }
+    }
+
+    /**
+     * Health of each endpoint, in the order requests will prefer them
+     */
+    getHealth() {
+        if (!this.provider) {
+            return { strategy: 'fallback', activeEndpoint: null, endpoints: [] };
+        }
+
+        const now = Date.now();
+        const ranked = this.provider.rankEndpoints();
+
+        return {
+            strategy: 'fallback',
+            activeEndpoint: ranked[0].label,
+            endpoints: ranked.map((endpoint) => ({
+                url: endpoint.label,
+                healthy: endpoint.cooldownUntil <= now,
+                score: Math.round(endpoint.score),
+                latencyMs: endpoint.latencyMs,
+                blockNumber: endpoint.blockNumber,
+                requests: endpoint.requests,
+                failures: endpoint.failures,
+                consecutiveFailures: endpoint.consecutiveFailures,
+                retryAt: endpoint.cooldownUntil > now ? new Date(endpoint.cooldownUntil).toISOString() : null,
+                lastError: endpoint.lastError,
+                lastErrorAt: endpoint.lastErrorAt ? endpoint.lastErrorAt.toISOString() : null,
+                lastSuccessAt: endpoint.lastSuccessAt ? endpoint.lastSuccessAt.toISOString() : null
+            }))
+        };
+    }
+
+    destroy() {
+        if (this.provider) {
+            this.provider.destroy();
+            this.provider = null;
+        }
+    }
+}
+
+module.exports = new RpcProvider();
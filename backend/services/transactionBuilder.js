@@ -0,0 +1,229 @@
+/**
+ * Transaction Builder Service
+ * Prepares unsigned transactions for wallet signing after simulating them
+ * from the caller's address
+ */
+
+const { network } = require('../config/network');
+const ContractModel = require('../models/ContractModel');
+const contractRegistry = require('./contractRegistry');
+const { decodeRevert } = require('../utils/revertDecoder');
+
+const CONTRACTS = {
+    distributor: { key: 'royaltyDistributor', name: 'Royalty distributor' },
+    tokenizer: { key: 'tokenizer', name: 'IP tokenizer' }
+};
+
+const MAX_BATCH_WITHDRAWALS = 20;
+const GAS_LIMIT_BUFFER_PERCENT = 20n;
+
+const isUint = (value) => /^\d+$/.test(String(value));
+
+/**
+ * Parse a wei amount given as a decimal string or integer
+ */
+function parseValue(value, { required }) {
+    if (value === undefined || value === null) {
+        return required ? { error: 'value (wei) is required' } : { value: 0n };
+    }
+    if (!isUint(value)) {
+        return { error: 'value must be a non-negative integer amount in wei' };
+    }
+    return { value: BigInt(value) };
+}
+
+/**
+ * Supported actions. Each parse() returns { error } or { args, value }.
+ */
+const ACTIONS = {
+    'withdraw-royalties': {
+        contract: 'distributor',
+        method: 'withdrawRoyalties',
+        description: 'Withdraw your royalties from one IP-NFT pool',
+        params: { tokenId: 'IP-NFT token ID' },
+        parse: ({ tokenId }) => (isUint(tokenId)
+            ? { args: [BigInt(tokenId)], value: 0n }
+            : { error: 'tokenId must be a non-negative integer' })
+    },
+    'batch-withdraw-royalties': {
+        contract: 'distributor',
+        method: 'batchWithdrawRoyalties',
+        description: `Withdraw your royalties from up to ${MAX_BATCH_WITHDRAWALS} IP-NFT pools`,
+        params: { tokenIds: 'Array of IP-NFT token IDs' },
+        parse: ({ tokenIds }) => {
+            if (!Array.isArray(tokenIds) || tokenIds.length === 0 || tokenIds.length > MAX_BATCH_WITHDRAWALS) {
+                return { error: `tokenIds must be an array of 1-${MAX_BATCH_WITHDRAWALS} token IDs` };
+            }
+            if (!tokenIds.every(isUint)) {
+                return { error: 'tokenIds must contain non-negative integers' };
+            }
+            return { args: [tokenIds.map((tokenId) => BigInt(tokenId))], value: 0n };
+        }
+    },
+    'receive-royalties': {
+        contract: 'distributor',
+        method: 'receiveRoyalties',
+        description: 'Pay royalties into an IP-NFT pool',
+        params: { tokenId: 'IP-NFT token ID', value: 'Payment in wei' },
+        parse: ({ tokenId, value }) => {
+            if (!isUint(tokenId)) {
+                return { error: 'tokenId must be a non-negative integer' };
+            }
+            const parsed = parseValue(value, { required: true });
+            return parsed.error ? parsed : { args: [BigInt(tokenId)], value: parsed.value };
+        }
+    },
+    'claim-revenue': {
+        contract: 'tokenizer',
+        method: 'claimRevenue',
+        description: 'Claim your share of IPT revenue',
+        params: {},
+        parse: () => ({ args: [], value: 0n })
+    },
+    'cast-vote': {
+        contract: 'tokenizer',
+        method: 'castVote',
+        description: 'Vote on a governance proposal',
+        params: { proposalId: 'Proposal ID', support: 'true to vote for, false to vote against' },
+        parse: ({ proposalId, support }) => {
+            if (!isUint(proposalId)) {
+                return { error: 'proposalId must be a non-negative integer' };
+            }
+            if (typeof support !== 'boolean') {
+                return { error: 'support must be a boolean' };
+            }
+            return { args: [BigInt(proposalId), support], value: 0n };
+        }
+    },
+    'redeem-ipnft': {
+        contract: 'tokenizer',
+        method: 'redeemIPNFT',
+        description: 'Buy out the fractionalized IP-NFT (defaults to the minimum redemption price)',
+        params: { value: 'Redemption payment in wei (optional)' },
+        parse: ({ value }) => {
+            const parsed = parseValue(value, { required: false });
+            return parsed.error ? parsed : { args: [], value: value === undefined ? null : parsed.value };
+        }
+    }
+};
+
+class TransactionBuilder {
+    /**
+     * Describe supported actions and whether their contract is configured
+     */
+    getActions() {
+        return Object.entries(ACTIONS).map(([action, spec]) => ({
+            action,
+            contract: spec.contract,
+            method: spec.method,
+            description: spec.description,
+            params: spec.params,
+            configured: this.isConfigured(action)
+        }));
+    }
+
+    hasAction(action) {
+        return Object.prototype.hasOwnProperty.call(ACTIONS, action);
+    }
+
+    isConfigured(action) {
+        return Boolean(network.contracts[CONTRACTS[ACTIONS[action].contract].key]);
+    }
+
+    getContractName(action) {
+        return CONTRACTS[ACTIONS[action].contract].name;
+    }
+
+    /**
+     * Validate request parameters for an action
+     */
+    parse(action, body) {
+        return ACTIONS[action].parse(body || {});
+    }
+
+    /**
+     * Simulate the call with eth_call from the caller, then return the unsigned
+     * transaction with gas, fee and nonce hints. Returns { revert, blockNumber }
+     * instead when the simulation fails.
+     */
+    async build(action, from, { args, value }) {
+        const spec = ACTIONS[action];
+        const contractConfig = CONTRACTS[spec.contract];
+        const provider = ContractModel.getProvider();
+        const contract = contractRegistry.getContract(contractConfig.key, provider);
+
+        const blockNumber = await provider.getBlockNumber();
+        if (value === null) {
+            // Redemption requires at least the fractional supply set at initialization, in wei
+            value = await ContractModel.getRedemptionPrice(blockNumber);
+        }
+
+        const transaction = {
+            from,
+            to: network.contracts[contractConfig.key],
+            data: contract.interface.encodeFunctionData(spec.method, args),
+            value
+        };
+
+        // Nodes report an unfunded eth_call inconsistently, so check the balance first
+        const balance = await provider.getBalance(from, blockNumber);
+        if (balance < value) {
+            return {
+                blockNumber,
+                revert: {
+                    name: null,
+                    args: { balance: balance.toString(), value: value.toString() },
+                    message: 'balance is lower than the value sent'
+                }
+            };
+        }
+
+        let returnData;
+        try {
+            returnData = await provider.call({ ...transaction, blockTag: blockNumber });
+        } catch (error) {
+            if (error.code === 'CALL_EXCEPTION') {
+                return { blockNumber, revert: decodeRevert(error.data) };
+            }
+            throw error;
+        }
+
+        const [gasEstimate, nonce, chain, feeData] = await Promise.all([
+            provider.estimateGas(transaction),
+            provider.getTransactionCount(from, 'pending'),
+            provider.getNetwork(),
+            provider.getFeeData()
+        ]);
+
+        const fees = feeData.maxFeePerGas !== null
+            ? {
+                type: 2,
+                maxFeePerGas: feeData.maxFeePerGas.toString(),
+                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString()
+            }
+            : { type: 0, gasPrice: feeData.gasPrice.toString() };
+
+        return {
+            action,
+            description: spec.description,
+            transaction: {
+                from,
+                to: transaction.to,
+                data: transaction.data,
+                value: value.toString(),
+                chainId: chain.chainId.toString(),
+                nonce,
+                gasLimit: ((gasEstimate * (100n + GAS_LIMIT_BUFFER_PERCENT)) / 100n).toString(),
+                ...fees
+            },
+            gasEstimate: gasEstimate.toString(),
+            simulation: {
+                success: true,
+                blockNumber,
+                returnData
+            }
+        };
+    }
+}
+
+module.exports = new TransactionBuilder();
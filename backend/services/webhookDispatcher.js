@@ -0,0 +1,303 @@
+/**
+ * Webhook Dispatcher Service
+ * Delivers contract events to subscribed endpoints as HMAC-signed JSON,
+ * retrying with exponential backoff and dead-lettering after repeated failures
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ContractEvent = require('../models/ContractEvent');
+const eventIndexer = require('./eventIndexer');
+const eventMonitor = require('./eventMonitor');
+const logger = require('../utils/logger');
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const PROCESS_BATCH_SIZE = 50;
+
+/**
+ * Idempotency key shared by every delivery of the same log
+ */
+function idempotencyKey(event) {
+    return `${event.transactionHash}:${event.logIndex}`;
+}
+
+/**
+ * Check whether an event passes a subscription's filters
+ */
+function matchesSubscription(subscription, event) {
+    if (subscription.events.length > 0 && !subscription.events.includes(event.event)) {
+        return false;
+    }
+    if (subscription.tokenIds.length > 0 && !subscription.tokenIds.includes(event.tokenId)) {
+        return false;
+    }
+    if (subscription.addresses.length > 0) {
+        const involved = [event.address, ...Object.values(event.args)]
+            .filter((value) => typeof value === 'string' && value.startsWith('0x'))
+            .map((value) => value.toLowerCase());
+        return subscription.addresses.some((address) => involved.includes(address));
+    }
+    return true;
+}
+
+/**
+ * Sign "<timestamp>.<body>" so receivers can reject replayed or altered payloads
+ */
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookDispatcher {
+    constructor() {
+        this.timer = null;
+        this.isProcessing = false;
+        this.onEvent = (event) => this.enqueue(event);
+        this.onRollback = (rollback) => this.cancelOrphaned(rollback.fromBlock);
+
+        this.pollInterval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000', 10);
+        this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+        this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000', 10);
+    }
+
+    /**
+     * Webhooks are stored in MongoDB and unavailable without it
+     */
+    isEnabled() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    start() {
+        eventMonitor.on('event', this.onEvent);
+        eventMonitor.on('rollback', this.onRollback);
+        this.timer = setInterval(() => this.processDue(), this.pollInterval);
+        logger.info('Webhook dispatcher started');
+    }
+
+    stop() {
+        eventMonitor.off('event', this.onEvent);
+        eventMonitor.off('rollback', this.onRollback);
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Generate a signing secret for a new subscription
+     */
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Create deliveries for every active subscription matching the event
+     */
+    async enqueue(event, subscriptions = null) {
+        if (!this.isEnabled()) {
+            return [];
+        }
+
+        try {
+            const candidates = subscriptions || await WebhookSubscription.find({ active: true }).lean();
+            const matching = candidates.filter((subscription) => matchesSubscription(subscription, event));
+            if (matching.length === 0) {
+                return [];
+            }
+
+            const key = idempotencyKey(event);
+            await WebhookDelivery.bulkWrite(matching.map((subscription) => ({
+                updateOne: {
+                    filter: { subscription: subscription._id, idempotencyKey: key },
+                    update: { $setOnInsert: { event, status: 'pending', nextAttemptAt: new Date() } },
+                    upsert: true
+                }
+            })), { ordered: false });
+
+            await this.processDue();
+            return matching;
+        } catch (error) {
+            logger.error('Failed to enqueue webhook deliveries:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Attempt every delivery whose retry time has come
+     */
+    async processDue() {
+        if (!this.isEnabled() || this.isProcessing) {
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            const due = await WebhookDelivery.find({
+                status: { $in: ['pending', 'failed'] },
+                nextAttemptAt: { $lte: new Date() }
+            })
+                .sort({ nextAttemptAt: 1 })
+                .limit(PROCESS_BATCH_SIZE);
+
+            for (const delivery of due) {
+                await this.attempt(delivery);
+            }
+        } catch (error) {
+            logger.error('Webhook processing failed:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Send a delivery once and record the outcome
+     */
+    async attempt(delivery) {
+        const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+        if (!subscription || !subscription.active) {
+            delivery.status = 'canceled';
+            await delivery.save();
+            return delivery;
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const body = JSON.stringify({
+            id: delivery.idempotencyKey,
+            deliveryId: delivery._id.toString(),
+            type: delivery.event.event,
+            attempt: delivery.attempts + 1,
+            data: delivery.event
+        });
+
+        const startedAt = Date.now();
+        let statusCode = null;
+        let error = null;
+
+        try {
+            const response = await axios.post(subscription.url, body, {
+                timeout: this.timeout,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': delivery.idempotencyKey,
+                    'X-Webhook-Id': delivery._id.toString(),
+                    'X-Webhook-Event': delivery.event.event,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${sign(subscription.secret, timestamp, body)}`
+                }
+            });
+            statusCode = response.status;
+            if (statusCode < 200 || statusCode >= 300) {
+                error = `HTTP ${statusCode}`;
+            }
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        delivery.attempts += 1;
+        delivery.log.push({
+            attemptedAt: new Date(startedAt),
+            statusCode,
+            error,
+            durationMs: Date.now() - startedAt
+        });
+
+        if (!error) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = new Date();
+            delivery.lastError = null;
+        } else if (delivery.attempts >= this.maxAttempts) {
+            delivery.status = 'dead';
+            delivery.lastError = error;
+            logger.warn(`Webhook delivery ${delivery._id} moved to dead-letter list: ${error}`);
+        } else {
+            const backoff = Math.min(this.retryBaseMs * 2 ** (delivery.attempts - 1), MAX_BACKOFF_MS);
+            const jitter = Math.floor(Math.random() * backoff * 0.1);
+            delivery.status = 'failed';
+            delivery.lastError = error;
+            delivery.nextAttemptAt = new Date(Date.now() + backoff + jitter);
+        }
+
+        await delivery.save();
+        return delivery;
+    }
+
+    /**
+     * Reset a delivery and send it again immediately
+     */
+    async replay(deliveryId) {
+        const delivery = await WebhookDelivery.findById(deliveryId);
+        if (!delivery) {
+            return null;
+        }
+
+        delivery.status = 'pending';
+        delivery.attempts = 0;
+        delivery.nextAttemptAt = new Date();
+        await delivery.save();
+
+        return this.attempt(delivery);
+    }
+
+    /**
+     * Re-enqueue indexed events in a block range for one subscription
+     */
+    async replayRange(subscription, fromBlock, toBlock = null) {
+        const blockFilter = { $gte: fromBlock };
+        if (toBlock !== null) {
+            blockFilter.$lte = toBlock;
+        }
+
+        const events = await ContractEvent.find({ blockNumber: blockFilter })
+            .sort({ blockNumber: 1, logIndex: 1 })
+            .lean();
+
+        const keys = [];
+        for (const stored of events) {
+            const event = eventIndexer.toRecord(stored);
+            if (!matchesSubscription(subscription, event)) {
+                continue;
+            }
+            const key = idempotencyKey(event);
+            keys.push(key);
+            await WebhookDelivery.updateOne(
+                { subscription: subscription._id, idempotencyKey: key },
+                {
+                    $set: { event, status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+                    $setOnInsert: { log: [] }
+                },
+                { upsert: true }
+            );
+        }
+
+        this.processDue();
+        return keys.length;
+    }
+
+    /**
+     * Cancel undelivered notifications for events removed by a reorganization
+     */
+    async cancelOrphaned(fromBlock) {
+        if (!this.isEnabled()) {
+            return;
+        }
+
+        try {
+            const { modifiedCount } = await WebhookDelivery.updateMany(
+                { status: { $in: ['pending', 'failed'] }, 'event.blockNumber': { $gte: fromBlock } },
+                { $set: { status: 'canceled', lastError: `Block ${fromBlock} was reorganized` } }
+            );
+            if (modifiedCount > 0) {
+                logger.warn(`Canceled ${modifiedCount} webhook deliveries for orphaned blocks`);
+            }
+        } catch (error) {
+            logger.error('Failed to cancel orphaned webhook deliveries:', error);
+        }
+    }
+}
+
+module.exports = new WebhookDispatcher();
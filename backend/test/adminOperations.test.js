@@ -0,0 +1,108 @@
+/**
+ * Admin write failures, with the pool and audit log stubbed
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const REMOVED = '0x00000000000000000000000000000000000000c3';
+const RECIPIENT = '0x00000000000000000000000000000000000000d4';
+
+process.env.KASPLEX_NETWORK = 'local';
+process.env.ROYALTY_DISTRIBUTOR_ADDRESS = '0x00000000000000000000000000000000000000e5';
+process.env.CONTRACT_BROADCAST_DIR = path.join(__dirname, 'fixtures', 'broadcast');
+process.env.CONTRACT_ARTIFACTS_DIR = path.join(__dirname, 'fixtures', 'contracts');
+
+const ContractModel = require('../models/ContractModel');
+const AuditLogEntry = require('../models/AuditLogEntry');
+const contractRegistry = require('../services/contractRegistry');
+const adminOperations = require('../services/adminOperations');
+
+/**
+ * remove-beneficiary write as stored after planning; save() is a no-op
+ */
+function removalWrite(removalStatus) {
+    return {
+        _id: 'write-1',
+        operation: 'remove-beneficiary',
+        params: { tokenId: '3', beneficiary: REMOVED, reassignTo: RECIPIENT },
+        requestedBy: { type: 'session', address: RECIPIENT },
+        transactions: [
+            { contract: 'distributor', method: 'removeBeneficiary', args: ['3', REMOVED], status: removalStatus },
+            { contract: 'distributor', method: 'updateBeneficiary', args: ['3', RECIPIENT, '10000'], status: 'submitted', hash: '0x01' }
+        ],
+        save: async () => {}
+    };
+}
+
+/**
+ * Pool 3 after the removal was mined: the removed 4000 bps are no longer active
+ */
+function stubChain(t, receipt) {
+    const audit = [];
+    t.mock.method(AuditLogEntry, 'create', async (entry) => audit.push(entry));
+    t.mock.method(contractRegistry, 'getContract', () => ({
+        poolExists: async () => true,
+        getBeneficiaries: async () => [[REMOVED, RECIPIENT], [4000n, 6000n], [false, true]]
+    }));
+    t.mock.method(ContractModel, 'getProvider', () => ({ waitForTransaction: receipt }));
+    return audit;
+}
+
+test('an unmined second step after a mined removal is a partial failure with its compensation', async (t) => {
+    const audit = stubChain(t, async () => {
+        throw new Error('timeout');
+    });
+    const write = removalWrite('confirmed');
+
+    assert.equal(await adminOperations.confirm(write, 1), false);
+
+    const compensation = {
+        operation: 'update-beneficiary',
+        params: { tokenId: '3', beneficiary: RECIPIENT, shareBps: '10000' },
+        reason: 'Active shares of pool 3 total 6000 bps after the removal'
+    };
+    assert.equal(write.status, 'partially-failed');
+    assert.equal(write.transactions[1].status, 'failed');
+    assert.deepEqual(write.compensation, compensation);
+    assert.equal(audit.length, 1);
+    assert.equal(audit[0].action, 'partially-failed');
+    assert.deepEqual(audit[0].details.compensation, compensation);
+});
+
+test('a reverted second step is a partial failure', async (t) => {
+    stubChain(t, async () => ({ status: 0, blockNumber: 12, gasUsed: 21000n }));
+    const write = removalWrite('confirmed');
+
+    assert.equal(await adminOperations.confirm(write, 1), false);
+    assert.equal(write.status, 'partially-failed');
+    assert.equal(write.error, 'Transaction reverted on chain');
+    assert.equal(write.compensation.params.shareBps, '10000');
+});
+
+test('the compensation reports an error when the recipient was removed since', async (t) => {
+    stubChain(t, async () => ({ status: 0, blockNumber: 12, gasUsed: 21000n }));
+    t.mock.method(contractRegistry, 'getContract', () => ({
+        poolExists: async () => true,
+        getBeneficiaries: async () => [[REMOVED, RECIPIENT], [4000n, 6000n], [false, false]]
+    }));
+    const write = removalWrite('confirmed');
+
+    await adminOperations.confirm(write, 1);
+    assert.equal(write.status, 'partially-failed');
+    assert.match(write.compensation.error, /no longer an active beneficiary of pool 3/);
+});
+
+test('a failure before anything was mined is a plain failure', async (t) => {
+    const audit = stubChain(t, async () => {
+        throw new Error('timeout');
+    });
+    const write = removalWrite('submitted');
+
+    assert.equal(await adminOperations.confirm(write, 0), false);
+    assert.equal(write.status, 'failed');
+    assert.equal(write.compensation, null);
+    assert.equal(audit[0].action, 'failed');
+    assert.equal(audit[0].details.compensation, undefined);
+});
@@ -0,0 +1,65 @@
+/**
+ * Error responses
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ApiError, sendError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+/**
+ * Response that records the status and body sent
+ */
+function response() {
+    const res = { statusCode: null, body: null };
+    res.status = (status) => {
+        res.statusCode = status;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+test('unclassified errors are logged and answered with a fixed message', (t) => {
+    const log = t.mock.method(logger, 'error', () => {});
+    const error = new Error('E11000 duplicate key error collection: kasplex.apikeys', {
+        cause: new Error('mongodb://admin:secret@db:27017')
+    });
+
+    const res = response();
+    sendError(res, error);
+
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, { error: { code: 'INTERNAL_ERROR', message: 'Internal server error', details: {} } });
+    assert.equal(log.mock.callCount(), 1);
+    assert.equal(log.mock.calls[0].arguments[1], error);
+});
+
+test('an ApiError with status 500 does not expose its message either', (t) => {
+    t.mock.method(logger, 'error', () => {});
+    const res = response();
+    sendError(res, new ApiError(500, 'INTERNAL_ERROR', 'could not coalesce error (payload={"jsonrpc":"2.0"})', { url: 'http://node' }));
+
+    assert.equal(res.body.error.message, 'Internal server error');
+    assert.deepEqual(res.body.error.details, {});
+});
+
+test('classified errors keep their status and message', (t) => {
+    const log = t.mock.method(logger, 'error', () => {});
+
+    const notFound = response();
+    sendError(notFound, new ApiError(404, 'TOKEN_NOT_FOUND', 'Token 7 not found'));
+    assert.equal(notFound.statusCode, 404);
+    assert.equal(notFound.body.error.message, 'Token 7 not found');
+
+    const unavailable = response();
+    sendError(unavailable, Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8545'), { code: 'ECONNREFUSED' }));
+    assert.equal(unavailable.statusCode, 503);
+    assert.equal(unavailable.body.error.code, 'RPC_UNAVAILABLE');
+
+    assert.equal(log.mock.callCount(), 0);
+});
@@ -0,0 +1,133 @@
+/**
+ * Sign-in with Ethereum sessions, and credential resolution in the
+ * authenticate middleware with the key store stubbed
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ethers } = require('ethers');
+const { SiweMessage } = require('siwe');
+
+process.env.KASPLEX_NETWORK = 'local';
+process.env.AUTH_DOMAIN = 'app.example.com';
+process.env.AUTH_SECRET = 'test-secret';
+process.env.CONTRACT_BROADCAST_DIR = path.join(__dirname, 'fixtures', 'broadcast');
+process.env.CONTRACT_ARTIFACTS_DIR = path.join(__dirname, 'fixtures', 'contracts');
+
+const { network } = require('../config/network');
+const authService = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+
+const wallet = ethers.Wallet.createRandom();
+
+/**
+ * SIWE message for a fresh nonce, signed by the wallet
+ */
+async function signedMessage({ domain = 'app.example.com', chainId = network.chainId, signer = wallet } = {}) {
+    const { nonce } = authService.createNonce();
+    const message = new SiweMessage({
+        domain,
+        address: wallet.address,
+        statement: 'Sign in to Kasplex Agricultural IP',
+        uri: `https://${domain}`,
+        version: '1',
+        chainId,
+        nonce
+    }).prepareMessage();
+    return { message, signature: await signer.signMessage(message) };
+}
+
+test('a signed message opens a session whose token verifies', async () => {
+    const result = await authService.signIn(await signedMessage());
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.value.address, wallet.address);
+    const session = authService.verifyToken(result.value.token);
+    assert.equal(session.sub, wallet.address);
+    assert.equal(session.chainId, network.chainId);
+});
+
+test('a nonce cannot be used twice', async () => {
+    const signed = await signedMessage();
+    assert.ok((await authService.signIn(signed)).value);
+    assert.equal((await authService.signIn(signed)).error, 'Unknown or expired nonce');
+});
+
+test('messages for another domain or chain, or signed by another key, are rejected', async () => {
+    assert.equal((await authService.signIn(await signedMessage({ domain: 'evil.example.com' }))).error,
+        'Message is for domain evil.example.com, expected app.example.com');
+    assert.equal((await authService.signIn(await signedMessage({ chainId: 1 }))).error,
+        `Message is for chain 1, expected ${network.chainId}`);
+    assert.match((await authService.signIn(await signedMessage({ signer: ethers.Wallet.createRandom() }))).error,
+        /^Sign-in rejected/);
+    assert.equal((await authService.signIn({ message: 'not a SIWE message', signature: '0x' })).error, 'Invalid SIWE message');
+});
+
+test('tampered, foreign and expired tokens do not verify', async (t) => {
+    const { token } = authService.issueToken(wallet.address);
+    const [payload, signature] = token.split('.');
+
+    const forged = Buffer.from(JSON.stringify({
+        ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+        sub: ethers.Wallet.createRandom().address
+    })).toString('base64url');
+    assert.equal(authService.verifyToken(`${forged}.${signature}`), null);
+    assert.equal(authService.verifyToken(payload), null);
+    assert.equal(authService.verifyToken(undefined), null);
+
+    const foreignChain = Buffer.from(JSON.stringify({ sub: wallet.address, chainId: 1, exp: 2 ** 40 })).toString('base64url');
+    assert.equal(authService.verifyToken(`${foreignChain}.${authService.sign(foreignChain)}`), null);
+
+    const issuedAt = Date.now();
+    t.mock.method(Date, 'now', () => issuedAt + authService.sessionTtl + 1000);
+    assert.equal(authService.verifyToken(token), null);
+});
+
+/**
+ * Run authenticate with the given headers; returns { status, body, passed }
+ */
+async function run(headers) {
+    const result = { status: null, body: null, passed: false };
+    const req = { get: (name) => headers[name.toLowerCase()] };
+    const res = {
+        status: (status) => {
+            result.status = status;
+            return res;
+        },
+        json: (body) => {
+            result.body = body;
+        }
+    };
+    await authenticate(req, res, () => {
+        result.passed = true;
+    });
+    return { ...result, auth: req.auth };
+}
+
+test('an API key is answered with 503 while the key store is unavailable', async (t) => {
+    t.mock.method(authService, 'isApiKeyStoreEnabled', () => false);
+    const findApiKey = t.mock.method(authService, 'findApiKey', async () => null);
+
+    const result = await run({ 'x-api-key': 'kip_test' });
+    assert.equal(result.status, 503);
+    assert.equal(result.body.error, 'API keys require a MongoDB connection');
+    assert.equal(result.passed, false);
+    assert.equal(findApiKey.mock.callCount(), 0);
+});
+
+test('an unknown API key is rejected with 401', async (t) => {
+    t.mock.method(authService, 'isApiKeyStoreEnabled', () => true);
+    t.mock.method(authService, 'findApiKey', async () => null);
+
+    const result = await run({ 'x-api-key': 'kip_test' });
+    assert.equal(result.status, 401);
+    assert.equal(result.body.error, 'Invalid API key');
+});
+
+test('requests without credentials continue anonymously', async () => {
+    const result = await run({});
+    assert.equal(result.passed, true);
+    assert.equal(result.auth, null);
+});
@@ -0,0 +1,28 @@
+/**
+ * CSV serialization
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCSV } = require('../utils/csv');
+
+const columns = [{ key: 'name', label: 'Name' }, { key: 'amount', label: 'Amount' }];
+
+test('quotes separators, quotes and line breaks', () => {
+    assert.equal(
+        toCSV(columns, [{ name: 'Rhizobium, "strain" A', amount: '1.5' }, { name: 'two\nlines', amount: null }]),
+        'Name,Amount\r\n"Rhizobium, ""strain"" A",1.5\r\n"two\nlines",\r\n'
+    );
+});
+
+test('prefixes text a spreadsheet would run as a formula', () => {
+    const rows = ['=HYPERLINK("http://x")', '+1+1', '-2+3', '@SUM(A1)', '\t=1'].map((name) => ({ name, amount: -1 }));
+
+    assert.deepEqual(toCSV(columns, rows).split('\r\n').slice(1, -1), [
+        '"\'=HYPERLINK(""http://x"")",-1',
+        '\'+1+1,-1',
+        '\'-2+3,-1',
+        '\'@SUM(A1),-1',
+        '\'\t=1,-1'
+    ]);
+});
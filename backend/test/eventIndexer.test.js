@@ -0,0 +1,134 @@
+/**
+ * Event indexer reorg detection and rollback against a stub chain, with the
+ * event and checkpoint collections stubbed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ContractEvent = require('../models/ContractEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const eventIndexer = require('../services/eventIndexer');
+
+const hash = (number, fork = 'a') => `0x${fork}${String(number).padStart(63, '0')}`;
+
+/**
+ * Chain on fork "a" that switched to fork "b" from reorgBlock, or never when null
+ */
+function stubChain(head, reorgBlock = null) {
+    return {
+        getBlockNumber: async () => head,
+        getBlock: async (number) => (number > head
+            ? null
+            : { number, hash: hash(number, reorgBlock !== null && number >= reorgBlock ? 'b' : 'a') })
+    };
+}
+
+/**
+ * Checkpoint saved on fork "a", with its reorg window unless legacy
+ */
+function checkpointAt(blockNumber, { legacy = false } = {}) {
+    const recentBlocks = [];
+    for (let number = blockNumber - eventIndexer.reorgDepth; number <= blockNumber; number++) {
+        recentBlocks.push({ number, hash: hash(number) });
+    }
+    return { key: 'contract-events', blockNumber, blockHash: hash(blockNumber), recentBlocks: legacy ? [] : recentBlocks };
+}
+
+/**
+ * Events stored at the given blocks of fork "a"; records the checkpoint and deletions written
+ */
+function stubStore(t, eventBlocks) {
+    const writes = { checkpoints: [], deleted: [] };
+    t.mock.method(ContractEvent, 'aggregate', async ([{ $match }]) => eventBlocks
+        .filter((number) => number >= $match.blockNumber.$gte && number < $match.blockNumber.$lt)
+        .map((number) => ({ _id: number, blockHash: hash(number) })));
+    t.mock.method(ContractEvent, 'deleteMany', async (filter) => {
+        writes.deleted.push(filter.blockNumber.$gte);
+        return { deletedCount: eventBlocks.filter((number) => number >= filter.blockNumber.$gte).length };
+    });
+    t.mock.method(IndexerCheckpoint, 'updateOne', async (filter, { $set }) => writes.checkpoints.push($set));
+    return writes;
+}
+
+test.beforeEach(() => {
+    eventIndexer.configure(stubChain(130), {});
+    eventIndexer.reorgDepth = 20;
+});
+
+test('a checkpoint still on the chain means no reorg', async (t) => {
+    stubStore(t, [100, 110]);
+    assert.equal(await eventIndexer.findOrphanedBlock(checkpointAt(120)), null);
+});
+
+test('the window is walked back to the common ancestor below the first stored event that changed', async (t) => {
+    stubStore(t, [100, 110]);
+    eventIndexer.configure(stubChain(130, 105), {});
+
+    assert.equal(await eventIndexer.findOrphanedBlock(checkpointAt(120)), 105);
+});
+
+test('a reorg with no stored event in the replaced blocks is found from the window', async (t) => {
+    stubStore(t, [100]);
+    eventIndexer.configure(stubChain(130, 115), {});
+
+    assert.equal(await eventIndexer.findOrphanedBlock(checkpointAt(120)), 115);
+});
+
+test('a checkpoint saved without a window falls back to the highest matching stored event', async (t) => {
+    stubStore(t, [100, 110]);
+    eventIndexer.configure(stubChain(130, 105), {});
+
+    assert.equal(await eventIndexer.findOrphanedBlock(checkpointAt(120, { legacy: true })), 101);
+});
+
+test('a fork deeper than the window rescans the whole window', async (t) => {
+    stubStore(t, []);
+    eventIndexer.configure(stubChain(130, 50), {});
+
+    assert.equal(await eventIndexer.findOrphanedBlock(checkpointAt(120)), 100);
+});
+
+test('rollback deletes events above the ancestor and saves it as the checkpoint', async (t) => {
+    const writes = stubStore(t, [100, 110]);
+    eventIndexer.configure(stubChain(130, 105), {});
+
+    const result = await eventIndexer.rollback(105, checkpointAt(120));
+
+    assert.deepEqual(result, { fromBlock: 105, removedEvents: 1, resumeBlock: 104 });
+    assert.deepEqual(writes.deleted, [105]);
+    const [saved] = writes.checkpoints;
+    assert.equal(saved.blockNumber, 104);
+    assert.equal(saved.blockHash, hash(104));
+    assert.deepEqual(saved.recentBlocks.map((entry) => entry.number), Array.from({ length: 21 }, (_, index) => 84 + index));
+});
+
+test('sync rescans the replaced blocks from the ancestor onwards', async (t) => {
+    const writes = stubStore(t, [100, 110]);
+    let checkpoint = checkpointAt(120);
+    t.mock.method(eventIndexer, 'isEnabled', () => true);
+    t.mock.method(eventIndexer, 'getCheckpoint', async () => checkpoint);
+    t.mock.method(IndexerCheckpoint, 'updateOne', async (filter, { $set }) => {
+        writes.checkpoints.push($set);
+        checkpoint = { key: 'contract-events', ...$set };
+    });
+
+    const ranges = [];
+    eventIndexer.configure(stubChain(130, 105), {
+        ipnft: {
+            queryFilter: async (event, fromBlock, toBlock) => {
+                ranges.push([fromBlock, toBlock]);
+                return [];
+            }
+        }
+    });
+
+    const { rollback } = await eventIndexer.sync();
+
+    assert.equal(rollback.resumeBlock, 104);
+    assert.deepEqual(ranges, [[105, 130]]);
+    assert.equal(checkpoint.blockNumber, 130);
+    assert.equal(checkpoint.blockHash, hash(130, 'b'));
+    // The window is read from the new fork, not reused from the replaced one
+    assert.deepEqual(checkpoint.recentBlocks[0], { number: 110, hash: hash(110, 'b') });
+});
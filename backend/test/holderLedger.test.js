@@ -0,0 +1,51 @@
+/**
+ * IPT holder ledger rebuilds, with the event index stubbed
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.KASPLEX_NETWORK = 'local';
+process.env.CONTRACT_BROADCAST_DIR = path.join(__dirname, 'fixtures', 'broadcast');
+process.env.CONTRACT_ARTIFACTS_DIR = path.join(__dirname, 'fixtures', 'contracts');
+
+const { ethers } = require('ethers');
+const eventIndexer = require('../services/eventIndexer');
+const holderLedger = require('../services/holderLedger');
+
+const HOLDER = ethers.getAddress('0x00000000000000000000000000000000000000c1');
+
+const transfer = (logIndex, value) => ({
+    contract: 'tokenizer',
+    event: 'Transfer',
+    transactionHash: '0x01',
+    logIndex,
+    blockNumber: 10,
+    args: { from: ethers.ZeroAddress, to: HOLDER, value: value.toString() }
+});
+
+test('a rebuild requested while one is running joins it', async (t) => {
+    let release;
+    const loaded = new Promise((resolve) => {
+        release = resolve;
+    });
+    const findEvents = t.mock.method(eventIndexer, 'findEvents', () => loaded);
+
+    const first = holderLedger.rebuild();
+    const second = holderLedger.rebuild();
+    assert.equal(second, first);
+
+    release([transfer(0, 5n), transfer(1, 7n)]);
+    await first;
+
+    assert.equal(findEvents.mock.callCount(), 1);
+    assert.equal(holderLedger.balances.get(HOLDER), 12n);
+    assert.equal(holderLedger.building, null);
+
+    // Once finished, the next call starts a new rebuild
+    findEvents.mock.mockImplementation(async () => [transfer(0, 5n)]);
+    await holderLedger.rebuild();
+    assert.equal(findEvents.mock.callCount(), 2);
+    assert.equal(holderLedger.balances.get(HOLDER), 5n);
+});
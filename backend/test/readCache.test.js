@@ -0,0 +1,58 @@
+/**
+ * In-memory read cache: the tag index follows evictions and expiry
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.KASPLEX_NETWORK = 'local';
+process.env.CACHE_MAX_ENTRIES = '2';
+process.env.CONTRACT_BROADCAST_DIR = path.join(__dirname, 'fixtures', 'broadcast');
+process.env.CONTRACT_ARTIFACTS_DIR = path.join(__dirname, 'fixtures', 'contracts');
+
+const readCache = require('../services/readCache');
+
+const read = (tokenId, value = tokenId) => readCache.read({
+    contract: 'ipnft',
+    method: 'getIPMetadata',
+    args: [tokenId],
+    tags: [readCache.tokenTag('ipnft', tokenId), readCache.contractTag('ipnft')]
+}, async () => value);
+
+const tagged = () => Object.fromEntries([...readCache.store.tags].map(([tag, keys]) => [tag, keys.size]));
+
+test.beforeEach(() => readCache.start());
+test.afterEach(() => readCache.stop());
+
+test('evicted entries are removed from their tags', async () => {
+    await read(1);
+    await read(2);
+    await read(3);
+
+    assert.equal(await readCache.store.size(), 2);
+    assert.deepEqual(tagged(), { 'ipnft:2': 1, 'ipnft:3': 1, 'ipnft:*': 2 });
+});
+
+test('expired entries are removed from their tags', async () => {
+    const { ttl } = readCache;
+    readCache.ttl = 0;
+    try {
+        await read(1);
+    } finally {
+        readCache.ttl = ttl;
+    }
+    assert.deepEqual(tagged(), { 'ipnft:1': 1, 'ipnft:*': 1 });
+
+    const key = readCache.key({ contract: 'ipnft', method: 'getIPMetadata', args: [1] });
+    assert.equal(await readCache.store.get(key), null);
+    assert.deepEqual(tagged(), {});
+});
+
+test('invalidating one tag also drops the entry from its other tags', async () => {
+    await read(1);
+    await read(2);
+
+    assert.equal(await readCache.invalidate([readCache.tokenTag('ipnft', 1)]), 1);
+    assert.deepEqual(tagged(), { 'ipnft:2': 1, 'ipnft:*': 1 });
+});
@@ -0,0 +1,44 @@
+/**
+ * Distribution report query parsing, with the report service stubbed
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.KASPLEX_NETWORK = 'local';
+process.env.ROYALTY_DISTRIBUTOR_ADDRESS = '0x00000000000000000000000000000000000000e5';
+process.env.CONTRACT_BROADCAST_DIR = path.join(__dirname, 'fixtures', 'broadcast');
+process.env.CONTRACT_ARTIFACTS_DIR = path.join(__dirname, 'fixtures', 'contracts');
+
+const reportService = require('../services/reportService');
+const ReportController = require('../controllers/ReportController');
+
+/**
+ * Request the JSON report and return the filters passed to the service
+ */
+async function filtersFor(t, query) {
+    let filters = null;
+    t.mock.method(reportService, 'getDistributionReport', async (options) => {
+        filters = options;
+        return { filters: {}, summary: {}, lines: [] };
+    });
+    const res = {
+        status: () => res,
+        json: () => res
+    };
+    await ReportController.getDistributionReport({ query }, res);
+    return filters;
+}
+
+test('a date-only end includes distributions during that day', async (t) => {
+    const { from, to } = await filtersFor(t, { from: '2026-03-01', to: '2026-03-31' });
+
+    assert.equal(from.toISOString(), '2026-03-01T00:00:00.000Z');
+    assert.equal(to.toISOString(), '2026-03-31T23:59:59.999Z');
+});
+
+test('an end with a time is kept as given', async (t) => {
+    const { to } = await filtersFor(t, { to: '2026-03-31T08:30:00Z' });
+    assert.equal(to.toISOString(), '2026-03-31T08:30:00.000Z');
+});
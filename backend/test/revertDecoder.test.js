@@ -0,0 +1,48 @@
+/**
+ * Revert decoding with the error fragments of the contract artifacts
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ethers } = require('ethers');
+
+process.env.KASPLEX_NETWORK = 'local';
+process.env.CONTRACT_BROADCAST_DIR = path.join(__dirname, 'fixtures', 'broadcast');
+process.env.CONTRACT_ARTIFACTS_DIR = path.join(__dirname, 'fixtures', 'contracts');
+
+const contractRegistry = require('../services/contractRegistry');
+const { decodeRevert } = require('../utils/revertDecoder');
+
+const SPENDER = ethers.getAddress('0x00000000000000000000000000000000000000c1');
+
+const tokenizer = () => contractRegistry.getInterface('tokenizer');
+
+test('errors declared in the artifact ABI are decoded with their wording', () => {
+    const revert = decodeRevert(tokenizer().encodeErrorResult('ERC20InsufficientAllowance', [SPENDER, 1n, 5n]));
+
+    assert.equal(revert.name, 'ERC20InsufficientAllowance');
+    assert.deepEqual(revert.args, { spender: SPENDER, allowance: '1', needed: '5' });
+    assert.equal(revert.message, `insufficient allowance for ${SPENDER}, 5 needed`);
+
+    const lookup = decodeRevert(tokenizer().encodeErrorResult('ERC5805FutureLookup', [12n, 10n]));
+    assert.equal(lookup.message, 'timepoint 12 is not before the current clock 10');
+});
+
+test('errors without wording fall back to their name and arguments', () => {
+    const revert = decodeRevert(tokenizer().encodeErrorResult('ERC20ExceededSafeSupply', [7n, 6n]));
+
+    assert.equal(revert.name, 'ERC20ExceededSafeSupply');
+    assert.equal(revert.message, 'ERC20ExceededSafeSupply(increasedSupply: 7, cap: 6)');
+});
+
+test('require strings lose their contract prefix', () => {
+    const data = new ethers.Interface(['error Error(string)']).encodeErrorResult('Error', ['IPTokenizer: no revenue to claim']);
+    assert.deepEqual(decodeRevert(data), { name: 'Error', args: { reason: 'IPTokenizer: no revenue to claim' }, message: 'no revenue to claim' });
+});
+
+test('errors no known contract declares are reported by selector', () => {
+    const data = new ethers.Interface(['error Unlisted(uint256)']).encodeErrorResult('Unlisted', [1n]);
+    assert.equal(decodeRevert(data).message, `execution reverted with unknown error ${data.slice(0, 10)}`);
+});
@@ -0,0 +1,164 @@
+/**
+ * Royalty simulator rounding, with the pool and tokenizer state stubbed,
+ * and the request rules of its route schema
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ethers } = require('ethers');
+
+const TOKENIZER = '0x00000000000000000000000000000000000000a1';
+const ALICE = ethers.getAddress('0x00000000000000000000000000000000000000c1');
+const BOB = ethers.getAddress('0x00000000000000000000000000000000000000c2');
+const CAROL = ethers.getAddress('0x00000000000000000000000000000000000000c3');
+
+process.env.KASPLEX_NETWORK = 'local';
+process.env.TOKENIZER_ADDRESS = TOKENIZER;
+process.env.CONTRACT_BROADCAST_DIR = path.join(__dirname, 'fixtures', 'broadcast');
+process.env.CONTRACT_ARTIFACTS_DIR = path.join(__dirname, 'fixtures', 'contracts');
+
+const ContractModel = require('../models/ContractModel');
+const holderLedger = require('../services/holderLedger');
+const royaltySimulator = require('../services/royaltySimulator');
+const schemas = require('../routes/schemas');
+const { validate } = require('../middleware/validate');
+
+/**
+ * Pool state as ContractModel.getPayoutState returns it
+ */
+function poolState(beneficiaries, { totalReceived = 0n, withdrawn = {}, pendingDistribution = totalReceived } = {}) {
+    return {
+        blockNumber: 100,
+        exists: true,
+        totalReceived,
+        totalDistributed: totalReceived - pendingDistribution,
+        pendingDistribution,
+        beneficiaries: beneficiaries.map(([address, shareBps, isActive = true]) => ({ address, shareBps, isActive })),
+        withdrawn,
+        tokenizer: null
+    };
+}
+
+const credited = (split) => split.beneficiaries.map((entry) => entry.creditedWei);
+
+test('rounding left by a payment is reported as dust', () => {
+    const state = poolState([[ALICE, 3333n], [BOB, 3333n], [CAROL, 3334n]]);
+    const split = royaltySimulator.split(state, state.beneficiaries, 10n);
+
+    assert.deepEqual(credited(split), ['3', '3', '3']);
+    assert.equal(split.creditedWei, '9');
+    assert.equal(split.unassignedWei, '0');
+    assert.equal(split.withheldWei, '0');
+    assert.equal(split.dustWei, '1');
+});
+
+test('a payment that releases earlier rounding has negative dust', () => {
+    // 5 wei received so far credited 1 wei each; at 10 wei each share is 3
+    const state = poolState([[ALICE, 3333n], [BOB, 3333n], [CAROL, 3334n]], { totalReceived: 5n });
+    const split = royaltySimulator.split(state, state.beneficiaries, 5n);
+
+    assert.deepEqual(credited(split), ['2', '2', '2']);
+    assert.equal(split.dustWei, '-1');
+});
+
+test('inactive and shadowed entries are credited nothing and their share stays unassigned', () => {
+    const state = poolState([[ALICE, 5000n], [BOB, 2500n, false], [ALICE, 2500n]]);
+    const split = royaltySimulator.split(state, state.beneficiaries, 1001n);
+
+    assert.deepEqual(split.beneficiaries.map((entry) => entry.counted), [true, false, false]);
+    assert.deepEqual(credited(split), ['500', '0', '0']);
+    assert.equal(split.beneficiaries[1].shareOfPaymentWei, '250');
+    assert.equal(split.activeShareBps, '5000');
+    assert.equal(split.unassignedWei, '500');
+    assert.equal(split.dustWei, '1');
+});
+
+test('a beneficiary who withdrew more than a reduced share has their credit withheld', () => {
+    const state = poolState([[ALICE, 5000n], [BOB, 5000n]], {
+        totalReceived: 1000n,
+        withdrawn: { [ALICE]: 600n },
+        pendingDistribution: 400n
+    });
+    const split = royaltySimulator.split(state, state.beneficiaries, 100n);
+
+    assert.deepEqual(credited(split), ['0', '50']);
+    assert.equal(split.withheldWei, '50');
+    assert.equal(split.dustWei, '0');
+    // Alice's withdrawal drew on Bob's part of the pool balance
+    assert.equal(split.shortfallWei, '50');
+    assert.match(split.warnings[0], /exceed the pool balance by 50 wei/);
+});
+
+test('pass-through splits the payment pro rata by IPT balance with its dust', async (t) => {
+    t.mock.method(holderLedger, 'isEnabled', () => true);
+    t.mock.method(holderLedger, 'getHolders', async () => ({ value: { holders: [{ address: ALICE }, { address: BOB }] } }));
+    t.mock.method(ContractModel, 'getRevenueState', async (tokenizer, holders, blockNumber) => {
+        assert.deepEqual([tokenizer, holders, blockNumber], [TOKENIZER, [ALICE, BOB], 100]);
+        return {
+            totalSupply: 3n,
+            totalRevenue: 3n,
+            isRedeemed: false,
+            holders: [
+                { address: ALICE, balance: 1n, claimed: 1n },
+                { address: BOB, balance: 2n, claimed: 0n }
+            ]
+        };
+    });
+
+    const result = await royaltySimulator.passThrough({ ...poolState([]), tokenizer: TOKENIZER }, 10n);
+
+    assert.deepEqual(result.holders.map((holder) => [holder.claimableNowWei, holder.creditedWei]), [['0', '3'], ['2', '6']]);
+    assert.equal(result.creditedWei, '9');
+    assert.equal(result.complete, true);
+    assert.equal(result.dustWei, '1');
+    assert.equal(result.error, null);
+});
+
+test('pass-through reports a redeemed tokenizer', async (t) => {
+    t.mock.method(holderLedger, 'isEnabled', () => true);
+    t.mock.method(holderLedger, 'getHolders', async () => ({ value: { holders: [{ address: ALICE }] } }));
+    t.mock.method(ContractModel, 'getRevenueState', async () => ({
+        totalSupply: 1n,
+        totalRevenue: 0n,
+        isRedeemed: true,
+        holders: [{ address: ALICE, balance: 1n, claimed: 0n }]
+    }));
+
+    const result = await royaltySimulator.passThrough({ ...poolState([]), tokenizer: TOKENIZER }, 10n);
+    assert.match(result.error, /redeemed/);
+});
+
+/**
+ * Run the simulateRoyalties validator on a body; returns the error sent, or null
+ */
+function validateBody(body) {
+    let sent = null;
+    const res = {
+        status: () => res,
+        json: (payload) => {
+            sent = payload.error;
+        }
+    };
+    validate(schemas.simulateRoyalties)({ params: { tokenId: '1' }, query: {}, body }, res, () => {});
+    return sent;
+}
+
+test('the route schema rejects a zero payment, shares above 10000 bps and repeated addresses', () => {
+    assert.equal(validateBody({ amountWei: '0' }).message, 'body.amountWei must be a positive integer of at most 2^256 - 1');
+    assert.equal(validateBody({ amountWei: 0 }).message, 'body.amountWei must be >= 1');
+    assert.equal(validateBody({ amountWei: '1', beneficiaries: [{ address: ALICE, shareBps: '10001' }] }).message,
+        'body.beneficiaries[0].shareBps must be basis points from 0 to 10000');
+    assert.equal(validateBody({ amountWei: '1', beneficiaries: [{ address: ALICE, shareBps: 10001 }] }).message,
+        'body.beneficiaries[0].shareBps must be <= 10000');
+
+    const repeated = validateBody({
+        amountWei: '1',
+        beneficiaries: [{ address: ALICE, shareBps: 5000 }, { address: ALICE.toLowerCase(), shareBps: 5000 }]
+    });
+    assert.equal(repeated.code, 'INVALID_INPUT');
+    assert.equal(repeated.message, 'body.beneficiaries[1].address is listed more than once');
+
+    assert.equal(validateBody({ amountWei: '1', beneficiaries: [{ address: ALICE, shareBps: '10000' }] }), null);
+});
@@ -0,0 +1,60 @@
+/**
+ * Time buckets and the parsing of period bounds
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { bucketLabel, listBuckets, parseTime } = require('../utils/timeBuckets');
+
+test('a date-only period end is the last millisecond of that day', () => {
+    assert.equal(new Date(parseTime('2026-03-31', { endOfDay: true })).toISOString(), '2026-03-31T23:59:59.999Z');
+    assert.equal(new Date(parseTime('2026-03-31')).toISOString(), '2026-03-31T00:00:00.000Z');
+});
+
+test('a period end with a time is taken as given', () => {
+    assert.equal(new Date(parseTime('2026-03-31T12:00:00Z', { endOfDay: true })).toISOString(), '2026-03-31T12:00:00.000Z');
+    assert.ok(Number.isNaN(parseTime('2026-02-30x', { endOfDay: true })));
+});
+
+test('day buckets keep local midnights across the Berlin DST changes', () => {
+    // Clocks go forward on 2026-03-29 and back on 2026-10-25, so those days last 23 and 25 hours
+    assert.deepEqual(listBuckets(new Date('2026-03-28T12:00:00Z'), new Date('2026-03-30T12:00:00Z'), 'day', 'Europe/Berlin'), [
+        { bucket: '2026-03-28', startsAt: '2026-03-27T23:00:00.000Z' },
+        { bucket: '2026-03-29', startsAt: '2026-03-28T23:00:00.000Z' },
+        { bucket: '2026-03-30', startsAt: '2026-03-29T22:00:00.000Z' }
+    ]);
+    assert.deepEqual(listBuckets(new Date('2026-10-24T12:00:00Z'), new Date('2026-10-26T12:00:00Z'), 'day', 'Europe/Berlin'), [
+        { bucket: '2026-10-24', startsAt: '2026-10-23T22:00:00.000Z' },
+        { bucket: '2026-10-25', startsAt: '2026-10-24T22:00:00.000Z' },
+        { bucket: '2026-10-26', startsAt: '2026-10-25T23:00:00.000Z' }
+    ]);
+
+    // 23:30 UTC on the 25th is already the 26th in Berlin, after the clocks went back
+    assert.equal(bucketLabel(new Date('2026-10-25T23:30:00Z'), 'day', 'Europe/Berlin'), '2026-10-26');
+    assert.equal(bucketLabel(new Date('2026-10-25T22:30:00Z'), 'day', 'Europe/Berlin'), '2026-10-25');
+});
+
+test('week and month buckets span a DST change', () => {
+    assert.deepEqual(listBuckets(new Date('2026-03-20T12:00:00Z'), new Date('2026-04-01T12:00:00Z'), 'week', 'Europe/Berlin'), [
+        { bucket: '2026-03-16', startsAt: '2026-03-15T23:00:00.000Z' },
+        { bucket: '2026-03-23', startsAt: '2026-03-22T23:00:00.000Z' },
+        { bucket: '2026-03-30', startsAt: '2026-03-29T22:00:00.000Z' }
+    ]);
+    assert.deepEqual(listBuckets(new Date('2026-03-01T12:00:00Z'), new Date('2026-04-02T12:00:00Z'), 'month', 'America/New_York'), [
+        { bucket: '2026-03', startsAt: '2026-03-01T05:00:00.000Z' },
+        { bucket: '2026-04', startsAt: '2026-04-01T04:00:00.000Z' }
+    ]);
+});
+
+test('a day whose midnight is skipped by a DST change starts when the clocks go forward', () => {
+    // 2018-11-04 00:00 in Sao Paulo did not exist: clocks went from 23:59:59 -03:00 to 01:00 -02:00
+    const buckets = listBuckets(new Date('2018-11-03T12:00:00Z'), new Date('2018-11-05T12:00:00Z'), 'day', 'America/Sao_Paulo');
+
+    assert.deepEqual(buckets, [
+        { bucket: '2018-11-03', startsAt: '2018-11-03T03:00:00.000Z' },
+        { bucket: '2018-11-04', startsAt: '2018-11-04T03:00:00.000Z' },
+        { bucket: '2018-11-05', startsAt: '2018-11-05T02:00:00.000Z' }
+    ]);
+    assert.equal(bucketLabel(new Date('2018-11-04T03:00:00Z'), 'day', 'America/Sao_Paulo'), '2018-11-04');
+});
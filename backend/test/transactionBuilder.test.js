@@ -0,0 +1,130 @@
+/**
+ * Transaction builder against a stub provider
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TOKENIZER = '0x00000000000000000000000000000000000000a1';
+const CALLER = '0x00000000000000000000000000000000000000b2';
+
+process.env.KASPLEX_NETWORK = 'local';
+process.env.TOKENIZER_ADDRESS = TOKENIZER;
+process.env.CONTRACT_BROADCAST_DIR = path.join(__dirname, 'fixtures', 'broadcast');
+process.env.CONTRACT_ARTIFACTS_DIR = path.join(__dirname, 'fixtures', 'contracts');
+
+const { ethers } = require('ethers');
+const ContractModel = require('../models/ContractModel');
+const transactionBuilder = require('../services/transactionBuilder');
+
+/**
+ * Provider answering the reads build() makes; calls are recorded by method
+ */
+function stubProvider(overrides = {}) {
+    const calls = [];
+    const record = (method, value) => async (...args) => {
+        calls.push({ method, args });
+        return typeof value === 'function' ? value(...args) : value;
+    };
+
+    return {
+        calls,
+        getBlockNumber: record('getBlockNumber', 100),
+        getBalance: record('getBalance', ethers.parseEther('1')),
+        call: record('call', '0x'),
+        estimateGas: record('estimateGas', 50000n),
+        getTransactionCount: record('getTransactionCount', 7),
+        getNetwork: record('getNetwork', { chainId: 31337n }),
+        getFeeData: record('getFeeData', { maxFeePerGas: 3n, maxPriorityFeePerGas: 1n, gasPrice: null }),
+        ...overrides
+    };
+}
+
+test('builds an unsigned claim-revenue transaction', async (t) => {
+    const provider = stubProvider();
+    t.mock.method(ContractModel, 'getProvider', () => provider);
+
+    const parsed = transactionBuilder.parse('claim-revenue', {});
+    const result = await transactionBuilder.build('claim-revenue', CALLER, parsed);
+
+    const claimRevenue = new ethers.Interface(['function claimRevenue()']).encodeFunctionData('claimRevenue');
+    assert.deepEqual(result.transaction, {
+        from: CALLER,
+        to: TOKENIZER,
+        data: claimRevenue,
+        value: '0',
+        chainId: '31337',
+        nonce: 7,
+        gasLimit: '60000',
+        type: 2,
+        maxFeePerGas: '3',
+        maxPriorityFeePerGas: '1'
+    });
+    assert.equal(result.gasEstimate, '50000');
+    assert.deepEqual(result.simulation, { success: true, blockNumber: 100, returnData: '0x' });
+
+    const simulated = provider.calls.find((call) => call.method === 'call').args[0];
+    assert.equal(simulated.blockTag, 100);
+    assert.equal(simulated.data, claimRevenue);
+});
+
+test('falls back to a legacy gas price when the node has no EIP-1559 fees', async (t) => {
+    const provider = stubProvider({
+        getFeeData: async () => ({ maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: 5n })
+    });
+    t.mock.method(ContractModel, 'getProvider', () => provider);
+
+    const claim = await transactionBuilder.build('claim-revenue', CALLER, { args: [], value: 0n });
+    assert.equal(claim.transaction.type, 0);
+    assert.equal(claim.transaction.gasPrice, '5');
+});
+
+test('returns the decoded revert instead of a transaction when the simulation fails', async (t) => {
+    const revertData = new ethers.Interface(['error Error(string)'])
+        .encodeErrorResult('Error', ['IPTokenizer: no revenue to claim']);
+    const provider = stubProvider({
+        call: async () => {
+            throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data: revertData });
+        }
+    });
+    t.mock.method(ContractModel, 'getProvider', () => provider);
+
+    const result = await transactionBuilder.build('claim-revenue', CALLER, { args: [], value: 0n });
+
+    assert.equal(result.transaction, undefined);
+    assert.equal(result.blockNumber, 100);
+    assert.match(result.revert.message, /no revenue to claim/);
+});
+
+test('reports an unfunded caller before simulating', async (t) => {
+    const provider = stubProvider({ getBalance: async () => 10n });
+    t.mock.method(ContractModel, 'getProvider', () => provider);
+
+    const result = await transactionBuilder.build('claim-revenue', CALLER, { args: [], value: 11n });
+
+    assert.equal(result.revert.message, 'balance is lower than the value sent');
+    assert.ok(!provider.calls.some((call) => call.method === 'call'));
+});
+
+test('redeem-ipnft defaults to the fractional supply the contract checks, not totalSupply', async (t) => {
+    const fractionalSupply = ethers.parseEther('1000000');
+    const provider = stubProvider({
+        getStorage: async (address, slot, blockTag) => {
+            provider.calls.push({ method: 'getStorage', args: [address, slot, blockTag] });
+            return ethers.toBeHex(fractionalSupply, 32);
+        },
+        getBalance: async () => ethers.parseEther('2000000')
+    });
+    t.mock.method(ContractModel, 'getProvider', () => provider);
+
+    const parsed = transactionBuilder.parse('redeem-ipnft', {});
+    assert.equal(parsed.value, null);
+
+    const result = await transactionBuilder.build('redeem-ipnft', CALLER, parsed);
+
+    assert.equal(result.transaction.value, fractionalSupply.toString());
+    const read = provider.calls.find((call) => call.method === 'getStorage');
+    // _totalFractionalSupply is slot 2 of the fixture layout
+    assert.deepEqual(read.args, [TOKENIZER, ethers.toBeHex(2n, 32), 100]);
+});
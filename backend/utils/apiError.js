@@ -0,0 +1,145 @@
+/**
+ * API Error Utility
+ * Error taxonomy shared by every API response. Errors are sent as
+ * { error: { code, message, details } } with a status that matches the code:
+ * unknown tokens, pools and proposals map to 404 and an unreachable RPC to 503.
+ */
+
+const { decodeRevert } = require('./revertDecoder');
+const logger = require('./logger');
+
+const STATUS_CODES = {
+    400: 'INVALID_INPUT',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    422: 'UNPROCESSABLE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+// Reverts raised when the requested token, pool or proposal does not exist
+const NOT_FOUND_REVERTS = [
+    { match: ({ name }) => name === 'ERC721NonexistentToken', code: 'TOKEN_NOT_FOUND' },
+    { match: ({ name, args }) => name === 'Error' && /token does not exist/.test(args.reason), code: 'TOKEN_NOT_FOUND' },
+    { match: ({ name, args }) => name === 'Error' && /pool does not exist/.test(args.reason), code: 'POOL_NOT_FOUND' },
+    { match: ({ name, args }) => name === 'Error' && /invalid proposal/.test(args.reason), code: 'PROPOSAL_NOT_FOUND' }
+];
+
+// ethers and Node.js error codes raised when no RPC endpoint answers
+const RPC_UNAVAILABLE_CODES = new Set([
+    'NETWORK_ERROR',
+    'SERVER_ERROR',
+    'TIMEOUT',
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ENOTFOUND',
+    'ETIMEDOUT',
+    'EAI_AGAIN'
+]);
+
+// Messages thrown by the RPC provider once every endpoint has failed
+const RPC_UNAVAILABLE_MESSAGE = /^(No RPC endpoint for .* is reachable|RPC error -?\d+)/;
+
+const ERROR_CODES = [
+    ...Object.values(STATUS_CODES),
+    ...new Set(NOT_FOUND_REVERTS.map((entry) => entry.code)),
+    'RPC_UNAVAILABLE'
+];
+
+class ApiError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Error code for an HTTP status without a more specific code
+ */
+function codeForStatus(status) {
+    return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'INVALID_INPUT');
+}
+
+/**
+ * An error followed by the errors it was raised from
+ */
+function causeChain(error) {
+    const chain = [];
+    for (let current = error; current && chain.length < 10; current = current.cause) {
+        chain.push(current);
+    }
+    return chain;
+}
+
+/**
+ * 404 for a call that reverted because the token, pool or proposal does not exist
+ */
+function fromRevert(error) {
+    if (error.code !== 'CALL_EXCEPTION' || !error.data) {
+        return null;
+    }
+
+    const revert = decodeRevert(error.data);
+    const notFound = NOT_FOUND_REVERTS.find((entry) => entry.match(revert));
+    return notFound ? new ApiError(404, notFound.code, revert.message, { revert }) : null;
+}
+
+function isRpcUnavailable(error) {
+    return RPC_UNAVAILABLE_CODES.has(error.code) || RPC_UNAVAILABLE_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Classify any error thrown while handling a request, following its causes
+ */
+function toApiError(error) {
+    for (const current of causeChain(error)) {
+        if (current instanceof ApiError) {
+            return current;
+        }
+
+        const notFound = fromRevert(current);
+        if (notFound) {
+            return notFound;
+        }
+
+        if (isRpcUnavailable(current)) {
+            return new ApiError(503, 'RPC_UNAVAILABLE', 'Blockchain RPC is unavailable, please retry later');
+        }
+    }
+
+    return new ApiError(500, 'INTERNAL_ERROR', error.message);
+}
+
+/**
+ * Send an error response. Unclassified (500) errors are logged and answered
+ * with a fixed message, so database and RPC details never reach the client.
+ */
+function sendError(res, error) {
+    const apiError = toApiError(error);
+    if (apiError.status === 500) {
+        logger.error('Internal server error:', error);
+    }
+
+    res.status(apiError.status).json({
+        error: {
+            code: apiError.code,
+            message: apiError.status === 500 ? 'Internal server error' : apiError.message,
+            details: apiError.status === 500 ? {} : apiError.details
+        }
+    });
+}
+
+module.exports = {
+    ApiError,
+    ERROR_CODES,
+    codeForStatus,
+    toApiError,
+    sendError
+};
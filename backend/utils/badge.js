@@ -0,0 +1,64 @@
+/**
+ * Badge Utility
+ * Renders the SVG badge image served for each IP-NFT
+ */
+
+const STATUS_COLORS = {
+    approved: '#2e7d32',
+    pending: '#f9a825',
+    default: '#546e7a'
+};
+
+/**
+ * Escape text for inclusion in SVG markup
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Truncate long values so they fit the badge width
+ */
+function fit(value, maxLength) {
+    const text = String(value || '—');
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function statusColor(regulatoryStatus) {
+    const status = String(regulatoryStatus || '').toLowerCase();
+    if (status.includes('approved')) return STATUS_COLORS.approved;
+    if (status.includes('pending')) return STATUS_COLORS.pending;
+    return STATUS_COLORS.default;
+}
+
+/**
+ * Render IP-NFT badge as an SVG document
+ */
+function renderBadge(token) {
+    const color = statusColor(token.regulatoryStatus);
+    const acres = Number(token.licensedAcres).toLocaleString('en-US');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">
+  <rect width="512" height="512" rx="32" fill="#f1f8e9"/>
+  <rect x="16" y="16" width="480" height="480" rx="24" fill="none" stroke="${color}" stroke-width="6"/>
+  <text x="256" y="84" font-family="Helvetica, Arial, sans-serif" font-size="22" fill="#33691e" text-anchor="middle">AGRICULTURAL IP-NFT #${escapeXml(token.tokenId)}</text>
+  <text x="256" y="170" font-family="Helvetica, Arial, sans-serif" font-size="40" font-weight="bold" fill="#1b5e20" text-anchor="middle">${escapeXml(fit(token.cropSpecies, 18))}</text>
+  <text x="256" y="222" font-family="Georgia, serif" font-size="24" font-style="italic" fill="#33691e" text-anchor="middle">${escapeXml(fit(token.bacterialStrain, 32))}</text>
+  <rect x="96" y="262" width="320" height="48" rx="24" fill="${color}"/>
+  <text x="256" y="294" font-family="Helvetica, Arial, sans-serif" font-size="20" fill="#ffffff" text-anchor="middle">${escapeXml(fit(token.regulatoryStatus, 24))}</text>
+  <text x="256" y="370" font-family="Helvetica, Arial, sans-serif" font-size="22" fill="#33691e" text-anchor="middle">${escapeXml(acres)} licensed acres</text>
+  <text x="256" y="420" font-family="Helvetica, Arial, sans-serif" font-size="18" fill="#558b2f" text-anchor="middle">${escapeXml(fit(token.researchInstitution, 36))}</text>
+  ${token.isFractionalized ? '<text x="256" y="462" font-family="Helvetica, Arial, sans-serif" font-size="16" fill="#827717" text-anchor="middle">FRACTIONALIZED</text>' : ''}
+</svg>
+`;
+}
+
+module.exports = {
+    renderBadge
+};
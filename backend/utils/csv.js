@@ -0,0 +1,39 @@
+/**
+ * CSV Utility
+ * Serializes report rows to RFC 4180 CSV
+ */
+
+// Leading characters a spreadsheet reads as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value when it contains separators, quotes or line breaks. Text that a
+ * spreadsheet would run as a formula is prefixed with ' (numbers are left as is).
+ */
+function escapeField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value !== 'number' && typeof value !== 'bigint' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV
+ * @param {Array<{key: string, label: string}>} columns Column definitions in output order
+ * @param {Array<Object>} rows Row objects keyed by column key
+ */
+function toCSV(columns, rows) {
+    const lines = [columns.map((column) => escapeField(column.label)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((column) => escapeField(row[column.key])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    toCSV
+};
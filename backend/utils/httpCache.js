@@ -0,0 +1,20 @@
+/**
+ * HTTP Cache Utility
+ * Response headers for reads served from a known block
+ */
+
+const MAX_AGE_SECONDS = parseInt(process.env.CACHE_HTTP_MAX_AGE || '5', 10);
+
+/**
+ * Mark a response as cacheable and report the block it was read at.
+ * Express adds an ETag from the body and answers If-None-Match with 304,
+ * so an unchanged read costs clients no transfer.
+ */
+function setReadHeaders(res, blockNumber) {
+    res.set('Cache-Control', `public, max-age=${MAX_AGE_SECONDS}, must-revalidate`);
+    res.set('X-Block-Number', String(blockNumber));
+}
+
+module.exports = {
+    setReadHeaders
+};
@@ -0,0 +1,111 @@
+/**
+ * Multicall Utility
+ * Batches contract reads through Multicall3, falling back to JSON-RPC batching
+ */
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+// Canonical Multicall3 deployment address (same on most EVM chains)
+const DEFAULT_MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+    "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)"
+];
+
+const BATCH_SIZE = parseInt(process.env.MULTICALL_BATCH_SIZE || '500', 10);
+
+// Cache of whether Multicall3 code exists, keyed by provider
+const availability = new WeakMap();
+
+/**
+ * Check whether Multicall3 is deployed on the provider's chain
+ */
+async function isMulticallAvailable(provider) {
+    if (process.env.MULTICALL3_ADDRESS === '') {
+        return false;
+    }
+
+    if (!availability.has(provider)) {
+        const address = process.env.MULTICALL3_ADDRESS || DEFAULT_MULTICALL3_ADDRESS;
+        const check = provider.getCode(address)
+            .then((code) => code !== '0x')
+            .catch((error) => {
+                logger.warn('Multicall3 availability check failed:', error.message);
+                return false;
+            });
+        availability.set(provider, check);
+    }
+
+    return availability.get(provider);
+}
+
+/**
+ * Decode a call result, returning { success, value }
+ */
+function decodeResult(call, success, returnData) {
+    if (!success) {
+        return { success: false, value: null };
+    }
+
+    try {
+        const decoded = call.contract.interface.decodeFunctionResult(call.method, returnData);
+        return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+    } catch (error) {
+        return { success: false, value: null };
+    }
+}
+
+/**
+ * Execute read calls in as few round trips as possible.
+ * Each call is { contract, method, args }; results keep the input order
+ * and failed calls (e.g. reverts) resolve to { success: false }.
+ */
+async function aggregate(provider, calls, blockTag = 'latest') {
+    const encoded = calls.map((call) => ({
+        target: call.contract.target,
+        callData: call.contract.interface.encodeFunctionData(call.method, call.args || [])
+    }));
+
+    if (await isMulticallAvailable(provider)) {
+        const multicall = new ethers.Contract(
+            process.env.MULTICALL3_ADDRESS || DEFAULT_MULTICALL3_ADDRESS,
+            MULTICALL3_ABI,
+            provider
+        );
+
+        const batches = [];
+        for (let i = 0; i < encoded.length; i += BATCH_SIZE) {
+            const batch = encoded.slice(i, i + BATCH_SIZE)
+                .map((entry) => ({ ...entry, allowFailure: true }));
+            batches.push(multicall.aggregate3.staticCall(batch, { blockTag }));
+        }
+
+        const results = (await Promise.all(batches)).flat();
+        return results.map((result, index) => decodeResult(calls[index], result.success, result.returnData));
+    }
+
+    // Calls issued in the same tick are sent as a single JSON-RPC batch by the provider
+    const settled = await Promise.allSettled(encoded.map((entry) => provider.call({
+        to: entry.target,
+        data: entry.callData,
+        blockTag
+    })));
+
+    // Reverts are per-call failures; anything else means the RPC itself failed
+    const rpcFailure = settled.find((result) => result.status === 'rejected' && result.reason.code !== 'CALL_EXCEPTION');
+    if (rpcFailure) {
+        throw rpcFailure.reason;
+    }
+
+    return settled.map((result, index) => decodeResult(
+        calls[index],
+        result.status === 'fulfilled',
+        result.status === 'fulfilled' ? result.value : null
+    ));
+}
+
+module.exports = {
+    aggregate,
+    isMulticallAvailable
+};
@@ -0,0 +1,167 @@
+/**
+ * OpenAPI Utility
+ * Builds an OpenAPI 3.1 document from Express routers. Routes are described by
+ * the spec of their validate() middleware and, when guarded, by the roles of
+ * their auth middleware.
+ */
+
+const { ERROR_CODES } = require('./apiError');
+
+const CONTENT_TYPES = {
+    json: { type: 'application/json', schema: { type: 'object' } },
+    csv: { type: 'text/csv', schema: { type: 'string' } },
+    pdf: { type: 'application/pdf', schema: { type: 'string', format: 'binary' } },
+    html: { type: 'text/html', schema: { type: 'string' } },
+    svg: { type: 'image/svg+xml', schema: { type: 'string' } },
+    'event-stream': { type: 'text/event-stream', schema: { type: 'string' } }
+};
+
+const ERROR_RESPONSES = {
+    400: { name: 'InvalidInput', description: 'Invalid input (INVALID_INPUT)' },
+    401: { name: 'Unauthenticated', description: 'Missing or invalid session token or API key (UNAUTHENTICATED)' },
+    403: { name: 'Forbidden', description: 'Caller lacks the required role (FORBIDDEN)' },
+    404: { name: 'NotFound', description: 'Unknown token, pool, proposal or record (NOT_FOUND, TOKEN_NOT_FOUND, POOL_NOT_FOUND, PROPOSAL_NOT_FOUND)' },
+    429: { name: 'RateLimited', description: 'Too many requests (RATE_LIMITED)' },
+    500: { name: 'InternalError', description: 'Unexpected error (INTERNAL_ERROR)' },
+    503: { name: 'Unavailable', description: 'RPC or database unavailable (RPC_UNAVAILABLE, SERVICE_UNAVAILABLE)' }
+};
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['error'],
+    properties: {
+        error: {
+            type: 'object',
+            required: ['code', 'message', 'details'],
+            properties: {
+                code: { type: 'string', enum: ERROR_CODES },
+                message: { type: 'string' },
+                details: { type: 'object', description: 'Context for the error, e.g. per-field validation errors' }
+            }
+        }
+    }
+};
+
+/**
+ * Express path to OpenAPI path, e.g. /ipnft/:tokenId to /api/ipnft/{tokenId}
+ */
+function toPath(prefix, path) {
+    return `${prefix}${path === '/' ? '/' : path.replace(/:(\w+)/g, '{$1}')}`;
+}
+
+function toParameters(location, schema) {
+    if (!schema) {
+        return [];
+    }
+    const required = schema.required || [];
+    return Object.entries(schema.properties).map(([name, { description, ...property }]) => ({
+        name,
+        in: location,
+        required: location === 'path' || required.includes(name),
+        description,
+        schema: property
+    }));
+}
+
+function toResponses(spec, { guard, rateLimited }) {
+    const status = spec.status || 200;
+    const success = status === 204
+        ? { description: 'No content' }
+        : {
+            description: 'Success',
+            content: Object.fromEntries((spec.formats || ['json']).map((format) => [
+                CONTENT_TYPES[format].type,
+                { schema: CONTENT_TYPES[format].schema }
+            ]))
+        };
+
+    const errors = [500, 503];
+    if (spec.params || spec.query || spec.body) errors.push(400);
+    if (guard) errors.push(401, 403);
+    if (spec.notFound) errors.push(404);
+    if (rateLimited) errors.push(429);
+
+    return {
+        [status]: success,
+        ...Object.fromEntries(errors.sort((a, b) => a - b).map((code) => [
+            code,
+            { $ref: `#/components/responses/${ERROR_RESPONSES[code].name}` }
+        ]))
+    };
+}
+
+/**
+ * Describe one route method from the middleware on its stack
+ */
+function toOperation(route, options) {
+    const handles = route.stack.map((layer) => layer.handle);
+    const validator = handles.find((handle) => handle.spec);
+    const guard = handles.find((handle) => handle.auth);
+    const spec = validator ? validator.spec : {};
+
+    let description = spec.description;
+    if (guard) {
+        const access = [
+            guard.auth.roles.length > 0 ? `one of the roles: ${guard.auth.roles.join(', ')}` : 'authentication',
+            guard.auth.self ? `or being the address in {${guard.auth.self}}` : null
+        ].filter(Boolean).join(' ');
+        description = [description, `Requires ${access}.`].filter(Boolean).join(' ');
+    }
+
+    return {
+        operationId: spec.operationId,
+        tags: spec.tag ? [spec.tag] : undefined,
+        summary: spec.summary,
+        description,
+        parameters: [...toParameters('path', spec.params), ...toParameters('query', spec.query)],
+        requestBody: spec.body
+            ? { required: true, content: { 'application/json': { schema: spec.body } } }
+            : undefined,
+        responses: toResponses(spec, { guard, rateLimited: options.rateLimited }),
+        security: guard ? [{ bearerAuth: [] }, { apiKey: [] }] : undefined
+    };
+}
+
+/**
+ * Build the document for routers mounted at prefixes: [{ prefix, router, rateLimited }]
+ */
+function buildDocument({ title, version, description, mounts }) {
+    const paths = {};
+
+    mounts.forEach(({ prefix, router, rateLimited = false }) => {
+        router.stack
+            .filter((layer) => layer.route)
+            .forEach(({ route }) => {
+                const path = toPath(prefix, route.path);
+                paths[path] = paths[path] || {};
+                Object.keys(route.methods).forEach((method) => {
+                    paths[path][method] = toOperation(route, { rateLimited });
+                });
+            });
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: { title, version, description },
+        paths,
+        components: {
+            schemas: { Error: ERROR_SCHEMA },
+            responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(({ name, description: text }) => [
+                name,
+                { description: text, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+            ])),
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Session token from POST /api/auth/verify (Sign-In with Ethereum)'
+                },
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildDocument
+};
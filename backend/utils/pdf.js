@@ -0,0 +1,77 @@
+/**
+ * PDF Utility
+ * Renders printable tabular reports with pdfkit
+ */
+
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 36;
+const ROW_HEIGHT = 14;
+
+/**
+ * Render a report to a PDF buffer
+ * @param {Object} report
+ * @param {string} report.title Report heading
+ * @param {string[]} report.summary Lines printed below the heading
+ * @param {Array<{key: string, label: string, width: number}>} report.columns Table columns
+ * @param {Array<Object>} report.rows Row objects keyed by column key
+ */
+function renderTablePDF({ title, summary = [], columns, rows }) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: MARGIN });
+        const chunks = [];
+
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.font('Helvetica-Bold').fontSize(14).text(title);
+        doc.moveDown(0.5);
+        doc.font('Helvetica').fontSize(9);
+        summary.forEach((line) => doc.text(line));
+        doc.moveDown();
+
+        const drawHeader = () => {
+            let x = MARGIN;
+            const y = doc.y;
+            doc.font('Helvetica-Bold').fontSize(7);
+            columns.forEach((column) => {
+                doc.text(column.label, x, y, { width: column.width - 4, lineBreak: false });
+                x += column.width;
+            });
+            doc.moveTo(MARGIN, y + ROW_HEIGHT - 3)
+                .lineTo(doc.page.width - MARGIN, y + ROW_HEIGHT - 3)
+                .stroke();
+            doc.y = y + ROW_HEIGHT;
+            doc.font('Helvetica').fontSize(7);
+        };
+
+        drawHeader();
+
+        rows.forEach((row) => {
+            if (doc.y + ROW_HEIGHT > doc.page.height - MARGIN) {
+                doc.addPage();
+                drawHeader();
+            }
+
+            let x = MARGIN;
+            const y = doc.y;
+            columns.forEach((column) => {
+                const value = row[column.key];
+                doc.text(value === null || value === undefined ? '' : String(value), x, y, {
+                    width: column.width - 4,
+                    lineBreak: false,
+                    ellipsis: true
+                });
+                x += column.width;
+            });
+            doc.y = y + ROW_HEIGHT;
+        });
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    renderTablePDF
+};
@@ -0,0 +1,127 @@
+/**
+ * Revert Decoder Utility
+ * Turns revert data from the Kasplex contracts and their OpenZeppelin bases
+ * into short readable messages. Errors are decoded with the error fragments
+ * of the contract ABIs; MESSAGES only supplies the wording.
+ */
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+// Custom errors come from the contract ABIs in the registry; these two are built into Solidity
+const BUILTIN_ERRORS_ABI = [
+    "error Error(string reason)",
+    "error Panic(uint256 code)"
+];
+
+const PANIC_REASONS = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division by zero',
+    0x21: 'invalid enum value',
+    0x31: 'pop from empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to uninitialized function'
+};
+
+const MESSAGES = {
+    EnforcedPause: () => 'contract is paused',
+    ExpectedPause: () => 'contract is not paused',
+    ReentrancyGuardReentrantCall: () => 'reentrant call',
+    OwnableUnauthorizedAccount: ({ account }) => `${account} is not the contract owner`,
+    OwnableInvalidOwner: ({ owner }) => `${owner} is not a valid owner`,
+    AccessControlUnauthorizedAccount: ({ account, neededRole }) => `${account} is missing role ${neededRole}`,
+    InvalidInitialization: () => 'contract is already initialized',
+    NotInitializing: () => 'contract is not initializing',
+    ERC721NonexistentToken: ({ tokenId }) => `IP-NFT ${tokenId} does not exist`,
+    ERC721IncorrectOwner: ({ sender, tokenId }) => `IP-NFT ${tokenId} is not owned by ${sender}`,
+    ERC721InsufficientApproval: ({ operator, tokenId }) => `${operator} is not approved for IP-NFT ${tokenId}`,
+    ERC20InsufficientBalance: ({ needed }) => `insufficient token balance, ${needed} needed`,
+    ERC20InsufficientAllowance: ({ spender, needed }) => `insufficient allowance for ${spender}, ${needed} needed`,
+    ERC20InvalidReceiver: ({ receiver }) => `${receiver} cannot receive tokens`,
+    ERC5805FutureLookup: ({ timepoint, clock }) => `timepoint ${timepoint} is not before the current clock ${clock}`,
+    InsufficientBalance: ({ needed }) => `contract balance is insufficient, ${needed} wei needed`,
+    FailedCall: () => 'value transfer failed'
+};
+
+let errorsInterface = null;
+
+/**
+ * Interface of Error, Panic and every custom error in the registry's contract
+ * ABIs, built on first use. Errors shared by several contracts are kept once.
+ */
+function getErrorsInterface() {
+    if (!errorsInterface) {
+        // Required on first use, as the registry loads the network configuration
+        const contractRegistry = require('../services/contractRegistry');
+        const fragments = new Map();
+
+        contractRegistry.keys.forEach((key) => {
+            let abi;
+            try {
+                abi = contractRegistry.getAbi(key);
+            } catch (error) {
+                logger.warn(`Revert decoder: ${error.message}`);
+                return;
+            }
+            abi.filter((entry) => entry.type === 'error').forEach((entry) => {
+                const fragment = ethers.ErrorFragment.from(entry);
+                fragments.set(fragment.selector, fragment);
+            });
+        });
+
+        errorsInterface = new ethers.Interface([...BUILTIN_ERRORS_ABI, ...fragments.values()]);
+    }
+    return errorsInterface;
+}
+
+// ethers resolves Error and Panic to its built-in fragments, which have unnamed inputs
+const BUILTIN_INPUT_NAMES = Object.fromEntries(new ethers.Interface(BUILTIN_ERRORS_ABI).fragments
+    .map((fragment) => [fragment.name, fragment.inputs.map((input) => input.name)]));
+
+/**
+ * Decode revert data into { name, args, message }.
+ * Require strings lose their "ContractName: " prefix, so
+ * "RoyaltyDistributor: pool does not exist" becomes "pool does not exist".
+ */
+function decodeRevert(data) {
+    if (!data || data === '0x') {
+        return { name: null, args: {}, message: 'execution reverted without a reason' };
+    }
+
+    let parsed;
+    try {
+        parsed = getErrorsInterface().parseError(data);
+    } catch (error) {
+        parsed = null;
+    }
+    if (!parsed) {
+        return { name: null, args: {}, message: `execution reverted with unknown error ${data.slice(0, 10)}` };
+    }
+
+    const names = parsed.fragment.inputs.map((input, index) => input.name
+        || (BUILTIN_INPUT_NAMES[parsed.name] || [])[index] || `arg${index}`);
+    const args = {};
+    names.forEach((name, index) => {
+        const value = parsed.args[index];
+        args[name] = typeof value === 'bigint' ? value.toString() : value;
+    });
+
+    let message;
+    if (parsed.name === 'Error') {
+        message = args.reason.replace(/^[A-Za-z]+: /, '');
+    } else if (parsed.name === 'Panic') {
+        message = PANIC_REASONS[Number(args.code)] || `panic code ${args.code}`;
+    } else if (MESSAGES[parsed.name]) {
+        message = MESSAGES[parsed.name](args);
+    } else {
+        message = `${parsed.name}(${names.map((name) => `${name}: ${args[name]}`).join(', ')})`;
+    }
+
+    return { name: parsed.name, args, message };
+}
+
+module.exports = {
+    decodeRevert
+};
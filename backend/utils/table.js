@@ -0,0 +1,52 @@
+/**
+ * Table Utility
+ * Renders rows as aligned plain-text tables for terminal output
+ */
+
+/**
+ * Text shown for a cell; nested values are printed as compact JSON
+ */
+function formatCell(value) {
+    if (value === null || value === undefined) {
+        return '-';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Render rows as a table with a header and separator line
+ * @param {Array<{key: string, label: string}>} columns Column definitions in output order
+ * @param {Array<Object>} rows Row objects keyed by column key
+ */
+function renderTable(columns, rows) {
+    const cells = rows.map((row) => columns.map((column) => formatCell(row[column.key])));
+    const widths = columns.map((column, index) => Math.max(
+        column.label.length,
+        ...cells.map((line) => line[index].length)
+    ));
+
+    const format = (line) => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+    return [
+        format(columns.map((column) => column.label)),
+        format(widths.map((width) => '-'.repeat(width))),
+        ...cells.map(format)
+    ].join('\n') + '\n';
+}
+
+/**
+ * Render an object as two aligned columns of field names and values
+ */
+function renderFields(object) {
+    const entries = Object.entries(object);
+    const width = Math.max(0, ...entries.map(([key]) => key.length));
+    return entries.map(([key, value]) => `${key.padEnd(width)}  ${formatCell(value)}`).join('\n') + '\n';
+}
+
+module.exports = {
+    renderTable,
+    renderFields
+};
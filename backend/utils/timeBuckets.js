@@ -0,0 +1,141 @@
+/**
+ * Time Bucket Utility
+ * Groups timestamps into day, week (Monday start) or month buckets of an
+ * IANA time zone, and lists the buckets covering a range for chart series
+ */
+
+const BUCKETS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock time of an instant in a time zone, as if it were UTC
+ */
+function wallClock(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Calendar date of an instant in a time zone. Calendar dates are UTC
+ * midnights so date arithmetic is unaffected by the zone's offsets.
+ */
+function calendarDate(date, timeZone) {
+    const local = new Date(wallClock(date, timeZone));
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+}
+
+function floorToBucket(calendar, bucket) {
+    if (bucket === 'week') {
+        return new Date(calendar.getTime() - ((calendar.getUTCDay() + 6) % 7) * DAY_MS);
+    }
+    if (bucket === 'month') {
+        return new Date(Date.UTC(calendar.getUTCFullYear(), calendar.getUTCMonth(), 1));
+    }
+    return calendar;
+}
+
+function nextBucket(start, bucket) {
+    if (bucket === 'month') {
+        return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    }
+    return new Date(start.getTime() + (bucket === 'week' ? 7 : 1) * DAY_MS);
+}
+
+function toLabel(start, bucket) {
+    const iso = start.toISOString();
+    return bucket === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * Instant of local midnight on a calendar date
+ */
+function startsAt(calendar, timeZone) {
+    const midnight = calendar.getTime();
+    const offset = (at) => wallClock(new Date(at), timeZone) - Math.floor(at / 1000) * 1000;
+
+    // A second pass corrects for an offset change between UTC and local midnight
+    const first = midnight - offset(midnight);
+    const instant = midnight - offset(first);
+
+    // Where the clocks go forward at midnight there is no local midnight, and
+    // the day starts at the change (e.g. America/Sao_Paulo until 2019)
+    return new Date(wallClock(new Date(instant), timeZone) < midnight ? first : instant);
+}
+
+/**
+ * Label of the bucket holding an instant: YYYY-MM-DD for days and weeks
+ * (the Monday), YYYY-MM for months
+ */
+function bucketLabel(date, bucket, timeZone) {
+    return toLabel(floorToBucket(calendarDate(date, timeZone), bucket), bucket);
+}
+
+/**
+ * Buckets from the one holding `from` to the one holding `to`, as
+ * { bucket, startsAt }. Returns null when there would be more than MAX_BUCKETS.
+ */
+function listBuckets(from, to, bucket, timeZone) {
+    const buckets = [];
+    const last = floorToBucket(calendarDate(to, timeZone), bucket).getTime();
+
+    for (let start = floorToBucket(calendarDate(from, timeZone), bucket); start.getTime() <= last;
+        start = nextBucket(start, bucket)) {
+        if (buckets.length === MAX_BUCKETS) {
+            return null;
+        }
+        buckets.push({ bucket: toLabel(start, bucket), startsAt: startsAt(start, timeZone).toISOString() });
+    }
+
+    return buckets;
+}
+
+/**
+ * Parse an ISO 8601 date to epoch milliseconds (NaN when invalid). With endOfDay, a
+ * date without a time is the last millisecond of that UTC day, so a period ending
+ * on 2026-03-31 includes the whole of March 31.
+ */
+function parseTime(value, { endOfDay = false } = {}) {
+    const time = Date.parse(value);
+    return endOfDay && DATE_ONLY.test(value) && !Number.isNaN(time) ? time + DAY_MS - 1 : time;
+}
+
+module.exports = {
+    BUCKETS,
+    MAX_BUCKETS,
+    isValidTimeZone,
+    parseTime,
+    bucketLabel,
+    listBuckets
+};
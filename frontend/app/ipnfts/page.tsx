@@ -24,13 +24,19 @@ export default function IPNFTs() {
     fetchIPNFTs();
   }, []);
 
+  useEffect(() => {
+    const source = new EventSource('http://localhost:3000/api/events/stream?contract=ipnft');
+    source.onmessage = () => fetchIPNFTs();
+    return () => source.close();
+  }, []);
+
   const fetchIPNFTs = async () => {
     try {
-      const response = await fetch('http://localhost:3000/api/ipnfts');
+      const response = await fetch('http://localhost:3000/api/ipnfts?limit=100');
       const data = await response.json();
       
       if (data.error) {
-        setError(data.error);
+        setError(data.error.message);
       } else {
         setIpnfts(data.tokens || []);
       }
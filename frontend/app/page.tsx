@@ -16,15 +16,41 @@ interface ContractAddresses {
   tokenizer: string | null;
 }
 
+interface ContractEvent {
+  id: string;
+  contract: string;
+  event: string;
+  args: Record<string, string>;
+  tokenId: string | null;
+  blockNumber: number;
+  transactionHash: string;
+  timestamp: string;
+  confirmations: number | null;
+}
+
+const MAX_LIVE_EVENTS = 10;
+
 export default function Home() {
   const [networkInfo, setNetworkInfo] = useState<NetworkInfo | null>(null);
   const [contracts, setContracts] = useState<ContractAddresses | null>(null);
   const [loading, setLoading] = useState(true);
+  const [liveEvents, setLiveEvents] = useState<ContractEvent[]>([]);
 
   useEffect(() => {
     fetchData();
   }, []);
 
+  useEffect(() => {
+    const source = new EventSource('http://localhost:3000/api/events/stream');
+
+    source.onmessage = (message) => {
+      const event: ContractEvent = JSON.parse(message.data);
+      setLiveEvents((events) => [event, ...events].slice(0, MAX_LIVE_EVENTS));
+    };
+
+    return () => source.close();
+  }, []);
+
   const fetchData = async () => {
     try {
       const [networkRes, contractsRes] = await Promise.all([
@@ -218,6 +244,32 @@ export default function Home() {
               </div>
             </div>
 
+            {/* Live Activity */}
+            <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+              <h2 className="text-xl font-bold text-gray-900 mb-4">
+                Live Activity
+              </h2>
+              {liveEvents.length === 0 ? (
+                <p className="text-sm text-gray-500">Waiting for contract events...</p>
+              ) : (
+                <div className="space-y-3">
+                  {liveEvents.map((event) => (
+                    <div key={event.id} className="flex items-center justify-between p-3 bg-gray-50 rounded">
+                      <span className="font-medium text-gray-700">
+                        {event.event}
+                        {event.tokenId !== null && (
+                          <span className="ml-2 text-sm text-gray-500">IP-NFT #{event.tokenId}</span>
+                        )}
+                      </span>
+                      <span className="text-sm text-gray-600 font-mono">
+                        Block {event.blockNumber.toLocaleString()}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
             {/* Contract Status */}
             {contracts && (
               <div className="bg-white rounded-lg shadow-md p-6">